@@ -1,17 +1,76 @@
 const jwt = require('jsonwebtoken');
+const config = require('../src/config');
+const { carregarSessaoAtiva } = require('../src/services/sessaoService');
+const { autenticarChave } = require('../src/services/chaveApiService');
+const { executarComEmpresa, semEscopo } = require('../src/utils/contextoEmpresa');
 
-function autenticarToken(req, res, next) {
+function naoAutenticado(res, message) {
+  return res.status(401).json({
+    success: false,
+    error: 'Não autenticado',
+    message
+  });
+}
+
+function erroInterno(res, err) {
+  console.error('Erro ao validar credenciais:', err);
+  return res.status(500).json({
+    success: false,
+    error: 'Erro interno do servidor',
+    message: 'Não foi possível validar a sessão'
+  });
+}
+
+/**
+ * Integrações se autenticam com o header X-API-Key em vez do JWT
+ */
+async function autenticarChaveApi(req, res, next, chave) {
+  let usuario;
+  try {
+    // A empresa só é conhecida depois de achar a chave pelo hash
+    usuario = await semEscopo(() => autenticarChave(chave, req.ip));
+  } catch (err) {
+    return erroInterno(res, err);
+  }
+
+  if (!usuario) return naoAutenticado(res, 'Chave de API inválida, expirada ou revogada');
+
+  req.usuario = usuario;
+  return executarComEmpresa(usuario.empresaId, next);
+}
+
+async function autenticarToken(req, res, next) {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
+  const chaveApi = req.headers['x-api-key'];
 
-  if (!token) return res.status(401).json({ error: 'Token não fornecido.' });
+  if (!token && chaveApi) return autenticarChaveApi(req, res, next, chaveApi);
+  if (!token) return naoAutenticado(res, 'Token não fornecido');
 
-  jwt.verify(token, 'seuSegredoJWT', (err, user) => {
-    if (err) return res.status(403).json({ error: 'Token inválido.' });
+  let user;
+  try {
+    user = jwt.verify(token, config.jwtSecret);
+  } catch (err) {
+    return naoAutenticado(res, err.name === 'TokenExpiredError' ? 'Token expirado' : 'Token inválido');
+  }
 
-    req.usuario = user; 
-    next();
-  });
+  let sessao;
+  try {
+    // Tokens de sessões revogadas (logout, troca de senha, usuário inativo),
+    // de outra empresa ou sem empresa não valem mais
+    sessao = await carregarSessaoAtiva(user.sid, user.empresaId);
+    if (!sessao) {
+      return naoAutenticado(res, 'Sessão encerrada. Faça login novamente.');
+    }
+  } catch (err) {
+    return erroInterno(res, err);
+  }
+
+  // Perfil e permissões vêm do banco para que mudanças valham já na próxima requisição
+  req.usuario = { ...user, ...sessao };
+
+  // Todas as queries do restante da requisição ficam restritas à empresa do token
+  return executarComEmpresa(user.empresaId, next);
 }
 
 module.exports = autenticarToken;
@@ -0,0 +1,15 @@
+/**
+ * Bloqueia chaves de API em rotas que só fazem sentido para uma pessoa logada
+ * (sessão, senha, 2FA, troca de empresa e gestão das próprias chaves)
+ */
+function exigirSessao(req, res, next) {
+  if (req.usuario && req.usuario.chaveApiId) {
+    return res.status(403).json({
+      success: false,
+      error: 'Acesso negado',
+      message: 'Esta rota não aceita chave de API. Faça login com usuário e senha.'
+    });
+  }
+  next();
+}
+module.exports = exigirSessao;
@@ -0,0 +1,26 @@
+const { possuiPermissao } = require('../src/services/permissaoService');
+
+/**
+ * Exige que o usuário autenticado tenha a permissão informada (ex.: 'venda:cancelar')
+ */
+function exigirPermissao(permissao) {
+  return (req, res, next) => {
+    if (!req.usuario) {
+      return res.status(401).json({
+        success: false,
+        error: 'Não autenticado',
+        message: 'Faça login para acessar este recurso'
+      });
+    }
+
+    if (!possuiPermissao(req.usuario, permissao)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Acesso negado',
+        message: `Você não tem a permissão "${permissao}".`
+      });
+    }
+    next();
+  };
+}
+module.exports = exigirPermissao;
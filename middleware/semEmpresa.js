@@ -0,0 +1,11 @@
+const { semEscopo } = require('../src/utils/contextoEmpresa');
+
+/**
+ * Rotas anteriores ao login (login, 2FA, refresh e redefinição de senha) ainda não
+ * têm empresa: o usuário é identificado no sistema todo, então as consultas
+ * delas rodam explicitamente sem o filtro de empresa
+ */
+function semEmpresa(req, res, next) {
+  return semEscopo(next);
+}
+module.exports = semEmpresa;
@@ -15,6 +15,21 @@ const encripta = async (senha) => {
 }
 
 async function main() {
+    await prisma.empresa.create({
+        data: {
+            "nome": "Empresa Padrão",
+            "cnpj": null
+        }
+    })
+
+    await prisma.deposito.create({
+        data: {
+            "nome": "Principal",
+            "padrao": true,
+            "empresaId": 1
+        }
+    })
+
     await prisma.usuario.createMany({
         data: [{
             "nome": "Rita de Cássia",
@@ -29,6 +44,31 @@ async function main() {
         }],
     })
 
+    await prisma.usuarioEmpresa.create({
+        data: { "usuarioId": 1, "empresaId": 1 }
+    })
+
+    await prisma.perfil.createMany({
+        data: [{
+            "empresaId": 1,
+            "nome": "Caixa",
+            "descricao": "Registra vendas e cadastra clientes",
+            "permissoes": ["cliente:ler", "cliente:criar", "produto:ler", "venda:ler", "venda:criar"]
+        },
+        {
+            "empresaId": 1,
+            "nome": "Estoquista",
+            "descricao": "Mantém o cadastro e o estoque de produtos",
+            "permissoes": ["produto:ler", "produto:criar", "produto:editar", "estoque:ajustar", "inventario:ler", "inventario:abrir", "inventario:contar", "fornecedor:ler", "compra:ler", "compra:receber", "venda:ler"]
+        },
+        {
+            "empresaId": 1,
+            "nome": "Financeiro",
+            "descricao": "Acompanha vendas, cancela e ajusta preços",
+            "permissoes": ["cliente:ler", "produto:ler", "produto:alterar_preco", "produto:editar", "venda:ler", "venda:cancelar", "relatorio:ler", "relatorio:criar", "auditoria:ler"]
+        }],
+    })
+
     await prisma.cliente.createMany({
         data: [{
             "nome": "Maria Oliveira",
@@ -45,7 +85,8 @@ async function main() {
             "cidade": "São Paulo",
             "estado": "SP",
             "observacoes": "Cliente desde 2020",
-            "usuarioId": 1
+            "usuarioId": 1,
+            "empresaId": 1
         },
         {
             "nome": "Ana Oliveira",
@@ -62,7 +103,8 @@ async function main() {
             "cidade": "São Paulo",
             "estado": "SP",
             "observacoes": "Cliente desde 2021",
-            "usuarioId": 1
+            "usuarioId": 1,
+            "empresaId": 1
         }],
     })
 
@@ -72,44 +114,69 @@ async function main() {
             "nome": "Projetor Portátil 1080p",
             "descricao": "Projetor LED portátil com entrada HDMI e alto-falante.",
             "preco": 1299.00,
+            "custoManual": 850.00,
+            "custoMedio": 850.00,
             "estoque": 12,
             "tipo": "Produto",
-            "status": "Ativo"
+            "status": "Ativo",
+            "empresaId": 1
         },
         {
             "nome": "Cachorro quente",
             "descricao": "Cachorro quente completo com salsicha, pão, molho e condimentos.",
             "preco": 20.00,
+            "custoManual": 8.50,
+            "custoMedio": 8.50,
             "estoque": 100,
             "tipo": "Produto",
-            "status": "Ativo"
+            "status": "Ativo",
+            "empresaId": 1
         },
         {
             "nome": "Barba, cabelo e bigode",
             "descricao": "Serviço completo de barbearia incluindo corte de cabelo, barba e bigode.",
             "preco": 50.00,
             "tipo": "Serviço",
-            "status": "Ativo"
+            "status": "Ativo",
+            "empresaId": 1
         }],
     })
 
+    await prisma.movimentacaoEstoque.createMany({
+        data: [
+            { "empresaId": 1, "produtoId": 1, "tipo": "Entrada", "quantidade": 12, "depositoId": 1, "saldoApos": 12, "saldoDeposito": 12, "custoUnit": 850.00, "documentoTipo": "Produto", "documentoId": 1, "usuarioId": 1, "observacao": "Estoque inicial" },
+            { "empresaId": 1, "produtoId": 2, "tipo": "Entrada", "quantidade": 100, "depositoId": 1, "saldoApos": 100, "saldoDeposito": 100, "custoUnit": 8.50, "documentoTipo": "Produto", "documentoId": 2, "usuarioId": 1, "observacao": "Estoque inicial" },
+        ],
+    })
+
+    await prisma.saldoEstoque.createMany({
+        data: [
+            { "empresaId": 1, "depositoId": 1, "produtoId": 1, "quantidade": 12 },
+            { "empresaId": 1, "depositoId": 1, "produtoId": 2, "quantidade": 100 },
+        ],
+    })
+
     await prisma.venda.createMany({
         data: [{
             "clienteId": 1,
             "usuarioId": 1,
-            "status": "Concluida"
+            "depositoId": 1,
+            "status": "Concluida",
+            "empresaId": 1
         },
         {
             "clienteId": 2,
             "usuarioId": 1,
-            "status": "Concluida"
+            "depositoId": 1,
+            "status": "Concluida",
+            "empresaId": 1
         }],
     })
 
     await prisma.itemVenda.createMany({
         data: [
-            { "vendaId": 1, "produtoId": 1, "quantidade": 2, "precoUnit": 1299.00 },
-            { "vendaId": 1, "produtoId": 2, "quantidade": 5, "precoUnit": 20.00 },
+            { "vendaId": 1, "produtoId": 1, "quantidade": 2, "precoUnit": 1299.00, "custoUnit": 850.00 },
+            { "vendaId": 1, "produtoId": 2, "quantidade": 5, "precoUnit": 20.00, "custoUnit": 8.50 },
             { "vendaId": 2, "produtoId": 3, "quantidade": 1, "precoUnit": 50.00 },
         ],
     })
@@ -1,15 +1,18 @@
 const express = require('express');
 const cors = require('cors');
+const config = require('./src/config');
 const routes = require('./src/routes');
+const { decimalComoNumero } = require('./src/utils/quantidades');
 
 const app = express();
+app.set('trust proxy', config.trustProxy);
+app.set('json replacer', decimalComoNumero);
 app.use(express.json());
-app.use(cors());
+app.use(cors({
+  origin: config.corsOrigins.includes('*') ? '*' : config.corsOrigins
+}));
 app.use(routes);
 
-const port = process.env.PORT || 3000;
-
-
-app.listen(port, () => {
-  console.log(`Servidor rodando em http://localhost:${port}`);
-});
\ No newline at end of file
+app.listen(config.porta, () => {
+  console.log(`Servidor rodando em http://localhost:${config.porta}`);
+});
@@ -0,0 +1,164 @@
+require('dotenv').config({ quiet: true });
+
+/**
+ * Configuração central da API.
+ * Lê e valida as variáveis de ambiente uma única vez, na inicialização.
+ * Controllers e middlewares devem importar daqui em vez de ler process.env.
+ */
+
+const ambiente = process.env.NODE_ENV || 'development';
+const emProducao = ambiente === 'production';
+
+// Valores de desenvolvimento que nunca podem ir para produção
+const SEGREDO_DESENVOLVIMENTO = 'segredo_local_apenas_para_desenvolvimento';
+
+function lerInteiro(nome, padrao) {
+  const valor = process.env[nome];
+  if (valor === undefined || valor === '') return padrao;
+  return Number(valor);
+}
+
+function lerLista(nome, padrao) {
+  const valor = process.env[nome];
+  if (!valor) return padrao;
+  return valor.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+const config = {
+  ambiente,
+  emProducao,
+  porta: lerInteiro('PORT', 3000),
+  // Necessário atrás de proxy (ex.: Vercel) para req.ip ser o IP real do cliente
+  trustProxy: process.env.TRUST_PROXY === 'true',
+  databaseUrl: process.env.DATABASE_URL,
+
+  jwtSecret: process.env.JWT_SECRET || SEGREDO_DESENVOLVIMENTO,
+  jwtExpiresIn: process.env.JWT_EXPIRES_IN || '1h',
+  refreshTokenDias: lerInteiro('REFRESH_TOKEN_DIAS', 7),
+
+  // Proteção contra força bruta no /login
+  login: {
+    maxTentativas: lerInteiro('LOGIN_MAX_TENTATIVAS', 5),
+    bloqueioMinutos: lerInteiro('LOGIN_BLOQUEIO_MINUTOS', 15),
+    janelaMinutos: lerInteiro('LOGIN_JANELA_MINUTOS', 15),
+    maxTentativasPorIp: lerInteiro('LOGIN_MAX_TENTATIVAS_IP', 20),
+    tentativasSemAtraso: 2,
+    atrasoMaximoSegundos: 30
+  },
+
+  // Segundo fator (TOTP)
+  totpEmissor: process.env.TOTP_ISSUER || 'NexoERP',
+  desafio2faExpiresIn: '5m',
+  bcryptRounds: lerInteiro('BCRYPT_ROUNDS', 10),
+  resetSenhaMinutos: lerInteiro('RESET_SENHA_MINUTOS', 30),
+
+  // URL do frontend que recebe o token de redefinição (?token=...)
+  resetSenhaUrl: process.env.RESET_SENHA_URL || 'http://localhost:5173/redefinir-senha',
+
+  email: {
+    transporte: process.env.MAIL_TRANSPORT || 'console',
+    remetente: process.env.MAIL_FROM || 'NexoERP <nao-responda@nexoerp.local>',
+    diretorio: process.env.MAIL_DIR || 'tmp/emails'
+  },
+
+  // '*' libera qualquer origem; em produção as origens devem ser listadas
+  corsOrigins: lerLista('CORS_ORIGINS', ['*']),
+
+  // Vendas pendentes reservam o estoque dos itens até concluir, cancelar ou expirar
+  estoque: {
+    reservaAtiva: process.env.ESTOQUE_RESERVA_ATIVA !== 'false',
+    reservaMinutos: lerInteiro('ESTOQUE_RESERVA_MINUTOS', 1440)
+  },
+
+  paginacao: {
+    limitePadrao: lerInteiro('PAGINACAO_LIMITE_PADRAO', 10),
+    limiteMaximo: lerInteiro('PAGINACAO_LIMITE_MAXIMO', 100)
+  },
+
+  // Perfis base; perfis personalizados são cadastrados em /api/perfis
+  perfisValidos: ['Admin', 'Operador'],
+  statusValidos: ['Ativo', 'Inativo']
+};
+
+/**
+ * Retorna a lista de problemas encontrados na configuração
+ */
+function validarConfig(cfg) {
+  const erros = [];
+
+  if (!cfg.databaseUrl) {
+    erros.push('DATABASE_URL não definida');
+  } else if (!/^postgres(ql)?:\/\//.test(cfg.databaseUrl)) {
+    erros.push('DATABASE_URL deve ser uma URL postgresql://');
+  }
+
+  if (!/^(\d+|\d+[smhd])$/.test(cfg.jwtExpiresIn)) {
+    erros.push('JWT_EXPIRES_IN deve ser um número de segundos ou algo como 15m, 1h, 7d');
+  }
+
+  if (!Number.isInteger(cfg.refreshTokenDias) || cfg.refreshTokenDias < 1) {
+    erros.push('REFRESH_TOKEN_DIAS deve ser um inteiro positivo');
+  }
+
+  if (!Number.isInteger(cfg.resetSenhaMinutos) || cfg.resetSenhaMinutos < 1) {
+    erros.push('RESET_SENHA_MINUTOS deve ser um inteiro positivo');
+  }
+
+  for (const [chave, valor] of Object.entries(cfg.login)) {
+    if (!Number.isInteger(valor) || valor < 1) {
+      erros.push(`Configuração de login "${chave}" deve ser um inteiro positivo`);
+    }
+  }
+
+  if (!Number.isInteger(cfg.bcryptRounds) || cfg.bcryptRounds < 4 || cfg.bcryptRounds > 15) {
+    erros.push('BCRYPT_ROUNDS deve ser um inteiro entre 4 e 15');
+  }
+
+  if (!Number.isInteger(cfg.porta) || cfg.porta <= 0) {
+    erros.push('PORT deve ser um inteiro positivo');
+  }
+
+  if (!Number.isInteger(cfg.estoque.reservaMinutos) || cfg.estoque.reservaMinutos < 1) {
+    erros.push('ESTOQUE_RESERVA_MINUTOS deve ser um inteiro positivo');
+  }
+
+  const { limitePadrao, limiteMaximo } = cfg.paginacao;
+  if (!Number.isInteger(limitePadrao) || limitePadrao < 1) {
+    erros.push('PAGINACAO_LIMITE_PADRAO deve ser um inteiro positivo');
+  }
+  if (!Number.isInteger(limiteMaximo) || limiteMaximo < limitePadrao) {
+    erros.push('PAGINACAO_LIMITE_MAXIMO deve ser um inteiro maior ou igual ao limite padrão');
+  }
+
+  // Configurações inseguras só são aceitas fora de produção
+  if (cfg.emProducao) {
+    if (cfg.jwtSecret === SEGREDO_DESENVOLVIMENTO) {
+      erros.push('JWT_SECRET é obrigatório em produção');
+    } else if (cfg.jwtSecret.length < 32) {
+      erros.push('JWT_SECRET deve ter pelo menos 32 caracteres em produção');
+    }
+    if (cfg.corsOrigins.includes('*')) {
+      erros.push('CORS_ORIGINS deve listar as origens permitidas em produção');
+    }
+    if (cfg.bcryptRounds < 10) {
+      erros.push('BCRYPT_ROUNDS deve ser no mínimo 10 em produção');
+    }
+  }
+
+  return erros;
+}
+
+const erros = validarConfig(config);
+if (erros.length > 0) {
+  throw new Error(`Configuração inválida:\n- ${erros.join('\n- ')}`);
+}
+
+if (config.jwtSecret === SEGREDO_DESENVOLVIMENTO) {
+  console.warn('JWT_SECRET não definido, usando segredo de desenvolvimento. Não use em produção.');
+}
+
+Object.freeze(config.paginacao);
+Object.freeze(config.email);
+Object.freeze(config.login);
+
+module.exports = Object.freeze(config);
@@ -0,0 +1,183 @@
+const prisma = require('../prisma');
+const { obterPaginacao } = require('../utils/paginacao');
+const { ENTIDADES_AUDITADAS } = require('../services/auditoriaService');
+
+/**
+ * Aceita datas em dd/mm/aaaa ou ISO (aaaa-mm-dd)
+ */
+function converterData(valor) {
+  if (!valor) return null;
+
+  const brasileira = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(valor);
+  const data = brasileira
+    ? new Date(brasileira[3], brasileira[2] - 1, brasileira[1])
+    : new Date(valor);
+
+  return isNaN(data.getTime()) ? null : data;
+}
+
+/**
+ * Função para formatar datas no padrão dd/mm/aa HH:MM
+ */
+function formatarData(data) {
+  if (!data) return null;
+  const date = new Date(data);
+
+  const dia = date.getDate().toString().padStart(2, '0');
+  const mes = (date.getMonth() + 1).toString().padStart(2, '0');
+  const ano = date.getFullYear().toString().slice(-2);
+  const horas = date.getHours().toString().padStart(2, '0');
+  const minutos = date.getMinutes().toString().padStart(2, '0');
+
+  return `${dia}/${mes}/${ano} ${horas}:${minutos}`;
+}
+
+function formatarRegistro(registro) {
+  return {
+    ...registro,
+    criadoEm: formatarData(registro.criadoEm)
+  };
+}
+
+// Listar registros de auditoria com filtros
+const findAll = async (req, res) => {
+  try {
+    const { entidade, entidadeId, usuarioId, chaveApiId, acao, dataInicio, dataFim } = req.query;
+    const { page, limit, skip } = obterPaginacao(req.query, 20);
+
+    const where = {};
+
+    if (entidade) {
+      if (!ENTIDADES_AUDITADAS.includes(entidade)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Dados inválidos',
+          message: `Entidade deve ser uma das: ${ENTIDADES_AUDITADAS.join(', ')}`
+        });
+      }
+      where.entidade = entidade;
+    }
+
+    if (entidadeId && !isNaN(entidadeId)) where.entidadeId = parseInt(entidadeId);
+    if (usuarioId && !isNaN(usuarioId)) where.usuarioId = parseInt(usuarioId);
+    if (chaveApiId && !isNaN(chaveApiId)) where.chaveApiId = parseInt(chaveApiId);
+    if (acao) where.acao = acao;
+
+    if (dataInicio || dataFim) {
+      const inicio = converterData(dataInicio);
+      const fim = converterData(dataFim);
+
+      if ((dataInicio && !inicio) || (dataFim && !fim)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Dados inválidos',
+          message: 'Datas devem estar no formato dd/mm/aaaa ou aaaa-mm-dd'
+        });
+      }
+
+      where.criadoEm = {};
+      if (inicio) {
+        inicio.setHours(0, 0, 0, 0);
+        where.criadoEm.gte = inicio;
+      }
+      if (fim) {
+        fim.setHours(23, 59, 59, 999);
+        where.criadoEm.lte = fim;
+      }
+    }
+
+    const [registros, total] = await Promise.all([
+      prisma.auditoria.findMany({
+        where,
+        skip,
+        take: limit,
+        include: {
+          usuario: {
+            select: {
+              id: true,
+              nome: true,
+              email: true
+            }
+          }
+        },
+        orderBy: {
+          criadoEm: 'desc'
+        }
+      }),
+      prisma.auditoria.count({ where })
+    ]);
+
+    res.json({
+      success: true,
+      data: registros.map(formatarRegistro),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Erro ao buscar auditoria:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erro interno do servidor',
+      message: 'Erro ao buscar registros de auditoria'
+    });
+  }
+};
+
+// Buscar registro de auditoria por ID
+const findOne = async (req, res) => {
+  const id = parseInt(req.params.id);
+
+  if (isNaN(id) || id <= 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'ID inválido',
+      message: 'O ID deve ser um número positivo'
+    });
+  }
+
+  try {
+    const registro = await prisma.auditoria.findUnique({
+      where: { id },
+      include: {
+        usuario: {
+          select: {
+            id: true,
+            nome: true,
+            email: true
+          }
+        }
+      }
+    });
+
+    if (!registro) {
+      return res.status(404).json({
+        success: false,
+        error: 'Não encontrado',
+        message: 'Registro de auditoria não encontrado'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: formatarRegistro(registro)
+    });
+
+  } catch (error) {
+    console.error('Erro ao buscar registro de auditoria:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erro interno do servidor',
+      message: 'Erro ao buscar registro de auditoria'
+    });
+  }
+};
+
+module.exports = {
+  findAll,
+  findOne
+};
@@ -0,0 +1,281 @@
+const sessaoService = require('../services/sessaoService');
+const senhaService = require('../services/senhaService');
+const doisFatoresService = require('../services/doisFatoresService');
+const { ErroHttp } = require('../utils/erros');
+
+/**
+ * Resposta padrão para falhas de autenticação
+ */
+function responderErro(res, error, context) {
+  if (error instanceof ErroHttp) {
+    if (error.retryAfter) {
+      res.set('Retry-After', String(error.retryAfter));
+    }
+    return res.status(error.status).json({
+      success: false,
+      error: error.titulo,
+      message: error.message
+    });
+  }
+
+  console.error(`Erro em ${context}:`, error);
+  res.status(500).json({
+    success: false,
+    error: 'Erro interno do servidor',
+    message: 'Erro interno'
+  });
+}
+
+// Renovar access token a partir do refresh token
+const refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Dados incompletos',
+        message: 'refreshToken é obrigatório'
+      });
+    }
+
+    const tokens = await sessaoService.rotacionarSessao(refreshToken);
+
+    res.json({
+      success: true,
+      message: 'Token renovado com sucesso',
+      data: tokens
+    });
+
+  } catch (error) {
+    responderErro(res, error, 'refresh');
+  }
+};
+
+// Encerrar a sessão atual
+const logout = async (req, res) => {
+  try {
+    await sessaoService.revogarSessao(req.usuario.sid, 'Logout');
+
+    res.json({
+      success: true,
+      message: 'Logout realizado com sucesso'
+    });
+
+  } catch (error) {
+    responderErro(res, error, 'logout');
+  }
+};
+
+// Encerrar todas as sessões do usuário (todos os dispositivos)
+const logoutAll = async (req, res) => {
+  try {
+    const { count } = await sessaoService.revogarTodasSessoes(req.usuario.id, 'LogoutGeral');
+
+    res.json({
+      success: true,
+      message: 'Todas as sessões foram encerradas',
+      data: { sessoesEncerradas: count }
+    });
+
+  } catch (error) {
+    responderErro(res, error, 'logoutAll');
+  }
+};
+
+// Solicitar e-mail de redefinição de senha
+const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body || {};
+
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Dados incompletos',
+        message: 'Email é obrigatório'
+      });
+    }
+
+    await senhaService.solicitarRedefinicao(email.trim(), req.ip);
+
+    // Mesma resposta exista ou não o e-mail
+    res.json({
+      success: true,
+      message: 'Se o email estiver cadastrado, você receberá as instruções para redefinir a senha'
+    });
+
+  } catch (error) {
+    responderErro(res, error, 'forgotPassword');
+  }
+};
+
+// Redefinir senha com o token recebido por e-mail
+const resetPassword = async (req, res) => {
+  try {
+    const { token, novaSenha } = req.body || {};
+
+    await senhaService.redefinirSenha(token, novaSenha);
+
+    res.json({
+      success: true,
+      message: 'Senha redefinida com sucesso. Faça login com a nova senha.'
+    });
+
+  } catch (error) {
+    responderErro(res, error, 'resetPassword');
+  }
+};
+
+// Alterar a senha do usuário logado
+const changePassword = async (req, res) => {
+  try {
+    const { senhaAtual, novaSenha } = req.body || {};
+
+    await senhaService.alterarSenha(req.usuario.id, senhaAtual, novaSenha);
+
+    res.json({
+      success: true,
+      message: 'Senha alterada com sucesso. Faça login novamente.'
+    });
+
+  } catch (error) {
+    responderErro(res, error, 'changePassword');
+  }
+};
+
+// Segundo passo do login: troca o desafio + código TOTP pelos tokens
+const loginDoisFatores = async (req, res) => {
+  try {
+    const { desafioToken, codigo, empresaId } = req.body || {};
+
+    if (!desafioToken || !codigo) {
+      return res.status(400).json({
+        success: false,
+        error: 'Dados incompletos',
+        message: 'desafioToken e codigo são obrigatórios'
+      });
+    }
+
+    const usuario = await doisFatoresService.concluirDesafio(desafioToken, codigo, req);
+    const dadosLogin = await sessaoService.abrirSessaoLogin(usuario, req, empresaId);
+
+    res.json({
+      success: true,
+      message: 'Login realizado com sucesso',
+      data: dadosLogin
+    });
+
+  } catch (error) {
+    responderErro(res, error, 'loginDoisFatores');
+  }
+};
+
+// Trocar a empresa ativa da sessão (usuários com acesso a mais de uma empresa)
+const trocarEmpresa = async (req, res) => {
+  try {
+    const { empresaId } = req.body || {};
+
+    if (!empresaId || isNaN(empresaId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Dados incompletos',
+        message: 'empresaId é obrigatório'
+      });
+    }
+
+    const dados = await sessaoService.trocarEmpresa(req.usuario, req.usuario.sid, empresaId);
+
+    res.json({
+      success: true,
+      message: `Empresa ativa alterada para "${dados.empresa.nome}"`,
+      data: dados
+    });
+
+  } catch (error) {
+    responderErro(res, error, 'trocarEmpresa');
+  }
+};
+
+// Iniciar cadastro do aplicativo autenticador
+const setupDoisFatores = async (req, res) => {
+  try {
+    const { segredo, uri } = await doisFatoresService.iniciarCadastro(req.usuario.id);
+
+    res.json({
+      success: true,
+      message: 'Escaneie o QR code (uri) no aplicativo autenticador e confirme com um código',
+      data: { segredo, uri }
+    });
+
+  } catch (error) {
+    responderErro(res, error, 'setupDoisFatores');
+  }
+};
+
+// Confirmar cadastro e ativar 2FA
+const ativarDoisFatores = async (req, res) => {
+  try {
+    const { codigo } = req.body || {};
+
+    const codigosBackup = await doisFatoresService.confirmarCadastro(req.usuario.id, codigo);
+
+    res.json({
+      success: true,
+      message: 'Autenticação em dois fatores ativada. Guarde os códigos de backup em local seguro.',
+      data: { codigosBackup }
+    });
+
+  } catch (error) {
+    responderErro(res, error, 'ativarDoisFatores');
+  }
+};
+
+// Desativar 2FA
+const desativarDoisFatores = async (req, res) => {
+  try {
+    const { senha, codigo } = req.body || {};
+
+    await doisFatoresService.desativar(req.usuario.id, senha, codigo);
+
+    res.json({
+      success: true,
+      message: 'Autenticação em dois fatores desativada'
+    });
+
+  } catch (error) {
+    responderErro(res, error, 'desativarDoisFatores');
+  }
+};
+
+// Gerar novos códigos de backup (os anteriores deixam de valer)
+const regenerarCodigosBackup = async (req, res) => {
+  try {
+    const { codigo } = req.body || {};
+
+    const codigosBackup = await doisFatoresService.regenerarCodigosBackup(req.usuario.id, codigo);
+
+    res.json({
+      success: true,
+      message: 'Novos códigos de backup gerados',
+      data: { codigosBackup }
+    });
+
+  } catch (error) {
+    responderErro(res, error, 'regenerarCodigosBackup');
+  }
+};
+
+module.exports = {
+  refresh,
+  logout,
+  logoutAll,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  loginDoisFatores,
+  trocarEmpresa,
+  setupDoisFatores,
+  ativarDoisFatores,
+  desativarDoisFatores,
+  regenerarCodigosBackup
+};
@@ -0,0 +1,548 @@
+const { Prisma } = require('@prisma/client');
+const prisma = require('../prisma');
+const { obterPaginacao } = require('../utils/paginacao');
+const { registrarAuditoria } = require('../services/auditoriaService');
+const {
+  carregarArvore,
+  carregarArvoreTravada,
+  idsComDescendentes,
+  ancestrais,
+  caminhoCategoria,
+  validarPai,
+  validarNomeUnico
+} = require('../services/categoriaService');
+const { arredondar } = require('../services/custoService');
+const { arredondarQuantidade, somarQuantidades } = require('../utils/quantidades');
+const { ErroHttp } = require('../utils/erros');
+const { obterEmpresaAtual } = require('../utils/contextoEmpresa');
+
+/**
+ * Função para formatar datas no padrão dd/mm/aa HH:MM
+ */
+function formatarData(data) {
+  if (!data) return null;
+  const date = new Date(data);
+
+  const dia = date.getDate().toString().padStart(2, '0');
+  const mes = (date.getMonth() + 1).toString().padStart(2, '0');
+  const ano = date.getFullYear().toString().slice(-2);
+  const horas = date.getHours().toString().padStart(2, '0');
+  const minutos = date.getMinutes().toString().padStart(2, '0');
+
+  return `${dia}/${mes}/${ano} ${horas}:${minutos}`;
+}
+
+/**
+ * Aceita datas em dd/mm/aaaa ou ISO (aaaa-mm-dd)
+ */
+function converterData(valor) {
+  if (!valor) return null;
+
+  const brasileira = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(valor);
+  const data = brasileira
+    ? new Date(brasileira[3], brasileira[2] - 1, brasileira[1])
+    : new Date(valor);
+
+  return isNaN(data.getTime()) ? null : data;
+}
+
+/**
+ * Categoria com o caminho completo e o nível na árvore
+ */
+function formatarCategoria(arvore, categoria) {
+  return {
+    ...categoria,
+    caminho: caminhoCategoria(arvore, categoria.id),
+    nivel: ancestrais(arvore, categoria.id).length,
+    criadoEm: formatarData(categoria.criadoEm),
+    atualizadoEm: formatarData(categoria.atualizadoEm)
+  };
+}
+
+function validarCategoria(dados, isUpdate = false) {
+  const erros = [];
+
+  if (!isUpdate || dados.nome !== undefined) {
+    if (!dados.nome || typeof dados.nome !== 'string' || dados.nome.trim().length < 2) {
+      erros.push('Nome deve ter pelo menos 2 caracteres');
+    } else if (dados.nome.trim().length > 100) {
+      erros.push('Nome não pode exceder 100 caracteres');
+    } else if (dados.nome.includes('>')) {
+      erros.push('Nome não pode conter ">" (usado no caminho da categoria)');
+    }
+  }
+
+  if (dados.descricao && dados.descricao.length > 500) {
+    erros.push('Descrição não pode exceder 500 caracteres');
+  }
+
+  return erros;
+}
+
+function lerId(valor) {
+  const id = parseInt(valor);
+  if (isNaN(id) || id <= 0) {
+    throw new ErroHttp('O ID deve ser um número positivo', 400, 'ID inválido');
+  }
+  return id;
+}
+
+/**
+ * Categoria pai informada na requisição: null (ou ausente) coloca na raiz
+ */
+function lerCategoriaPai(valor) {
+  if (valor === undefined || valor === null) return null;
+  return lerId(valor);
+}
+
+/**
+ * Número de produtos ligados diretamente a cada categoria
+ */
+async function produtosPorCategoria() {
+  const grupos = await prisma.produto.groupBy({
+    by: ['categoriaId'],
+    where: { categoriaId: { not: null } },
+    _count: { _all: true }
+  });
+  return new Map(grupos.map(grupo => [grupo.categoriaId, grupo._count._all]));
+}
+
+/**
+ * Soma os valores de cada categoria com os das descendentes
+ * @param {Map<number, object>} diretos valores só da própria categoria
+ */
+function acumularNaArvore(arvore, diretos, campos) {
+  const totais = new Map();
+  for (const categoria of arvore.categorias) {
+    const total = Object.fromEntries(campos.map(campo => [campo, 0]));
+    for (const id of idsComDescendentes(arvore, categoria.id)) {
+      const valores = diretos.get(id);
+      if (!valores) continue;
+      for (const campo of campos) total[campo] += valores[campo];
+    }
+    totais.set(categoria.id, total);
+  }
+  return totais;
+}
+
+/**
+ * Árvore aninhada a partir de uma categoria (ou das raízes, com null)
+ */
+function montarArvore(arvore, categoriaPaiId, produtos) {
+  return (arvore.filhas.get(categoriaPaiId) || []).map(categoria => ({
+    id: categoria.id,
+    nome: categoria.nome,
+    descricao: categoria.descricao,
+    totalProdutos: produtos.get(categoria.id) || 0,
+    subcategorias: montarArvore(arvore, categoria.id, produtos)
+  }));
+}
+
+const handleError = (res, error, context) => {
+  if (error instanceof ErroHttp) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.titulo,
+      message: error.message
+    });
+  }
+
+  console.error(`Erro em ${context}:`, error);
+
+  if (error instanceof Prisma.PrismaClientKnownRequestError) {
+    if (error.code === 'P2003') {
+      return res.status(409).json({
+        success: false,
+        error: 'Categoria em uso',
+        message: 'A categoria tem subcategorias ou produtos'
+      });
+    }
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        success: false,
+        error: 'Não encontrado',
+        message: 'Categoria não encontrada'
+      });
+    }
+  }
+
+  res.status(500).json({
+    success: false,
+    error: 'Erro interno do servidor',
+    message: 'Erro interno'
+  });
+};
+
+// Listar categorias: lista plana em ordem de caminho (paginada) ou, com arvore=true, a árvore inteira
+const findAll = async (req, res) => {
+  try {
+    const { arvore: comoArvore, search } = req.query;
+
+    const arvore = await carregarArvore(prisma);
+    const produtos = await produtosPorCategoria();
+
+    if (comoArvore === 'true') {
+      return res.json({
+        success: true,
+        data: montarArvore(arvore, null, produtos)
+      });
+    }
+
+    const { page, limit, skip } = obterPaginacao(req.query, 50);
+
+    let categorias = arvore.categorias.map(categoria => ({
+      ...formatarCategoria(arvore, categoria),
+      totalSubcategorias: (arvore.filhas.get(categoria.id) || []).length,
+      totalProdutos: produtos.get(categoria.id) || 0
+    }));
+    if (search) {
+      const termo = search.toLowerCase();
+      categorias = categorias.filter(categoria => categoria.caminho.toLowerCase().includes(termo));
+    }
+    categorias.sort((a, b) => a.caminho.localeCompare(b.caminho, 'pt-BR'));
+
+    res.json({
+      success: true,
+      data: categorias.slice(skip, skip + limit),
+      pagination: {
+        page,
+        limit,
+        total: categorias.length,
+        totalPages: Math.ceil(categorias.length / limit)
+      }
+    });
+
+  } catch (error) {
+    handleError(res, error, 'findAll categorias');
+  }
+};
+
+// Buscar categoria com o caminho até a raiz e as subcategorias diretas
+const findOne = async (req, res) => {
+  try {
+    const id = lerId(req.params.id);
+
+    const arvore = await carregarArvore(prisma);
+    const categoria = arvore.porId.get(id);
+    if (!categoria) {
+      throw new ErroHttp('Categoria não encontrada', 404);
+    }
+
+    const produtos = await produtosPorCategoria();
+    const ids = idsComDescendentes(arvore, id);
+
+    res.json({
+      success: true,
+      data: {
+        ...formatarCategoria(arvore, categoria),
+        ancestrais: ancestrais(arvore, id).slice(0, -1).map(ancestral => ({ id: ancestral.id, nome: ancestral.nome })),
+        subcategorias: (arvore.filhas.get(id) || []).map(filha => ({
+          id: filha.id,
+          nome: filha.nome,
+          totalProdutos: produtos.get(filha.id) || 0
+        })),
+        totalProdutos: produtos.get(id) || 0,
+        totalProdutosComSubcategorias: ids.reduce((total, categoriaId) => total + (produtos.get(categoriaId) || 0), 0)
+      }
+    });
+
+  } catch (error) {
+    handleError(res, error, 'findOne categoria');
+  }
+};
+
+// Criar categoria (com categoriaPaiId, como subcategoria)
+const create = async (req, res) => {
+  try {
+    const { nome, descricao, categoriaPaiId: paiInformado } = req.body || {};
+
+    const erros = validarCategoria({ nome, descricao });
+    if (erros.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Dados inválidos',
+        details: erros
+      });
+    }
+
+    const categoriaPaiId = lerCategoriaPai(paiInformado);
+
+    const categoria = await prisma.$transaction(async (tx) => {
+      const arvore = await carregarArvoreTravada(tx);
+      validarPai(arvore, { categoriaPaiId });
+      validarNomeUnico(arvore, { categoriaPaiId, nome: nome.trim() });
+
+      return tx.categoria.create({
+        data: {
+          nome: nome.trim(),
+          descricao: descricao || null,
+          categoriaPaiId
+        }
+      });
+    });
+
+    await registrarAuditoria(req, { acao: 'Criar', entidade: 'Categoria', depois: categoria });
+
+    const arvore = await carregarArvore(prisma);
+    res.status(201).json({
+      success: true,
+      message: 'Categoria criada com sucesso',
+      data: formatarCategoria(arvore, categoria)
+    });
+
+  } catch (error) {
+    handleError(res, error, 'create categoria');
+  }
+};
+
+// Atualizar nome e descrição. Para mudar a categoria de lugar na árvore, use PATCH /mover.
+const update = async (req, res) => {
+  try {
+    const id = lerId(req.params.id);
+    const { nome, descricao } = req.body || {};
+
+    const erros = validarCategoria({ nome, descricao }, true);
+    if (erros.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Dados inválidos',
+        details: erros
+      });
+    }
+
+    const data = {};
+    if (nome !== undefined) data.nome = nome.trim();
+    if (descricao !== undefined) data.descricao = descricao || null;
+
+    const { antes, categoria } = await prisma.$transaction(async (tx) => {
+      const arvore = await carregarArvoreTravada(tx);
+      const antes = arvore.porId.get(id);
+      if (!antes) {
+        throw new ErroHttp('Categoria não encontrada', 404);
+      }
+      if (data.nome) {
+        validarNomeUnico(arvore, { id, categoriaPaiId: antes.categoriaPaiId, nome: data.nome });
+      }
+
+      return { antes, categoria: await tx.categoria.update({ where: { id }, data }) };
+    });
+
+    await registrarAuditoria(req, {
+      acao: 'Atualizar',
+      entidade: 'Categoria',
+      antes,
+      depois: categoria
+    });
+
+    const arvore = await carregarArvore(prisma);
+    res.json({
+      success: true,
+      message: 'Categoria atualizada com sucesso',
+      data: formatarCategoria(arvore, categoria)
+    });
+
+  } catch (error) {
+    handleError(res, error, 'update categoria');
+  }
+};
+
+// Mover a categoria (com as subcategorias e produtos) para outro pai; categoriaPaiId null leva para a raiz
+const mover = async (req, res) => {
+  try {
+    const id = lerId(req.params.id);
+    const { categoriaPaiId: informado } = req.body || {};
+
+    if (informado === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Dados incompletos',
+        message: 'categoriaPaiId é obrigatório (use null para mover para a raiz)'
+      });
+    }
+    const categoriaPaiId = lerCategoriaPai(informado);
+
+    const { antes, categoria } = await prisma.$transaction(async (tx) => {
+      const arvore = await carregarArvoreTravada(tx);
+      const antes = arvore.porId.get(id);
+      if (!antes) {
+        throw new ErroHttp('Categoria não encontrada', 404);
+      }
+
+      validarPai(arvore, { id, categoriaPaiId });
+      validarNomeUnico(arvore, { id, categoriaPaiId, nome: antes.nome });
+
+      return { antes, categoria: await tx.categoria.update({ where: { id }, data: { categoriaPaiId } }) };
+    });
+
+    await registrarAuditoria(req, {
+      acao: 'Mover',
+      entidade: 'Categoria',
+      antes,
+      depois: categoria
+    });
+
+    const arvore = await carregarArvore(prisma);
+    res.json({
+      success: true,
+      message: `Categoria movida para ${categoriaPaiId ? `"${caminhoCategoria(arvore, categoriaPaiId)}"` : 'a raiz'}`,
+      data: formatarCategoria(arvore, categoria)
+    });
+
+  } catch (error) {
+    handleError(res, error, 'mover categoria');
+  }
+};
+
+// Excluir categoria sem subcategorias nem produtos
+const remove = async (req, res) => {
+  try {
+    const id = lerId(req.params.id);
+
+    const categoria = await prisma.categoria.findUnique({
+      where: { id },
+      include: { _count: { select: { subcategorias: true, produtos: true } } }
+    });
+
+    if (!categoria) {
+      throw new ErroHttp('Categoria não encontrada', 404);
+    }
+
+    if (categoria._count.subcategorias > 0 || categoria._count.produtos > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Categoria em uso',
+        message: `A categoria tem ${categoria._count.subcategorias} subcategoria(s) e ${categoria._count.produtos} produto(s). Mova-os antes de excluir.`
+      });
+    }
+
+    await prisma.categoria.delete({ where: { id } });
+
+    await registrarAuditoria(req, { acao: 'Excluir', entidade: 'Categoria', antes: categoria });
+
+    res.json({
+      success: true,
+      message: 'Categoria excluída com sucesso',
+      data: { id }
+    });
+
+  } catch (error) {
+    handleError(res, error, 'remove categoria');
+  }
+};
+
+// Vendas concluídas no período e estoque atual por categoria, cada uma somando as subcategorias.
+// participacaoReceita é a fatia da receita total do período (ex.: quanto "Bebidas > Refrigerantes" representa).
+const estatisticas = async (req, res) => {
+  try {
+    const { dataInicio, dataFim } = req.query;
+
+    const inicio = converterData(dataInicio);
+    const fim = converterData(dataFim);
+    if ((dataInicio && !inicio) || (dataFim && !fim)) {
+      throw new ErroHttp('Datas devem estar no formato dd/mm/aaaa ou aaaa-mm-dd');
+    }
+
+    const filtrosVenda = [Prisma.sql`v."empresaId" = ${obterEmpresaAtual()}`, Prisma.sql`v.status = 'Concluida'`];
+    if (inicio) {
+      inicio.setHours(0, 0, 0, 0);
+      filtrosVenda.push(Prisma.sql`v.data >= ${inicio}`);
+    }
+    if (fim) {
+      fim.setHours(23, 59, 59, 999);
+      filtrosVenda.push(Prisma.sql`v.data <= ${fim}`);
+    }
+
+    // Vendas somadas no banco por categoria do produto; $queryRaw não passa pelo
+    // filtro de empresa do cliente Prisma, por isso o empresaId explícito
+    const [arvore, produtos, vendasPorCategoria] = await Promise.all([
+      carregarArvore(prisma),
+      prisma.produto.findMany({
+        where: { tipo: { not: 'Grade' } },
+        select: { id: true, categoriaId: true, tipo: true, estoque: true, preco: true, custoMedio: true, custoManual: true }
+      }),
+      prisma.$queryRaw`
+        SELECT p."categoriaId", SUM(i.quantidade) AS quantidade, SUM(i.quantidade * i."precoUnit") AS receita
+        FROM "ItemVenda" i
+        JOIN "Venda" v ON v.id = i."vendaId"
+        JOIN "Produto" p ON p.id = i."produtoId"
+        WHERE ${Prisma.join(filtrosVenda, ' AND ')}
+        GROUP BY p."categoriaId"
+      `
+    ]);
+
+    const CAMPOS = ['produtos', 'quantidadeEstoque', 'valorEstoque', 'custoEstoque', 'quantidadeVendida', 'receita'];
+    const diretos = new Map();
+    const valoresDe = categoriaId => {
+      if (!diretos.has(categoriaId)) {
+        diretos.set(categoriaId, Object.fromEntries(CAMPOS.map(campo => [campo, 0])));
+      }
+      return diretos.get(categoriaId);
+    };
+
+    for (const produto of produtos) {
+      const valores = valoresDe(produto.categoriaId);
+      valores.produtos += 1;
+      if (produto.tipo === 'Produto') {
+        const estoque = Number(produto.estoque ?? 0);
+        valores.quantidadeEstoque = somarQuantidades(valores.quantidadeEstoque, produto.estoque);
+        valores.valorEstoque += estoque * produto.preco;
+        valores.custoEstoque += estoque * (produto.custoMedio ?? produto.custoManual ?? 0);
+      }
+    }
+
+    for (const linha of vendasPorCategoria) {
+      const valores = valoresDe(linha.categoriaId);
+      valores.quantidadeVendida = somarQuantidades(valores.quantidadeVendida, linha.quantidade);
+      valores.receita += Number(linha.receita);
+    }
+
+    const receitaTotal = arredondar([...diretos.values()].reduce((total, valores) => total + valores.receita, 0));
+    const formatarValores = valores => ({
+      produtos: valores.produtos,
+      estoque: {
+        quantidade: arredondarQuantidade(valores.quantidadeEstoque),
+        valorVenda: arredondar(valores.valorEstoque),
+        valorCusto: arredondar(valores.custoEstoque)
+      },
+      vendas: {
+        quantidade: arredondarQuantidade(valores.quantidadeVendida),
+        receita: arredondar(valores.receita),
+        participacaoReceita: receitaTotal > 0 ? arredondar((valores.receita / receitaTotal) * 100) : 0
+      }
+    });
+
+    const totais = acumularNaArvore(arvore, diretos, CAMPOS);
+    const categorias = arvore.categorias
+      .map(categoria => ({
+        id: categoria.id,
+        nome: categoria.nome,
+        caminho: caminhoCategoria(arvore, categoria.id),
+        nivel: ancestrais(arvore, categoria.id).length,
+        ...formatarValores(totais.get(categoria.id))
+      }))
+      .sort((a, b) => a.caminho.localeCompare(b.caminho, 'pt-BR'));
+
+    res.json({
+      success: true,
+      data: {
+        periodo: { dataInicio: dataInicio || null, dataFim: dataFim || null },
+        receitaTotal,
+        categorias,
+        semCategoria: formatarValores(valoresDe(null))
+      }
+    });
+
+  } catch (error) {
+    handleError(res, error, 'estatisticas categorias');
+  }
+};
+
+module.exports = {
+  findAll,
+  findOne,
+  create,
+  update,
+  mover,
+  remove,
+  estatisticas
+};
@@ -0,0 +1,274 @@
+const prisma = require('../prisma');
+const chaveApiService = require('../services/chaveApiService');
+const { registrarAuditoria } = require('../services/auditoriaService');
+const { permissoesInvalidas } = require('../services/permissaoService');
+
+const CAMPOS_PUBLICOS = {
+  id: true,
+  nome: true,
+  prefixo: true,
+  permissoes: true,
+  expiraEm: true,
+  ultimoUsoEm: true,
+  ultimoUsoIp: true,
+  revogadaEm: true,
+  criadoEm: true,
+  usuario: { select: { id: true, nome: true, email: true } }
+};
+
+/**
+ * Aceita datas em dd/mm/aaaa ou ISO (aaaa-mm-dd)
+ */
+function converterData(valor) {
+  if (!valor) return null;
+
+  const brasileira = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(valor);
+  const data = brasileira
+    ? new Date(brasileira[3], brasileira[2] - 1, brasileira[1], 23, 59, 59)
+    : new Date(valor);
+
+  return isNaN(data.getTime()) ? null : data;
+}
+
+/**
+ * Função para formatar datas no padrão dd/mm/aa HH:MM
+ */
+function formatarData(data) {
+  if (!data) return null;
+  const date = new Date(data);
+
+  const dia = date.getDate().toString().padStart(2, '0');
+  const mes = (date.getMonth() + 1).toString().padStart(2, '0');
+  const ano = date.getFullYear().toString().slice(-2);
+  const horas = date.getHours().toString().padStart(2, '0');
+  const minutos = date.getMinutes().toString().padStart(2, '0');
+
+  return `${dia}/${mes}/${ano} ${horas}:${minutos}`;
+}
+
+function situacao(chave) {
+  if (chave.revogadaEm) return 'Revogada';
+  if (chave.expiraEm && chave.expiraEm <= new Date()) return 'Expirada';
+  return 'Ativa';
+}
+
+function formatarChave(chave) {
+  return {
+    ...chave,
+    situacao: situacao(chave),
+    expiraEm: formatarData(chave.expiraEm),
+    ultimoUsoEm: formatarData(chave.ultimoUsoEm),
+    revogadaEm: formatarData(chave.revogadaEm),
+    criadoEm: formatarData(chave.criadoEm)
+  };
+}
+
+function erroInterno(res, error, context) {
+  console.error(`Erro em ${context}:`, error);
+  res.status(500).json({
+    success: false,
+    error: 'Erro interno do servidor',
+    message: 'Erro interno'
+  });
+}
+
+// Listar chaves da empresa
+const findAll = async (req, res) => {
+  try {
+    const chaves = await prisma.chaveApi.findMany({
+      select: CAMPOS_PUBLICOS,
+      orderBy: { criadoEm: 'desc' }
+    });
+
+    res.json({
+      success: true,
+      data: chaves.map(formatarChave)
+    });
+
+  } catch (error) {
+    erroInterno(res, error, 'findAll chaves de API');
+  }
+};
+
+// Buscar chave por ID
+const findOne = async (req, res) => {
+  const id = parseInt(req.params.id);
+
+  if (isNaN(id) || id <= 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'ID inválido',
+      message: 'O ID deve ser um número positivo'
+    });
+  }
+
+  try {
+    const chave = await prisma.chaveApi.findUnique({
+      where: { id },
+      select: CAMPOS_PUBLICOS
+    });
+
+    if (!chave) {
+      return res.status(404).json({
+        success: false,
+        error: 'Não encontrado',
+        message: 'Chave de API não encontrada'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: formatarChave(chave)
+    });
+
+  } catch (error) {
+    erroInterno(res, error, 'findOne chave de API');
+  }
+};
+
+// Criar chave. A chave completa só aparece nesta resposta.
+const create = async (req, res) => {
+  try {
+    const { nome, permissoes, expiraEm, usuarioId } = req.body || {};
+    const erros = [];
+
+    if (!nome || typeof nome !== 'string' || nome.trim().length < 2) {
+      erros.push('Nome deve ter pelo menos 2 caracteres');
+    }
+
+    if (!Array.isArray(permissoes) || permissoes.length === 0) {
+      erros.push('Informe ao menos uma permissão');
+    } else {
+      const invalidas = permissoesInvalidas(permissoes);
+      if (invalidas.length > 0) {
+        erros.push(`Permissões desconhecidas: ${invalidas.join(', ')}`);
+      }
+    }
+
+    const dataExpiracao = converterData(expiraEm);
+    if (expiraEm && !dataExpiracao) {
+      erros.push('expiraEm deve estar no formato dd/mm/aaaa ou aaaa-mm-dd');
+    } else if (dataExpiracao && dataExpiracao <= new Date()) {
+      erros.push('expiraEm deve ser uma data futura');
+    }
+
+    if (erros.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Dados inválidos',
+        details: erros
+      });
+    }
+
+    // Criar chave em nome de outro usuário daria acesso às permissões dele
+    const donoId = usuarioId ? parseInt(usuarioId) : req.usuario.id;
+    if (donoId !== req.usuario.id && req.usuario.perfil !== 'Admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Acesso negado',
+        message: 'Apenas administradores podem criar chaves em nome de outro usuário'
+      });
+    }
+
+    // O dono precisa pertencer à empresa atual (a consulta de usuário já é filtrada por ela)
+    const dono = await prisma.usuario.findUnique({
+      where: { id: donoId },
+      select: { id: true, status: true }
+    });
+
+    if (!dono) {
+      return res.status(404).json({
+        success: false,
+        error: 'Não encontrado',
+        message: 'Usuário dono da chave não encontrado'
+      });
+    }
+
+    if (dono.status !== 'Ativo') {
+      return res.status(400).json({
+        success: false,
+        error: 'Dados inválidos',
+        message: 'O dono da chave precisa estar ativo'
+      });
+    }
+
+    const { chave, registro } = await chaveApiService.criarChave({
+      usuarioId: dono.id,
+      nome: nome.trim(),
+      permissoes: [...new Set(permissoes)],
+      expiraEm: dataExpiracao
+    });
+
+    const { chaveHash, ...registroSemHash } = registro;
+
+    await registrarAuditoria(req, { acao: 'Criar', entidade: 'ChaveApi', depois: registroSemHash });
+
+    res.status(201).json({
+      success: true,
+      message: 'Chave criada. Guarde-a agora: ela não será exibida novamente.',
+      data: {
+        ...formatarChave(registroSemHash),
+        chave
+      }
+    });
+
+  } catch (error) {
+    erroInterno(res, error, 'create chave de API');
+  }
+};
+
+// Revogar chave
+const remove = async (req, res) => {
+  const id = parseInt(req.params.id);
+
+  if (isNaN(id) || id <= 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'ID inválido',
+      message: 'O ID deve ser um número positivo'
+    });
+  }
+
+  try {
+    const chave = await prisma.chaveApi.findUnique({
+      where: { id },
+      select: CAMPOS_PUBLICOS
+    });
+
+    if (!chave) {
+      return res.status(404).json({
+        success: false,
+        error: 'Não encontrado',
+        message: 'Chave de API não encontrada'
+      });
+    }
+
+    if (chave.revogadaEm) {
+      return res.status(409).json({
+        success: false,
+        error: 'Conflito de dados',
+        message: 'Esta chave já foi revogada'
+      });
+    }
+
+    await chaveApiService.revogarChave(id);
+
+    await registrarAuditoria(req, { acao: 'Revogar', entidade: 'ChaveApi', entidadeId: id, antes: chave });
+
+    res.json({
+      success: true,
+      message: 'Chave revogada com sucesso',
+      data: { id }
+    });
+
+  } catch (error) {
+    erroInterno(res, error, 'remove chave de API');
+  }
+};
+
+module.exports = {
+  findAll,
+  findOne,
+  create,
+  remove
+};
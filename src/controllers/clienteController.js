@@ -1,5 +1,8 @@
-const { PrismaClient } = require('@prisma/client');
-const prisma = new PrismaClient();
+const prisma = require('../prisma');
+const { obterPaginacao } = require('../utils/paginacao');
+const { registrarAuditoria } = require('../services/auditoriaService');
+const { validarCPF, validarCNPJ, formatarDocumento } = require('../utils/documentos');
+const { possuiPermissao } = require('../services/permissaoService');
 
 
 /**
@@ -58,24 +61,6 @@ function formatarDataNascimento(data) {
   return `${dia}/${mes}/${ano}`;
 }
 
-/**
- * Função para validar CPF (formato básico)
- */
-function validarCPF(cpf) {
-  if (!cpf) return true; // CPF é opcional
-  const cpfLimpo = cpf.replace(/\D/g, '');
-  return cpfLimpo.length === 11;
-}
-
-/**
- * Função para validar CNPJ (formato básico)
- */
-function validarCNPJ(cnpj) {
-  if (!cnpj) return true; // CNPJ é opcional
-  const cnpjLimpo = cnpj.replace(/\D/g, '');
-  return cnpjLimpo.length === 14;
-}
-
 /**
  * Função para validar email
  */
@@ -164,11 +149,44 @@ function validarCliente(dados, isUpdate = false) {
   return errors;
 }
 
+/**
+ * Confere a tabela de preços do cliente (null tira a tabela)
+ * @returns {Promise<{ id: number|null, erro?: string }>}
+ */
+async function lerTabelaPreco(valor) {
+  if (valor === null || valor === '') return { id: null };
+
+  const id = parseInt(valor);
+  const tabela = isNaN(id) ? null : await prisma.tabelaPreco.findUnique({ where: { id } });
+  if (!tabela) {
+    return { id: null, erro: 'Tabela de preços não encontrada' };
+  }
+  if (!tabela.ativa) {
+    return { id: null, erro: `A tabela de preços ${tabela.nome} está inativa` };
+  }
+  return { id };
+}
+
+/**
+ * Campos do cadastro que o corpo da requisição pode gravar.
+ * Empresa, datas e relações ficam de fora; usuarioId e tabelaPrecoId são conferidos à parte
+ */
+const CAMPOS_CLIENTE = [
+  'nome', 'email', 'telefone', 'cpf', 'cnpj', 'dataNascimento', 'cep', 'rua', 'numero',
+  'complemento', 'bairro', 'cidade', 'estado', 'observacoes', 'usuarioId', 'tabelaPrecoId'
+];
+
+function camposCliente(corpo) {
+  return Object.fromEntries(
+    CAMPOS_CLIENTE.filter(campo => corpo && corpo[campo] !== undefined).map(campo => [campo, corpo[campo]])
+  );
+}
+
 
 // Criar Cliente
 const create = async (req, res) => {
   try {
-    const { usuarioId, dataNascimento, ...dadosCliente } = req.body;
+    const { usuarioId, dataNascimento, ...dadosCliente } = camposCliente(req.body);
 
 
     const dataNascimentoFornecida = dataNascimento || dataNascimento;
@@ -211,6 +229,21 @@ const create = async (req, res) => {
       });
     }
 
+    // Tabela de preços de atacado, revenda etc.
+    if (dadosCliente.tabelaPrecoId !== undefined) {
+      const tabela = await lerTabelaPreco(dadosCliente.tabelaPrecoId);
+      if (tabela.erro) {
+        return res.status(400).json({ erro: tabela.erro });
+      }
+      // A tabela define o preço e o mínimo do cliente: quem só cadastra clientes não escolhe
+      if (tabela.id !== null && !possuiPermissao(req.usuario, 'tabela_preco:gerenciar')) {
+        return res.status(403).json({
+          erro: 'Definir a tabela de preços do cliente exige a permissão "tabela_preco:gerenciar"'
+        });
+      }
+      dadosCliente.tabelaPrecoId = tabela.id;
+    }
+
     // Verificar duplicatas (email, telefone, cpf, cnpj)
     const whereConditions = [];
     
@@ -271,6 +304,8 @@ const create = async (req, res) => {
       }
     });
 
+    await registrarAuditoria(req, { acao: 'Criar', entidade: 'Cliente', depois: cliente });
+
     // Formatar resposta
     const clienteFormatado = {
       ...cliente,
@@ -309,14 +344,12 @@ const create = async (req, res) => {
 const findAll = async (req, res) => {
   try {
     const { 
-      page = 1, 
-      limit = 10, 
       search,
       tipo, 
       cidade 
     } = req.query;
 
-    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const { page, limit, skip } = obterPaginacao(req.query, 10);
 
     const where = {};
     
@@ -346,7 +379,7 @@ const findAll = async (req, res) => {
       prisma.cliente.findMany({
         where,
         skip,
-        take: parseInt(limit),
+        take: limit,
         include: {
           usuario: {
             select: {
@@ -379,10 +412,10 @@ const findAll = async (req, res) => {
     res.json({
       clientes: clientesFormatados,
       paginacao: {
-        page: parseInt(page),
-        limit: parseInt(limit),
+        page,
+        limit,
         total,
-        totalPages: Math.ceil(total / parseInt(limit))
+        totalPages: Math.ceil(total / limit)
       }
     });
 
@@ -411,6 +444,13 @@ const findOne = async (req, res) => {
             email: true
           }
         },
+        tabelaPreco: {
+          select: {
+            id: true,
+            nome: true,
+            ativa: true
+          }
+        },
         vendas: {
           include: {
             itens: {
@@ -479,12 +519,21 @@ const findByDocumento = async (req, res) => {
   // Limpar documento (remover caracteres não numéricos)
   const documentoLimpo = documento.replace(/\D/g, '');
 
+  if (documentoLimpo.length !== 11 && documentoLimpo.length !== 14) {
+    return res.status(400).json({ 
+      erro: 'Informe um CPF (11 dígitos) ou CNPJ (14 dígitos).' 
+    });
+  }
+
+  // O documento pode estar salvo com ou sem máscara
+  const variantes = [...new Set([documento, documentoLimpo, formatarDocumento(documentoLimpo)])];
+
   try {
     const cliente = await prisma.cliente.findFirst({
       where: {
         OR: [
-          { cpf: documentoLimpo },
-          { cnpj: documentoLimpo }
+          { cpf: { in: variantes } },
+          { cnpj: { in: variantes } }
         ]
       },
       include: {
@@ -540,7 +589,7 @@ const update = async (req, res) => {
             });
         }
 
-        const dadosAtualizacao = { ...req.body };
+        const dadosAtualizacao = camposCliente(req.body);
 
         /**
          * ===============================
@@ -604,8 +653,7 @@ const update = async (req, res) => {
          * ===============================
          */
         const clienteExistente = await prisma.cliente.findUnique({
-            where: { id },
-            select: { id: true }
+            where: { id }
         });
 
         if (!clienteExistente) {
@@ -616,6 +664,40 @@ const update = async (req, res) => {
             });
         }
 
+        // O responsável precisa ser um usuário da empresa (a consulta passa pelo escopo)
+        if (dadosAtualizacao.usuarioId !== undefined) {
+            const usuario = await prisma.usuario.findUnique({
+                where: { id: parseInt(dadosAtualizacao.usuarioId) || 0 }
+            });
+            if (!usuario) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Dados inválidos',
+                    message: 'Usuário não encontrado'
+                });
+            }
+            dadosAtualizacao.usuarioId = usuario.id;
+        }
+
+        if (dadosAtualizacao.tabelaPrecoId !== undefined) {
+            const tabela = await lerTabelaPreco(dadosAtualizacao.tabelaPrecoId);
+            if (tabela.erro) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Dados inválidos',
+                    message: tabela.erro
+                });
+            }
+            if (tabela.id !== clienteExistente.tabelaPrecoId && !possuiPermissao(req.usuario, 'tabela_preco:gerenciar')) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Acesso negado',
+                    message: 'Alterar a tabela de preços do cliente exige a permissão "tabela_preco:gerenciar"'
+                });
+            }
+            dadosAtualizacao.tabelaPrecoId = tabela.id;
+        }
+
         /**
          * ===============================
          *  VERIFICAR DADOS DUPLICADOS
@@ -666,6 +748,13 @@ const update = async (req, res) => {
             }
         });
 
+        await registrarAuditoria(req, {
+            acao: 'Atualizar',
+            entidade: 'Cliente',
+            antes: clienteExistente,
+            depois: cliente
+        });
+
         /**
          * ===============================
          *  FORMATAÇÃO PARA RESPOSTA
@@ -749,6 +838,8 @@ const remove = async (req, res) => {
       where: { id } 
     });
 
+    await registrarAuditoria(req, { acao: 'Excluir', entidade: 'Cliente', antes: cliente });
+
     res.json({ 
       mensagem: 'Cliente deletado com sucesso.',
       id: id
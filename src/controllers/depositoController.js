@@ -0,0 +1,431 @@
+const { Prisma } = require('@prisma/client');
+const prisma = require('../prisma');
+const { obterPaginacao } = require('../utils/paginacao');
+const { registrarAuditoria } = require('../services/auditoriaService');
+const { depositoPadrao, buscarDepositoAtivo } = require('../services/depositoService');
+const { ErroHttp } = require('../utils/erros');
+const { arredondarQuantidade } = require('../utils/quantidades');
+const { arredondar } = require('../services/custoService');
+
+const STATUS_VALIDOS = ['Ativo', 'Inativo'];
+
+/**
+ * Função para formatar datas no padrão dd/mm/aa HH:MM
+ */
+function formatarData(data) {
+  if (!data) return null;
+  const date = new Date(data);
+
+  const dia = date.getDate().toString().padStart(2, '0');
+  const mes = (date.getMonth() + 1).toString().padStart(2, '0');
+  const ano = date.getFullYear().toString().slice(-2);
+  const horas = date.getHours().toString().padStart(2, '0');
+  const minutos = date.getMinutes().toString().padStart(2, '0');
+
+  return `${dia}/${mes}/${ano} ${horas}:${minutos}`;
+}
+
+function formatarDeposito(deposito) {
+  return {
+    ...deposito,
+    criadoEm: formatarData(deposito.criadoEm),
+    atualizadoEm: formatarData(deposito.atualizadoEm)
+  };
+}
+
+function validarDeposito(dados, isUpdate = false) {
+  const erros = [];
+
+  if (!isUpdate || dados.nome !== undefined) {
+    if (!dados.nome || typeof dados.nome !== 'string' || dados.nome.trim().length < 2) {
+      erros.push('Nome deve ter pelo menos 2 caracteres');
+    }
+  }
+
+  if (dados.status !== undefined && !STATUS_VALIDOS.includes(dados.status)) {
+    erros.push(`Status deve ser: ${STATUS_VALIDOS.join(' ou ')}`);
+  }
+
+  if (dados.padrao !== undefined && dados.padrao !== true) {
+    erros.push('padrao só aceita true: para trocar o depósito padrão, marque o novo depósito');
+  }
+
+  return erros;
+}
+
+function lerId(valor) {
+  const id = parseInt(valor);
+  if (isNaN(id) || id <= 0) {
+    throw new ErroHttp('O ID deve ser um número positivo', 400, 'ID inválido');
+  }
+  return id;
+}
+
+/**
+ * Quantidade total e número de produtos com saldo de cada depósito
+ */
+async function totaisPorDeposito(depositoIds) {
+  const somas = await prisma.saldoEstoque.groupBy({
+    by: ['depositoId'],
+    where: { depositoId: { in: depositoIds }, quantidade: { not: 0 } },
+    _sum: { quantidade: true },
+    _count: { _all: true }
+  });
+  return new Map(somas.map(soma => [soma.depositoId, {
+    quantidadeTotal: arredondarQuantidade(soma._sum.quantidade),
+    produtosComSaldo: soma._count._all
+  }]));
+}
+
+/**
+ * Marca o depósito como padrão da empresa, desmarcando o anterior
+ */
+async function tornarPadrao(tx, id) {
+  await tx.deposito.updateMany({
+    where: { padrao: true, id: { not: id } },
+    data: { padrao: false }
+  });
+  await tx.deposito.update({ where: { id }, data: { padrao: true } });
+}
+
+const handleError = (res, error, context) => {
+  if (error instanceof ErroHttp) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.titulo,
+      message: error.message
+    });
+  }
+
+  console.error(`Erro em ${context}:`, error);
+
+  if (error instanceof Prisma.PrismaClientKnownRequestError) {
+    if (error.code === 'P2002') {
+      return res.status(409).json({
+        success: false,
+        error: 'Conflito de dados',
+        message: 'Já existe um depósito com este nome'
+      });
+    }
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        success: false,
+        error: 'Não encontrado',
+        message: 'Depósito não encontrado'
+      });
+    }
+  }
+
+  res.status(500).json({
+    success: false,
+    error: 'Erro interno do servidor',
+    message: 'Erro interno'
+  });
+};
+
+// Listar depósitos com o total em estoque de cada um
+const findAll = async (req, res) => {
+  try {
+    const { status } = req.query;
+    const { page, limit, skip } = obterPaginacao(req.query);
+
+    // Empresas anteriores aos depósitos ganham o padrão na primeira consulta
+    await depositoPadrao();
+
+    const where = {};
+    if (status) where.status = status;
+
+    const [depositos, total] = await Promise.all([
+      prisma.deposito.findMany({
+        where,
+        skip,
+        take: limit,
+        orderBy: [{ padrao: 'desc' }, { nome: 'asc' }]
+      }),
+      prisma.deposito.count({ where })
+    ]);
+
+    const totais = await totaisPorDeposito(depositos.map(deposito => deposito.id));
+
+    res.json({
+      success: true,
+      data: depositos.map(deposito => ({
+        ...formatarDeposito(deposito),
+        ...(totais.get(deposito.id) || { quantidadeTotal: 0, produtosComSaldo: 0 })
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    handleError(res, error, 'findAll depósitos');
+  }
+};
+
+// Buscar depósito com o saldo de cada produto (paginado)
+const findOne = async (req, res) => {
+  try {
+    const id = lerId(req.params.id);
+    const { page, limit, skip } = obterPaginacao(req.query, 50);
+
+    const deposito = await prisma.deposito.findUnique({ where: { id } });
+    if (!deposito) {
+      throw new ErroHttp('Depósito não encontrado', 404);
+    }
+
+    const where = { depositoId: id, quantidade: { not: 0 } };
+    const [saldos, total] = await Promise.all([
+      prisma.saldoEstoque.findMany({
+        where,
+        skip,
+        take: limit,
+        include: { produto: { select: { id: true, nome: true, preco: true, unidade: true } } },
+        orderBy: { produto: { nome: 'asc' } }
+      }),
+      prisma.saldoEstoque.count({ where })
+    ]);
+
+    const totais = await totaisPorDeposito([id]);
+
+    res.json({
+      success: true,
+      data: {
+        ...formatarDeposito(deposito),
+        ...(totais.get(id) || { quantidadeTotal: 0, produtosComSaldo: 0 }),
+        saldos: saldos.map(saldo => ({
+          produtoId: saldo.produtoId,
+          nome: saldo.produto.nome,
+          quantidade: saldo.quantidade,
+          unidade: saldo.produto.unidade,
+          valorVenda: arredondar(saldo.quantidade * saldo.produto.preco)
+        }))
+      },
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    handleError(res, error, 'findOne depósito');
+  }
+};
+
+// Criar depósito (com padrao: true passa a ser o padrão da empresa)
+const create = async (req, res) => {
+  try {
+    const { nome, descricao, padrao } = req.body || {};
+
+    const erros = validarDeposito({ nome, padrao });
+    if (erros.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Dados inválidos',
+        details: erros
+      });
+    }
+
+    // Garante que o estoque anterior aos depósitos já esteja no padrão antes de existir outro
+    await depositoPadrao();
+
+    const deposito = await prisma.$transaction(async (tx) => {
+      const novo = await tx.deposito.create({
+        data: {
+          nome: nome.trim(),
+          descricao: descricao || null
+        }
+      });
+
+      if (padrao) {
+        await tornarPadrao(tx, novo.id);
+        return tx.deposito.findUnique({ where: { id: novo.id } });
+      }
+      return novo;
+    });
+
+    await registrarAuditoria(req, { acao: 'Criar', entidade: 'Deposito', depois: deposito });
+
+    res.status(201).json({
+      success: true,
+      message: 'Depósito criado com sucesso',
+      data: formatarDeposito(deposito)
+    });
+
+  } catch (error) {
+    handleError(res, error, 'create depósito');
+  }
+};
+
+// Atualizar depósito. O padrão não pode ser inativado; marque outro como padrão antes.
+const update = async (req, res) => {
+  try {
+    const id = lerId(req.params.id);
+    const { nome, descricao, status, padrao } = req.body || {};
+
+    const erros = validarDeposito({ nome, status, padrao }, true);
+    if (erros.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Dados inválidos',
+        details: erros
+      });
+    }
+
+    const depositoAntes = await prisma.deposito.findUnique({ where: { id } });
+    if (!depositoAntes) {
+      throw new ErroHttp('Depósito não encontrado', 404);
+    }
+
+    const ficaInativo = (status || depositoAntes.status) === 'Inativo';
+    if (ficaInativo && (depositoAntes.padrao || padrao)) {
+      throw new ErroHttp('O depósito padrão não pode ficar inativo', 409);
+    }
+
+    const data = {};
+    if (nome !== undefined) data.nome = nome.trim();
+    if (descricao !== undefined) data.descricao = descricao || null;
+    if (status !== undefined) data.status = status;
+
+    const deposito = await prisma.$transaction(async (tx) => {
+      await tx.deposito.update({ where: { id }, data });
+      if (padrao && !depositoAntes.padrao) {
+        await tornarPadrao(tx, id);
+      }
+      return tx.deposito.findUnique({ where: { id } });
+    });
+
+    await registrarAuditoria(req, {
+      acao: 'Atualizar',
+      entidade: 'Deposito',
+      antes: depositoAntes,
+      depois: deposito
+    });
+
+    res.json({
+      success: true,
+      message: 'Depósito atualizado com sucesso',
+      data: formatarDeposito(deposito)
+    });
+
+  } catch (error) {
+    handleError(res, error, 'update depósito');
+  }
+};
+
+// Excluir depósito sem histórico (com movimentações, use status Inativo)
+const remove = async (req, res) => {
+  try {
+    const id = lerId(req.params.id);
+
+    const deposito = await prisma.deposito.findUnique({
+      where: { id },
+      include: {
+        _count: {
+          select: {
+            movimentacoes: true,
+            vendas: true,
+            inventarios: true,
+            transferenciasSaida: true,
+            transferenciasEntrada: true
+          }
+        }
+      }
+    });
+
+    if (!deposito) {
+      throw new ErroHttp('Depósito não encontrado', 404);
+    }
+
+    if (deposito.padrao) {
+      throw new ErroHttp('O depósito padrão não pode ser excluído', 409);
+    }
+
+    const emUso = Object.values(deposito._count).some(quantidade => quantidade > 0);
+    if (emUso) {
+      return res.status(409).json({
+        success: false,
+        error: 'Depósito em uso',
+        message: 'O depósito tem movimentações, vendas, inventários ou transferências. Inative-o em vez de excluir.'
+      });
+    }
+
+    await prisma.deposito.delete({ where: { id } });
+
+    await registrarAuditoria(req, { acao: 'Excluir', entidade: 'Deposito', antes: deposito });
+
+    res.json({
+      success: true,
+      message: 'Depósito excluído com sucesso',
+      data: { id }
+    });
+
+  } catch (error) {
+    handleError(res, error, 'remove depósito');
+  }
+};
+
+// Definir (ou remover, com depositoId null) o depósito padrão de um usuário na empresa atual
+const atribuirAoUsuario = async (req, res) => {
+  try {
+    const usuarioId = lerId(req.params.id);
+    const { depositoId } = req.body || {};
+
+    if (depositoId === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Dados incompletos',
+        message: 'depositoId é obrigatório (use null para voltar ao depósito padrão da empresa)'
+      });
+    }
+
+    const deposito = depositoId === null ? null : await buscarDepositoAtivo(prisma, depositoId);
+
+    const empresaId = req.usuario.empresaId;
+    const vinculo = await prisma.usuarioEmpresa.findUnique({
+      where: { usuarioId_empresaId: { usuarioId, empresaId } }
+    });
+
+    if (!vinculo) {
+      throw new ErroHttp('Usuário não encontrado', 404);
+    }
+
+    await prisma.usuarioEmpresa.update({
+      where: { usuarioId_empresaId: { usuarioId, empresaId } },
+      data: { depositoId: deposito ? deposito.id : null }
+    });
+
+    await registrarAuditoria(req, {
+      acao: 'Atualizar',
+      entidade: 'Usuario',
+      entidadeId: usuarioId,
+      antes: { depositoId: vinculo.depositoId },
+      depois: { depositoId: deposito ? deposito.id : null }
+    });
+
+    res.json({
+      success: true,
+      message: deposito
+        ? `Depósito "${deposito.nome}" definido como padrão do usuário`
+        : 'Usuário voltou a usar o depósito padrão da empresa',
+      data: { usuarioId, depositoId: deposito ? deposito.id : null }
+    });
+
+  } catch (error) {
+    handleError(res, error, 'atribuirAoUsuario depósito');
+  }
+};
+
+module.exports = {
+  findAll,
+  findOne,
+  create,
+  update,
+  remove,
+  atribuirAoUsuario
+};
@@ -0,0 +1,423 @@
+const { Prisma } = require('@prisma/client');
+const prisma = require('../prisma');
+const sessaoService = require('../services/sessaoService');
+const conviteService = require('../services/conviteService');
+const { registrarAuditoria } = require('../services/auditoriaService');
+const { executarComEmpresa } = require('../utils/contextoEmpresa');
+const { ErroHttp } = require('../utils/erros');
+const { validarCNPJ } = require('../utils/documentos');
+const { NOME_DEPOSITO_PADRAO } = require('../services/depositoService');
+const { resolverPermissoes, possuiPermissao } = require('../services/permissaoService');
+
+const STATUS_VALIDOS = ['Ativo', 'Inativo'];
+
+/**
+ * Função para formatar datas no padrão dd/mm/aa HH:MM
+ */
+function formatarData(data) {
+  if (!data) return null;
+  const date = new Date(data);
+
+  const dia = date.getDate().toString().padStart(2, '0');
+  const mes = (date.getMonth() + 1).toString().padStart(2, '0');
+  const ano = date.getFullYear().toString().slice(-2);
+  const horas = date.getHours().toString().padStart(2, '0');
+  const minutos = date.getMinutes().toString().padStart(2, '0');
+
+  return `${dia}/${mes}/${ano} ${horas}:${minutos}`;
+}
+
+function formatarEmpresa(empresa) {
+  return {
+    ...empresa,
+    criadoEm: formatarData(empresa.criadoEm),
+    atualizadoEm: formatarData(empresa.atualizadoEm)
+  };
+}
+
+function validarEmpresa(dados, isUpdate = false) {
+  const erros = [];
+
+  if (!isUpdate || dados.nome !== undefined) {
+    if (!dados.nome || typeof dados.nome !== 'string' || dados.nome.trim().length < 2) {
+      erros.push('Nome deve ter pelo menos 2 caracteres');
+    }
+  }
+
+  if (dados.cnpj && !validarCNPJ(String(dados.cnpj))) {
+    erros.push('CNPJ inválido');
+  }
+
+  if (dados.status !== undefined && !STATUS_VALIDOS.includes(dados.status)) {
+    erros.push(`Status deve ser: ${STATUS_VALIDOS.join(' ou ')}`);
+  }
+
+  return erros;
+}
+
+function lerId(valor) {
+  const id = parseInt(valor);
+  if (isNaN(id) || id <= 0) {
+    throw new ErroHttp('O ID deve ser um número positivo', 400, 'ID inválido');
+  }
+  return id;
+}
+
+/**
+ * Só administra a empresa quem pertence a ela e tem "empresa:gerenciar" nela:
+ * as permissões vêm do perfil do usuário naquela empresa, não na da sessão.
+ * Chaves de API só administram a própria empresa.
+ */
+async function verificarGerencia(usuario, empresaId) {
+  const vinculo = await prisma.usuarioEmpresa.findUnique({
+    where: { usuarioId_empresaId: { usuarioId: usuario.id, empresaId } },
+    include: { perfil: { select: { permissoes: true } } }
+  });
+
+  if (!vinculo || (usuario.chaveApiId && empresaId !== usuario.empresaId)) {
+    throw new ErroHttp('Empresa não encontrada', 404);
+  }
+
+  const permissoes = empresaId === usuario.empresaId
+    ? usuario.permissoes
+    : resolverPermissoes(usuario.perfil, vinculo.perfil);
+
+  if (!possuiPermissao({ permissoes }, 'empresa:gerenciar')) {
+    throw new ErroHttp('Você não tem a permissão "empresa:gerenciar" nesta empresa.', 403);
+  }
+}
+
+const handleError = (res, error, context) => {
+  if (error instanceof ErroHttp) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.titulo,
+      message: error.message
+    });
+  }
+
+  console.error(`Erro em ${context}:`, error);
+
+  if (error instanceof Prisma.PrismaClientKnownRequestError) {
+    if (error.code === 'P2002') {
+      return res.status(409).json({
+        success: false,
+        error: 'Conflito de dados',
+        message: 'Já existe uma empresa com este CNPJ'
+      });
+    }
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        success: false,
+        error: 'Não encontrado',
+        message: 'Registro não encontrado'
+      });
+    }
+  }
+
+  res.status(500).json({
+    success: false,
+    error: 'Erro interno do servidor',
+    message: 'Erro interno'
+  });
+};
+
+// Listar empresas do usuário logado
+const findAll = async (req, res) => {
+  try {
+    const empresas = await sessaoService.listarEmpresasUsuario(req.usuario.id);
+
+    res.json({
+      success: true,
+      data: empresas.map(empresa => ({
+        ...empresa,
+        ativa: empresa.id === req.usuario.empresaId
+      }))
+    });
+
+  } catch (error) {
+    handleError(res, error, 'findAll empresas');
+  }
+};
+
+// Criar empresa; quem cria já fica vinculado a ela
+const create = async (req, res) => {
+  try {
+    const { nome, cnpj } = req.body || {};
+
+    const erros = validarEmpresa({ nome, cnpj });
+    if (erros.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Dados inválidos',
+        details: erros
+      });
+    }
+
+    const empresa = await prisma.empresa.create({
+      data: {
+        nome: nome.trim(),
+        cnpj: cnpj || null,
+        usuarios: {
+          create: [{ usuarioId: req.usuario.id }]
+        },
+        depositos: {
+          create: [{ nome: NOME_DEPOSITO_PADRAO, padrao: true }]
+        }
+      }
+    });
+
+    await registrarAuditoria(req, { acao: 'Criar', entidade: 'Empresa', depois: empresa });
+
+    res.status(201).json({
+      success: true,
+      message: 'Empresa criada com sucesso',
+      data: formatarEmpresa(empresa)
+    });
+
+  } catch (error) {
+    handleError(res, error, 'create empresa');
+  }
+};
+
+// Atualizar dados da empresa
+const update = async (req, res) => {
+  try {
+    const id = lerId(req.params.id);
+    await verificarGerencia(req.usuario, id);
+
+    const { nome, cnpj, status } = req.body || {};
+
+    const erros = validarEmpresa({ nome, cnpj, status }, true);
+    if (erros.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Dados inválidos',
+        details: erros
+      });
+    }
+
+    const empresaAntes = await prisma.empresa.findUnique({ where: { id } });
+
+    const data = {};
+    if (nome !== undefined) data.nome = nome.trim();
+    if (cnpj !== undefined) data.cnpj = cnpj || null;
+    if (status !== undefined) data.status = status;
+
+    const empresa = await prisma.empresa.update({ where: { id }, data });
+
+    await registrarAuditoria(req, {
+      acao: 'Atualizar',
+      entidade: 'Empresa',
+      antes: empresaAntes,
+      depois: empresa
+    });
+
+    res.json({
+      success: true,
+      message: 'Empresa atualizada com sucesso',
+      data: formatarEmpresa(empresa)
+    });
+
+  } catch (error) {
+    handleError(res, error, 'update empresa');
+  }
+};
+
+// Listar usuários vinculados à empresa
+const listarUsuarios = async (req, res) => {
+  try {
+    const id = lerId(req.params.id);
+    await verificarGerencia(req.usuario, id);
+
+    const vinculos = await prisma.usuarioEmpresa.findMany({
+      where: { empresaId: id },
+      include: {
+        usuario: {
+          select: { id: true, nome: true, email: true, perfil: true, status: true }
+        }
+      },
+      orderBy: { criadoEm: 'asc' }
+    });
+
+    res.json({
+      success: true,
+      data: vinculos.map(vinculo => ({
+        ...vinculo.usuario,
+        vinculadoEm: formatarData(vinculo.criadoEm)
+      }))
+    });
+
+  } catch (error) {
+    handleError(res, error, 'listarUsuarios empresa');
+  }
+};
+
+// Convidar um usuário existente (por email) para a empresa; o vínculo só nasce quando ele aceita
+const convidarUsuario = async (req, res) => {
+  try {
+    const id = lerId(req.params.id);
+    await verificarGerencia(req.usuario, id);
+
+    const { email } = req.body || {};
+
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Dados incompletos',
+        message: 'Informe o email do usuário'
+      });
+    }
+
+    const convite = await conviteService.convidar(id, email.trim());
+
+    if (convite) {
+      await registrarAuditoria(req, {
+        acao: 'Convidar',
+        entidade: 'Empresa',
+        entidadeId: id,
+        depois: { conviteId: convite.id, usuarioId: convite.usuarioId }
+      });
+    }
+
+    // Mesma resposta exista ou não o e-mail
+    res.status(202).json({
+      success: true,
+      message: 'Se o email pertencer a um usuário ativo que ainda não tem acesso, ele receberá o convite'
+    });
+
+  } catch (error) {
+    handleError(res, error, 'convidarUsuario empresa');
+  }
+};
+
+// Remover o vínculo de um usuário com a empresa
+const desvincularUsuario = async (req, res) => {
+  try {
+    const id = lerId(req.params.id);
+    const usuarioId = lerId(req.params.usuarioId);
+    await verificarGerencia(req.usuario, id);
+
+    if (usuarioId === req.usuario.id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Operação inválida',
+        message: 'Você não pode remover o seu próprio acesso à empresa'
+      });
+    }
+
+    const { count } = await prisma.usuarioEmpresa.deleteMany({
+      where: { usuarioId, empresaId: id }
+    });
+
+    if (count === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Não encontrado',
+        message: 'Usuário não está vinculado a esta empresa'
+      });
+    }
+
+    // Sessões abertas nessa empresa deixam de valer
+    await prisma.sessao.updateMany({
+      where: { usuarioId, empresaId: id, revogadaEm: null },
+      data: { revogadaEm: new Date(), motivoRevogacao: 'AcessoRemovido' }
+    });
+
+    await registrarAuditoria(req, {
+      acao: 'Desvincular',
+      entidade: 'Empresa',
+      entidadeId: id,
+      antes: { usuarioId }
+    });
+
+    res.json({
+      success: true,
+      message: 'Usuário removido da empresa',
+      data: { empresaId: id, usuarioId }
+    });
+
+  } catch (error) {
+    handleError(res, error, 'desvincularUsuario empresa');
+  }
+};
+
+// Convites pendentes do usuário logado
+const listarConvites = async (req, res) => {
+  try {
+    const convites = await conviteService.listarPendentes(req.usuario.id);
+
+    res.json({
+      success: true,
+      data: convites.map(convite => ({
+        id: convite.id,
+        empresa: convite.empresa,
+        criadoEm: formatarData(convite.criadoEm)
+      }))
+    });
+
+  } catch (error) {
+    handleError(res, error, 'listarConvites empresa');
+  }
+};
+
+/**
+ * Resposta do usuário logado a um convite. A auditoria fica na empresa que convidou.
+ */
+async function responderConvite(req, aceitar) {
+  const conviteId = lerId(req.params.id);
+  const convite = await conviteService.responder(req.usuario.id, conviteId, aceitar);
+
+  await executarComEmpresa(convite.empresaId, () => registrarAuditoria(req, {
+    acao: aceitar ? 'AceitarConvite' : 'RecusarConvite',
+    entidade: 'Empresa',
+    entidadeId: convite.empresaId,
+    depois: { conviteId, usuarioId: req.usuario.id }
+  }));
+
+  return convite;
+}
+
+// Aceitar um convite: a empresa passa a aparecer em GET /api/empresas e em /auth/trocar-empresa
+const aceitarConvite = async (req, res) => {
+  try {
+    const convite = await responderConvite(req, true);
+
+    res.json({
+      success: true,
+      message: 'Convite aceito. Use POST /auth/trocar-empresa para acessar a empresa.',
+      data: { empresaId: convite.empresaId }
+    });
+
+  } catch (error) {
+    handleError(res, error, 'aceitarConvite empresa');
+  }
+};
+
+// Recusar um convite
+const recusarConvite = async (req, res) => {
+  try {
+    const convite = await responderConvite(req, false);
+
+    res.json({
+      success: true,
+      message: 'Convite recusado',
+      data: { empresaId: convite.empresaId }
+    });
+
+  } catch (error) {
+    handleError(res, error, 'recusarConvite empresa');
+  }
+};
+
+module.exports = {
+  findAll,
+  create,
+  update,
+  listarUsuarios,
+  convidarUsuario,
+  desvincularUsuario,
+  listarConvites,
+  aceitarConvite,
+  recusarConvite
+};
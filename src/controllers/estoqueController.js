@@ -0,0 +1,546 @@
+const { Prisma } = require('@prisma/client');
+const prisma = require('../prisma');
+const { obterPaginacao } = require('../utils/paginacao');
+const { registrarAuditoria } = require('../services/auditoriaService');
+const {
+  TIPOS_MOVIMENTACAO,
+  movimentarEstoque,
+  registrarEntrada,
+  travarProdutos,
+  verificarDivergencias,
+  reconstruirEstoque
+} = require('../services/estoqueService');
+const {
+  reservadoPorProduto,
+  saldosEstoque,
+  calcularDisponivel
+} = require('../services/reservaEstoqueService');
+const { resolverDeposito, buscarDepositoAtivo } = require('../services/depositoService');
+const { lerLote, lotesAVencer } = require('../services/loteService');
+const { ErroHttp } = require('../utils/erros');
+const { MAX_CASAS_DECIMAIS, paraDecimal, subtrairQuantidades, lerQuantidade, descreverPrecisao } = require('../utils/quantidades');
+
+// Tipos que podem ser lançados à mão; os demais nascem de vendas, inventários e transferências
+const TIPOS_MANUAIS = ['Entrada', 'Ajuste'];
+
+const SELECT_DEPOSITO = { select: { id: true, nome: true } };
+
+const DIA_EM_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Função para formatar datas no padrão dd/mm/aa HH:MM
+ */
+function formatarData(data) {
+  if (!data) return null;
+  const date = new Date(data);
+
+  const dia = date.getDate().toString().padStart(2, '0');
+  const mes = (date.getMonth() + 1).toString().padStart(2, '0');
+  const ano = date.getFullYear().toString().slice(-2);
+  const horas = date.getHours().toString().padStart(2, '0');
+  const minutos = date.getMinutes().toString().padStart(2, '0');
+
+  return `${dia}/${mes}/${ano} ${horas}:${minutos}`;
+}
+
+/**
+ * Aceita datas em dd/mm/aaaa ou ISO (aaaa-mm-dd)
+ */
+function converterData(valor) {
+  if (!valor) return null;
+
+  const brasileira = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(valor);
+  const data = brasileira
+    ? new Date(brasileira[3], brasileira[2] - 1, brasileira[1])
+    : new Date(valor);
+
+  return isNaN(data.getTime()) ? null : data;
+}
+
+function formatarMovimentacao(movimentacao) {
+  return {
+    ...movimentacao,
+    criadoEm: formatarData(movimentacao.criadoEm)
+  };
+}
+
+function formatarLote(lote, agora) {
+  const diasParaVencer = Math.ceil((lote.validade.getTime() - agora.getTime()) / DIA_EM_MS);
+  return {
+    ...lote,
+    validade: formatarData(lote.validade),
+    criadoEm: formatarData(lote.criadoEm),
+    atualizadoEm: formatarData(lote.atualizadoEm),
+    diasParaVencer,
+    vencido: diasParaVencer < 0
+  };
+}
+
+/**
+ * Junta a cada transferência os itens, lidos das entradas no destino do livro de estoque
+ */
+async function comItensTransferidos(transferencias) {
+  const movimentacoes = await prisma.movimentacaoEstoque.findMany({
+    where: {
+      documentoTipo: 'Transferencia',
+      documentoId: { in: transferencias.map(transferencia => transferencia.id) },
+      quantidade: { gt: 0 }
+    },
+    include: { produto: { select: { nome: true } } },
+    orderBy: { id: 'asc' }
+  });
+
+  return transferencias.map(transferencia => ({
+    ...transferencia,
+    criadoEm: formatarData(transferencia.criadoEm),
+    itens: movimentacoes
+      .filter(movimentacao => movimentacao.documentoId === transferencia.id)
+      .map(movimentacao => ({
+        produtoId: movimentacao.produtoId,
+        nome: movimentacao.produto.nome,
+        quantidade: movimentacao.quantidade,
+        lotes: movimentacao.lotes
+      }))
+  }));
+}
+
+const INCLUDE_TRANSFERENCIA = {
+  origem: SELECT_DEPOSITO,
+  destino: SELECT_DEPOSITO,
+  usuario: { select: { id: true, nome: true } }
+};
+
+function lerId(valor) {
+  const id = parseInt(valor);
+  if (isNaN(id) || id <= 0) {
+    throw new ErroHttp('O ID deve ser um número positivo', 400, 'ID inválido');
+  }
+  return id;
+}
+
+async function buscarProdutoComEstoque(id) {
+  const produto = await prisma.produto.findUnique({
+    where: { id },
+    select: { id: true, nome: true, tipo: true, estoque: true, unidade: true, casasDecimais: true }
+  });
+
+  if (!produto) {
+    throw new ErroHttp('Produto não encontrado', 404);
+  }
+  if (produto.tipo !== 'Produto') {
+    throw new ErroHttp('Serviços não têm estoque', 400);
+  }
+  return produto;
+}
+
+const handleError = (res, error, context) => {
+  if (error instanceof ErroHttp) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.titulo,
+      message: error.message
+    });
+  }
+
+  console.error(`Erro em ${context}:`, error);
+
+  if (error instanceof Prisma.PrismaClientKnownRequestError && error.code === 'P2025') {
+    return res.status(404).json({
+      success: false,
+      error: 'Não encontrado',
+      message: 'Produto não encontrado'
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: 'Erro interno do servidor',
+    message: 'Erro interno'
+  });
+};
+
+// Histórico de movimentações de um produto (mais recentes primeiro)
+const listarMovimentacoes = async (req, res) => {
+  try {
+    const produtoId = lerId(req.params.id);
+    const { tipo, dataInicio, dataFim, depositoId } = req.query;
+    const { page, limit, skip } = obterPaginacao(req.query, 20);
+
+    const produto = await buscarProdutoComEstoque(produtoId);
+    const reservado = await reservadoPorProduto([produto]);
+
+    const where = { produtoId };
+    if (depositoId) where.depositoId = lerId(depositoId);
+
+    if (tipo) {
+      if (!TIPOS_MOVIMENTACAO.includes(tipo)) {
+        throw new ErroHttp(`Tipo deve ser um dos: ${TIPOS_MOVIMENTACAO.join(', ')}`);
+      }
+      where.tipo = tipo;
+    }
+
+    if (dataInicio || dataFim) {
+      const inicio = converterData(dataInicio);
+      const fim = converterData(dataFim);
+
+      if ((dataInicio && !inicio) || (dataFim && !fim)) {
+        throw new ErroHttp('Datas devem estar no formato dd/mm/aaaa ou aaaa-mm-dd');
+      }
+
+      where.criadoEm = {};
+      if (inicio) {
+        inicio.setHours(0, 0, 0, 0);
+        where.criadoEm.gte = inicio;
+      }
+      if (fim) {
+        fim.setHours(23, 59, 59, 999);
+        where.criadoEm.lte = fim;
+      }
+    }
+
+    const [movimentacoes, total] = await Promise.all([
+      prisma.movimentacaoEstoque.findMany({
+        where,
+        skip,
+        take: limit,
+        include: {
+          deposito: SELECT_DEPOSITO,
+          usuario: {
+            select: {
+              id: true,
+              nome: true
+            }
+          }
+        },
+        orderBy: [{ criadoEm: 'desc' }, { id: 'desc' }]
+      }),
+      prisma.movimentacaoEstoque.count({ where })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        produto: { ...produto, ...saldosEstoque(produto, reservado.get(produto.id)) },
+        movimentacoes: movimentacoes.map(formatarMovimentacao)
+      },
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    handleError(res, error, 'listarMovimentacoes estoque');
+  }
+};
+
+// Lançamento manual de entrada ou ajuste (quantidade com sinal) em um depósito.
+// Em produto com controle de lote, a entrada exige lote; o ajuste pode indicar o lote.
+const registrarMovimentacao = async (req, res) => {
+  try {
+    const produtoId = lerId(req.params.id);
+    const { tipo, quantidade, custoUnit, observacao, depositoId } = req.body || {};
+    const lote = lerLote(req.body && req.body.lote);
+
+    if (!TIPOS_MANUAIS.includes(tipo)) {
+      throw new ErroHttp(`Tipo deve ser um dos: ${TIPOS_MANUAIS.join(', ')}`);
+    }
+
+    const delta = lerQuantidade(quantidade, MAX_CASAS_DECIMAIS);
+    if (delta === null || delta === 0) {
+      throw new ErroHttp('Quantidade deve ser um número diferente de zero');
+    }
+    if (tipo === 'Entrada' && delta < 0) {
+      throw new ErroHttp('Entrada deve ter quantidade positiva; use Ajuste para baixas');
+    }
+    if (tipo === 'Ajuste' && !observacao) {
+      throw new ErroHttp('Informe o motivo do ajuste em observacao');
+    }
+
+    // Custo só faz sentido em entrada: recalcula o custo médio do produto
+    const custo = custoUnit !== undefined && custoUnit !== null ? Number(custoUnit) : null;
+    if (custo !== null && (tipo !== 'Entrada' || isNaN(custo) || custo < 0)) {
+      throw new ErroHttp('custoUnit deve ser um valor não negativo e só é aceito em Entrada');
+    }
+
+    const produto = await buscarProdutoComEstoque(produtoId);
+    if (lerQuantidade(delta, produto.casasDecimais) === null) {
+      throw new ErroHttp(`Quantidade de ${produto.nome} deve ser um ${descreverPrecisao(produto.casasDecimais)} (${produto.unidade})`);
+    }
+    const deposito = await resolverDeposito(prisma, depositoId, req.usuario);
+
+    const movimentacao = await prisma.$transaction(async (tx) => {
+      const dados = { produtoId, depositoId: deposito.id, quantidade: delta, usuarioId: req.usuario.id, observacao };
+      const registro = tipo === 'Entrada'
+        ? await registrarEntrada(tx, { ...dados, custoUnit: custo, lote })
+        : await movimentarEstoque(tx, {
+          ...dados,
+          tipo,
+          lotes: lote ? [{ ...lote, quantidade: Math.abs(delta) }] : undefined
+        });
+
+      if (paraDecimal(registro.saldoDeposito).lt(0)) {
+        throw new ErroHttp(`Estoque insuficiente em ${deposito.nome}. Disponível: ${subtrairQuantidades(registro.saldoDeposito, delta)}`, 409);
+      }
+      return registro;
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Movimentação registrada com sucesso',
+      data: formatarMovimentacao(movimentacao)
+    });
+
+  } catch (error) {
+    handleError(res, error, 'registrarMovimentacao estoque');
+  }
+};
+
+// Produtos cujo estoque não bate com a soma do livro
+const listarDivergencias = async (req, res) => {
+  try {
+    const produtoId = req.query.produtoId ? lerId(req.query.produtoId) : undefined;
+    const divergencias = await verificarDivergencias({ produtoId });
+
+    res.json({
+      success: true,
+      data: divergencias,
+      message: divergencias.length > 0
+        ? `${divergencias.length} produto(s) com divergência`
+        : 'Estoque de acordo com o livro de movimentações'
+    });
+
+  } catch (error) {
+    handleError(res, error, 'listarDivergencias estoque');
+  }
+};
+
+// Recalcula o estoque a partir do livro (um produto ou todos)
+const reconstruir = async (req, res) => {
+  try {
+    const { produtoId } = req.body || {};
+    const id = produtoId !== undefined && produtoId !== null ? lerId(produtoId) : undefined;
+
+    const corrigidos = await reconstruirEstoque({ produtoId: id, usuarioId: req.usuario.id });
+
+    for (const item of corrigidos) {
+      await registrarAuditoria(req, {
+        acao: 'ReconstruirEstoque',
+        entidade: 'Produto',
+        entidadeId: item.produtoId,
+        antes: { estoque: item.estoqueAtual },
+        depois: { estoque: item.semHistorico ? item.estoqueAtual : item.estoqueLivro }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: corrigidos.length > 0
+        ? `${corrigidos.length} produto(s) corrigido(s)`
+        : 'Nenhuma divergência encontrada',
+      data: corrigidos
+    });
+
+  } catch (error) {
+    handleError(res, error, 'reconstruir estoque');
+  }
+};
+
+// Transferência entre depósitos: para cada item, saída na origem e entrada no destino
+const transferir = async (req, res) => {
+  try {
+    const { origemId, destinoId, itens, observacao } = req.body || {};
+
+    if (!Array.isArray(itens) || itens.length === 0) {
+      throw new ErroHttp('Informe os itens da transferência');
+    }
+
+    const origem = await buscarDepositoAtivo(prisma, origemId);
+    const destino = await buscarDepositoAtivo(prisma, destinoId);
+    if (origem.id === destino.id) {
+      throw new ErroHttp('Origem e destino devem ser depósitos diferentes');
+    }
+
+    const quantidades = new Map();
+    for (const [index, item] of itens.entries()) {
+      const produtoId = parseInt(item.produtoId);
+      const quantidade = lerQuantidade(item.quantidade, MAX_CASAS_DECIMAIS);
+
+      if (isNaN(produtoId) || produtoId <= 0) {
+        throw new ErroHttp(`Item ${index + 1}: produtoId é obrigatório e deve ser um número válido`);
+      }
+      if (quantidade === null || quantidade <= 0) {
+        throw new ErroHttp(`Item ${index + 1}: quantidade deve ser um número maior que zero`);
+      }
+      if (quantidades.has(produtoId)) {
+        throw new ErroHttp(`Item ${index + 1}: produto ${produtoId} repetido na transferência`);
+      }
+      quantidades.set(produtoId, quantidade);
+    }
+
+    const ids = [...quantidades.keys()];
+    const produtos = await prisma.produto.findMany({
+      where: { id: { in: ids } },
+      select: { id: true, nome: true, tipo: true, unidade: true, casasDecimais: true }
+    });
+    for (const id of ids) {
+      const produto = produtos.find(p => p.id === id);
+      if (!produto) {
+        throw new ErroHttp(`Produto com ID ${id} não encontrado`, 404);
+      }
+      if (produto.tipo !== 'Produto') {
+        throw new ErroHttp(`${produto.nome} é um serviço e não tem estoque`);
+      }
+      if (lerQuantidade(quantidades.get(id), produto.casasDecimais) === null) {
+        throw new ErroHttp(`Quantidade de ${produto.nome} deve ser um ${descreverPrecisao(produto.casasDecimais)} (${produto.unidade})`);
+      }
+    }
+
+    const transferencia = await prisma.$transaction(async (tx) => {
+      await travarProdutos(tx, ids);
+
+      // O que está reservado para vendas pendentes da origem não pode sair de lá
+      const disponiveis = await calcularDisponivel(tx, ids, origem.id);
+      const faltas = produtos
+        .filter(produto => quantidades.get(produto.id) > disponiveis.get(produto.id))
+        .map(produto => `${produto.nome} (disponível: ${disponiveis.get(produto.id)}, solicitado: ${quantidades.get(produto.id)})`);
+      if (faltas.length > 0) {
+        throw new ErroHttp(`Estoque insuficiente em ${origem.nome} para: ${faltas.join('; ')}`, 409, 'Estoque insuficiente');
+      }
+
+      const registro = await tx.transferenciaEstoque.create({
+        data: {
+          origemId: origem.id,
+          destinoId: destino.id,
+          usuarioId: req.usuario.id,
+          observacao: observacao || null
+        },
+        include: INCLUDE_TRANSFERENCIA
+      });
+
+      const documento = {
+        tipo: 'Transferencia',
+        documentoTipo: 'Transferencia',
+        documentoId: registro.id,
+        usuarioId: req.usuario.id,
+        observacao: observacao || `Transferência de ${origem.nome} para ${destino.nome}`
+      };
+      for (const [produtoId, quantidade] of quantidades) {
+        // Os lotes que saem da origem (FEFO) entram no destino com o mesmo número e validade
+        const saida = await movimentarEstoque(tx, { ...documento, produtoId, depositoId: origem.id, quantidade: -quantidade });
+        await movimentarEstoque(tx, {
+          ...documento,
+          produtoId,
+          depositoId: destino.id,
+          quantidade,
+          lotes: (saida.lotes || []).map(lote => ({ numero: lote.numero, validade: lote.validade, quantidade: -lote.quantidade }))
+        });
+      }
+
+      return registro;
+    });
+
+    const [formatada] = await comItensTransferidos([transferencia]);
+
+    await registrarAuditoria(req, { acao: 'Criar', entidade: 'TransferenciaEstoque', depois: formatada });
+
+    res.status(201).json({
+      success: true,
+      message: 'Transferência registrada com sucesso',
+      data: formatada
+    });
+
+  } catch (error) {
+    handleError(res, error, 'transferir estoque');
+  }
+};
+
+// Transferências entre depósitos (mais recentes primeiro)
+const listarTransferencias = async (req, res) => {
+  try {
+    const { depositoId } = req.query;
+    const { page, limit, skip } = obterPaginacao(req.query, 20);
+
+    const where = {};
+    if (depositoId) {
+      const id = lerId(depositoId);
+      where.OR = [{ origemId: id }, { destinoId: id }];
+    }
+
+    const [transferencias, total] = await Promise.all([
+      prisma.transferenciaEstoque.findMany({
+        where,
+        skip,
+        take: limit,
+        include: INCLUDE_TRANSFERENCIA,
+        orderBy: [{ criadoEm: 'desc' }, { id: 'desc' }]
+      }),
+      prisma.transferenciaEstoque.count({ where })
+    ]);
+
+    res.json({
+      success: true,
+      data: await comItensTransferidos(transferencias),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    handleError(res, error, 'listarTransferencias estoque');
+  }
+};
+
+// Lotes com saldo que vencem nos próximos N dias (padrão 30), incluindo os já vencidos
+const listarLotesAVencer = async (req, res) => {
+  try {
+    const { dias = 30, depositoId, produtoId } = req.query;
+    const { page, limit, skip } = obterPaginacao(req.query, 50);
+
+    const prazo = Number(dias);
+    if (!Number.isInteger(prazo) || prazo < 0) {
+      throw new ErroHttp('dias deve ser um número inteiro não negativo');
+    }
+
+    const agora = new Date();
+    const { lotes, total } = await lotesAVencer(prisma, {
+      ate: new Date(agora.getTime() + prazo * DIA_EM_MS),
+      depositoId: depositoId ? lerId(depositoId) : undefined,
+      produtoId: produtoId ? lerId(produtoId) : undefined,
+      skip,
+      take: limit
+    });
+
+    res.json({
+      success: true,
+      data: lotes.map(lote => formatarLote(lote, agora)),
+      message: total > 0
+        ? `${total} lote(s) vencido(s) ou vencendo em até ${prazo} dia(s)`
+        : `Nenhum lote vencendo em até ${prazo} dia(s)`,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    handleError(res, error, 'listarLotesAVencer estoque');
+  }
+};
+
+module.exports = {
+  listarMovimentacoes,
+  registrarMovimentacao,
+  listarDivergencias,
+  reconstruir,
+  transferir,
+  listarTransferencias,
+  listarLotesAVencer
+};
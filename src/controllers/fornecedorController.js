@@ -0,0 +1,310 @@
+const { Prisma } = require('@prisma/client');
+const prisma = require('../prisma');
+const { obterPaginacao } = require('../utils/paginacao');
+const { registrarAuditoria } = require('../services/auditoriaService');
+const { validarCNPJ, formatarDocumento } = require('../utils/documentos');
+const { ErroHttp } = require('../utils/erros');
+
+const STATUS_VALIDOS = ['Ativo', 'Inativo'];
+
+/**
+ * Função para formatar datas no padrão dd/mm/aa HH:MM
+ */
+function formatarData(data) {
+  if (!data) return null;
+  const date = new Date(data);
+
+  const dia = date.getDate().toString().padStart(2, '0');
+  const mes = (date.getMonth() + 1).toString().padStart(2, '0');
+  const ano = date.getFullYear().toString().slice(-2);
+  const horas = date.getHours().toString().padStart(2, '0');
+  const minutos = date.getMinutes().toString().padStart(2, '0');
+
+  return `${dia}/${mes}/${ano} ${horas}:${minutos}`;
+}
+
+function formatarFornecedor(fornecedor) {
+  const { _count, ...dados } = fornecedor;
+  return {
+    ...dados,
+    ...(_count ? { totalPedidos: _count.pedidos } : {}),
+    criadoEm: formatarData(fornecedor.criadoEm),
+    atualizadoEm: formatarData(fornecedor.atualizadoEm)
+  };
+}
+
+function validarFornecedor(dados, isUpdate = false) {
+  const erros = [];
+
+  if (!isUpdate || dados.nome !== undefined) {
+    if (!dados.nome || typeof dados.nome !== 'string' || dados.nome.trim().length < 2) {
+      erros.push('Nome deve ter pelo menos 2 caracteres');
+    }
+  }
+
+  if (!isUpdate || dados.cnpj !== undefined) {
+    if (!dados.cnpj) {
+      erros.push('CNPJ é obrigatório');
+    } else if (!validarCNPJ(String(dados.cnpj))) {
+      erros.push('CNPJ com formato inválido (deve ter 14 dígitos)');
+    }
+  }
+
+  if (dados.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(dados.email)) {
+    erros.push('Email com formato inválido');
+  }
+
+  if (dados.status !== undefined && !STATUS_VALIDOS.includes(dados.status)) {
+    erros.push(`Status deve ser: ${STATUS_VALIDOS.join(' ou ')}`);
+  }
+
+  return erros;
+}
+
+function lerId(valor) {
+  const id = parseInt(valor);
+  if (isNaN(id) || id <= 0) {
+    throw new ErroHttp('O ID deve ser um número positivo', 400, 'ID inválido');
+  }
+  return id;
+}
+
+const handleError = (res, error, context) => {
+  if (error instanceof ErroHttp) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.titulo,
+      message: error.message
+    });
+  }
+
+  console.error(`Erro em ${context}:`, error);
+
+  if (error instanceof Prisma.PrismaClientKnownRequestError) {
+    if (error.code === 'P2002') {
+      return res.status(409).json({
+        success: false,
+        error: 'Conflito de dados',
+        message: 'Já existe um fornecedor com este CNPJ'
+      });
+    }
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        success: false,
+        error: 'Não encontrado',
+        message: 'Fornecedor não encontrado'
+      });
+    }
+  }
+
+  res.status(500).json({
+    success: false,
+    error: 'Erro interno do servidor',
+    message: 'Erro interno'
+  });
+};
+
+// Listar fornecedores (busca por nome, nome fantasia ou CNPJ)
+const findAll = async (req, res) => {
+  try {
+    const { search, status } = req.query;
+    const { page, limit, skip } = obterPaginacao(req.query);
+
+    const where = {};
+
+    if (search) {
+      const digitos = search.replace(/\D/g, '');
+      where.OR = [
+        { nome: { contains: search, mode: 'insensitive' } },
+        { nomeFantasia: { contains: search, mode: 'insensitive' } },
+        ...(digitos.length === 14 ? [{ cnpj: formatarDocumento(digitos) }] : [])
+      ];
+    }
+
+    if (status) where.status = status;
+
+    const [fornecedores, total] = await Promise.all([
+      prisma.fornecedor.findMany({
+        where,
+        skip,
+        take: limit,
+        include: { _count: { select: { pedidos: true } } },
+        orderBy: { nome: 'asc' }
+      }),
+      prisma.fornecedor.count({ where })
+    ]);
+
+    res.json({
+      success: true,
+      data: fornecedores.map(formatarFornecedor),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    handleError(res, error, 'findAll fornecedores');
+  }
+};
+
+// Buscar fornecedor por ID
+const findOne = async (req, res) => {
+  try {
+    const id = lerId(req.params.id);
+
+    const fornecedor = await prisma.fornecedor.findUnique({
+      where: { id },
+      include: { _count: { select: { pedidos: true } } }
+    });
+
+    if (!fornecedor) {
+      throw new ErroHttp('Fornecedor não encontrado', 404);
+    }
+
+    res.json({
+      success: true,
+      data: formatarFornecedor(fornecedor)
+    });
+
+  } catch (error) {
+    handleError(res, error, 'findOne fornecedor');
+  }
+};
+
+// Criar fornecedor
+const create = async (req, res) => {
+  try {
+    const { nome, nomeFantasia, cnpj, email, telefone, contato, observacoes, status } = req.body || {};
+
+    const erros = validarFornecedor({ nome, cnpj, email, status });
+    if (erros.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Dados inválidos',
+        details: erros
+      });
+    }
+
+    const fornecedor = await prisma.fornecedor.create({
+      data: {
+        nome: nome.trim(),
+        nomeFantasia: nomeFantasia || null,
+        cnpj: formatarDocumento(String(cnpj).replace(/\D/g, '')),
+        email: email || null,
+        telefone: telefone || null,
+        contato: contato || null,
+        observacoes: observacoes || null,
+        status: status || 'Ativo'
+      }
+    });
+
+    await registrarAuditoria(req, { acao: 'Criar', entidade: 'Fornecedor', depois: fornecedor });
+
+    res.status(201).json({
+      success: true,
+      message: 'Fornecedor criado com sucesso',
+      data: formatarFornecedor(fornecedor)
+    });
+
+  } catch (error) {
+    handleError(res, error, 'create fornecedor');
+  }
+};
+
+// Atualizar fornecedor
+const update = async (req, res) => {
+  try {
+    const id = lerId(req.params.id);
+    const { nome, nomeFantasia, cnpj, email, telefone, contato, observacoes, status } = req.body || {};
+
+    const erros = validarFornecedor({ nome, cnpj, email, status }, true);
+    if (erros.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Dados inválidos',
+        details: erros
+      });
+    }
+
+    const fornecedorAntes = await prisma.fornecedor.findUnique({ where: { id } });
+    if (!fornecedorAntes) {
+      throw new ErroHttp('Fornecedor não encontrado', 404);
+    }
+
+    const data = {};
+    if (nome !== undefined) data.nome = nome.trim();
+    if (nomeFantasia !== undefined) data.nomeFantasia = nomeFantasia || null;
+    if (cnpj !== undefined) data.cnpj = formatarDocumento(String(cnpj).replace(/\D/g, ''));
+    if (email !== undefined) data.email = email || null;
+    if (telefone !== undefined) data.telefone = telefone || null;
+    if (contato !== undefined) data.contato = contato || null;
+    if (observacoes !== undefined) data.observacoes = observacoes || null;
+    if (status !== undefined) data.status = status;
+
+    const fornecedor = await prisma.fornecedor.update({ where: { id }, data });
+
+    await registrarAuditoria(req, {
+      acao: 'Atualizar',
+      entidade: 'Fornecedor',
+      antes: fornecedorAntes,
+      depois: fornecedor
+    });
+
+    res.json({
+      success: true,
+      message: 'Fornecedor atualizado com sucesso',
+      data: formatarFornecedor(fornecedor)
+    });
+
+  } catch (error) {
+    handleError(res, error, 'update fornecedor');
+  }
+};
+
+// Excluir fornecedor sem pedidos de compra (com pedidos, use status Inativo)
+const remove = async (req, res) => {
+  try {
+    const id = lerId(req.params.id);
+
+    const fornecedor = await prisma.fornecedor.findUnique({
+      where: { id },
+      include: { _count: { select: { pedidos: true } } }
+    });
+
+    if (!fornecedor) {
+      throw new ErroHttp('Fornecedor não encontrado', 404);
+    }
+
+    if (fornecedor._count.pedidos > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Fornecedor em uso',
+        message: `O fornecedor tem ${fornecedor._count.pedidos} pedido(s) de compra. Inative-o em vez de excluir.`
+      });
+    }
+
+    await prisma.fornecedor.delete({ where: { id } });
+
+    await registrarAuditoria(req, { acao: 'Excluir', entidade: 'Fornecedor', antes: fornecedor });
+
+    res.json({
+      success: true,
+      message: 'Fornecedor excluído com sucesso',
+      data: { id }
+    });
+
+  } catch (error) {
+    handleError(res, error, 'remove fornecedor');
+  }
+};
+
+module.exports = {
+  findAll,
+  findOne,
+  create,
+  update,
+  remove
+};
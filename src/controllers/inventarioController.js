@@ -0,0 +1,550 @@
+const { Prisma } = require('@prisma/client');
+const prisma = require('../prisma');
+const { obterPaginacao } = require('../utils/paginacao');
+const { registrarAuditoria } = require('../services/auditoriaService');
+const { movimentarEstoque, travarProdutos } = require('../services/estoqueService');
+const { custoAtual, arredondar } = require('../services/custoService');
+const { resolverDeposito, saldosNoDeposito } = require('../services/depositoService');
+const { ErroHttp } = require('../utils/erros');
+const { arredondarQuantidade, somarQuantidades, subtrairQuantidades, lerQuantidade, descreverPrecisao } = require('../utils/quantidades');
+
+const STATUS_INVENTARIO = ['Aberto', 'Fechado', 'Cancelado'];
+
+const SELECT_PRODUTO = {
+  id: true,
+  nome: true,
+  tipo: true,
+  estoque: true,
+  unidade: true,
+  casasDecimais: true,
+  custoMedio: true,
+  custoManual: true
+};
+
+const INCLUDE_COMPLETO = {
+  usuario: { select: { id: true, nome: true } },
+  deposito: { select: { id: true, nome: true } },
+  itens: {
+    include: {
+      produto: { select: SELECT_PRODUTO },
+      contagens: {
+        include: { usuario: { select: { id: true, nome: true } } },
+        orderBy: { criadoEm: 'asc' }
+      }
+    },
+    orderBy: { id: 'asc' }
+  }
+};
+
+/**
+ * Função para formatar datas no padrão dd/mm/aa HH:MM
+ */
+function formatarData(data) {
+  if (!data) return null;
+  const date = new Date(data);
+
+  const dia = date.getDate().toString().padStart(2, '0');
+  const mes = (date.getMonth() + 1).toString().padStart(2, '0');
+  const ano = date.getFullYear().toString().slice(-2);
+  const horas = date.getHours().toString().padStart(2, '0');
+  const minutos = date.getMinutes().toString().padStart(2, '0');
+
+  return `${dia}/${mes}/${ano} ${horas}:${minutos}`;
+}
+
+function formatarInventario(inventario) {
+  const { _count, ...dados } = inventario;
+  return {
+    ...dados,
+    ...(_count ? { totalItens: _count.itens } : {}),
+    ...(inventario.itens ? {
+      itens: inventario.itens.map(item => ({
+        ...item,
+        contagens: item.contagens.map(contagem => ({
+          ...contagem,
+          criadoEm: formatarData(contagem.criadoEm),
+          atualizadoEm: formatarData(contagem.atualizadoEm)
+        }))
+      }))
+    } : {}),
+    fechadoEm: formatarData(inventario.fechadoEm),
+    canceladoEm: formatarData(inventario.canceladoEm),
+    criadoEm: formatarData(inventario.criadoEm),
+    atualizadoEm: formatarData(inventario.atualizadoEm)
+  };
+}
+
+function lerId(valor) {
+  const id = parseInt(valor);
+  if (isNaN(id) || id <= 0) {
+    throw new ErroHttp('O ID deve ser um número positivo', 400, 'ID inválido');
+  }
+  return id;
+}
+
+async function buscarInventario(id, client = prisma) {
+  const inventario = await client.inventario.findUnique({ where: { id }, include: INCLUDE_COMPLETO });
+  if (!inventario) {
+    throw new ErroHttp('Inventário não encontrado', 404);
+  }
+  return inventario;
+}
+
+/**
+ * Confere a sessão e trava a linha do inventário até o fim da transação,
+ * para contagens e fechamento não se cruzarem
+ */
+async function travarInventarioAberto(tx, id) {
+  const { count } = await tx.inventario.updateMany({
+    where: { id, status: 'Aberto' },
+    data: { atualizadoEm: new Date() }
+  });
+  if (count === 0) {
+    await buscarInventario(id, tx);
+    throw new ErroHttp('O inventário não está aberto', 409);
+  }
+}
+
+/**
+ * Diferença de cada item entre o contado e o saldo do depósito, valorizada pelo custo.
+ * Inventário fechado usa o que foi gravado no fechamento; os demais, o saldo e o custo atuais.
+ * @param {Map<number, number>} [saldos] saldo atual de cada produto no depósito do inventário
+ */
+function montarDivergencias(inventario, saldos = new Map()) {
+  const fechado = inventario.status === 'Fechado';
+
+  const itens = inventario.itens.map(item => {
+    const gravado = item.estoqueSistema === null ? null : arredondarQuantidade(item.estoqueSistema);
+    const estoqueSistema = fechado ? gravado : saldos.get(item.produtoId) || 0;
+    const custoUnit = fechado ? item.custoUnit : custoAtual(item.produto);
+    const contado = item.quantidadeContada !== null;
+    const diferenca = contado && estoqueSistema !== null ? subtrairQuantidades(item.quantidadeContada, estoqueSistema) : null;
+
+    return {
+      produtoId: item.produtoId,
+      nome: item.produto.nome,
+      estoqueSistema,
+      quantidadeContada: contado ? arredondarQuantidade(item.quantidadeContada) : null,
+      diferenca,
+      custoUnit,
+      valorDiferenca: diferenca !== null && custoUnit !== null ? arredondar(diferenca * custoUnit) : null,
+      operadores: item.contagens.length
+    };
+  });
+
+  const contados = itens.filter(item => item.diferenca !== null);
+  const somar = (lista, campo) => arredondar(lista.reduce((soma, item) => soma + (item[campo] || 0), 0));
+  const somarDiferencas = lista => somarQuantidades(...lista.map(item => item.diferenca));
+  const sobras = contados.filter(item => item.diferenca > 0);
+  const faltas = contados.filter(item => item.diferenca < 0);
+
+  return {
+    resumo: {
+      itens: itens.length,
+      itensContados: contados.length,
+      itensNaoContados: itens.length - contados.length,
+      itensDivergentes: sobras.length + faltas.length,
+      itensSemCusto: contados.filter(item => item.diferenca !== 0 && item.custoUnit === null).length,
+      quantidadeSobra: somarDiferencas(sobras),
+      quantidadeFalta: somarDiferencas(faltas),
+      valorSobra: somar(sobras, 'valorDiferenca'),
+      valorFalta: somar(faltas, 'valorDiferenca'),
+      impactoValor: somar(contados, 'valorDiferenca')
+    },
+    itens
+  };
+}
+
+/**
+ * Produtos da sessão: os informados ou, sem lista, todos os produtos ativos.
+ * Serviços não têm estoque e não entram no inventário.
+ */
+async function validarProdutos(produtoIds) {
+  if (produtoIds === undefined) {
+    const produtos = await prisma.produto.findMany({
+      where: { tipo: 'Produto', status: 'Ativo' },
+      select: { id: true }
+    });
+    if (produtos.length === 0) {
+      throw new ErroHttp('Não há produtos ativos para inventariar');
+    }
+    return produtos.map(produto => produto.id);
+  }
+
+  if (!Array.isArray(produtoIds) || produtoIds.length === 0) {
+    throw new ErroHttp('produtoIds deve ser uma lista com pelo menos um produto');
+  }
+
+  const ids = [...new Set(produtoIds.map(id => parseInt(id)))];
+  if (ids.some(id => isNaN(id) || id <= 0)) {
+    throw new ErroHttp('produtoIds deve conter apenas IDs numéricos');
+  }
+
+  const produtos = await prisma.produto.findMany({
+    where: { id: { in: ids } },
+    select: { id: true, nome: true, tipo: true }
+  });
+
+  const erros = [];
+  for (const id of ids) {
+    const produto = produtos.find(p => p.id === id);
+    if (!produto) {
+      erros.push(`Produto com ID ${id} não encontrado`);
+    } else if (produto.tipo !== 'Produto') {
+      erros.push(`${produto.nome} é um serviço e não tem estoque`);
+    }
+  }
+  if (erros.length > 0) {
+    throw new ErroHttp(erros.join('; '));
+  }
+
+  return ids;
+}
+
+const handleError = (res, error, context) => {
+  if (error instanceof ErroHttp) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.titulo,
+      message: error.message
+    });
+  }
+
+  console.error(`Erro em ${context}:`, error);
+
+  if (error instanceof Prisma.PrismaClientKnownRequestError && error.code === 'P2025') {
+    return res.status(404).json({
+      success: false,
+      error: 'Não encontrado',
+      message: 'Inventário não encontrado'
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: 'Erro interno do servidor',
+    message: 'Erro interno'
+  });
+};
+
+// Listar inventários
+const findAll = async (req, res) => {
+  try {
+    const { status, depositoId } = req.query;
+    const { page, limit, skip } = obterPaginacao(req.query);
+
+    const where = {};
+    if (depositoId) where.depositoId = lerId(depositoId);
+    if (status) {
+      if (!STATUS_INVENTARIO.includes(status)) {
+        throw new ErroHttp(`Status deve ser um dos: ${STATUS_INVENTARIO.join(', ')}`);
+      }
+      where.status = status;
+    }
+
+    const [inventarios, total] = await Promise.all([
+      prisma.inventario.findMany({
+        where,
+        skip,
+        take: limit,
+        include: {
+          usuario: { select: { id: true, nome: true } },
+          deposito: { select: { id: true, nome: true } },
+          _count: { select: { itens: true } }
+        },
+        orderBy: { criadoEm: 'desc' }
+      }),
+      prisma.inventario.count({ where })
+    ]);
+
+    res.json({
+      success: true,
+      data: inventarios.map(formatarInventario),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    handleError(res, error, 'findAll inventários');
+  }
+};
+
+// Buscar inventário com itens e contagens de cada operador
+const findOne = async (req, res) => {
+  try {
+    const inventario = await buscarInventario(lerId(req.params.id));
+
+    res.json({
+      success: true,
+      data: formatarInventario(inventario)
+    });
+
+  } catch (error) {
+    handleError(res, error, 'findOne inventário');
+  }
+};
+
+// Abrir sessão de contagem em um depósito. Um produto só pode estar em um inventário aberto
+// por depósito de cada vez.
+const create = async (req, res) => {
+  try {
+    const { produtoIds, observacoes, depositoId } = req.body || {};
+
+    const deposito = await resolverDeposito(prisma, depositoId, req.usuario);
+    const ids = await validarProdutos(produtoIds);
+
+    const emAberto = await prisma.itemInventario.findMany({
+      where: { produtoId: { in: ids }, inventario: { status: 'Aberto', depositoId: deposito.id } },
+      include: { produto: { select: { nome: true } } }
+    });
+    if (emAberto.length > 0) {
+      const lista = emAberto.map(item => `${item.produto.nome} (inventário ${item.inventarioId})`);
+      throw new ErroHttp(`Produtos já estão em inventário aberto em ${deposito.nome}: ${lista.join('; ')}`, 409);
+    }
+
+    const inventario = await prisma.inventario.create({
+      data: {
+        usuarioId: req.usuario.id,
+        depositoId: deposito.id,
+        observacoes: observacoes || null,
+        itens: { create: ids.map(produtoId => ({ produtoId })) }
+      },
+      include: INCLUDE_COMPLETO
+    });
+
+    await registrarAuditoria(req, { acao: 'Criar', entidade: 'Inventario', depois: inventario });
+
+    res.status(201).json({
+      success: true,
+      message: 'Inventário aberto com sucesso',
+      data: formatarInventario(inventario)
+    });
+
+  } catch (error) {
+    handleError(res, error, 'create inventário');
+  }
+};
+
+// Registrar contagens do operador autenticado. Recontar um produto substitui a contagem anterior dele.
+const registrarContagem = async (req, res) => {
+  try {
+    const id = lerId(req.params.id);
+    const { itens } = req.body || {};
+
+    if (!Array.isArray(itens) || itens.length === 0) {
+      throw new ErroHttp('Informe os itens contados');
+    }
+
+    const inventarioAntes = await buscarInventario(id);
+
+    const contagens = itens.map((item, index) => {
+      const produtoId = parseInt(item.produtoId);
+      const itemInventario = inventarioAntes.itens.find(i => i.produtoId === produtoId);
+
+      if (!itemInventario) {
+        throw new ErroHttp(`Item ${index + 1}: produto ${item.produtoId} não faz parte do inventário`);
+      }
+
+      // Produto pesado ou medido aceita a contagem fracionária da sua unidade
+      const { casasDecimais, unidade } = itemInventario.produto;
+      const quantidade = lerQuantidade(item.quantidade, casasDecimais);
+      if (quantidade === null || quantidade < 0) {
+        throw new ErroHttp(`Item ${index + 1}: quantidade deve ser um ${descreverPrecisao(casasDecimais)} (${unidade}) maior ou igual a zero`);
+      }
+      if (itens.slice(0, index).some(outro => parseInt(outro.produtoId) === produtoId)) {
+        throw new ErroHttp(`Item ${index + 1}: produto ${produtoId} repetido na contagem`);
+      }
+
+      return { itemId: itemInventario.id, quantidade };
+    });
+
+    const inventario = await prisma.$transaction(async (tx) => {
+      await travarInventarioAberto(tx, id);
+
+      for (const { itemId, quantidade } of contagens) {
+        await tx.contagemInventario.upsert({
+          where: { itemId_usuarioId: { itemId, usuarioId: req.usuario.id } },
+          create: { itemId, usuarioId: req.usuario.id, quantidade },
+          update: { quantidade }
+        });
+
+        const soma = await tx.contagemInventario.aggregate({
+          where: { itemId },
+          _sum: { quantidade: true }
+        });
+        await tx.itemInventario.update({
+          where: { id: itemId },
+          data: { quantidadeContada: arredondarQuantidade(soma._sum.quantidade) }
+        });
+      }
+
+      return buscarInventario(id, tx);
+    });
+
+    res.json({
+      success: true,
+      message: 'Contagem registrada com sucesso',
+      data: formatarInventario(inventario)
+    });
+
+  } catch (error) {
+    handleError(res, error, 'registrarContagem inventário');
+  }
+};
+
+// Prévia das diferenças (inventário aberto) ou relatório de divergências (fechado), com impacto em valor
+const divergencias = async (req, res) => {
+  try {
+    const inventario = await buscarInventario(lerId(req.params.id));
+    const saldos = inventario.status === 'Fechado'
+      ? undefined
+      : await saldosNoDeposito(prisma, inventario.itens.map(item => item.produtoId), inventario.depositoId);
+    const { resumo, itens } = montarDivergencias(inventario, saldos);
+
+    const apenasDivergentes = req.query.apenasDivergentes === 'true';
+
+    res.json({
+      success: true,
+      data: {
+        inventarioId: inventario.id,
+        deposito: inventario.deposito,
+        status: inventario.status,
+        fechadoEm: formatarData(inventario.fechadoEm),
+        resumo,
+        itens: apenasDivergentes ? itens.filter(item => item.diferenca) : itens
+      }
+    });
+
+  } catch (error) {
+    handleError(res, error, 'divergencias inventário');
+  }
+};
+
+// Fechar: aplica as diferenças dos itens contados como movimentações Inventario.
+// Itens não contados ficam como estão.
+const fechar = async (req, res) => {
+  try {
+    const id = lerId(req.params.id);
+    const { observacao } = req.body || {};
+
+    const inventarioAntes = await buscarInventario(id);
+
+    const inventario = await prisma.$transaction(async (tx) => {
+      await travarInventarioAberto(tx, id);
+
+      const itens = await tx.itemInventario.findMany({ where: { inventarioId: id } });
+      // Vendas e entradas simultâneas esperam o fechamento para o saldo não mudar no meio do ajuste
+      await travarProdutos(tx, itens.map(item => item.produtoId));
+
+      const ids = itens.map(item => item.produtoId);
+      const produtos = await tx.produto.findMany({
+        where: { id: { in: ids } },
+        select: SELECT_PRODUTO
+      });
+      const saldos = await saldosNoDeposito(tx, ids, inventarioAntes.depositoId);
+
+      for (const item of itens) {
+        const produto = produtos.find(p => p.id === item.produtoId);
+        const estoqueSistema = produto.tipo === 'Produto' ? saldos.get(produto.id) || 0 : null;
+        const contado = item.quantidadeContada !== null && estoqueSistema !== null;
+        const diferenca = contado ? subtrairQuantidades(item.quantidadeContada, estoqueSistema) : null;
+
+        if (diferenca) {
+          await movimentarEstoque(tx, {
+            produtoId: item.produtoId,
+            depositoId: inventarioAntes.depositoId,
+            quantidade: diferenca,
+            tipo: 'Inventario',
+            documentoTipo: 'Inventario',
+            documentoId: id,
+            usuarioId: req.usuario.id,
+            observacao: observacao || `Inventário ${id}`
+          });
+        }
+
+        await tx.itemInventario.update({
+          where: { id: item.id },
+          data: { estoqueSistema, diferenca, custoUnit: custoAtual(produto) }
+        });
+      }
+
+      await tx.inventario.update({
+        where: { id },
+        data: { status: 'Fechado', fechadoEm: new Date() }
+      });
+
+      return buscarInventario(id, tx);
+    });
+
+    await registrarAuditoria(req, {
+      acao: 'Fechar',
+      entidade: 'Inventario',
+      antes: inventarioAntes,
+      depois: inventario
+    });
+
+    res.json({
+      success: true,
+      message: 'Inventário fechado e estoque ajustado',
+      data: {
+        ...formatarInventario(inventario),
+        divergencias: montarDivergencias(inventario)
+      }
+    });
+
+  } catch (error) {
+    handleError(res, error, 'fechar inventário');
+  }
+};
+
+// Cancelar sessão aberta sem mexer no estoque
+const cancelar = async (req, res) => {
+  try {
+    const id = lerId(req.params.id);
+
+    const inventarioAntes = await buscarInventario(id);
+    if (inventarioAntes.status !== 'Aberto') {
+      throw new ErroHttp(`Inventário ${inventarioAntes.status} não pode ser cancelado`, 409);
+    }
+
+    const { count } = await prisma.inventario.updateMany({
+      where: { id, status: 'Aberto' },
+      data: { status: 'Cancelado', canceladoEm: new Date() }
+    });
+    if (count === 0) {
+      throw new ErroHttp('O inventário foi alterado por outra operação; tente novamente', 409);
+    }
+
+    const inventario = await buscarInventario(id);
+
+    await registrarAuditoria(req, {
+      acao: 'AlterarStatus',
+      entidade: 'Inventario',
+      antes: inventarioAntes,
+      depois: inventario
+    });
+
+    res.json({
+      success: true,
+      message: 'Inventário cancelado',
+      data: formatarInventario(inventario)
+    });
+
+  } catch (error) {
+    handleError(res, error, 'cancelar inventário');
+  }
+};
+
+module.exports = {
+  findAll,
+  findOne,
+  create,
+  registrarContagem,
+  divergencias,
+  fechar,
+  cancelar
+};
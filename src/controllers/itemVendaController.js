@@ -1,5 +1,14 @@
-const { PrismaClient } = require('@prisma/client');
-const prisma = new PrismaClient();
+const prisma = require('../prisma');
+const { obterPaginacao } = require('../utils/paginacao');
+const { registrarAuditoria } = require('../services/auditoriaService');
+const { calcularDisponivel, disponivelKits, renovarReservaVenda } = require('../services/reservaEstoqueService');
+const { depositoPadrao } = require('../services/depositoService');
+const { custoAtual, arredondar } = require('../services/custoService');
+const { possuiPermissao } = require('../services/permissaoService');
+const { aplicarAlteracoesAgendadas } = require('../services/precoService');
+const { precosParaCliente } = require('../services/tabelaPrecoService');
+const { ErroHttp } = require('../utils/erros');
+const { lerQuantidade, descreverPrecisao } = require('../utils/quantidades');
 
 /**
  * Função para validar dados do item de venda
@@ -30,9 +39,10 @@ function validarItemVenda(dados, isUpdate = false) {
 }
 
 /**
- * Função para verificar disponibilidade do produto
+ * Função para verificar disponibilidade do produto.
+ * O disponível desconta o que outras vendas pendentes reservaram; a reserva da própria venda não conta.
  */
-async function verificarDisponibilidadeProduto(produtoId, quantidade, itemId = null) {
+async function verificarDisponibilidadeProduto(produtoId, quantidade, vendaId) {
   const produto = await prisma.produto.findUnique({
     where: { id: parseInt(produtoId) }
   });
@@ -45,24 +55,41 @@ async function verificarDisponibilidadeProduto(produtoId, quantidade, itemId = n
     return { disponivel: false, erro: 'Produto não está ativo' };
   }
 
-  // Se for update, calcular a diferença de quantidade
-  let quantidadeNecessaria = parseInt(quantidade);
-  if (itemId) {
-    const itemAtual = await prisma.itemVenda.findUnique({
-      where: { id: itemId }
-    });
-    if (itemAtual) {
-      quantidadeNecessaria -= itemAtual.quantidade;
-    }
+  // A venda é sempre de uma variante; a grade não tem estoque
+  if (produto.tipo === 'Grade') {
+    return { disponivel: false, erro: 'Produto é uma grade: informe a variante' };
   }
 
-  if (produto.estoque < quantidadeNecessaria) {
-    return { 
-      disponivel: false, 
-      erro: `Estoque insuficiente. Disponível: ${produto.estoque}, Solicitado: ${quantidadeNecessaria}` 
+  // Quantidade na precisão da unidade do produto (UN inteiro, KG até 3 casas...)
+  const quantidadeNecessaria = lerQuantidade(quantidade, produto.casasDecimais);
+  if (quantidadeNecessaria === null || quantidadeNecessaria <= 0) {
+    return {
+      disponivel: false,
+      erro: `Quantidade deve ser um ${descreverPrecisao(produto.casasDecimais)} maior que zero (${produto.unidade})`
     };
   }
 
+  // Serviços não têm estoque; produtos e os componentes dos kits saem do depósito da venda
+  if (produto.tipo === 'Produto' || produto.tipo === 'Kit') {
+    const venda = await prisma.venda.findUnique({
+      where: { id: parseInt(vendaId) },
+      select: { depositoId: true }
+    });
+    const depositoId = (venda && venda.depositoId) || (await depositoPadrao()).id;
+    const opcoes = { excetoVendaId: parseInt(vendaId) };
+    const disponiveis = produto.tipo === 'Kit'
+      ? await disponivelKits(prisma, [produto], depositoId, opcoes)
+      : await calcularDisponivel(prisma, [produto.id], depositoId, opcoes);
+    const estoqueDisponivel = disponiveis.get(produto.id);
+
+    if (estoqueDisponivel !== null && estoqueDisponivel < quantidadeNecessaria) {
+      return { 
+        disponivel: false, 
+        erro: `Estoque insuficiente. Disponível: ${estoqueDisponivel}, Solicitado: ${quantidadeNecessaria}` 
+      };
+    }
+  }
+
   return { 
     disponivel: true, 
     produto: produto,
@@ -78,7 +105,8 @@ async function verificarVendaModificavel(vendaId) {
     where: { id: parseInt(vendaId) },
     select: {
       status: true,
-      data: true
+      data: true,
+      clienteId: true
     }
   });
 
@@ -97,18 +125,46 @@ async function verificarVendaModificavel(vendaId) {
   return { modificavel: true, venda: venda };
 }
 
+/**
+ * Preço do produto para o cliente da venda (tabela de preços ou preço vigente) e o mínimo aceito
+ * @returns {Promise<{ preco: number, precoMinimo: number|null }>}
+ */
+async function precoDoCliente(clienteId, produtoId) {
+  await aplicarAlteracoesAgendadas(prisma, [produtoId]);
+  const produto = await prisma.produto.findUnique({
+    where: { id: produtoId },
+    select: { id: true, preco: true, precoMinimo: true, produtoPaiId: true }
+  });
+  return (await precosParaCliente(prisma, clienteId, [produto])).get(produto.id);
+}
+
 /**
  * Função para calcular total do item
  */
 function calcularTotalItem(quantidade, precoUnit) {
-  return parseFloat(quantidade) * parseFloat(precoUnit);
+  // Quantidade fracionada (1,5 kg) gera centavos quebrados: arredonda em centavos
+  return arredondar(parseFloat(quantidade) * parseFloat(precoUnit));
+}
+
+/**
+ * Trava a venda até o fim da transação e confere de novo se ela ainda aceita mudanças nos itens:
+ * uma conclusão simultânea baixaria o estoque sem o item alterado
+ */
+async function travarVendaModificavel(tx, vendaId) {
+  const { count } = await tx.venda.updateMany({
+    where: { id: parseInt(vendaId), status: { notIn: ['Concluida', 'Cancelada'] } },
+    data: { atualizadoEm: new Date() }
+  });
+  if (count === 0) {
+    throw new ErroHttp('A venda foi concluída ou cancelada por outra operação; os itens não podem mais ser alterados', 409);
+  }
 }
 
 /**
- * Função para atualizar total da venda
+ * Função para atualizar total da venda (na transação que alterou os itens)
  */
-async function atualizarTotalVenda(vendaId) {
-  const itens = await prisma.itemVenda.findMany({
+async function atualizarTotalVenda(tx, vendaId) {
+  const itens = await tx.itemVenda.findMany({
     where: { vendaId: parseInt(vendaId) },
     select: {
       quantidade: true,
@@ -116,11 +172,11 @@ async function atualizarTotalVenda(vendaId) {
     }
   });
 
-  const totalVenda = itens.reduce((total, item) => {
+  const totalVenda = arredondar(itens.reduce((total, item) => {
     return total + (item.quantidade * item.precoUnit);
-  }, 0);
+  }, 0));
 
-  await prisma.venda.update({
+  await tx.venda.update({
     where: { id: parseInt(vendaId) },
     data: { total: totalVenda }
   });
@@ -149,23 +205,38 @@ const create = async (req, res) => {
     }
 
     // Verificar disponibilidade do produto
-    const disponibilidade = await verificarDisponibilidadeProduto(produtoId, quantidade);
+    const disponibilidade = await verificarDisponibilidadeProduto(produtoId, quantidade, vendaId);
     if (!disponibilidade.disponivel) {
       return res.status(400).json({ erro: disponibilidade.erro });
     }
 
-    // Usar preço do produto se não informado
-    const precoFinal = precoUnit || disponibilidade.produto.preco;
+    // Preço do cliente (tabela de preços ou preço vigente), usado se o preço não for informado
+    const { preco, precoMinimo } = await precoDoCliente(vendaStatus.venda.clienteId, disponibilidade.produto.id);
+    const precoFinal = precoUnit === undefined || precoUnit === null || precoUnit === '' ? preco : parseFloat(precoUnit);
+
+    // Abaixo do mínimo (da tabela do cliente ou do produto), só com liberação (Admin)
+    const precoLiberado = precoMinimo !== null && precoFinal < precoMinimo;
+    if (precoLiberado && !possuiPermissao(req.usuario, 'venda:liberar_preco')) {
+      return res.status(403).json({
+        erro: `Preço abaixo do mínimo (${precoMinimo}): o item precisa ser liberado por quem tem a permissão "venda:liberar_preco".`
+      });
+    }
 
     // Criar item de venda em transação
     const itemVenda = await prisma.$transaction(async (tx) => {
+      await travarVendaModificavel(tx, vendaId);
+
       // Criar o item
       const novoItem = await tx.itemVenda.create({
         data: {
           vendaId: parseInt(vendaId),
           produtoId: parseInt(produtoId),
-          quantidade: parseInt(quantidade),
-          precoUnit: parseFloat(precoFinal)
+          quantidade: disponibilidade.quantidadeNecessaria,
+          precoUnit: precoFinal,
+          precoMinimo,
+          precoLiberado,
+          // Custo provisório; é atualizado quando a venda for concluída
+          custoUnit: custoAtual(disponibilidade.produto)
         },
         include: {
           produto: {
@@ -192,11 +263,19 @@ const create = async (req, res) => {
       });
 
       // Atualizar total da venda
-      await atualizarTotalVenda(vendaId);
+      await atualizarTotalVenda(tx, vendaId);
+
+      // Refazer a reserva de estoque com o novo item
+      await renovarReservaVenda(tx, parseInt(vendaId));
 
       return novoItem;
     });
 
+    await registrarAuditoria(req, { acao: 'Criar', entidade: 'ItemVenda', depois: itemVenda });
+    if (precoLiberado) {
+      await registrarAuditoria(req, { acao: 'LiberarPreco', entidade: 'ItemVenda', depois: itemVenda });
+    }
+
     res.status(201).json({
       message: 'Item de venda criado com sucesso',
       item: itemVenda,
@@ -205,6 +284,10 @@ const create = async (req, res) => {
 
   } catch (err) {
     console.error('Erro ao criar item de venda:', err);
+
+    if (err instanceof ErroHttp) {
+      return res.status(err.status).json({ erro: err.message });
+    }
     
     if (err.code === 'P2003') {
       return res.status(400).json({ 
@@ -223,13 +306,11 @@ const create = async (req, res) => {
 const findAll = async (req, res) => {
   try {
     const { 
-      page = 1, 
-      limit = 20,
       vendaId,
       produtoId
     } = req.query;
 
-    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const { page, limit, skip } = obterPaginacao(req.query, 20);
     
     // Construir where clause
     const where = {};
@@ -246,7 +327,7 @@ const findAll = async (req, res) => {
       prisma.itemVenda.findMany({
         where,
         skip,
-        take: parseInt(limit),
+        take: limit,
         include: {
           produto: {
             select: {
@@ -282,7 +363,7 @@ const findAll = async (req, res) => {
       total: calcularTotalItem(item.quantidade, item.precoUnit)
     }));
 
-    const totalGeral = itensComTotal.reduce((sum, item) => sum + item.total, 0);
+    const totalGeral = arredondar(itensComTotal.reduce((sum, item) => sum + item.total, 0));
 
     res.json({
       itens: itensComTotal,
@@ -291,10 +372,10 @@ const findAll = async (req, res) => {
         valorTotal: totalGeral
       },
       paginacao: {
-        page: parseInt(page),
-        limit: parseInt(limit),
+        page,
+        limit,
         total,
-        totalPages: Math.ceil(total / parseInt(limit))
+        totalPages: Math.ceil(total / limit)
       }
     });
 
@@ -327,6 +408,13 @@ const findOne = async (req, res) => {
             status: true
           }
         },
+        // Lotes consumidos na conclusão da venda
+        lotes: {
+          select: {
+            quantidade: true,
+            lote: { select: { id: true, numero: true, validade: true } }
+          }
+        },
         venda: {
           include: {
             cliente: {
@@ -410,14 +498,15 @@ const update = async (req, res) => {
     }
 
     // Se mudou o produto ou quantidade, verificar disponibilidade
+    let disponibilidade = null;
     if (produtoId || quantidade) {
       const produtoAlvo = produtoId || itemAtual.produtoId;
       const quantidadeAlvo = quantidade || itemAtual.quantidade;
       
-      const disponibilidade = await verificarDisponibilidadeProduto(
+      disponibilidade = await verificarDisponibilidadeProduto(
         produtoAlvo, 
         quantidadeAlvo, 
-        id
+        itemAtual.venda.id
       );
       
       if (!disponibilidade.disponivel) {
@@ -425,13 +514,33 @@ const update = async (req, res) => {
       }
     }
 
+    // Novo preço ou produto: confere de novo o mínimo (da tabela do cliente ou do produto)
+    let precoLiberado = itemAtual.precoLiberado;
+    let precoMinimo = itemAtual.precoMinimo;
+    if (precoUnit || produtoId) {
+      const precoCliente = await precoDoCliente(vendaStatus.venda.clienteId, parseInt(produtoId || itemAtual.produtoId));
+      const precoAlvo = precoUnit ? parseFloat(precoUnit) : itemAtual.precoUnit;
+      precoMinimo = precoCliente.precoMinimo;
+      precoLiberado = precoMinimo !== null && precoAlvo < precoMinimo;
+      if (precoLiberado && !possuiPermissao(req.usuario, 'venda:liberar_preco')) {
+        return res.status(403).json({
+          erro: `Preço abaixo do mínimo (${precoMinimo}): o item precisa ser liberado por quem tem a permissão "venda:liberar_preco".`
+        });
+      }
+    }
+
     // Atualizar item de venda em transação
     const itemVenda = await prisma.$transaction(async (tx) => {
-      const dadosAtualizacao = {};
+      await travarVendaModificavel(tx, itemAtual.venda.id);
+
+      const dadosAtualizacao = { precoMinimo, precoLiberado };
       
-      if (quantidade) dadosAtualizacao.quantidade = parseInt(quantidade);
+      if (quantidade) dadosAtualizacao.quantidade = disponibilidade.quantidadeNecessaria;
       if (precoUnit) dadosAtualizacao.precoUnit = parseFloat(precoUnit);
-      if (produtoId) dadosAtualizacao.produtoId = parseInt(produtoId);
+      if (produtoId) {
+        dadosAtualizacao.produtoId = parseInt(produtoId);
+        dadosAtualizacao.custoUnit = custoAtual(disponibilidade.produto);
+      }
 
       const itemAtualizado = await tx.itemVenda.update({
         where: { id },
@@ -453,11 +562,24 @@ const update = async (req, res) => {
       });
 
       // Atualizar total da venda
-      await atualizarTotalVenda(itemAtualizado.venda.id);
+      await atualizarTotalVenda(tx, itemAtualizado.venda.id);
+
+      // Refazer a reserva de estoque com a nova quantidade
+      await renovarReservaVenda(tx, itemAtualizado.venda.id);
 
       return itemAtualizado;
     });
 
+    await registrarAuditoria(req, {
+      acao: 'Atualizar',
+      entidade: 'ItemVenda',
+      antes: itemAtual,
+      depois: itemVenda
+    });
+    if (precoLiberado && (precoUnit || produtoId)) {
+      await registrarAuditoria(req, { acao: 'LiberarPreco', entidade: 'ItemVenda', depois: itemVenda });
+    }
+
     res.json({
       message: 'Item de venda atualizado com sucesso',
       item: itemVenda,
@@ -466,6 +588,10 @@ const update = async (req, res) => {
 
   } catch (err) {
     console.error('Erro ao atualizar item de venda:', err);
+
+    if (err instanceof ErroHttp) {
+      return res.status(err.status).json({ erro: err.message });
+    }
     
     if (err.code === 'P2025') {
       return res.status(404).json({ erro: 'Item de venda não encontrado.' });
@@ -508,13 +634,20 @@ const remove = async (req, res) => {
     }
 
     await prisma.$transaction(async (tx) => {
+      await travarVendaModificavel(tx, item.venda.id);
+
       // Deletar item
       await tx.itemVenda.delete({ where: { id } });
 
       // Atualizar total da venda
-      await atualizarTotalVenda(item.venda.id);
+      await atualizarTotalVenda(tx, item.venda.id);
+
+      // Liberar a parte reservada para o item removido
+      await renovarReservaVenda(tx, item.venda.id);
     });
 
+    await registrarAuditoria(req, { acao: 'Excluir', entidade: 'ItemVenda', antes: item });
+
     res.json({ 
       mensagem: 'Item de venda deletado com sucesso.',
       vendaId: item.venda.id
@@ -522,6 +655,10 @@ const remove = async (req, res) => {
 
   } catch (err) {
     console.error('Erro ao deletar item de venda:', err);
+
+    if (err instanceof ErroHttp) {
+      return res.status(err.status).json({ erro: err.message });
+    }
     
     if (err.code === 'P2025') {
       return res.status(404).json({ erro: 'Item de venda não encontrado.' });
@@ -539,37 +676,66 @@ const findByVenda = async (req, res) => {
   const vendaId = parseInt(req.params.vendaId);
   if (isNaN(vendaId)) return res.status(400).json({ erro: 'ID da venda inválido.' });
 
+  const { page, limit, skip } = obterPaginacao(req.query, 20);
+
   try {
-    const itensVenda = await prisma.itemVenda.findMany({
-      where: { vendaId },
-      include: {
-        produto: {
-          select: {
-            id: true,
-            nome: true,
-            descricao: true,
-            preco: true
+    const venda = await prisma.venda.findUnique({
+      where: { id: vendaId },
+      select: { id: true }
+    });
+
+    if (!venda) {
+      return res.status(404).json({ erro: 'Venda não encontrada.' });
+    }
+
+    // Totais consideram todos os itens da venda, não só a página atual
+    const [itensVenda, todosItens] = await Promise.all([
+      prisma.itemVenda.findMany({
+        where: { vendaId },
+        skip,
+        take: limit,
+        include: {
+          produto: {
+            select: {
+              id: true,
+              nome: true,
+              descricao: true,
+              preco: true
+            }
           }
+        },
+        orderBy: {
+          id: 'asc'
         }
-      },
-      orderBy: {
-        id: 'asc'
-      }
-    });
+      }),
+      prisma.itemVenda.findMany({
+        where: { vendaId },
+        select: { quantidade: true, precoUnit: true }
+      })
+    ]);
 
     const itensComTotal = itensVenda.map(item => ({
       ...item,
       total: calcularTotalItem(item.quantidade, item.precoUnit)
     }));
 
-    const totalVenda = itensComTotal.reduce((sum, item) => sum + item.total, 0);
+    const totalVenda = arredondar(todosItens.reduce(
+      (sum, item) => sum + calcularTotalItem(item.quantidade, item.precoUnit),
+      0
+    ));
 
     res.json({
       vendaId: vendaId,
       itens: itensComTotal,
       totais: {
-        quantidadeItens: itensComTotal.length,
+        quantidadeItens: todosItens.length,
         valorTotal: totalVenda
+      },
+      paginacao: {
+        page,
+        limit,
+        total: todosItens.length,
+        totalPages: Math.ceil(todosItens.length / limit)
       }
     });
 
@@ -0,0 +1,597 @@
+const { Prisma } = require('@prisma/client');
+const prisma = require('../prisma');
+const { obterPaginacao } = require('../utils/paginacao');
+const { registrarAuditoria } = require('../services/auditoriaService');
+const { possuiPermissao } = require('../services/permissaoService');
+const { registrarEntrada } = require('../services/estoqueService');
+const { lerLote } = require('../services/loteService');
+const { resolverDeposito } = require('../services/depositoService');
+const { arredondar } = require('../services/custoService');
+const { ErroHttp } = require('../utils/erros');
+const {
+  MAX_CASAS_DECIMAIS,
+  paraDecimal,
+  somarQuantidades,
+  subtrairQuantidades,
+  lerQuantidade,
+  descreverPrecisao,
+  converterUnidadeCompra
+} = require('../utils/quantidades');
+
+const STATUS_PEDIDO = ['Rascunho', 'Enviado', 'RecebidoParcialmente', 'Recebido', 'Cancelado'];
+
+// Status em que o pedido ainda aguarda mercadoria
+const STATUS_RECEBIVEIS = ['Enviado', 'RecebidoParcialmente'];
+
+// Campos do produto usados para converter a unidade de compra
+const SELECT_UNIDADES = { unidade: true, casasDecimais: true, unidadeCompra: true, fatorCompra: true };
+
+const INCLUDE_COMPLETO = {
+  fornecedor: { select: { id: true, nome: true, cnpj: true } },
+  usuario: { select: { id: true, nome: true } },
+  itens: {
+    include: {
+      produto: { select: { id: true, nome: true, estoque: true, custoUltimaCompra: true, custoMedio: true, ...SELECT_UNIDADES } }
+    },
+    orderBy: { id: 'asc' }
+  }
+};
+
+/**
+ * Função para formatar datas no padrão dd/mm/aa HH:MM
+ */
+function formatarData(data) {
+  if (!data) return null;
+  const date = new Date(data);
+
+  const dia = date.getDate().toString().padStart(2, '0');
+  const mes = (date.getMonth() + 1).toString().padStart(2, '0');
+  const ano = date.getFullYear().toString().slice(-2);
+  const horas = date.getHours().toString().padStart(2, '0');
+  const minutos = date.getMinutes().toString().padStart(2, '0');
+
+  return `${dia}/${mes}/${ano} ${horas}:${minutos}`;
+}
+
+/**
+ * Aceita datas em dd/mm/aaaa ou ISO (aaaa-mm-dd)
+ */
+function converterData(valor) {
+  if (!valor) return null;
+
+  const brasileira = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(valor);
+  const data = brasileira
+    ? new Date(brasileira[3], brasileira[2] - 1, brasileira[1])
+    : new Date(valor);
+
+  return isNaN(data.getTime()) ? null : data;
+}
+
+function formatarPedido(pedido) {
+  const { _count, ...dados } = pedido;
+  return {
+    ...dados,
+    ...(_count ? { totalItens: _count.itens } : {}),
+    ...(pedido.itens ? {
+      itens: pedido.itens.map(item => ({
+        ...item,
+        quantidadePendente: subtrairQuantidades(item.quantidade, item.quantidadeRecebida)
+      }))
+    } : {}),
+    previsaoEntrega: formatarData(pedido.previsaoEntrega),
+    enviadoEm: formatarData(pedido.enviadoEm),
+    recebidoEm: formatarData(pedido.recebidoEm),
+    canceladoEm: formatarData(pedido.canceladoEm),
+    criadoEm: formatarData(pedido.criadoEm),
+    atualizadoEm: formatarData(pedido.atualizadoEm)
+  };
+}
+
+function lerId(valor) {
+  const id = parseInt(valor);
+  if (isNaN(id) || id <= 0) {
+    throw new ErroHttp('O ID deve ser um número positivo', 400, 'ID inválido');
+  }
+  return id;
+}
+
+/**
+ * Quantidade e custo de um item na unidade do produto. O item pode vir na unidade de compra
+ * (unidade: "CX"), que é convertida pelo fator do produto.
+ * @returns {{ quantidade: number, custoUnit: number }|string} a mensagem de erro, se inválido
+ */
+function naUnidadeDoProduto(produto, item) {
+  const convertido = converterUnidadeCompra(produto, item);
+  if (!convertido) {
+    return `${produto.nome} é comprado em ${[produto.unidade, produto.unidadeCompra].filter(Boolean).join(' ou ')}`;
+  }
+  if (lerQuantidade(convertido.quantidade, produto.casasDecimais) === null) {
+    return `quantidade de ${produto.nome} deve resultar em um ${descreverPrecisao(produto.casasDecimais)} de ${produto.unidade}`;
+  }
+  return convertido;
+}
+
+/**
+ * Valida a lista de itens e confere se os produtos existem e controlam estoque.
+ * Quantidades e custos voltam na unidade do produto.
+ */
+async function validarItens(itens) {
+  if (!Array.isArray(itens) || itens.length === 0) {
+    throw new ErroHttp('O pedido deve conter pelo menos um item');
+  }
+
+  const erros = [];
+  const normalizados = [];
+
+  for (const [index, item] of itens.entries()) {
+    const produtoId = parseInt(item.produtoId);
+    const quantidade = lerQuantidade(item.quantidade, MAX_CASAS_DECIMAIS);
+    const custoUnit = Number(item.custoUnit);
+
+    if (isNaN(produtoId) || produtoId <= 0) {
+      erros.push(`Item ${index + 1}: produtoId é obrigatório e deve ser um número válido`);
+    }
+    if (quantidade === null || quantidade <= 0) {
+      erros.push(`Item ${index + 1}: quantidade deve ser um número maior que zero`);
+    }
+    if (item.custoUnit === undefined || isNaN(custoUnit) || custoUnit < 0) {
+      erros.push(`Item ${index + 1}: custoUnit é obrigatório e deve ser um valor não negativo`);
+    }
+    if (normalizados.some(outro => outro.produtoId === produtoId)) {
+      erros.push(`Item ${index + 1}: produto ${produtoId} repetido no pedido`);
+    }
+
+    normalizados.push({ produtoId, quantidade, custoUnit, unidade: item.unidade });
+  }
+
+  if (erros.length === 0) {
+    const produtos = await prisma.produto.findMany({
+      where: { id: { in: normalizados.map(item => item.produtoId) } },
+      select: { id: true, nome: true, tipo: true, ...SELECT_UNIDADES }
+    });
+
+    for (const [index, item] of normalizados.entries()) {
+      const produto = produtos.find(p => p.id === item.produtoId);
+      if (!produto) {
+        erros.push(`Produto com ID ${item.produtoId} não encontrado`);
+      } else if (produto.tipo !== 'Produto') {
+        erros.push(`${produto.nome} é um serviço e não pode ser comprado para estoque`);
+      } else {
+        const convertido = naUnidadeDoProduto(produto, item);
+        if (typeof convertido === 'string') {
+          erros.push(`Item ${index + 1}: ${convertido}`);
+        } else {
+          normalizados[index] = { produtoId: item.produtoId, ...convertido };
+        }
+      }
+    }
+  }
+
+  if (erros.length > 0) {
+    throw new ErroHttp(erros.join('; '));
+  }
+
+  return normalizados;
+}
+
+async function validarFornecedor(fornecedorId) {
+  const id = lerId(fornecedorId);
+  const fornecedor = await prisma.fornecedor.findUnique({ where: { id } });
+
+  if (!fornecedor) {
+    throw new ErroHttp('Fornecedor não encontrado', 404);
+  }
+  if (fornecedor.status !== 'Ativo') {
+    throw new ErroHttp('Fornecedor inativo');
+  }
+  return fornecedor;
+}
+
+function calcularTotal(itens) {
+  return arredondar(itens.reduce((total, item) => total + item.quantidade * item.custoUnit, 0));
+}
+
+async function buscarPedido(id, client = prisma) {
+  const pedido = await client.pedidoCompra.findUnique({ where: { id }, include: INCLUDE_COMPLETO });
+  if (!pedido) {
+    throw new ErroHttp('Pedido de compra não encontrado', 404);
+  }
+  return pedido;
+}
+
+const handleError = (res, error, context) => {
+  if (error instanceof ErroHttp) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.titulo,
+      message: error.message
+    });
+  }
+
+  console.error(`Erro em ${context}:`, error);
+
+  if (error instanceof Prisma.PrismaClientKnownRequestError && error.code === 'P2025') {
+    return res.status(404).json({
+      success: false,
+      error: 'Não encontrado',
+      message: 'Pedido de compra não encontrado'
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: 'Erro interno do servidor',
+    message: 'Erro interno'
+  });
+};
+
+// Listar pedidos de compra
+const findAll = async (req, res) => {
+  try {
+    const { status, fornecedorId } = req.query;
+    const { page, limit, skip } = obterPaginacao(req.query);
+
+    const where = {};
+
+    if (status) {
+      if (!STATUS_PEDIDO.includes(status)) {
+        throw new ErroHttp(`Status deve ser um dos: ${STATUS_PEDIDO.join(', ')}`);
+      }
+      where.status = status;
+    }
+    if (fornecedorId) where.fornecedorId = lerId(fornecedorId);
+
+    const [pedidos, total] = await Promise.all([
+      prisma.pedidoCompra.findMany({
+        where,
+        skip,
+        take: limit,
+        include: {
+          fornecedor: { select: { id: true, nome: true } },
+          _count: { select: { itens: true } }
+        },
+        orderBy: { criadoEm: 'desc' }
+      }),
+      prisma.pedidoCompra.count({ where })
+    ]);
+
+    res.json({
+      success: true,
+      data: pedidos.map(formatarPedido),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    handleError(res, error, 'findAll pedidos de compra');
+  }
+};
+
+// Buscar pedido com itens e quantidades pendentes
+const findOne = async (req, res) => {
+  try {
+    const pedido = await buscarPedido(lerId(req.params.id));
+
+    res.json({
+      success: true,
+      data: formatarPedido(pedido)
+    });
+
+  } catch (error) {
+    handleError(res, error, 'findOne pedido de compra');
+  }
+};
+
+// Criar pedido (sempre como Rascunho)
+const create = async (req, res) => {
+  try {
+    const { fornecedorId, itens, previsaoEntrega, observacoes } = req.body || {};
+
+    await validarFornecedor(fornecedorId);
+    const itensValidos = await validarItens(itens);
+
+    const previsao = converterData(previsaoEntrega);
+    if (previsaoEntrega && !previsao) {
+      throw new ErroHttp('previsaoEntrega deve estar no formato dd/mm/aaaa ou aaaa-mm-dd');
+    }
+
+    const pedido = await prisma.pedidoCompra.create({
+      data: {
+        fornecedorId: parseInt(fornecedorId),
+        usuarioId: req.usuario.id,
+        previsaoEntrega: previsao,
+        observacoes: observacoes || null,
+        total: calcularTotal(itensValidos),
+        itens: { create: itensValidos }
+      },
+      include: INCLUDE_COMPLETO
+    });
+
+    await registrarAuditoria(req, { acao: 'Criar', entidade: 'PedidoCompra', depois: pedido });
+
+    res.status(201).json({
+      success: true,
+      message: 'Pedido de compra criado com sucesso',
+      data: formatarPedido(pedido)
+    });
+
+  } catch (error) {
+    handleError(res, error, 'create pedido de compra');
+  }
+};
+
+// Alterar pedido em rascunho; itens enviados substituem os anteriores
+const update = async (req, res) => {
+  try {
+    const id = lerId(req.params.id);
+    const { fornecedorId, itens, previsaoEntrega, observacoes } = req.body || {};
+
+    const pedidoAntes = await buscarPedido(id);
+    if (pedidoAntes.status !== 'Rascunho') {
+      throw new ErroHttp('Só pedidos em Rascunho podem ser alterados', 409);
+    }
+
+    const data = {};
+
+    if (fornecedorId !== undefined) {
+      await validarFornecedor(fornecedorId);
+      data.fornecedorId = parseInt(fornecedorId);
+    }
+    if (previsaoEntrega !== undefined) {
+      const previsao = converterData(previsaoEntrega);
+      if (previsaoEntrega && !previsao) {
+        throw new ErroHttp('previsaoEntrega deve estar no formato dd/mm/aaaa ou aaaa-mm-dd');
+      }
+      data.previsaoEntrega = previsao;
+    }
+    if (observacoes !== undefined) data.observacoes = observacoes || null;
+
+    if (itens !== undefined) {
+      const itensValidos = await validarItens(itens);
+      data.total = calcularTotal(itensValidos);
+      data.itens = { deleteMany: {}, create: itensValidos };
+    }
+
+    const pedido = await prisma.pedidoCompra.update({
+      where: { id },
+      data,
+      include: INCLUDE_COMPLETO
+    });
+
+    await registrarAuditoria(req, {
+      acao: 'Atualizar',
+      entidade: 'PedidoCompra',
+      antes: pedidoAntes,
+      depois: pedido
+    });
+
+    res.json({
+      success: true,
+      message: 'Pedido de compra atualizado com sucesso',
+      data: formatarPedido(pedido)
+    });
+
+  } catch (error) {
+    handleError(res, error, 'update pedido de compra');
+  }
+};
+
+// Enviar ao fornecedor ou cancelar. Os status de recebimento vêm de POST /recebimentos.
+const updateStatus = async (req, res) => {
+  try {
+    const id = lerId(req.params.id);
+    const { status } = req.body || {};
+
+    if (!['Enviado', 'Cancelado'].includes(status)) {
+      throw new ErroHttp('Status inválido. Use: Enviado ou Cancelado (recebimentos em POST /api/pedidos-compra/:id/recebimentos)');
+    }
+
+    if (status === 'Cancelado' && !possuiPermissao(req.usuario, 'compra:cancelar')) {
+      throw new ErroHttp('Você não tem a permissão "compra:cancelar".', 403);
+    }
+
+    const pedidoAntes = await buscarPedido(id);
+
+    const data = { status };
+    if (status === 'Enviado') {
+      if (pedidoAntes.status !== 'Rascunho') {
+        throw new ErroHttp('Só pedidos em Rascunho podem ser enviados', 409);
+      }
+      data.enviadoEm = new Date();
+    } else {
+      if (!['Rascunho', ...STATUS_RECEBIVEIS].includes(pedidoAntes.status)) {
+        throw new ErroHttp(`Pedido ${pedidoAntes.status} não pode ser cancelado`, 409);
+      }
+      data.canceladoEm = new Date();
+    }
+
+    // Condição no status evita que duas requisições mudem o mesmo pedido ao mesmo tempo
+    const { count } = await prisma.pedidoCompra.updateMany({
+      where: { id, status: pedidoAntes.status },
+      data
+    });
+    if (count === 0) {
+      throw new ErroHttp('O pedido foi alterado por outra operação; tente novamente', 409);
+    }
+
+    const pedido = await buscarPedido(id);
+
+    await registrarAuditoria(req, {
+      acao: 'AlterarStatus',
+      entidade: 'PedidoCompra',
+      antes: pedidoAntes,
+      depois: pedido
+    });
+
+    res.json({
+      success: true,
+      message: status === 'Enviado' ? 'Pedido enviado ao fornecedor' : 'Pedido cancelado',
+      data: formatarPedido(pedido)
+    });
+
+  } catch (error) {
+    handleError(res, error, 'updateStatus pedido de compra');
+  }
+};
+
+// Registrar recebimento (total ou parcial): entra no estoque e atualiza o custo médio e o da última compra
+const receber = async (req, res) => {
+  try {
+    const id = lerId(req.params.id);
+    const { itens, observacao, depositoId } = req.body || {};
+
+    if (!Array.isArray(itens) || itens.length === 0) {
+      throw new ErroHttp('Informe os itens recebidos');
+    }
+
+    // Mercadoria entra no depósito informado (ou no padrão do usuário)
+    const deposito = await resolverDeposito(prisma, depositoId, req.usuario);
+
+    const pedidoAntes = await buscarPedido(id);
+    if (!STATUS_RECEBIVEIS.includes(pedidoAntes.status)) {
+      throw new ErroHttp(`Pedido ${pedidoAntes.status} não pode receber mercadoria`, 409);
+    }
+
+    const recebidos = itens.map((item, index) => {
+      const produtoId = parseInt(item.produtoId);
+      const quantidadeInformada = lerQuantidade(item.quantidade, MAX_CASAS_DECIMAIS);
+      const itemPedido = pedidoAntes.itens.find(i => i.produtoId === produtoId);
+
+      if (!itemPedido) {
+        throw new ErroHttp(`Item ${index + 1}: produto ${item.produtoId} não faz parte do pedido`);
+      }
+      if (quantidadeInformada === null || quantidadeInformada <= 0) {
+        throw new ErroHttp(`Item ${index + 1}: quantidade deve ser um número maior que zero`);
+      }
+
+      // Custo da nota pode diferir do pedido; sem informar, vale o do pedido (já na unidade do produto)
+      const custoInformado = item.custoUnit !== undefined ? Number(item.custoUnit) : undefined;
+      if (custoInformado !== undefined && (isNaN(custoInformado) || custoInformado < 0)) {
+        throw new ErroHttp(`Item ${index + 1}: custoUnit deve ser um valor não negativo`);
+      }
+
+      // Quantidade e custo podem vir na unidade de compra (ex.: caixas)
+      const convertido = naUnidadeDoProduto(itemPedido.produto, {
+        quantidade: quantidadeInformada,
+        custoUnit: custoInformado,
+        unidade: item.unidade
+      });
+      if (typeof convertido === 'string') {
+        throw new ErroHttp(`Item ${index + 1}: ${convertido}`);
+      }
+      const { quantidade } = convertido;
+      const custoUnit = convertido.custoUnit !== undefined ? convertido.custoUnit : itemPedido.custoUnit;
+
+      // Produto com controle de lote: um item por lote recebido
+      const lote = lerLote(item.lote);
+
+      return { itemPedido, quantidade, custoUnit, lote };
+    });
+
+    const pedido = await prisma.$transaction(async (tx) => {
+      for (const { itemPedido, quantidade, custoUnit, lote } of recebidos) {
+        // Soma em Prisma.Decimal; o where garante que ninguém
+        // recebeu o mesmo item entre a leitura e a gravação
+        const { quantidadeRecebida } = await tx.itemPedidoCompra.findUnique({ where: { id: itemPedido.id } });
+        const novaQuantidade = somarQuantidades(quantidadeRecebida, quantidade);
+        if (paraDecimal(itemPedido.quantidade).lt(novaQuantidade)) {
+          throw new ErroHttp(`Quantidade recebida de ${itemPedido.produto.nome} ultrapassa o saldo pendente do pedido`, 409);
+        }
+
+        const { count } = await tx.itemPedidoCompra.updateMany({
+          where: { id: itemPedido.id, quantidadeRecebida },
+          data: { quantidadeRecebida: novaQuantidade }
+        });
+        if (count === 0) {
+          throw new ErroHttp('O pedido foi alterado por outra operação; tente novamente', 409);
+        }
+
+        await registrarEntrada(tx, {
+          produtoId: itemPedido.produtoId,
+          depositoId: deposito.id,
+          quantidade,
+          custoUnit,
+          lote,
+          compra: true,
+          documentoTipo: 'PedidoCompra',
+          documentoId: id,
+          usuarioId: req.usuario.id,
+          observacao
+        });
+      }
+
+      const itensAtualizados = await tx.itemPedidoCompra.findMany({ where: { pedidoId: id } });
+      const completo = itensAtualizados.every(item => paraDecimal(item.quantidadeRecebida).gte(item.quantidade));
+
+      // Se o pedido foi cancelado no meio do caminho, desfaz o recebimento
+      const { count } = await tx.pedidoCompra.updateMany({
+        where: { id, status: { in: STATUS_RECEBIVEIS } },
+        data: completo
+          ? { status: 'Recebido', recebidoEm: new Date() }
+          : { status: 'RecebidoParcialmente' }
+      });
+      if (count === 0) {
+        throw new ErroHttp('O pedido foi alterado por outra operação; tente novamente', 409);
+      }
+
+      return buscarPedido(id, tx);
+    });
+
+    await registrarAuditoria(req, {
+      acao: 'Receber',
+      entidade: 'PedidoCompra',
+      antes: pedidoAntes,
+      depois: pedido
+    });
+
+    res.json({
+      success: true,
+      message: pedido.status === 'Recebido'
+        ? 'Pedido recebido por completo'
+        : 'Recebimento parcial registrado',
+      data: formatarPedido(pedido)
+    });
+
+  } catch (error) {
+    handleError(res, error, 'receber pedido de compra');
+  }
+};
+
+// Excluir pedido ainda em rascunho
+const remove = async (req, res) => {
+  try {
+    const id = lerId(req.params.id);
+
+    const pedido = await buscarPedido(id);
+    if (pedido.status !== 'Rascunho') {
+      throw new ErroHttp('Só pedidos em Rascunho podem ser excluídos; cancele os demais', 409);
+    }
+
+    await prisma.pedidoCompra.delete({ where: { id } });
+
+    await registrarAuditoria(req, { acao: 'Excluir', entidade: 'PedidoCompra', antes: pedido });
+
+    res.json({
+      success: true,
+      message: 'Pedido de compra excluído com sucesso',
+      data: { id }
+    });
+
+  } catch (error) {
+    handleError(res, error, 'remove pedido de compra');
+  }
+};
+
+module.exports = {
+  findAll,
+  findOne,
+  create,
+  update,
+  updateStatus,
+  receber,
+  remove
+};
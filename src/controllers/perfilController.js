@@ -0,0 +1,362 @@
+const { Prisma } = require('@prisma/client');
+const prisma = require('../prisma');
+const { registrarAuditoria } = require('../services/auditoriaService');
+const {
+  PERMISSOES,
+  PERMISSOES_PERFIL_BASE,
+  resolverPermissoes,
+  permissoesNaoConcedidas,
+  permissoesInvalidas
+} = require('../services/permissaoService');
+const { ErroHttp } = require('../utils/erros');
+
+/**
+ * Função para formatar datas no padrão dd/mm/aa HH:MM
+ */
+function formatarData(data) {
+  if (!data) return null;
+  const date = new Date(data);
+
+  const dia = date.getDate().toString().padStart(2, '0');
+  const mes = (date.getMonth() + 1).toString().padStart(2, '0');
+  const ano = date.getFullYear().toString().slice(-2);
+  const horas = date.getHours().toString().padStart(2, '0');
+  const minutos = date.getMinutes().toString().padStart(2, '0');
+
+  return `${dia}/${mes}/${ano} ${horas}:${minutos}`;
+}
+
+function formatarPerfil(perfil) {
+  const { _count, ...dados } = perfil;
+  return {
+    ...dados,
+    ...(_count ? { totalUsuarios: _count.usuarios } : {}),
+    criadoEm: formatarData(perfil.criadoEm),
+    atualizadoEm: formatarData(perfil.atualizadoEm)
+  };
+}
+
+function validarPerfil(dados, isUpdate = false) {
+  const erros = [];
+
+  if (!isUpdate || dados.nome !== undefined) {
+    if (!dados.nome || typeof dados.nome !== 'string' || dados.nome.trim().length < 2) {
+      erros.push('Nome deve ter pelo menos 2 caracteres');
+    } else if (Object.prototype.hasOwnProperty.call(PERMISSOES_PERFIL_BASE, dados.nome.trim())) {
+      erros.push(`"${dados.nome.trim()}" é um perfil base e não pode ser usado como nome`);
+    }
+  }
+
+  if (!isUpdate || dados.permissoes !== undefined) {
+    if (!Array.isArray(dados.permissoes) || dados.permissoes.length === 0) {
+      erros.push('Informe ao menos uma permissão');
+    } else {
+      const invalidas = permissoesInvalidas(dados.permissoes);
+      if (invalidas.length > 0) {
+        erros.push(`Permissões desconhecidas: ${invalidas.join(', ')}`);
+      }
+    }
+  }
+
+  return erros;
+}
+
+/**
+ * Recusa (403) conceder permissões que o usuário logado não tem
+ */
+function exigirPermissoesConcedidas(usuario, permissoes) {
+  const excedentes = permissoesNaoConcedidas(usuario, permissoes);
+  if (excedentes.length > 0) {
+    throw new ErroHttp(`Você não pode conceder permissões que não possui: ${excedentes.join(', ')}`, 403);
+  }
+}
+
+function lerId(valor) {
+  const id = parseInt(valor);
+  if (isNaN(id) || id <= 0) {
+    throw new ErroHttp('O ID deve ser um número positivo', 400, 'ID inválido');
+  }
+  return id;
+}
+
+const handleError = (res, error, context) => {
+  if (error instanceof ErroHttp) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.titulo,
+      message: error.message
+    });
+  }
+
+  console.error(`Erro em ${context}:`, error);
+
+  if (error instanceof Prisma.PrismaClientKnownRequestError) {
+    if (error.code === 'P2002') {
+      return res.status(409).json({
+        success: false,
+        error: 'Conflito de dados',
+        message: 'Já existe um perfil com este nome'
+      });
+    }
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        success: false,
+        error: 'Não encontrado',
+        message: 'Perfil não encontrado'
+      });
+    }
+  }
+
+  res.status(500).json({
+    success: false,
+    error: 'Erro interno do servidor',
+    message: 'Erro interno'
+  });
+};
+
+// Catálogo de permissões disponíveis e as dos perfis base
+const listarPermissoes = async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      permissoes: Object.entries(PERMISSOES).map(([codigo, descricao]) => ({ codigo, descricao })),
+      perfisBase: PERMISSOES_PERFIL_BASE
+    }
+  });
+};
+
+// Listar perfis da empresa
+const findAll = async (req, res) => {
+  try {
+    const perfis = await prisma.perfil.findMany({
+      include: { _count: { select: { usuarios: true } } },
+      orderBy: { nome: 'asc' }
+    });
+
+    res.json({
+      success: true,
+      data: perfis.map(formatarPerfil)
+    });
+
+  } catch (error) {
+    handleError(res, error, 'findAll perfis');
+  }
+};
+
+// Buscar perfil por ID
+const findOne = async (req, res) => {
+  try {
+    const id = lerId(req.params.id);
+
+    const perfil = await prisma.perfil.findUnique({
+      where: { id },
+      include: { _count: { select: { usuarios: true } } }
+    });
+
+    if (!perfil) {
+      throw new ErroHttp('Perfil não encontrado', 404);
+    }
+
+    res.json({
+      success: true,
+      data: formatarPerfil(perfil)
+    });
+
+  } catch (error) {
+    handleError(res, error, 'findOne perfil');
+  }
+};
+
+// Criar perfil
+const create = async (req, res) => {
+  try {
+    const { nome, descricao, permissoes } = req.body || {};
+
+    const erros = validarPerfil({ nome, permissoes });
+    if (erros.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Dados inválidos',
+        details: erros
+      });
+    }
+
+    exigirPermissoesConcedidas(req.usuario, permissoes);
+
+    const perfil = await prisma.perfil.create({
+      data: {
+        nome: nome.trim(),
+        descricao: descricao || null,
+        permissoes: [...new Set(permissoes)]
+      }
+    });
+
+    await registrarAuditoria(req, { acao: 'Criar', entidade: 'Perfil', depois: perfil });
+
+    res.status(201).json({
+      success: true,
+      message: 'Perfil criado com sucesso',
+      data: formatarPerfil(perfil)
+    });
+
+  } catch (error) {
+    handleError(res, error, 'create perfil');
+  }
+};
+
+// Atualizar perfil (vale para os usuários já na próxima requisição)
+const update = async (req, res) => {
+  try {
+    const id = lerId(req.params.id);
+    const { nome, descricao, permissoes } = req.body || {};
+
+    const erros = validarPerfil({ nome, permissoes }, true);
+    if (erros.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Dados inválidos',
+        details: erros
+      });
+    }
+
+    if (permissoes !== undefined) {
+      exigirPermissoesConcedidas(req.usuario, permissoes);
+    }
+
+    const perfilAntes = await prisma.perfil.findUnique({ where: { id } });
+    if (!perfilAntes) {
+      throw new ErroHttp('Perfil não encontrado', 404);
+    }
+
+    const data = {};
+    if (nome !== undefined) data.nome = nome.trim();
+    if (descricao !== undefined) data.descricao = descricao || null;
+    if (permissoes !== undefined) data.permissoes = [...new Set(permissoes)];
+
+    const perfil = await prisma.perfil.update({ where: { id }, data });
+
+    await registrarAuditoria(req, {
+      acao: 'Atualizar',
+      entidade: 'Perfil',
+      antes: perfilAntes,
+      depois: perfil
+    });
+
+    res.json({
+      success: true,
+      message: 'Perfil atualizado com sucesso',
+      data: formatarPerfil(perfil)
+    });
+
+  } catch (error) {
+    handleError(res, error, 'update perfil');
+  }
+};
+
+// Excluir perfil sem usuários
+const remove = async (req, res) => {
+  try {
+    const id = lerId(req.params.id);
+
+    const perfil = await prisma.perfil.findUnique({
+      where: { id },
+      include: { _count: { select: { usuarios: true } } }
+    });
+
+    if (!perfil) {
+      throw new ErroHttp('Perfil não encontrado', 404);
+    }
+
+    if (perfil._count.usuarios > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Perfil em uso',
+        message: `O perfil está atribuído a ${perfil._count.usuarios} usuário(s). Remova a atribuição antes de excluir.`
+      });
+    }
+
+    await prisma.perfil.delete({ where: { id } });
+
+    await registrarAuditoria(req, { acao: 'Excluir', entidade: 'Perfil', antes: perfil });
+
+    res.json({
+      success: true,
+      message: 'Perfil excluído com sucesso',
+      data: { id }
+    });
+
+  } catch (error) {
+    handleError(res, error, 'remove perfil');
+  }
+};
+
+// Atribuir (ou remover, com perfilId null) o perfil de um usuário na empresa atual
+const atribuirAoUsuario = async (req, res) => {
+  try {
+    const usuarioId = lerId(req.params.id);
+    const { perfilId } = req.body || {};
+
+    if (perfilId === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Dados incompletos',
+        message: 'perfilId é obrigatório (use null para voltar ao perfil base)'
+      });
+    }
+
+    let perfil = null;
+    if (perfilId !== null) {
+      perfil = await prisma.perfil.findUnique({ where: { id: lerId(perfilId) } });
+      if (!perfil) {
+        throw new ErroHttp('Perfil não encontrado', 404);
+      }
+    }
+
+    const empresaId = req.usuario.empresaId;
+    const vinculo = await prisma.usuarioEmpresa.findUnique({
+      where: { usuarioId_empresaId: { usuarioId, empresaId } },
+      include: { usuario: { select: { perfil: true } } }
+    });
+
+    if (!vinculo) {
+      throw new ErroHttp('Usuário não encontrado', 404);
+    }
+
+    // O usuário não pode acabar com mais permissões do que quem atribui
+    exigirPermissoesConcedidas(req.usuario, resolverPermissoes(vinculo.usuario.perfil, perfil));
+
+    await prisma.usuarioEmpresa.update({
+      where: { usuarioId_empresaId: { usuarioId, empresaId } },
+      data: { perfilId: perfil ? perfil.id : null }
+    });
+
+    await registrarAuditoria(req, {
+      acao: 'AtribuirPerfil',
+      entidade: 'Usuario',
+      entidadeId: usuarioId,
+      antes: { perfilId: vinculo.perfilId },
+      depois: { perfilId: perfil ? perfil.id : null }
+    });
+
+    res.json({
+      success: true,
+      message: perfil
+        ? `Perfil "${perfil.nome}" atribuído ao usuário`
+        : 'Usuário voltou às permissões do perfil base',
+      data: { usuarioId, perfilId: perfil ? perfil.id : null }
+    });
+
+  } catch (error) {
+    handleError(res, error, 'atribuirAoUsuario perfil');
+  }
+};
+
+module.exports = {
+  listarPermissoes,
+  findAll,
+  findOne,
+  create,
+  update,
+  remove,
+  atribuirAoUsuario
+};
@@ -0,0 +1,338 @@
+const { Prisma } = require('@prisma/client');
+const prisma = require('../prisma');
+const { obterPaginacao } = require('../utils/paginacao');
+const { registrarAuditoria } = require('../services/auditoriaService');
+const {
+  TIPOS_PROGRAMACAO,
+  aplicarAlteracoesAgendadas,
+  precosVigentes
+} = require('../services/precoService');
+const { ErroHttp } = require('../utils/erros');
+
+const STATUS_PROGRAMACAO = ['Agendado', 'Aplicado', 'Cancelado'];
+
+/**
+ * Função para formatar datas no padrão dd/mm/aa HH:MM
+ */
+function formatarData(data) {
+  if (!data) return null;
+  const date = new Date(data);
+
+  const dia = date.getDate().toString().padStart(2, '0');
+  const mes = (date.getMonth() + 1).toString().padStart(2, '0');
+  const ano = date.getFullYear().toString().slice(-2);
+  const horas = date.getHours().toString().padStart(2, '0');
+  const minutos = date.getMinutes().toString().padStart(2, '0');
+
+  return `${dia}/${mes}/${ano} ${horas}:${minutos}`;
+}
+
+/**
+ * Aceita datas em dd/mm/aaaa, dd/mm/aaaa HH:MM ou ISO
+ */
+function converterData(valor) {
+  if (!valor) return null;
+
+  const brasileira = /^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:\s+(\d{1,2}):(\d{2}))?$/.exec(valor);
+  const data = brasileira
+    ? new Date(brasileira[3], brasileira[2] - 1, brasileira[1], brasileira[4] || 0, brasileira[5] || 0)
+    : new Date(valor);
+
+  return isNaN(data.getTime()) ? null : data;
+}
+
+/**
+ * Situação de uma programação: Futura, Vigente ou Encerrada (Aplicado e Cancelado ficam como estão)
+ */
+function situacaoProgramacao(programacao, agora) {
+  if (programacao.status !== 'Agendado') return programacao.status;
+  if (programacao.inicio > agora) return 'Futura';
+  return programacao.fim && programacao.fim <= agora ? 'Encerrada' : 'Vigente';
+}
+
+function formatarProgramacao(programacao, agora = new Date()) {
+  return {
+    ...programacao,
+    situacao: situacaoProgramacao(programacao, agora),
+    inicio: formatarData(programacao.inicio),
+    fim: formatarData(programacao.fim),
+    aplicadoEm: formatarData(programacao.aplicadoEm),
+    criadoEm: formatarData(programacao.criadoEm)
+  };
+}
+
+function lerId(valor) {
+  const id = parseInt(valor);
+  if (isNaN(id) || id <= 0) {
+    throw new ErroHttp('O ID deve ser um número positivo', 400, 'ID inválido');
+  }
+  return id;
+}
+
+async function buscarProduto(id) {
+  const produto = await prisma.produto.findUnique({
+    where: { id },
+    select: { id: true, nome: true, tipo: true, preco: true, produtoPaiId: true }
+  });
+  if (!produto) {
+    throw new ErroHttp('Produto não encontrado', 404);
+  }
+  return produto;
+}
+
+/**
+ * Valida a programação: Alteracao precisa de início futuro; Promocao, de fim depois do início
+ * @returns {{ tipo: string, preco: number, inicio: Date, fim: Date|null, motivo: string|null }}
+ */
+function validarProgramacao(dados, agora) {
+  const erros = [];
+  const { tipo, motivo } = dados;
+  const preco = Number(dados.preco);
+  const inicio = dados.inicio ? converterData(dados.inicio) : (tipo === 'Promocao' ? agora : null);
+  const fim = converterData(dados.fim);
+
+  if (!TIPOS_PROGRAMACAO.includes(tipo)) {
+    erros.push(`Tipo deve ser: ${TIPOS_PROGRAMACAO.join(' ou ')}`);
+  }
+  if (dados.preco === undefined || dados.preco === null || isNaN(preco) || preco < 0) {
+    erros.push('Preço é obrigatório e deve ser um número não negativo');
+  }
+  if (dados.inicio && !inicio) {
+    erros.push('inicio deve estar no formato dd/mm/aaaa, dd/mm/aaaa HH:MM ou ISO');
+  }
+  if (dados.fim && !fim) {
+    erros.push('fim deve estar no formato dd/mm/aaaa, dd/mm/aaaa HH:MM ou ISO');
+  }
+  if (motivo && (typeof motivo !== 'string' || motivo.length > 255)) {
+    erros.push('Motivo deve ser um texto de até 255 caracteres');
+  }
+
+  if (tipo === 'Alteracao') {
+    if (!dados.inicio) {
+      erros.push('Informe o início da alteração');
+    } else if (inicio && inicio <= agora) {
+      erros.push('O início da alteração deve ser futuro; para alterar agora, use PUT /api/produtos/:id');
+    }
+    if (dados.fim) {
+      erros.push('Alteração não tem fim; para um preço temporário, use o tipo Promocao');
+    }
+  }
+
+  if (tipo === 'Promocao') {
+    if (!dados.fim) {
+      erros.push('Informe o fim da promoção');
+    } else if (fim && inicio && fim <= inicio) {
+      erros.push('O fim da promoção deve ser depois do início');
+    } else if (fim && fim <= agora) {
+      erros.push('A promoção já teria terminado');
+    }
+  }
+
+  if (erros.length > 0) {
+    throw new ErroHttp(erros.join('; '), 400, 'Dados inválidos');
+  }
+
+  return { tipo, preco, inicio, fim: tipo === 'Promocao' ? fim : null, motivo: motivo || null };
+}
+
+const handleError = (res, error, context) => {
+  if (error instanceof ErroHttp) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.titulo,
+      message: error.message
+    });
+  }
+
+  console.error(`Erro em ${context}:`, error);
+
+  if (error instanceof Prisma.PrismaClientKnownRequestError && error.code === 'P2025') {
+    return res.status(404).json({
+      success: false,
+      error: 'Não encontrado',
+      message: 'Registro não encontrado'
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: 'Erro interno do servidor',
+    message: 'Erro interno'
+  });
+};
+
+// Histórico de preços do produto, do mais recente para o mais antigo
+const listarHistorico = async (req, res) => {
+  try {
+    const produtoId = lerId(req.params.id);
+    const { page, limit, skip } = obterPaginacao(req.query, 20);
+
+    // Alterações agendadas que já venceram entram no histórico antes da consulta
+    await aplicarAlteracoesAgendadas(prisma, [produtoId]);
+    const produto = await buscarProduto(produtoId);
+
+    const where = { produtoId };
+    const [historico, total] = await Promise.all([
+      prisma.historicoPreco.findMany({
+        where,
+        skip,
+        take: limit,
+        include: { usuario: { select: { id: true, nome: true } } },
+        orderBy: [{ criadoEm: 'desc' }, { id: 'desc' }]
+      }),
+      prisma.historicoPreco.count({ where })
+    ]);
+
+    const vigente = (await precosVigentes(prisma, [produto])).get(produto.id);
+
+    res.json({
+      success: true,
+      data: {
+        produto: { id: produto.id, nome: produto.nome, preco: produto.preco, precoVigente: vigente.preco },
+        historico: historico.map(registro => ({
+          ...registro,
+          criadoEm: formatarData(registro.criadoEm)
+        }))
+      },
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    handleError(res, error, 'listarHistorico preços');
+  }
+};
+
+// Alterações agendadas e promoções do produto (filtro status), com o preço vigente agora
+const listarProgramados = async (req, res) => {
+  try {
+    const produtoId = lerId(req.params.id);
+    const { status } = req.query;
+
+    if (status && !STATUS_PROGRAMACAO.includes(status)) {
+      throw new ErroHttp(`Status deve ser: ${STATUS_PROGRAMACAO.join(', ')}`);
+    }
+
+    await aplicarAlteracoesAgendadas(prisma, [produtoId]);
+    const produto = await buscarProduto(produtoId);
+
+    const where = { produtoId };
+    if (status) where.status = status;
+
+    const programados = await prisma.precoProgramado.findMany({
+      where,
+      include: { usuario: { select: { id: true, nome: true } } },
+      orderBy: [{ inicio: 'desc' }, { id: 'desc' }]
+    });
+
+    const agora = new Date();
+    const vigente = (await precosVigentes(prisma, [produto], agora)).get(produto.id);
+
+    res.json({
+      success: true,
+      data: {
+        produto: { id: produto.id, nome: produto.nome, preco: produto.preco },
+        precoVigente: vigente.preco,
+        promocaoVigente: vigente.promocao ? formatarProgramacao({ ...vigente.promocao, status: 'Agendado' }, agora) : null,
+        programados: programados.map(programacao => formatarProgramacao(programacao, agora))
+      }
+    });
+
+  } catch (error) {
+    handleError(res, error, 'listarProgramados preços');
+  }
+};
+
+// Agendar uma alteração de preço (definitiva, a partir de inicio) ou uma promoção (de inicio a fim).
+// Promoção na grade vale para todas as variantes.
+const programar = async (req, res) => {
+  try {
+    const produtoId = lerId(req.params.id);
+    const agora = new Date();
+    const dados = validarProgramacao(req.body || {}, agora);
+
+    const produto = await buscarProduto(produtoId);
+    if (dados.tipo === 'Promocao' && dados.preco >= produto.preco) {
+      throw new ErroHttp(`O preço promocional deve ser menor que o preço atual (${produto.preco})`);
+    }
+
+    // Duas alterações no mesmo instante deixariam o preço final ambíguo
+    if (dados.tipo === 'Alteracao') {
+      const mesmoInicio = await prisma.precoProgramado.findFirst({
+        where: { produtoId, tipo: 'Alteracao', status: 'Agendado', inicio: dados.inicio }
+      });
+      if (mesmoInicio) {
+        throw new ErroHttp('Já existe uma alteração agendada para o mesmo início; cancele-a antes', 409);
+      }
+    }
+
+    const programacao = await prisma.precoProgramado.create({
+      data: { ...dados, produtoId, usuarioId: req.usuario.id }
+    });
+
+    await registrarAuditoria(req, { acao: 'Criar', entidade: 'PrecoProgramado', depois: programacao });
+
+    res.status(201).json({
+      success: true,
+      message: dados.tipo === 'Promocao'
+        ? `Promoção de ${produto.nome} programada`
+        : `Alteração de preço de ${produto.nome} agendada`,
+      data: formatarProgramacao(programacao, agora)
+    });
+
+  } catch (error) {
+    handleError(res, error, 'programar preço');
+  }
+};
+
+// Cancelar alteração ainda não aplicada ou promoção (uma promoção em vigor termina na hora)
+const cancelarProgramado = async (req, res) => {
+  try {
+    const produtoId = lerId(req.params.id);
+    const programacaoId = lerId(req.params.programacaoId);
+
+    const programacao = await prisma.precoProgramado.findFirst({
+      where: { id: programacaoId, produtoId }
+    });
+    if (!programacao) {
+      throw new ErroHttp('Programação de preço não encontrada', 404);
+    }
+
+    const { count } = await prisma.precoProgramado.updateMany({
+      where: { id: programacaoId, status: 'Agendado' },
+      data: { status: 'Cancelado' }
+    });
+    if (count === 0) {
+      throw new ErroHttp(`Programação ${programacao.status === 'Aplicado' ? 'já aplicada' : 'já cancelada'}`, 409);
+    }
+
+    const cancelada = await prisma.precoProgramado.findUnique({ where: { id: programacaoId } });
+
+    await registrarAuditoria(req, {
+      acao: 'Cancelar',
+      entidade: 'PrecoProgramado',
+      antes: programacao,
+      depois: cancelada
+    });
+
+    res.json({
+      success: true,
+      message: 'Programação de preço cancelada',
+      data: formatarProgramacao(cancelada)
+    });
+
+  } catch (error) {
+    handleError(res, error, 'cancelarProgramado preço');
+  }
+};
+
+module.exports = {
+  listarHistorico,
+  listarProgramados,
+  programar,
+  cancelarProgramado
+};
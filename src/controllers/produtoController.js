@@ -1,5 +1,47 @@
-const { PrismaClient } = require('@prisma/client');
-const prisma = new PrismaClient();
+const prisma = require('../prisma');
+const config = require('../config');
+const { obterPaginacao } = require('../utils/paginacao');
+const { registrarAuditoria } = require('../services/auditoriaService');
+const { possuiPermissao } = require('../services/permissaoService');
+const { registrarEntrada, definirSaldo, zerarEstoque } = require('../services/estoqueService');
+const { custoAtual, calcularMargem } = require('../services/custoService');
+const { reservadoPorProduto, disponivelKits, saldosEstoque } = require('../services/reservaEstoqueService');
+const { componentesPorKit, lerComponentes, gravarComponentes, custoKit } = require('../services/kitService');
+const { resolverDeposito, saldosNoDeposito } = require('../services/depositoService');
+const { ORDEM_FEFO, lerLote } = require('../services/loteService');
+const { carregarArvore, caminhoCategoria, categoriaComDescendentes } = require('../services/categoriaService');
+const {
+  validarAtributos,
+  normalizarAtributos,
+  mesclarAtributos,
+  gerarVariantes,
+  propagarGrade
+} = require('../services/varianteService');
+const {
+  registrarHistoricoPreco,
+  registrarHistoricoVariantes,
+  aplicarAlteracoesAgendadas,
+  precosVigentes
+} = require('../services/precoService');
+const { ErroHttp } = require('../utils/erros');
+const {
+  UNIDADES,
+  MAX_CASAS_DECIMAIS,
+  somarQuantidades,
+  lerQuantidade,
+  descreverPrecisao
+} = require('../utils/quantidades');
+const {
+  limparCodigoBarras,
+  validarCodigoBarras,
+  lerCodigosBarras,
+  formasEquivalentes
+} = require('../utils/codigosBarras');
+
+// Códigos de barras do produto, na ordem em que foram cadastrados
+const INCLUDE_CODIGOS = {
+  codigosBarras: { select: { codigo: true }, orderBy: { id: 'asc' } }
+};
 
 /**
  * Função para formatar datas no padrão dd/mm/aa HH:MM
@@ -31,6 +73,10 @@ function validarProduto(dados, isUpdate = false) {
     if (!dados.preco && dados.preco !== 0) {
       errors.push('Preço é obrigatório');
     }
+    // Grade: produto pai das variantes, definido pelos atributos
+    if (dados.tipo === 'Grade') {
+      errors.push(...validarAtributos(dados.atributos));
+    }
   }
 
   // Validações específicas dos campos
@@ -38,10 +84,36 @@ function validarProduto(dados, isUpdate = false) {
     errors.push('Nome não pode exceder 255 caracteres');
   }
 
-  if (dados.preco !== undefined && (isNaN(dados.preco) || dados.preco < 0)) {
+  if (dados.preco !== undefined && dados.preco !== null && (isNaN(dados.preco) || dados.preco < 0)) {
     errors.push('Preço deve ser um número não negativo');
   }
 
+  if (dados.custoManual !== undefined && dados.custoManual !== null && (isNaN(dados.custoManual) || dados.custoManual < 0)) {
+    errors.push('Custo deve ser um número não negativo');
+  }
+
+  if (dados.precoMinimo !== undefined && dados.precoMinimo !== null && (isNaN(dados.precoMinimo) || dados.precoMinimo < 0)) {
+    errors.push('Preço mínimo deve ser um número não negativo');
+  }
+
+  const unidades = Object.keys(UNIDADES);
+  if (dados.unidade !== undefined && !unidades.includes(dados.unidade)) {
+    errors.push(`Unidade deve ser: ${unidades.join(', ')}`);
+  }
+
+  if (dados.casasDecimais !== undefined
+    && (!Number.isInteger(dados.casasDecimais) || dados.casasDecimais < 0 || dados.casasDecimais > MAX_CASAS_DECIMAIS)) {
+    errors.push(`casasDecimais deve ser um inteiro de 0 a ${MAX_CASAS_DECIMAIS}`);
+  }
+
+  if (dados.unidadeCompra !== undefined && dados.unidadeCompra !== null && !unidades.includes(dados.unidadeCompra)) {
+    errors.push(`Unidade de compra deve ser: ${unidades.join(', ')}`);
+  }
+
+  if (dados.fatorCompra !== undefined && dados.fatorCompra !== null && (isNaN(dados.fatorCompra) || Number(dados.fatorCompra) <= 0)) {
+    errors.push('fatorCompra deve ser um número maior que zero');
+  }
+
   // VALIDAÇÃO MODIFICADA: Estoque é obrigatório apenas para produtos
   // Para serviços, pode ser null ou undefined
   if (dados.tipo === 'Produto' && dados.estoque !== undefined) {
@@ -50,16 +122,33 @@ function validarProduto(dados, isUpdate = false) {
     }
   }
 
+  if (dados.sku !== undefined && dados.sku !== null && (typeof dados.sku !== 'string' || dados.sku.length > 50)) {
+    errors.push('sku deve ser um texto de até 50 caracteres');
+  }
+
+  if (dados.codigosBarras !== undefined) {
+    errors.push(...lerCodigosBarras(dados.codigosBarras).erros);
+  }
+
+  if (dados.categoriaId !== undefined && dados.categoriaId !== null
+    && (!Number.isInteger(Number(dados.categoriaId)) || Number(dados.categoriaId) <= 0)) {
+    errors.push('categoriaId deve ser o ID de uma categoria (ou null)');
+  }
+
+  if (dados.controlaLote !== undefined && typeof dados.controlaLote !== 'boolean') {
+    errors.push('controlaLote deve ser true ou false');
+  }
+
   if (dados.descricao && dados.descricao.length > 500) {
     errors.push('Descrição não pode exceder 500 caracteres');
   }
 
   // Validação de enum
-  const tiposValidos = ['Produto', 'Servico'];
+  const tiposValidos = ['Produto', 'Servico', 'Grade', 'Kit'];
   const statusValidos = ['Ativo', 'Inativo'];
 
   if (dados.tipo && !tiposValidos.includes(dados.tipo)) {
-    errors.push(`Tipo deve ser: ${tiposValidos.join(' ou ')}`);
+    errors.push(`Tipo deve ser: ${tiposValidos.join(', ')}`);
   }
 
   if (dados.status && !statusValidos.includes(dados.status)) {
@@ -69,10 +158,155 @@ function validarProduto(dados, isUpdate = false) {
   return errors;
 }
 
+/**
+ * Casas decimais das quantidades: as informadas; sem elas, o padrão da unidade
+ * se ela mudou; senão, as atuais do produto
+ */
+function casasDecimaisDe(dados, atual = {}) {
+  if (dados.casasDecimais !== undefined) return dados.casasDecimais;
+  if (dados.unidade !== undefined && dados.unidade !== atual.unidade) return UNIDADES[dados.unidade];
+  return atual.casasDecimais ?? 0;
+}
+
+/**
+ * Unidade de compra e fator de conversão andam juntos: os dois ou nenhum
+ */
+function validarConversaoCompra(unidadeCompra, fatorCompra) {
+  const temUnidade = unidadeCompra !== undefined && unidadeCompra !== null;
+  const temFator = fatorCompra !== undefined && fatorCompra !== null;
+  return temUnidade === temFator ? null : 'Informe unidadeCompra e fatorCompra juntos (ex.: CX com fator 12)';
+}
+
+/**
+ * Depósito do filtro depositoId das listagens (null = consolidado de todos os depósitos)
+ */
+async function buscarDepositoFiltro(valor) {
+  if (valor === undefined || valor === '') return null;
+
+  const id = parseInt(valor);
+  const deposito = isNaN(id) ? null : await prisma.deposito.findUnique({ where: { id } });
+  if (!deposito) {
+    throw new ErroHttp('Depósito não encontrado', 404);
+  }
+  return deposito;
+}
+
+/**
+ * Categoria informada no cadastro; null deixa o item sem categoria
+ * @returns {Promise<number|null>} o id da categoria
+ */
+async function lerCategoria(categoriaId) {
+  if (categoriaId === undefined || categoriaId === null) return null;
+
+  const categoria = await prisma.categoria.findUnique({ where: { id: Number(categoriaId) } });
+  if (!categoria) {
+    throw new ErroHttp('Categoria não encontrada', 404);
+  }
+  return categoria.id;
+}
+
+/**
+ * SKU é gravado sem espaços nas pontas e em maiúsculas (como o das variantes)
+ */
+function normalizarSku(sku) {
+  return sku && sku.trim() ? sku.trim().toUpperCase() : null;
+}
+
+function listaCodigos(produto) {
+  return (produto.codigosBarras || []).map(registro => registro.codigo);
+}
+
+/**
+ * SKU e códigos de barras não podem estar em outro item da empresa.
+ * O código também conflita com as formas equivalentes dele (EAN-13 com zero à esquerda = GTIN-14).
+ * @returns {Promise<string[]>} erros
+ */
+async function verificarCodigosEmUso({ sku, codigos = [] }, produtoId) {
+  const erros = [];
+  const outroItem = produtoId ? { id: { not: produtoId } } : {};
+
+  if (sku) {
+    const outro = await prisma.produto.findFirst({ where: { sku, ...outroItem }, select: { nome: true } });
+    if (outro) erros.push(`SKU ${sku} já é usado por ${outro.nome}`);
+  }
+
+  if (codigos.length > 0) {
+    const emUso = await prisma.codigoBarras.findMany({
+      where: {
+        codigo: { in: codigos.flatMap(formasEquivalentes) },
+        ...(produtoId ? { produtoId: { not: produtoId } } : {})
+      },
+      include: { produto: { select: { nome: true } } }
+    });
+    erros.push(...emUso.map(registro => `Código de barras ${registro.codigo} já é usado por ${registro.produto.nome}`));
+  }
+
+  return erros;
+}
+
+/**
+ * Substitui os códigos de barras do produto pelos informados
+ */
+async function gravarCodigosBarras(tx, produtoId, codigos) {
+  await tx.codigoBarras.deleteMany({ where: { produtoId } });
+  if (codigos.length > 0) {
+    await tx.codigoBarras.createMany({ data: codigos.map(codigo => ({ produtoId, codigo })) });
+  }
+}
+
+/**
+ * Dados da variante mostrados junto da grade
+ * @param {{ preco: number }} [vigente] preço vigente (com promoção), quando calculado
+ */
+function resumoVariante(variante, reservado = 0, vigente) {
+  return {
+    id: variante.id,
+    nome: variante.nome,
+    sku: variante.sku,
+    codigosBarras: listaCodigos(variante),
+    atributos: variante.atributos,
+    preco: variante.preco,
+    precoProprio: variante.precoProprio,
+    ...(vigente ? { precoVigente: vigente.preco } : {}),
+    status: variante.status,
+    ...saldosEstoque(variante, reservado)
+  };
+}
+
+/**
+ * Custo usado nas margens, lucro bruto unitário, margem bruta e markup.
+ * O custo do kit é a soma do custo dos componentes (componentes de componentesPorKit).
+ */
+function indicadoresCusto(produto, componentes) {
+  const custo = produto.tipo === 'Kit' ? custoKit(componentes || []) : custoAtual(produto);
+  return {
+    custoAtual: custo,
+    ...calcularMargem(produto.preco, custo)
+  };
+}
+
+/**
+ * Componentes do kit mostrados no cadastro
+ */
+function resumoComponentes(componentes) {
+  return componentes.map(componente => ({
+    produtoId: componente.produtoId,
+    nome: componente.produto.nome,
+    tipo: componente.produto.tipo,
+    unidade: componente.produto.unidade,
+    quantidade: componente.quantidade,
+    preco: componente.produto.preco,
+    custoAtual: custoAtual(componente.produto)
+  }));
+}
+
 // Criar produto/serviço
 const create = async (req, res) => {
   try {
-    const { nome, descricao, preco, estoque, tipo, status } = req.body;
+    const {
+      nome, descricao, preco, precoMinimo, custoManual, estoque, tipo, status, depositoId, controlaLote,
+      sku, atributos, unidade, unidadeCompra, fatorCompra, categoriaId
+    } = req.body;
 
     // Validar dados básicos
     const errors = validarProduto(req.body);
@@ -83,8 +317,51 @@ const create = async (req, res) => {
       });
     }
 
+    const conversaoInvalida = validarConversaoCompra(unidadeCompra, fatorCompra);
+    if (conversaoInvalida) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        detalhes: [conversaoInvalida]
+      });
+    }
+
     // VALIDAÇÃO CONDICIONAL: Estoque obrigatório apenas para produtos
     const tipoFinal = tipo || 'Produto';
+
+    // A grade não é vendida: os códigos de barras ficam nas variantes
+    const codigos = req.body.codigosBarras !== undefined ? lerCodigosBarras(req.body.codigosBarras).codigos : [];
+    if (tipoFinal === 'Grade' && codigos.length > 0) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        detalhes: ['Grade não tem código de barras; cadastre os códigos nas variantes']
+      });
+    }
+
+    const codigosEmUso = await verificarCodigosEmUso({ sku: normalizarSku(sku), codigos });
+    if (codigosEmUso.length > 0) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        detalhes: codigosEmUso
+      });
+    }
+
+    // Kit: combo definido pelos componentes (produtos ou serviços) e a quantidade de cada um
+    const kit = tipoFinal === 'Kit' ? await lerComponentes(prisma, req.body.componentes) : null;
+    if (kit && kit.erros.length > 0) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        detalhes: kit.erros
+      });
+    }
+    if (precoMinimo !== undefined && precoMinimo !== null && parseFloat(precoMinimo) > parseFloat(preco)) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        detalhes: ['Preço mínimo não pode ser maior que o preço']
+      });
+    }
+
+    const casasDecimais = casasDecimaisDe(req.body);
+    let estoqueInicial = 0;
     
     if (tipoFinal === 'Produto') {
       // Para produtos, estoque é obrigatório
@@ -95,12 +372,12 @@ const create = async (req, res) => {
         });
       }
       
-      // Verificar se estoque é um número válido
-      const estoqueNum = parseInt(estoque);
-      if (isNaN(estoqueNum) || estoqueNum < 0) {
+      // Verificar se estoque é um número válido na precisão da unidade
+      estoqueInicial = lerQuantidade(estoque, casasDecimais);
+      if (estoqueInicial === null || estoqueInicial < 0) {
         return res.status(400).json({ 
           error: 'Dados inválidos',
-          detalhes: ['Estoque deve ser um número não negativo'] 
+          detalhes: [`Estoque deve ser um ${descreverPrecisao(casasDecimais)} não negativo`] 
         });
       }
     }
@@ -118,40 +395,106 @@ const create = async (req, res) => {
     }
 
     // Preparar dados para criação
+    const categoria = await lerCategoria(categoriaId);
     const dadosCriacao = {
+      categoriaId: categoria,
       nome: nome.trim(),
       descricao: descricao ? descricao.trim() : null,
       preco: parseFloat(preco),
+      precoMinimo: precoMinimo !== undefined && precoMinimo !== null ? parseFloat(precoMinimo) : null,
+      custoManual: custoManual !== undefined && custoManual !== null ? parseFloat(custoManual) : null,
+      sku: normalizarSku(sku),
+      unidade: unidade || 'UN',
+      casasDecimais,
+      unidadeCompra: unidadeCompra || null,
+      fatorCompra: fatorCompra !== undefined && fatorCompra !== null ? parseFloat(fatorCompra) : null,
       tipo: tipoFinal,
       status: status || 'Ativo',
+      // Na grade, vale para as variantes geradas; no kit, os lotes são os dos componentes
+      controlaLote: tipoFinal !== 'Servico' && tipoFinal !== 'Kit' && controlaLote === true,
+      atributos: tipoFinal === 'Grade' ? normalizarAtributos(atributos) : undefined
     };
 
-    // MODIFICAÇÃO: Estoque apenas para produtos, null para serviços
+    // MODIFICAÇÃO: Estoque apenas para produtos, null para serviços.
+    // O produto nasce zerado e o estoque inicial entra como movimentação.
     if (tipoFinal === 'Produto') {
-      dadosCriacao.estoque = parseInt(estoque);
+      dadosCriacao.estoque = 0;
     } else {
-      // Serviços não têm estoque (pode ser null ou 0)
+      // Serviços, grades e kits não têm estoque (o da grade fica nas variantes e o do kit, nos componentes)
       dadosCriacao.estoque = null;
     }
 
+    // Estoque inicial entra no depósito informado (ou no padrão do usuário),
+    // no lote informado se o produto controla lote
+    const deposito = tipoFinal === 'Produto'
+      ? await resolverDeposito(prisma, depositoId, req.usuario)
+      : null;
+    const lote = lerLote(req.body.lote);
+
     // Criar item
-    const item = await prisma.produto.create({
-      data: dadosCriacao,
-      include: {
-        _count: {
-          select: {
-            itensVenda: true
+    const item = await prisma.$transaction(async (tx) => {
+      const novoItem = await tx.produto.create({
+        data: dadosCriacao,
+        include: {
+          _count: {
+            select: {
+              itensVenda: true
+            }
           }
         }
+      });
+
+      await gravarCodigosBarras(tx, novoItem.id, codigos);
+
+      if (tipoFinal === 'Produto') {
+        // O custo informado no cadastro vira o custo médio inicial
+        const movimentacao = await registrarEntrada(tx, {
+          produtoId: novoItem.id,
+          depositoId: deposito.id,
+          quantidade: estoqueInicial,
+          custoUnit: dadosCriacao.custoManual,
+          lote,
+          documentoTipo: 'Produto',
+          documentoId: novoItem.id,
+          usuarioId: req.usuario.id,
+          observacao: 'Estoque inicial'
+        });
+        if (movimentacao) {
+          return tx.produto.findUnique({
+            where: { id: novoItem.id },
+            include: { _count: { select: { itensVenda: true } } }
+          });
+        }
+      }
+
+      // Grade já nasce com uma variante para cada combinação de atributos
+      if (tipoFinal === 'Grade') {
+        const variantes = await gerarVariantes(tx, novoItem);
+        return { ...novoItem, variantes: variantes.map(variante => resumoVariante(variante)) };
       }
+
+      if (kit) {
+        await gravarComponentes(tx, novoItem.id, kit.componentes);
+      }
+
+      return novoItem;
     });
 
+    const componentes = kit ? (await componentesPorKit(prisma, [item.id])).get(item.id) : [];
+    const kitsDisponiveis = await disponivelKits(prisma, [item]);
+
+    await registrarAuditoria(req, { acao: 'Criar', entidade: 'Produto', depois: item });
+
     // Formatar resposta
     const itemFormatado = {
       ...item,
+      codigosBarras: codigos,
       criadoEm: formatarData(item.criadoEm),
       atualizadoEm: formatarData(item.atualizadoEm),
-      totalVendas: item._count.itensVenda
+      totalVendas: item._count.itensVenda,
+      ...(kit ? { componentes: resumoComponentes(componentes) } : {}),
+      ...saldosEstoque(item, 0, kitsDisponiveis.get(item.id)),
+      ...indicadoresCusto(item, componentes)
     };
 
     res.status(201).json({
@@ -160,17 +503,22 @@ const create = async (req, res) => {
     });
 
   } catch (err) {
+    if (err instanceof ErroHttp) {
+      return res.status(err.status).json({ error: err.message });
+    }
+
     console.error('Erro ao criar item:', err);
     
+    // Nome não é único no banco; SKU e códigos de barras são
     if (err.code === 'P2002') {
       return res.status(400).json({ 
-        error: 'Já existe um item com este nome' 
+        error: 'SKU ou código de barras já usado por outro item' 
       });
     }
     
     res.status(400).json({ 
       error: 'Erro ao criar item',
-      detalhes: process.env.NODE_ENV === 'development' ? err.message : 'Erro interno'
+      detalhes: config.ambiente === 'development' ? err.message : 'Erro interno'
     });
   }
 };
@@ -179,17 +527,22 @@ const create = async (req, res) => {
 const findAll = async (req, res) => {
   try {
     const { 
-      page = 1, 
-      limit = 50, 
       search,
       tipo,
       status,
       minPreco,
       maxPreco,
-      estoqueMinimo
+      estoqueMinimo,
+      depositoId,
+      categoriaId,
+      agruparVariantes
     } = req.query;
 
-    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const { page, limit, skip } = obterPaginacao(req.query, 50);
+    const deposito = await buscarDepositoFiltro(depositoId);
+
+    // Alterações de preço agendadas que já venceram entram no cadastro antes da listagem
+    await aplicarAlteracoesAgendadas(prisma);
     
     // Construir where clause dinamicamente
     const where = {};
@@ -197,7 +550,9 @@ const findAll = async (req, res) => {
     if (search) {
       where.OR = [
         { nome: { contains: search, mode: 'insensitive' } },
-        { descricao: { contains: search, mode: 'insensitive' } }
+        { descricao: { contains: search, mode: 'insensitive' } },
+        { sku: { contains: search, mode: 'insensitive' } },
+        { codigosBarras: { some: { codigo: { contains: limparCodigoBarras(search) } } } }
       ];
     }
     
@@ -208,6 +563,11 @@ const findAll = async (req, res) => {
     if (status) {
       where.status = status;
     }
+
+    // A categoria inclui as subcategorias (Bebidas traz também Bebidas > Refrigerantes)
+    if (categoriaId) {
+      where.categoriaId = { in: await categoriaComDescendentes(prisma, parseInt(categoriaId)) };
+    }
     
     if (minPreco || maxPreco) {
       where.preco = {};
@@ -221,89 +581,132 @@ const findAll = async (req, res) => {
         { tipo: 'Produto' },
         {
           estoque: {
-            gte: parseInt(estoqueMinimo)
+            gte: parseFloat(estoqueMinimo)
           }
         }
       ];
     }
 
-    const [itens, total, totalServicos] = await Promise.all([
+    // Agrupado: só grades e itens avulsos, com as variantes dentro da grade.
+    // A grade aparece se ela ou alguma das variantes atender aos filtros.
+    const agrupar = agruparVariantes === 'true';
+    const whereListagem = agrupar
+      ? { AND: [{ produtoPaiId: null }, { OR: [where, { variantes: { some: where } }] }] }
+      : where;
+
+    const [itens, total, totalServicos, totalGrades, totalKits] = await Promise.all([
       prisma.produto.findMany({
-        where,
+        where: whereListagem,
         skip,
-        take: parseInt(limit),
+        take: limit,
         include: {
           _count: {
             select: {
               itensVenda: true
             }
-          }
+          },
+          ...INCLUDE_CODIGOS,
+          categoria: { select: { id: true, nome: true } },
+          ...(agrupar ? { variantes: { include: INCLUDE_CODIGOS, orderBy: { id: 'asc' } } } : {})
         },
         orderBy: {
           criadoEm: 'desc'
         }
       }),
-      prisma.produto.count({ where }),
+      prisma.produto.count({ where: whereListagem }),
       prisma.produto.count({ 
-        where: { ...where, tipo: 'Servico' } 
+        where: { ...whereListagem, tipo: 'Servico' } 
+      }),
+      prisma.produto.count({
+        where: { ...whereListagem, tipo: 'Grade' }
+      }),
+      prisma.produto.count({
+        where: { ...whereListagem, tipo: 'Kit' }
       })
     ]);
 
     // CALCULAR ESTATÍSTICAS APENAS PARA PRODUTOS (não incluir serviços)
+    // Com depositoId, usam o saldo daquele depósito; sem ele, o estoque consolidado
     const whereParaEstatisticas = { ...where, tipo: 'Produto' };
     
-    const [estatisticas, valorTotalEstoque] = await Promise.all([
-      prisma.produto.aggregate({
-        where: whereParaEstatisticas,
-        _sum: {
-          estoque: true
+    const quantidades = deposito
+      ? await prisma.saldoEstoque.findMany({
+        where: { depositoId: deposito.id, produto: whereParaEstatisticas },
+        select: {
+          quantidade: true,
+          produto: { select: { preco: true } }
         }
-      }),
-      prisma.produto.findMany({
+      }).then(saldos => saldos.map(saldo => ({ preco: saldo.produto.preco, estoque: saldo.quantidade })))
+      : await prisma.produto.findMany({
         where: whereParaEstatisticas,
         select: {
           preco: true,
           estoque: true
         }
-      }).then(produtos => {
-        return produtos.reduce((total, produto) => {
-          return total + (produto.preco * (produto.estoque || 0));
-        }, 0);
-      })
-    ]);
+      });
+
+    const estoqueTotal = somarQuantidades(...quantidades.map(produto => produto.estoque));
+    const valorTotalEstoque = quantidades.reduce((total, produto) => {
+      return total + (produto.preco * (produto.estoque || 0));
+    }, 0);
 
     // Formatar itens
+    const variantes = itens.flatMap(item => item.variantes || []);
+    const reservado = await reservadoPorProduto([...itens, ...variantes]);
+    const kitsDisponiveis = await disponivelKits(prisma, itens, deposito && deposito.id);
+    const componentes = await componentesPorKit(prisma, itens.filter(item => item.tipo === 'Kit').map(item => item.id));
+    const vigentes = await precosVigentes(prisma, [...itens, ...variantes]);
+    const saldosDeposito = deposito
+      ? await saldosNoDeposito(prisma, itens.map(item => item.id), deposito.id)
+      : null;
     const itensFormatados = itens.map(item => ({
       ...item,
+      codigosBarras: listaCodigos(item),
+      precoVigente: vigentes.get(item.id).preco,
+      promocao: vigentes.get(item.id).promocao,
       criadoEm: formatarData(item.criadoEm),
       atualizadoEm: formatarData(item.atualizadoEm),
       totalVendas: item._count.itensVenda,
       // Mostrar estoque apenas para produtos
-      estoque: item.tipo === 'Produto' ? item.estoque : null
+      estoque: item.tipo === 'Produto' ? item.estoque : null,
+      ...(saldosDeposito ? { estoqueDeposito: item.tipo === 'Produto' ? saldosDeposito.get(item.id) || 0 : null } : {}),
+      ...saldosEstoque(item, reservado.get(item.id), kitsDisponiveis.get(item.id)),
+      ...indicadoresCusto(item, componentes.get(item.id)),
+      ...(item.tipo === 'Grade' && item.variantes ? {
+        variantes: item.variantes.map(variante => resumoVariante(variante, reservado.get(variante.id), vigentes.get(variante.id))),
+        estoqueVariantes: somarQuantidades(...item.variantes.map(variante => variante.estoque))
+      } : {})
     }));
 
     res.json({
       produtos: itensFormatados,
       paginacao: {
-        page: parseInt(page),
-        limit: parseInt(limit),
+        page,
+        limit,
         total,
-        totalPages: Math.ceil(total / parseInt(limit))
+        totalPages: Math.ceil(total / limit)
       },
       estatisticas: {
         totalItens: total,
-        totalProdutos: total - totalServicos,
+        totalProdutos: total - totalServicos - totalGrades - totalKits,
         totalServicos: totalServicos,
-        estoqueTotal: estatisticas._sum.estoque || 0,
-        valorTotalEstoque: valorTotalEstoque
+        totalGrades,
+        totalKits,
+        estoqueTotal,
+        valorTotalEstoque: valorTotalEstoque,
+        deposito: deposito ? { id: deposito.id, nome: deposito.nome } : null
       }
     });
 
   } catch (err) {
+    if (err instanceof ErroHttp) {
+      return res.status(err.status).json({ error: err.message });
+    }
+
     console.error('Erro ao buscar itens:', err);
     res.status(500).json({ 
       error: 'Erro ao buscar itens',
-      detalhes: process.env.NODE_ENV === 'development' ? err.message : 'Erro interno'
+      detalhes: config.ambiente === 'development' ? err.message : 'Erro interno'
     });
   }
 };
@@ -317,9 +720,30 @@ const findOne = async (req, res) => {
   }
 
   try {
+    await aplicarAlteracoesAgendadas(prisma, [id]);
+    const agora = new Date();
+
     const item = await prisma.produto.findUnique({
       where: { id },
       include: {
+        // Alterações ainda por aplicar e promoções que não terminaram
+        precosProgramados: {
+          where: { status: 'Agendado', OR: [{ fim: null }, { fim: { gt: agora } }] },
+          orderBy: [{ inicio: 'asc' }, { id: 'asc' }]
+        },
+        saldosEstoque: {
+          include: { deposito: { select: { id: true, nome: true } } },
+          orderBy: { depositoId: 'asc' }
+        },
+        lotes: {
+          where: { quantidade: { gt: 0 } },
+          include: { deposito: { select: { id: true, nome: true } } },
+          orderBy: ORDEM_FEFO
+        },
+        produtoPai: { select: { id: true, nome: true, atributos: true } },
+        variantes: { include: INCLUDE_CODIGOS, orderBy: { id: 'asc' } },
+        ...INCLUDE_CODIGOS,
+        categoria: { select: { id: true, nome: true } },
         itensVenda: {
           take: 10,
           include: {
@@ -356,11 +780,56 @@ const findOne = async (req, res) => {
     }
 
     // Formatar resposta
+    const reservado = await reservadoPorProduto([item, ...item.variantes]);
+    const kitsDisponiveis = await disponivelKits(prisma, [item]);
+    const componentes = item.tipo === 'Kit' ? (await componentesPorKit(prisma, [item.id])).get(item.id) : [];
+    const vigentes = await precosVigentes(prisma, [item, ...item.variantes], agora);
+    const { saldosEstoque: saldos, lotes, variantes, precosProgramados, ...dadosItem } = item;
+    const arvore = item.categoria ? await carregarArvore(prisma) : null;
     const itemFormatado = {
-      ...item,
+      ...dadosItem,
+      codigosBarras: listaCodigos(item),
+      // Preço cobrado agora (com a promoção em vigor, se houver) e o que está programado
+      precoVigente: vigentes.get(item.id).preco,
+      promocao: vigentes.get(item.id).promocao,
+      precosProgramados: precosProgramados.map(programacao => ({
+        id: programacao.id,
+        tipo: programacao.tipo,
+        preco: programacao.preco,
+        inicio: formatarData(programacao.inicio),
+        fim: formatarData(programacao.fim),
+        motivo: programacao.motivo
+      })),
+      // Caminho completo da categoria: "Bebidas > Refrigerantes"
+      categoria: item.categoria ? { ...item.categoria, caminho: caminhoCategoria(arvore, item.categoria.id) } : null,
       criadoEm: formatarData(item.criadoEm),
       atualizadoEm: formatarData(item.atualizadoEm),
       totalVendas: item._count.itensVenda,
+      // Saldo por depósito (a soma é o estoque)
+      depositos: item.tipo === 'Produto'
+        ? saldos.map(saldo => ({
+          depositoId: saldo.depositoId,
+          nome: saldo.deposito.nome,
+          quantidade: saldo.quantidade
+        }))
+        : [],
+      // Variantes da grade, com o estoque de cada uma
+      ...(item.tipo === 'Grade' ? {
+        variantes: variantes.map(variante => resumoVariante(variante, reservado.get(variante.id), vigentes.get(variante.id))),
+        estoqueVariantes: somarQuantidades(...variantes.map(variante => variante.estoque))
+      } : {}),
+      // Componentes do kit e quantidade de cada um em uma unidade do kit
+      ...(item.tipo === 'Kit' ? { componentes: resumoComponentes(componentes) } : {}),
+      // Lotes com saldo, na ordem em que saem (FEFO)
+      lotes: item.controlaLote
+        ? lotes.map(lote => ({
+          id: lote.id,
+          numero: lote.numero,
+          validade: formatarData(lote.validade),
+          quantidade: lote.quantidade,
+          deposito: lote.deposito
+        }))
+        : [],
       itensVenda: item.itensVenda.map(itemVenda => ({
         ...itemVenda,
         venda: {
@@ -369,7 +838,9 @@ const findOne = async (req, res) => {
         }
       })),
       // Mostrar estoque apenas para produtos
-      estoque: item.tipo === 'Produto' ? item.estoque : null
+      estoque: item.tipo === 'Produto' ? item.estoque : null,
+      ...saldosEstoque(item, reservado.get(item.id), kitsDisponiveis.get(item.id)),
+      ...indicadoresCusto(item, componentes)
     };
 
     res.json(itemFormatado);
@@ -378,11 +849,75 @@ const findOne = async (req, res) => {
     console.error('Erro ao buscar item:', err);
     res.status(500).json({ 
       error: 'Erro ao buscar item',
-      detalhes: process.env.NODE_ENV === 'development' ? err.message : 'Erro interno'
+      detalhes: config.ambiente === 'development' ? err.message : 'Erro interno'
     });
   }
 };
 
+// Buscar item pelo código de barras (leitores do PDV). Aceita o código com zeros à esquerda
+// (GTIN-14 de um EAN-13) e devolve a variante, não a grade.
+const findByBarcode = async (req, res) => {
+  const codigo = limparCodigoBarras(req.params.codigo);
+
+  if (!validarCodigoBarras(codigo)) {
+    return res.status(400).json({
+      error: 'Código de barras inválido',
+      detalhes: ['Informe um EAN-8, EAN-13 ou GTIN-14 com dígito verificador']
+    });
+  }
+
+  try {
+    const registro = await prisma.codigoBarras.findFirst({
+      where: { codigo: { in: formasEquivalentes(codigo) } },
+      select: { produtoId: true }
+    });
+
+    if (!registro) {
+      return res.status(404).json({ error: 'Nenhum item com este código de barras' });
+    }
+
+    // O PDV precisa do preço do dia: aplica antes as alterações agendadas que já venceram
+    await aplicarAlteracoesAgendadas(prisma, [registro.produtoId]);
+    const item = await prisma.produto.findUnique({
+      where: { id: registro.produtoId },
+      include: {
+        ...INCLUDE_CODIGOS,
+        produtoPai: { select: { id: true, nome: true, atributos: true } }
+      }
+    });
+    const reservado = await reservadoPorProduto([item]);
+    const kitsDisponiveis = await disponivelKits(prisma, [item]);
+    const componentes = (await componentesPorKit(prisma, item.tipo === 'Kit' ? [item.id] : [])).get(item.id);
+    const vigente = (await precosVigentes(prisma, [item])).get(item.id);
+
+    res.json({
+      ...item,
+      codigosBarras: listaCodigos(item),
+      precoVigente: vigente.preco,
+      promocao: vigente.promocao,
+      criadoEm: formatarData(item.criadoEm),
+      atualizadoEm: formatarData(item.atualizadoEm),
+      // Mostrar estoque apenas para produtos
+      estoque: item.tipo === 'Produto' ? item.estoque : null,
+      ...saldosEstoque(item, reservado.get(item.id), kitsDisponiveis.get(item.id)),
+      ...indicadoresCusto(item, componentes)
+    });
+
+  } catch (err) {
+    console.error('Erro ao buscar item por código de barras:', err);
+    res.status(500).json({ 
+      error: 'Erro ao buscar item',
+      detalhes: config.ambiente === 'development' ? err.message : 'Erro interno'
+    });
+  }
+};
+
+// Campos do cadastro que PUT /api/produtos/:id aceita
+const CAMPOS_ALTERAVEIS = [
+  'nome', 'descricao', 'sku', 'preco', 'precoMinimo', 'custoManual', 'estoque', 'unidade', 'casasDecimais',
+  'unidadeCompra', 'fatorCompra', 'tipo', 'status', 'controlaLote', 'categoriaId'
+];
+
 // Atualizar produto/serviço
 const update = async (req, res) => {
   const id = parseInt(req.params.id);
@@ -392,10 +927,20 @@ const update = async (req, res) => {
   }
 
   try {
-    const dadosAtualizacao = { ...req.body };
+    // Só os campos de CAMPOS_ALTERAVEIS vão para o produto: custo médio e da última compra
+    // só mudam pelas entradas de estoque e vínculo e atributos das variantes só pela grade
+    // (POST /api/produtos/:id/variantes); empresa e relações nunca vêm do corpo.
+    // depositoId e lote indicam onde aplicar o novo estoque; não são campos do produto.
+    // Códigos de barras ficam em tabela própria; a lista enviada substitui a atual.
+    // motivoPreco vai para o histórico de preços junto com a alteração.
+    const { depositoId, lote: loteInformado, codigosBarras, motivoPreco } = req.body;
+    const dadosAtualizacao = Object.fromEntries(
+      CAMPOS_ALTERAVEIS.filter(campo => req.body[campo] !== undefined).map(campo => [campo, req.body[campo]])
+    );
+    const lote = lerLote(loteInformado);
 
     // Validar dados (modo update - campos parciais)
-    const errors = validarProduto(dadosAtualizacao, true);
+    const errors = validarProduto({ ...dadosAtualizacao, codigosBarras }, true);
     if (errors.length > 0) {
       return res.status(400).json({ 
         error: 'Dados inválidos',
@@ -405,15 +950,103 @@ const update = async (req, res) => {
 
     // Verificar se item existe
     const itemExistente = await prisma.produto.findUnique({
-      where: { id }
+      where: { id },
+      include: INCLUDE_CODIGOS
     });
 
     if (!itemExistente) {
       return res.status(404).json({ error: 'Item não encontrado' });
     }
 
+    const codigos = codigosBarras !== undefined ? lerCodigosBarras(codigosBarras).codigos : null;
+    if (codigos && codigos.length > 0 && itemExistente.tipo === 'Grade') {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        detalhes: ['Grade não tem código de barras; cadastre os códigos nas variantes']
+      });
+    }
+
+    if (dadosAtualizacao.sku !== undefined) {
+      dadosAtualizacao.sku = normalizarSku(dadosAtualizacao.sku);
+    }
+    const codigosEmUso = await verificarCodigosEmUso({ sku: dadosAtualizacao.sku, codigos: codigos || [] }, id);
+    if (codigosEmUso.length > 0) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        detalhes: codigosEmUso
+      });
+    }
+
+    // Mudar o preço ou o mínimo exige permissão própria
+    const precoMinimoAtual = itemExistente.precoMinimo === null ? null : Number(itemExistente.precoMinimo);
+    const alterandoPreco = (dadosAtualizacao.preco !== undefined
+      && parseFloat(dadosAtualizacao.preco) !== Number(itemExistente.preco))
+      || (dadosAtualizacao.precoMinimo !== undefined
+        && (dadosAtualizacao.precoMinimo === null ? null : parseFloat(dadosAtualizacao.precoMinimo)) !== precoMinimoAtual);
+    if (alterandoPreco && !possuiPermissao(req.usuario, 'produto:alterar_preco')) {
+      return res.status(403).json({ error: 'Você não tem a permissão "produto:alterar_preco".' });
+    }
+
     // Determinar o tipo final
     const novoTipo = dadosAtualizacao.tipo || itemExistente.tipo;
+
+    // Grade não vira produto nem serviço (e vice-versa); variante é sempre produto
+    if (novoTipo !== itemExistente.tipo && (itemExistente.tipo === 'Grade' || novoTipo === 'Grade' || itemExistente.produtoPaiId)) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        detalhes: ['Não é possível alterar o tipo de grades e variantes']
+      });
+    }
+
+    // Kit só existe pelos componentes: é cadastrado como kit e continua kit
+    if (novoTipo !== itemExistente.tipo && (itemExistente.tipo === 'Kit' || novoTipo === 'Kit')) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        detalhes: ['Não é possível transformar um item em kit nem um kit em outro tipo; cadastre um novo item']
+      });
+    }
+
+    // A categoria da variante é a da grade
+    if (dadosAtualizacao.categoriaId !== undefined) {
+      if (itemExistente.produtoPaiId) {
+        return res.status(400).json({
+          error: 'Dados inválidos',
+          detalhes: ['A categoria da variante acompanha a da grade; altere a grade']
+        });
+      }
+      dadosAtualizacao.categoriaId = await lerCategoria(dadosAtualizacao.categoriaId);
+    }
+
+    // Variante com preço null volta a seguir o preço da grade
+    if (itemExistente.produtoPaiId && dadosAtualizacao.preco !== undefined) {
+      if (dadosAtualizacao.preco === null) {
+        const grade = await prisma.produto.findUnique({
+          where: { id: itemExistente.produtoPaiId },
+          select: { preco: true }
+        });
+        dadosAtualizacao.preco = grade.preco;
+        dadosAtualizacao.precoProprio = false;
+      } else {
+        dadosAtualizacao.precoProprio = true;
+      }
+    } else if (dadosAtualizacao.preco === null) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        detalhes: ['Preço é obrigatório']
+      });
+    }
+
+    if (dadosAtualizacao.precoMinimo !== undefined && dadosAtualizacao.precoMinimo !== null) {
+      dadosAtualizacao.precoMinimo = parseFloat(dadosAtualizacao.precoMinimo);
+    }
+    const precoFinal = dadosAtualizacao.preco !== undefined ? parseFloat(dadosAtualizacao.preco) : Number(itemExistente.preco);
+    const precoMinimoFinal = dadosAtualizacao.precoMinimo !== undefined ? dadosAtualizacao.precoMinimo : precoMinimoAtual;
+    if (precoMinimoFinal !== null && precoMinimoFinal > precoFinal) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        detalhes: ['Preço mínimo não pode ser maior que o preço']
+      });
+    }
     
     // VALIDAÇÃO: Se mudando de Serviço para Produto, estoque é obrigatório
     if (itemExistente.tipo === 'Servico' && novoTipo === 'Produto') {
@@ -424,12 +1057,26 @@ const update = async (req, res) => {
         });
       }
       
-      // Verificar se estoque é um número válido
-      const estoqueNum = parseInt(dadosAtualizacao.estoque);
-      if (isNaN(estoqueNum) || estoqueNum < 0) {
+      // Verificar se estoque é um número válido na precisão da unidade
+      const estoqueNum = lerQuantidade(dadosAtualizacao.estoque, casasDecimaisDe(dadosAtualizacao, itemExistente));
+      if (estoqueNum === null || estoqueNum < 0) {
         return res.status(400).json({ 
           error: 'Dados inválidos',
-          detalhes: ['Estoque deve ser um número não negativo'] 
+          detalhes: [`Estoque deve ser um ${descreverPrecisao(casasDecimaisDe(dadosAtualizacao, itemExistente))} não negativo`] 
+        });
+      }
+    }
+
+    // Conversão de compra: unidade e fator precisam continuar juntos
+    if (dadosAtualizacao.unidadeCompra !== undefined || dadosAtualizacao.fatorCompra !== undefined) {
+      const conversaoInvalida = validarConversaoCompra(
+        dadosAtualizacao.unidadeCompra !== undefined ? dadosAtualizacao.unidadeCompra : itemExistente.unidadeCompra,
+        dadosAtualizacao.fatorCompra !== undefined ? dadosAtualizacao.fatorCompra : itemExistente.fatorCompra
+      );
+      if (conversaoInvalida) {
+        return res.status(400).json({
+          error: 'Dados inválidos',
+          detalhes: [conversaoInvalida]
         });
       }
     }
@@ -463,39 +1110,144 @@ const update = async (req, res) => {
     if (dadosAtualizacao.preco) {
       dadosAtualizacao.preco = parseFloat(dadosAtualizacao.preco);
     }
+    if (dadosAtualizacao.custoManual !== undefined) {
+      dadosAtualizacao.custoManual = dadosAtualizacao.custoManual === null ? null : parseFloat(dadosAtualizacao.custoManual);
+    }
+    if (dadosAtualizacao.fatorCompra !== undefined && dadosAtualizacao.fatorCompra !== null) {
+      dadosAtualizacao.fatorCompra = parseFloat(dadosAtualizacao.fatorCompra);
+    }
+    // Trocar a unidade sem informar a precisão adota a precisão padrão da nova unidade
+    const casasDecimais = casasDecimaisDe(dadosAtualizacao, itemExistente);
+    if (casasDecimais !== itemExistente.casasDecimais) {
+      dadosAtualizacao.casasDecimais = casasDecimais;
+    }
 
-    // MODIFICAÇÃO: Gerenciar estoque baseado no tipo
-    if (dadosAtualizacao.tipo === 'Servico') {
-      // Se for serviço, estoque deve ser null
+    // MODIFICAÇÃO: Gerenciar estoque baseado no tipo.
+    // O saldo de produto não é gravado direto: a diferença vira um ajuste no livro.
+    let novoSaldo = null;
+    if (novoTipo === 'Servico') {
+      // Se for serviço, estoque deve ser null (e não há lote)
       dadosAtualizacao.estoque = null;
-    } else if (dadosAtualizacao.tipo === 'Produto') {
-      // Se for produto e estoque foi fornecido, converter para inteiro
+      dadosAtualizacao.controlaLote = false;
+    } else if (novoTipo === 'Grade') {
+      // O estoque da grade fica nas variantes
+      dadosAtualizacao.estoque = null;
+    } else if (novoTipo === 'Kit') {
+      // O estoque (e os lotes) do kit são os dos componentes
+      dadosAtualizacao.estoque = null;
+      dadosAtualizacao.controlaLote = false;
+    } else {
       if (dadosAtualizacao.estoque !== undefined && dadosAtualizacao.estoque !== null) {
-        dadosAtualizacao.estoque = parseInt(dadosAtualizacao.estoque);
+        novoSaldo = lerQuantidade(dadosAtualizacao.estoque, casasDecimais);
+        if (novoSaldo === null || novoSaldo < 0) {
+          return res.status(400).json({ 
+            error: 'Dados inválidos',
+            detalhes: [`Estoque deve ser um ${descreverPrecisao(casasDecimais)} não negativo`] 
+          });
+        }
+      }
+      // Serviço virando produto começa zerado; o saldo informado entra pelo ajuste
+      if (itemExistente.tipo !== 'Produto') {
+        dadosAtualizacao.estoque = 0;
+      } else {
+        delete dadosAtualizacao.estoque;
       }
-      // Se não foi fornecido e já é um produto, manter o estoque atual
     }
 
+    const deposito = novoSaldo !== null
+      ? await resolverDeposito(prisma, depositoId, req.usuario)
+      : null;
+
+    const origemAjuste = {
+      documentoTipo: 'Produto',
+      documentoId: id,
+      usuarioId: req.usuario.id,
+      observacao: 'Alteração do cadastro do produto'
+    };
+
     // Atualizar item
-    const item = await prisma.produto.update({
-      where: { id },
-      data: dadosAtualizacao,
-      include: {
-        _count: {
-          select: {
-            itensVenda: true
-          }
+    const item = await prisma.$transaction(async (tx) => {
+      // Produto virando serviço: zera os saldos no livro antes de perder o estoque
+      if (itemExistente.tipo === 'Produto' && novoTipo === 'Servico') {
+        await zerarEstoque(tx, { produtoId: id, ...origemAjuste });
+      }
+
+      if (codigos) {
+        await gravarCodigosBarras(tx, id, codigos);
+      }
+
+      const itemAtualizado = await tx.produto.update({
+        where: { id },
+        data: dadosAtualizacao,
+        include: {
+          _count: {
+            select: {
+              itensVenda: true
+            }
+          },
+          ...INCLUDE_CODIGOS
+        }
+      });
+
+      if (itemAtualizado.preco !== itemExistente.preco) {
+        const alteracaoPreco = {
+          usuarioId: req.usuario.id,
+          motivo: typeof motivoPreco === 'string' ? motivoPreco.trim().slice(0, 255) : null
+        };
+        await registrarHistoricoPreco(tx, {
+          produtoId: id,
+          precoAnterior: itemExistente.preco,
+          precoNovo: itemAtualizado.preco,
+          ...alteracaoPreco
+        });
+        // As variantes que acompanham a grade ganham histórico antes de receber o preço novo
+        if (itemAtualizado.tipo === 'Grade') {
+          await registrarHistoricoVariantes(tx, itemAtualizado, { precoNovo: itemAtualizado.preco, ...alteracaoPreco });
         }
       }
+
+      if (itemAtualizado.tipo === 'Grade') {
+        await propagarGrade(tx, itemAtualizado, {
+          preco: itemAtualizado.preco !== itemExistente.preco,
+          nome: itemAtualizado.nome !== itemExistente.nome,
+          categoria: itemAtualizado.categoriaId !== itemExistente.categoriaId
+        });
+      }
+
+      if (novoSaldo !== null) {
+        const movimentacao = await definirSaldo(tx, {
+          produtoId: id,
+          depositoId: deposito.id,
+          saldo: novoSaldo,
+          lote,
+          ...origemAjuste
+        });
+        if (movimentacao) itemAtualizado.estoque = movimentacao.saldoApos;
+      }
+
+      return itemAtualizado;
+    });
+
+    await registrarAuditoria(req, {
+      acao: 'Atualizar',
+      entidade: 'Produto',
+      antes: itemExistente,
+      depois: item
     });
 
+    const reservado = await reservadoPorProduto([item]);
+    const kitsDisponiveis = await disponivelKits(prisma, [item]);
+    const componentes = (await componentesPorKit(prisma, item.tipo === 'Kit' ? [item.id] : [])).get(item.id);
     const itemFormatado = {
       ...item,
+      codigosBarras: listaCodigos(item),
       criadoEm: formatarData(item.criadoEm),
       atualizadoEm: formatarData(item.atualizadoEm),
       totalVendas: item._count.itensVenda,
       // Mostrar estoque apenas para produtos
-      estoque: item.tipo === 'Produto' ? item.estoque : null
+      estoque: item.tipo === 'Produto' ? item.estoque : null,
+      ...saldosEstoque(item, reservado.get(item.id), kitsDisponiveis.get(item.id)),
+      ...indicadoresCusto(item, componentes)
     };
 
     res.json({
@@ -504,15 +1256,25 @@ const update = async (req, res) => {
     });
 
   } catch (err) {
+    if (err instanceof ErroHttp) {
+      return res.status(err.status).json({ error: err.message });
+    }
+
     console.error('Erro ao atualizar item:', err);
     
     if (err.code === 'P2025') {
       return res.status(404).json({ error: 'Item não encontrado' });
     }
+
+    if (err.code === 'P2002') {
+      return res.status(400).json({ 
+        error: 'SKU ou código de barras já usado por outro item' 
+      });
+    }
     
     res.status(400).json({ 
       error: 'Erro ao atualizar item',
-      detalhes: process.env.NODE_ENV === 'development' ? err.message : 'Erro interno'
+      detalhes: config.ambiente === 'development' ? err.message : 'Erro interno'
     });
   }
 };
@@ -532,7 +1294,10 @@ const remove = async (req, res) => {
       include: {
         _count: {
           select: {
-            itensVenda: true
+            itensVenda: true,
+            variantes: true,
+            kits: true,
+            vendasComponente: true
           }
         }
       }
@@ -542,12 +1307,32 @@ const remove = async (req, res) => {
       return res.status(404).json({ error: 'Item não encontrado' });
     }
 
-    // Verificar se item tem vendas associadas
-    if (item._count.itensVenda > 0) {
+    if (item._count.variantes > 0) {
+      return res.status(400).json({
+        error: 'Não é possível deletar grade com variantes',
+        detalhes: {
+          totalVariantes: item._count.variantes,
+          sugestao: 'Exclua as variantes antes ou altere o status da grade para inativo'
+        }
+      });
+    }
+
+    if (item._count.kits > 0) {
+      return res.status(400).json({
+        error: 'Não é possível deletar item que é componente de kit',
+        detalhes: {
+          totalKits: item._count.kits,
+          sugestao: 'Retire o item dos kits antes ou altere o status dele para inativo'
+        }
+      });
+    }
+
+    // Verificar se item tem vendas associadas (também as vendidas dentro de um kit)
+    if (item._count.itensVenda > 0 || item._count.vendasComponente > 0) {
       return res.status(400).json({ 
         error: 'Não é possível deletar item com vendas associadas',
         detalhes: {
-          totalVendas: item._count.itensVenda,
+          totalVendas: item._count.itensVenda + item._count.vendasComponente,
           sugestao: 'Altere o status do item para inativo'
         }
       });
@@ -557,6 +1342,8 @@ const remove = async (req, res) => {
       where: { id } 
     });
 
+    await registrarAuditoria(req, { acao: 'Excluir', entidade: 'Produto', antes: item });
+
     res.json({ 
       message: 'Item deletado com sucesso',
       id: id
@@ -571,59 +1358,264 @@ const remove = async (req, res) => {
     
     res.status(400).json({ 
       error: 'Erro ao deletar item',
-      detalhes: process.env.NODE_ENV === 'development' ? err.message : 'Erro interno'
+      detalhes: config.ambiente === 'development' ? err.message : 'Erro interno'
     });
   }
 };
 
-// Buscar produtos com estoque baixo (apenas produtos, serviços não aparecem)
+/**
+ * Estoque baixo em um depósito. Produto sem saldo registrado no depósito conta como zero.
+ * A ordenação pelo saldo do depósito é feita em memória.
+ */
+async function estoqueBaixoNoDeposito(deposito, limite, { page, limit, skip }) {
+  const produtos = await prisma.produto.findMany({
+    where: { tipo: 'Produto', status: 'Ativo' },
+    include: { _count: { select: { itensVenda: true } } }
+  });
+
+  const saldos = await saldosNoDeposito(prisma, produtos.map(produto => produto.id), deposito.id);
+  const baixos = produtos
+    .map(produto => ({ ...produto, estoqueDeposito: saldos.get(produto.id) || 0 }))
+    .filter(produto => produto.estoqueDeposito <= limite)
+    .sort((a, b) => a.estoqueDeposito - b.estoqueDeposito);
+
+  const pagina = baixos.slice(skip, skip + limit);
+  const reservado = await reservadoPorProduto(pagina);
+
+  return {
+    produtos: pagina.map(produto => ({
+      ...produto,
+      criadoEm: formatarData(produto.criadoEm),
+      atualizadoEm: formatarData(produto.atualizadoEm),
+      totalVendas: produto._count.itensVenda,
+      ...saldosEstoque(produto, reservado.get(produto.id)),
+      ...indicadoresCusto(produto)
+    })),
+    limiteEstoque: limite,
+    deposito: { id: deposito.id, nome: deposito.nome },
+    paginacao: {
+      page,
+      limit,
+      total: baixos.length,
+      totalPages: Math.ceil(baixos.length / limit)
+    }
+  };
+}
+
+// Buscar produtos com estoque baixo (apenas produtos, serviços não aparecem).
+// Com depositoId, compara o saldo daquele depósito em vez do estoque consolidado.
 const findLowStock = async (req, res) => {
   try {
-    const { limite = 10 } = req.query;
+    const limite = parseFloat(req.query.limite ?? 10);
 
-    const produtos = await prisma.produto.findMany({
-      where: {
-        AND: [
-          { tipo: 'Produto' },
-          { status: 'Ativo' },
-          {
-            OR: [
-              { estoque: { lte: parseInt(limite) } },
-              { estoque: null } // Incluir produtos sem estoque definido
-            ]
-          }
-        ]
-      },
-      include: {
-        _count: {
-          select: {
-            itensVenda: true
+    if (isNaN(limite) || limite < 0) {
+      return res.status(400).json({ error: 'O limite de estoque deve ser um número não negativo' });
+    }
+
+    const { page, limit, skip } = obterPaginacao(req.query, 50);
+    const deposito = await buscarDepositoFiltro(req.query.depositoId);
+
+    if (deposito) {
+      return res.json(await estoqueBaixoNoDeposito(deposito, limite, { page, limit, skip }));
+    }
+
+    const where = {
+      AND: [
+        { tipo: 'Produto' },
+        { status: 'Ativo' },
+        {
+          OR: [
+            { estoque: { lte: limite } },
+            { estoque: null } // Incluir produtos sem estoque definido
+          ]
+        }
+      ]
+    };
+
+    const [produtos, total] = await Promise.all([
+      prisma.produto.findMany({
+        where,
+        skip,
+        take: limit,
+        include: {
+          _count: {
+            select: {
+              itensVenda: true
+            }
           }
+        },
+        orderBy: {
+          estoque: { sort: 'asc', nulls: 'first' }
         }
-      },
-      orderBy: {
-        estoque: 'asc'
-      }
-    });
+      }),
+      prisma.produto.count({ where })
+    ]);
 
+    const reservado = await reservadoPorProduto(produtos);
     const produtosFormatados = produtos.map(produto => ({
       ...produto,
       criadoEm: formatarData(produto.criadoEm),
       atualizadoEm: formatarData(produto.atualizadoEm),
-      totalVendas: produto._count.itensVenda
+      totalVendas: produto._count.itensVenda,
+      ...saldosEstoque(produto, reservado.get(produto.id)),
+      ...indicadoresCusto(produto)
     }));
 
     res.json({
       produtos: produtosFormatados,
-      total: produtos.length,
-      limiteEstoque: parseInt(limite)
+      limiteEstoque: limite,
+      paginacao: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
     });
 
   } catch (err) {
+    if (err instanceof ErroHttp) {
+      return res.status(err.status).json({ error: err.message });
+    }
+
     console.error('Erro ao buscar produtos com estoque baixo:', err);
     res.status(500).json({ 
       error: 'Erro ao buscar produtos com estoque baixo',
-      detalhes: process.env.NODE_ENV === 'development' ? err.message : 'Erro interno'
+      detalhes: config.ambiente === 'development' ? err.message : 'Erro interno'
+    });
+  }
+};
+
+// Acrescentar valores aos atributos da grade e gerar as variantes que faltam
+const gerarVariantesGrade = async (req, res) => {
+  const id = parseInt(req.params.id);
+
+  if (isNaN(id)) {
+    return res.status(400).json({ error: 'ID inválido' });
+  }
+
+  try {
+    const { atributos } = req.body || {};
+
+    const grade = await prisma.produto.findUnique({ where: { id } });
+    if (!grade) {
+      return res.status(404).json({ error: 'Item não encontrado' });
+    }
+    if (grade.tipo !== 'Grade') {
+      return res.status(400).json({ error: 'Variantes só podem ser geradas a partir de uma grade' });
+    }
+
+    // Sem atributos novos, só completa as combinações que faltam
+    const novos = atributos === undefined ? {} : atributos;
+    const errors = atributos === undefined ? [] : validarAtributos(novos);
+
+    // Atributo novo deixaria as variantes existentes sem valor para ele
+    const desconhecidos = errors.length === 0
+      ? Object.keys(novos).filter(nome => !(nome.trim() in grade.atributos))
+      : [];
+    if (desconhecidos.length > 0) {
+      errors.push(`A grade não tem o(s) atributo(s) ${desconhecidos.join(', ')}; só é possível acrescentar valores`);
+    }
+    const atributosGrade = errors.length === 0
+      ? mesclarAtributos(grade.atributos, normalizarAtributos(novos))
+      : null;
+    if (atributosGrade) errors.push(...validarAtributos(atributosGrade));
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        detalhes: errors
+      });
+    }
+
+    const { gradeAtualizada, criadas } = await prisma.$transaction(async (tx) => {
+      const gradeAtualizada = await tx.produto.update({
+        where: { id },
+        data: { atributos: atributosGrade }
+      });
+      return { gradeAtualizada, criadas: await gerarVariantes(tx, gradeAtualizada) };
+    });
+
+    await registrarAuditoria(req, {
+      acao: 'Atualizar',
+      entidade: 'Produto',
+      antes: grade,
+      depois: gradeAtualizada
+    });
+
+    res.status(201).json({
+      message: criadas.length > 0
+        ? `${criadas.length} variante(s) criada(s)`
+        : 'Todas as combinações já tinham variante',
+      atributos: gradeAtualizada.atributos,
+      variantes: criadas.map(variante => resumoVariante(variante))
+    });
+
+  } catch (err) {
+    console.error('Erro ao gerar variantes:', err);
+
+    if (err.code === 'P2002') {
+      return res.status(400).json({
+        error: 'O SKU gerado para uma variante já é usado por outro item'
+      });
+    }
+
+    res.status(400).json({
+      error: 'Erro ao gerar variantes',
+      detalhes: config.ambiente === 'development' ? err.message : 'Erro interno'
+    });
+  }
+};
+
+// Substituir os componentes de um kit: { componentes: [{ produtoId, quantidade }] }.
+// Vale para as próximas vendas; as concluídas guardam o que baixaram.
+const definirComponentesKit = async (req, res) => {
+  const id = parseInt(req.params.id);
+
+  if (isNaN(id)) {
+    return res.status(400).json({ error: 'ID inválido' });
+  }
+
+  try {
+    const kit = await prisma.produto.findUnique({ where: { id } });
+    if (!kit) {
+      return res.status(404).json({ error: 'Item não encontrado' });
+    }
+    if (kit.tipo !== 'Kit') {
+      return res.status(400).json({ error: 'Componentes só podem ser definidos em um kit' });
+    }
+
+    const { componentes, erros } = await lerComponentes(prisma, (req.body || {}).componentes);
+    if (erros.length > 0) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        detalhes: erros
+      });
+    }
+
+    const anteriores = (await componentesPorKit(prisma, [id])).get(id);
+    await prisma.$transaction(tx => gravarComponentes(tx, id, componentes));
+    const atuais = (await componentesPorKit(prisma, [id])).get(id);
+
+    await registrarAuditoria(req, {
+      acao: 'Atualizar',
+      entidade: 'Produto',
+      antes: { ...kit, componentes: resumoComponentes(anteriores) },
+      depois: { ...kit, componentes: resumoComponentes(atuais) }
+    });
+
+    const kitsDisponiveis = await disponivelKits(prisma, [kit]);
+    res.json({
+      message: 'Componentes do kit atualizados',
+      componentes: resumoComponentes(atuais),
+      ...saldosEstoque(kit, 0, kitsDisponiveis.get(id)),
+      ...indicadoresCusto(kit, atuais)
+    });
+
+  } catch (err) {
+    console.error('Erro ao definir componentes do kit:', err);
+    res.status(400).json({
+      error: 'Erro ao definir componentes do kit',
+      detalhes: config.ambiente === 'development' ? err.message : 'Erro interno'
     });
   }
 };
@@ -632,7 +1624,10 @@ module.exports = {
   create,
   findAll,
   findOne,
+  findByBarcode,
   update,
   remove,
-  findLowStock
+  findLowStock,
+  gerarVariantesGrade,
+  definirComponentesKit
 };
\ No newline at end of file
@@ -1,25 +1,32 @@
-const { PrismaClient } = require('@prisma/client');
-const prisma = new PrismaClient();
+const prisma = require('../prisma');
+const { obterPaginacao } = require('../utils/paginacao');
+const { registrarAuditoria } = require('../services/auditoriaService');
+const { calcularMargem, arredondar } = require('../services/custoService');
+const { arredondarQuantidade, somarQuantidades } = require('../utils/quantidades');
+
+const TIPOS_RELATORIO = ['Vendas', 'Estoque', 'Clientes', 'Financeiro'];
+const TIPOS_LANCAMENTO = ['Receita', 'Despesa'];
+
+// Linhas (snapshots) incluídas ao devolver um relatório completo
+const INCLUDE_COMPLETO = {
+  usuario: {
+    select: {
+      id: true,
+      nome: true,
+      email: true
+    }
+  },
+  relatorioVendas: { orderBy: { data: 'asc' } },
+  relatorioEstoque: { orderBy: { produtoNome: 'asc' } },
+  relatorioClientes: { orderBy: { nome: 'asc' } },
+  relatorioFinanceiro: { orderBy: { data: 'asc' } }
+};
 
 /**
  * Formata datas no padrão brasileiro dd/mm/aa HH:MM
  */
 function formatarDatas(relatorio) {
   if (!relatorio) return relatorio;
-  
-  const formatarData = (data) => {
-    if (!data) return null;
-    const date = new Date(data);
-    
-    // Formata para dd/mm/aa HH:MM
-    const dia = date.getDate().toString().padStart(2, '0');
-    const mes = (date.getMonth() + 1).toString().padStart(2, '0');
-    const ano = date.getFullYear().toString().slice(-2);
-    const horas = date.getHours().toString().padStart(2, '0');
-    const minutos = date.getMinutes().toString().padStart(2, '0');
-    
-    return `${dia}/${mes}/${ano} ${horas}:${minutos}`;
-  };
 
   return {
     ...relatorio,
@@ -28,14 +35,12 @@ function formatarDatas(relatorio) {
     dataRelatorio: formatarData(relatorio.dataRelatorio),
     criadoEm: formatarData(relatorio.criadoEm),
     atualizadoEm: formatarData(relatorio.atualizadoEm),
-    // Formata datas aninhadas nos relacionamentos
+    // Formata datas das linhas do relatório
     ...(relatorio.relatorioVendas && {
       relatorioVendas: relatorio.relatorioVendas.map(rv => ({
         ...rv,
-        venda: rv.venda ? {
-          ...rv.venda,
-          data: formatarData(rv.venda.data)
-        } : null
+        ...calcularMargem(rv.total, rv.custoTotal),
+        data: formatarData(rv.data)
       }))
     }),
     ...(relatorio.relatorioFinanceiro && {
@@ -43,47 +48,159 @@ function formatarDatas(relatorio) {
         ...rf,
         data: formatarData(rf.data)
       }))
-    }),
-    ...(relatorio.usuario && relatorio.usuario.dataNascimento && {
-      usuario: {
-        ...relatorio.usuario,
-        dataNascimento: formatarData(relatorio.usuario.dataNascimento),
-        criadoEm: formatarData(relatorio.usuario.criadoEm),
-        atualizadoEm: formatarData(relatorio.usuario.atualizadoEm),
-        ultimoAcesso: formatarData(relatorio.usuario.ultimoAcesso)
-      }
-    }),
-    ...(relatorio.relatorioClientes && {
-      relatorioClientes: relatorio.relatorioClientes.map(rc => ({
-        ...rc,
-        cliente: rc.cliente ? {
-          ...rc.cliente,
-          criadoEm: formatarData(rc.cliente.criadoEm),
-          atualizadoEm: formatarData(rc.cliente.atualizadoEm)
-        } : null
-      }))
-    }),
-    ...(relatorio.relatorioEstoque && {
-      relatorioEstoque: relatorio.relatorioEstoque.map(re => ({
-        ...re,
-        produto: re.produto ? {
-          ...re.produto,
-          criadoEm: formatarData(re.produto.criadoEm),
-          atualizadoEm: formatarData(re.produto.atualizadoEm)
-        } : null
-      }))
     })
   };
 }
 
+/**
+ * Componente baixado por um item de kit, com a margem da parte do preço rateada para ele
+ */
+function fotografarComponente(componente) {
+  const quantidade = arredondarQuantidade(componente.quantidade);
+  const custoTotal = componente.custoUnit === null || componente.custoUnit === undefined
+    ? null
+    : arredondar(quantidade * componente.custoUnit);
+  return {
+    produtoId: componente.produtoId,
+    produtoNome: componente.produto ? componente.produto.nome : null,
+    quantidade,
+    valor: componente.valor,
+    custoUnit: componente.custoUnit ?? null,
+    custoTotal,
+    ...calcularMargem(componente.valor, custoTotal)
+  };
+}
+
+/**
+ * Cópia da venda no momento da geração do relatório
+ */
+function fotografarVenda(venda) {
+  const itens = venda.itens.map(item => {
+    // Quantidades fracionárias (kg, m) geram centavos quebrados
+    const subtotal = arredondar(item.quantidade * item.precoUnit);
+    const custoTotal = item.custoUnit === null || item.custoUnit === undefined
+      ? null
+      : arredondar(item.quantidade * item.custoUnit);
+    return {
+      produtoId: item.produtoId,
+      produtoNome: item.produto ? item.produto.nome : null,
+      // A cópia vai para uma coluna Json: quantidade como número, não como Decimal
+      quantidade: arredondarQuantidade(item.quantidade),
+      precoUnit: item.precoUnit,
+      subtotal,
+      custoUnit: item.custoUnit ?? null,
+      custoTotal,
+      ...calcularMargem(subtotal, custoTotal),
+      // Kit: parte do subtotal e custo de cada componente baixado
+      ...(item.componentes && item.componentes.length > 0 ? {
+        componentes: item.componentes.map(fotografarComponente)
+      } : {})
+    };
+  });
+
+  // Um item sem custo deixa a venda inteira sem custo, para não inflar a margem
+  const custoTotal = itens.some(item => item.custoTotal === null)
+    ? null
+    : itens.reduce((soma, item) => soma + item.custoTotal, 0);
+
+  return {
+    vendaId: venda.id,
+    data: venda.data,
+    status: venda.status,
+    total: venda.total || 0,
+    custoTotal,
+    clienteId: venda.clienteId,
+    clienteNome: venda.cliente ? venda.cliente.nome : '',
+    usuarioNome: venda.usuario ? venda.usuario.nome : null,
+    itens
+  };
+}
+
+function fotografarProduto(produto) {
+  return {
+    produtoId: produto.id,
+    produtoNome: produto.nome,
+    tipo: produto.tipo,
+    quantidade: arredondarQuantidade(produto.estoque),
+    preco: produto.preco
+  };
+}
+
+function fotografarCliente(cliente) {
+  const concluidas = cliente.vendas.filter(venda => venda.status === 'Concluida');
+  return {
+    clienteId: cliente.id,
+    nome: cliente.nome,
+    email: cliente.email,
+    telefone: cliente.telefone,
+    totalVendas: concluidas.length,
+    valorTotal: concluidas.reduce((soma, venda) => soma + (venda.total || 0), 0)
+  };
+}
+
+const INCLUDE_VENDA_SNAPSHOT = {
+  cliente: { select: { nome: true } },
+  usuario: { select: { nome: true } },
+  itens: {
+    include: {
+      produto: { select: { nome: true } },
+      componentes: { include: { produto: { select: { nome: true } } }, orderBy: { produtoId: 'asc' } }
+    }
+  }
+};
+
+/**
+ * Busca os registros pelos IDs informados (já filtrados pela empresa)
+ * e lista os que não foram encontrados
+ */
+async function buscarPorIds(model, ids, args = {}) {
+  const idsNumericos = [...new Set(ids.map(id => parseInt(id)))];
+  const registros = await prisma[model].findMany({
+    ...args,
+    where: { id: { in: idsNumericos.filter(id => !isNaN(id)) } }
+  });
+  const encontrados = new Set(registros.map(registro => registro.id));
+  return {
+    registros,
+    faltando: idsNumericos.filter(id => !encontrados.has(id))
+  };
+}
+
+function converterData(valor) {
+  if (!valor) return null;
+  const data = new Date(valor);
+  return isNaN(data.getTime()) ? undefined : data;
+}
+
+/**
+ * Totais do relatório de vendas. A margem considera só as vendas com custo conhecido;
+ * as demais aparecem em vendasSemCusto.
+ */
+function resumirVendas(linhas) {
+  const total = linhas.reduce((soma, linha) => soma + linha.total, 0);
+  const comCusto = linhas.filter(linha => linha.custoTotal !== null);
+  const receitaComCusto = comCusto.reduce((soma, linha) => soma + linha.total, 0);
+  const custoTotal = comCusto.length > 0
+    ? comCusto.reduce((soma, linha) => soma + linha.custoTotal, 0)
+    : null;
+
+  return {
+    quantidadeVendas: linhas.length,
+    totalVendas: total,
+    ticketMedio: linhas.length > 0 ? total / linhas.length : 0,
+    custoTotal,
+    ...calcularMargem(receitaComCusto, custoTotal),
+    vendasSemCusto: linhas.length - comCusto.length
+  };
+}
+
 // Criar relatório com dados relacionados
 const create = async (req, res) => {
   try {
-    const { 
-      usuarioId, 
-      dataInicio, 
-      dataFim, 
-      observacoes, 
+    const {
+      dataInicio,
+      dataFim,
+      observacoes,
       tipo,
       // Dados específicos para cada tipo de relatório
       vendasIds = [],
@@ -92,97 +209,122 @@ const create = async (req, res) => {
       dadosFinanceiros = []
     } = req.body;
 
-    // Criar o relatório base
-    const relatorio = await prisma.relatorio.create({
-      data: {
-        usuarioId: usuarioId || null,
-        dataInicio: dataInicio ? new Date(dataInicio) : null,
-        dataFim: dataFim ? new Date(dataFim) : null,
-        observacoes,
-        tipo,
-        // Criar relacionamentos baseados no tipo
-        ...(tipo === 'Vendas' && vendasIds.length > 0 && {
-          relatorioVendas: {
-            create: vendasIds.map(vendaId => ({ vendaId }))
-          }
-        }),
-        ...(tipo === 'Estoque' && produtosIds.length > 0 && {
-          relatorioEstoque: {
-            create: await Promise.all(produtosIds.map(async (produtoId) => {
-              const produto = await prisma.produto.findUnique({
-                where: { id: produtoId }
-              });
-              return {
-                produtoId,
-                quantidade: produto?.estoque || 0
-              };
-            }))
-          }
-        }),
-        ...(tipo === 'Clientes' && clientesIds.length > 0 && {
-          relatorioClientes: {
-            create: clientesIds.map(clienteId => ({ clienteId }))
-          }
-        }),
-        ...(tipo === 'Financeiro' && dadosFinanceiros.length > 0 && {
-          relatorioFinanceiro: {
-            create: dadosFinanceiros.map(dado => ({
-              tipo: dado.tipo,
-              categoria: dado.categoria,
-              valor: dado.valor,
-              data: new Date(dado.data),
-              descricao: dado.descricao
-            }))
-          }
-        })
-      },
-      include: {
-        usuario: true,
-        relatorioVendas: {
-          include: {
-            venda: {
-              include: {
-                cliente: true,
-                itens: {
-                  include: {
-                    produto: true
-                  }
-                }
-              }
-            }
-          }
-        },
-        relatorioEstoque: {
-          include: {
-            produto: true
-          }
-        },
-        relatorioClientes: {
-          include: {
-            cliente: true
-          }
-        },
-        relatorioFinanceiro: true
+    if (!TIPOS_RELATORIO.includes(tipo)) {
+      return res.status(400).json({
+        erro: `Tipo inválido. Use: ${TIPOS_RELATORIO.join(', ')}`
+      });
+    }
+
+    const inicio = converterData(dataInicio);
+    const fim = converterData(dataFim);
+    if (inicio === undefined || fim === undefined) {
+      return res.status(400).json({ erro: 'Datas inválidas.' });
+    }
+
+    const dados = {
+      usuarioId: req.usuario.id,
+      dataInicio: inicio,
+      dataFim: fim,
+      observacoes,
+      tipo,
+      filtros: { vendasIds, produtosIds, clientesIds }
+    };
+
+    // Montar as linhas (snapshots) de acordo com o tipo
+    if (tipo === 'Vendas') {
+      const { registros, faltando } = await buscarPorIds('venda', vendasIds, { include: INCLUDE_VENDA_SNAPSHOT });
+      if (faltando.length > 0) {
+        return res.status(400).json({ erro: 'Vendas não encontradas.', detalhes: faltando });
+      }
+      const linhas = registros.map(fotografarVenda);
+      dados.relatorioVendas = { create: linhas };
+      dados.resumo = resumirVendas(linhas);
+    }
+
+    if (tipo === 'Estoque') {
+      const { registros, faltando } = await buscarPorIds('produto', produtosIds);
+      if (faltando.length > 0) {
+        return res.status(400).json({ erro: 'Produtos não encontrados.', detalhes: faltando });
       }
+      const linhas = registros.map(fotografarProduto);
+      dados.relatorioEstoque = { create: linhas };
+      dados.resumo = {
+        quantidadeProdutos: linhas.length,
+        unidadesEmEstoque: somarQuantidades(...linhas.map(linha => linha.quantidade)),
+        valorEmEstoque: arredondar(linhas.reduce((soma, linha) => soma + linha.quantidade * linha.preco, 0))
+      };
+    }
+
+    if (tipo === 'Clientes') {
+      const { registros, faltando } = await buscarPorIds('cliente', clientesIds, {
+        include: { vendas: { select: { status: true, total: true } } }
+      });
+      if (faltando.length > 0) {
+        return res.status(400).json({ erro: 'Clientes não encontrados.', detalhes: faltando });
+      }
+      const linhas = registros.map(fotografarCliente);
+      dados.relatorioClientes = { create: linhas };
+      dados.resumo = {
+        quantidadeClientes: linhas.length,
+        valorTotal: linhas.reduce((soma, linha) => soma + linha.valorTotal, 0)
+      };
+    }
+
+    if (tipo === 'Financeiro') {
+      const erros = [];
+      dadosFinanceiros.forEach((dado, index) => {
+        if (!TIPOS_LANCAMENTO.includes(dado.tipo)) erros.push(`Lançamento ${index + 1}: tipo deve ser Receita ou Despesa`);
+        if (!dado.categoria) erros.push(`Lançamento ${index + 1}: categoria é obrigatória`);
+        if (isNaN(parseFloat(dado.valor))) erros.push(`Lançamento ${index + 1}: valor inválido`);
+        if (!converterData(dado.data)) erros.push(`Lançamento ${index + 1}: data inválida`);
+      });
+      if (erros.length > 0) {
+        return res.status(400).json({ erro: 'Dados inválidos.', detalhes: erros });
+      }
+
+      const linhas = dadosFinanceiros.map(dado => ({
+        tipo: dado.tipo,
+        categoria: dado.categoria,
+        valor: parseFloat(dado.valor),
+        data: new Date(dado.data),
+        descricao: dado.descricao || null
+      }));
+      const somar = tipoLancamento => linhas
+        .filter(linha => linha.tipo === tipoLancamento)
+        .reduce((soma, linha) => soma + linha.valor, 0);
+      dados.relatorioFinanceiro = { create: linhas };
+      dados.resumo = {
+        receitas: somar('Receita'),
+        despesas: somar('Despesa'),
+        saldo: somar('Receita') - somar('Despesa')
+      };
+    }
+
+    const relatorio = await prisma.relatorio.create({
+      data: dados,
+      include: INCLUDE_COMPLETO
     });
 
+    await registrarAuditoria(req, { acao: 'Criar', entidade: 'Relatorio', depois: relatorio });
+
     res.status(201).json(formatarDatas(relatorio));
   } catch (err) {
     console.error('Erro ao criar relatório:', err);
-    res.status(400).json({ 
-      erro: 'Erro ao criar relatório.', 
-      detalhes: err.message 
+    res.status(400).json({
+      erro: 'Erro ao criar relatório.',
+      detalhes: err.message
     });
   }
 };
 
-// Listar todos os relatórios com filtros opcionais
+// Listar relatórios com filtros opcionais (sem as linhas, apenas o resumo)
 const findAll = async (req, res) => {
   try {
     const { tipo, usuarioId, dataInicio, dataFim } = req.query;
-    
+    const { page, limit, skip } = obterPaginacao(req.query, 10);
+
     const where = {};
-    
+
     if (tipo) where.tipo = tipo;
     if (usuarioId) where.usuarioId = parseInt(usuarioId);
     if (dataInicio || dataFim) {
@@ -191,68 +333,54 @@ const findAll = async (req, res) => {
       if (dataFim) where.dataRelatorio.lte = new Date(dataFim);
     }
 
-    const relatorios = await prisma.relatorio.findMany({
-      where,
-      include: {
-        usuario: {
-          select: {
-            id: true,
-            nome: true,
-            email: true
-          }
-        },
-        relatorioVendas: {
-          include: {
-            venda: {
-              include: {
-                cliente: {
-                  select: {
-                    id: true,
-                    nome: true
-                  }
-                }
-              }
-            }
-          }
-        },
-        relatorioEstoque: {
-          include: {
-            produto: {
-              select: {
-                id: true,
-                nome: true
-              }
+    const [relatorios, total] = await Promise.all([
+      prisma.relatorio.findMany({
+        where,
+        skip,
+        take: limit,
+        include: {
+          usuario: {
+            select: {
+              id: true,
+              nome: true,
+              email: true
             }
-          }
-        },
-        relatorioClientes: {
-          include: {
-            cliente: {
-              select: {
-                id: true,
-                nome: true
-              }
+          },
+          _count: {
+            select: {
+              relatorioVendas: true,
+              relatorioEstoque: true,
+              relatorioClientes: true,
+              relatorioFinanceiro: true
             }
           }
         },
-        relatorioFinanceiro: true
-      },
-      orderBy: {
-        criadoEm: 'desc'
+        orderBy: {
+          criadoEm: 'desc'
+        }
+      }),
+      prisma.relatorio.count({ where })
+    ]);
+
+    res.json({
+      relatorios: relatorios.map(formatarDatas),
+      paginacao: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
       }
     });
-
-    res.json(relatorios.map(formatarDatas));
   } catch (err) {
     console.error('Erro ao buscar relatórios:', err);
-    res.status(500).json({ 
-      erro: 'Erro ao buscar relatórios.', 
-      detalhes: err.message 
+    res.status(500).json({
+      erro: 'Erro ao buscar relatórios.',
+      detalhes: err.message
     });
   }
 };
 
-// Buscar relatório por ID com todos os dados relacionados
+// Buscar relatório por ID com todas as linhas
 const findOne = async (req, res) => {
   const id = parseInt(req.params.id);
   if (isNaN(id)) return res.status(400).json({ erro: 'ID inválido.' });
@@ -260,47 +388,7 @@ const findOne = async (req, res) => {
   try {
     const relatorio = await prisma.relatorio.findUnique({
       where: { id },
-      include: {
-        usuario: {
-          select: {
-            id: true,
-            nome: true,
-            email: true,
-            perfil: true
-          }
-        },
-        relatorioVendas: {
-          include: {
-            venda: {
-              include: {
-                cliente: true,
-                usuario: {
-                  select: {
-                    id: true,
-                    nome: true
-                  }
-                },
-                itens: {
-                  include: {
-                    produto: true
-                  }
-                }
-              }
-            }
-          }
-        },
-        relatorioEstoque: {
-          include: {
-            produto: true
-          }
-        },
-        relatorioClientes: {
-          include: {
-            cliente: true
-          }
-        },
-        relatorioFinanceiro: true
-      }
+      include: INCLUDE_COMPLETO
     });
 
     if (!relatorio) {
@@ -310,49 +398,46 @@ const findOne = async (req, res) => {
     res.json(formatarDatas(relatorio));
   } catch (err) {
     console.error('Erro ao buscar relatório:', err);
-    res.status(500).json({ 
-      erro: 'Erro ao buscar relatório.', 
-      detalhes: err.message 
+    res.status(500).json({
+      erro: 'Erro ao buscar relatório.',
+      detalhes: err.message
     });
   }
 };
 
-// Atualizar relatório
+// Atualizar relatório. Só as observações mudam: os dados são um snapshot
+// e o período define o que foi gerado.
 const update = async (req, res) => {
   const id = parseInt(req.params.id);
   if (isNaN(id)) return res.status(400).json({ erro: 'ID inválido.' });
 
   try {
-    const { observacoes, dataInicio, dataFim } = req.body;
-    
+    const { observacoes } = req.body;
+
+    const relatorioAntes = await prisma.relatorio.findUnique({ where: { id } });
+    if (!relatorioAntes) {
+      return res.status(404).json({ erro: 'Relatório não encontrado.' });
+    }
+
     const relatorio = await prisma.relatorio.update({
       where: { id },
-      data: {
-        observacoes,
-        dataInicio: dataInicio ? new Date(dataInicio) : null,
-        dataFim: dataFim ? new Date(dataFim) : null,
-      },
-      include: {
-        usuario: true,
-        relatorioVendas: {
-          include: {
-            venda: true
-          }
-        },
-        relatorioEstoque: {
-          include: {
-            produto: true
-          }
-        }
-      }
+      data: { observacoes: observacoes || null },
+      include: INCLUDE_COMPLETO
+    });
+
+    await registrarAuditoria(req, {
+      acao: 'Atualizar',
+      entidade: 'Relatorio',
+      antes: relatorioAntes,
+      depois: relatorio
     });
 
     res.json(formatarDatas(relatorio));
   } catch (err) {
     console.error('Erro ao atualizar relatório:', err);
-    res.status(400).json({ 
-      erro: 'Erro ao atualizar relatório.', 
-      detalhes: err.message 
+    res.status(400).json({
+      erro: 'Erro ao atualizar relatório.',
+      detalhes: err.message
     });
   }
 };
@@ -363,19 +448,26 @@ const remove = async (req, res) => {
   if (isNaN(id)) return res.status(400).json({ erro: 'ID inválido.' });
 
   try {
-    await prisma.relatorio.delete({ 
-      where: { id } 
+    const relatorio = await prisma.relatorio.findUnique({ where: { id } });
+    if (!relatorio) {
+      return res.status(404).json({ erro: 'Relatório não encontrado.' });
+    }
+
+    await prisma.relatorio.delete({
+      where: { id }
     });
-    
-    res.json({ 
+
+    await registrarAuditoria(req, { acao: 'Excluir', entidade: 'Relatorio', antes: relatorio });
+
+    res.json({
       mensagem: 'Relatório deletado com sucesso.',
       id: id
     });
   } catch (err) {
     console.error('Erro ao deletar relatório:', err);
-    res.status(400).json({ 
-      erro: 'Erro ao deletar relatório.', 
-      detalhes: err.message 
+    res.status(400).json({
+      erro: 'Erro ao deletar relatório.',
+      detalhes: err.message
     });
   }
 };
@@ -383,87 +475,71 @@ const remove = async (req, res) => {
 // Método específico para gerar relatório de vendas com filtros
 const gerarRelatorioVendas = async (req, res) => {
   try {
-    const { dataInicio, dataFim, usuarioId, status } = req.body;
+    const { dataInicio, dataFim, usuarioId, status, observacoes } = req.body;
+
+    const inicio = converterData(dataInicio);
+    const fim = converterData(dataFim);
+    if (inicio === undefined || fim === undefined) {
+      return res.status(400).json({ erro: 'Datas inválidas.' });
+    }
 
     // Buscar vendas com os filtros
     const where = {};
-    if (dataInicio || dataFim) {
+    if (inicio || fim) {
       where.data = {};
-      if (dataInicio) where.data.gte = new Date(dataInicio);
-      if (dataFim) where.data.lte = new Date(dataFim);
+      if (inicio) where.data.gte = inicio;
+      if (fim) where.data.lte = fim;
     }
     if (usuarioId) where.usuarioId = parseInt(usuarioId);
     if (status) where.status = status;
 
     const vendas = await prisma.venda.findMany({
       where,
-      include: {
-        cliente: true,
-        usuario: {
-          select: {
-            id: true,
-            nome: true
-          }
-        },
-        itens: {
-          include: {
-            produto: true
-          }
-        }
-      }
+      include: INCLUDE_VENDA_SNAPSHOT,
+      orderBy: { data: 'asc' }
     });
 
-    // Calcular totais
-    const totalVendas = vendas.reduce((sum, venda) => sum + venda.total, 0);
-    const quantidadeVendas = vendas.length;
+    const linhas = vendas.map(fotografarVenda);
+    const resumo = resumirVendas(linhas);
 
     // Criar relatório
     const relatorio = await prisma.relatorio.create({
       data: {
-        usuarioId: usuarioId || null,
-        dataInicio: dataInicio ? new Date(dataInicio) : null,
-        dataFim: dataFim ? new Date(dataFim) : null,
+        usuarioId: req.usuario.id,
+        dataInicio: inicio,
+        dataFim: fim,
         tipo: 'Vendas',
-        observacoes: `Relatório de vendas - ${quantidadeVendas} vendas - Total: R$ ${totalVendas.toFixed(2)}`,
+        filtros: {
+          usuarioId: usuarioId ? parseInt(usuarioId) : null,
+          status: status || null
+        },
+        resumo,
+        observacoes: observacoes
+          || `Relatório de vendas - ${resumo.quantidadeVendas} vendas - Total: R$ ${resumo.totalVendas.toFixed(2)}`,
         relatorioVendas: {
-          create: vendas.map(venda => ({ vendaId: venda.id }))
+          create: linhas
         }
       },
-      include: {
-        usuario: true,
-        relatorioVendas: {
-          include: {
-            venda: {
-              include: {
-                cliente: true,
-                itens: {
-                  include: {
-                    produto: true
-                  }
-                }
-              }
-            }
-          }
-        }
-      }
+      include: INCLUDE_COMPLETO
     });
 
+    await registrarAuditoria(req, { acao: 'Criar', entidade: 'Relatorio', depois: relatorio });
+
     res.status(201).json({
       ...formatarDatas(relatorio),
       resumo: {
-        totalVendas: totalVendas,
-        quantidadeVendas: quantidadeVendas,
+        ...resumo,
         periodo: {
-          dataInicio: formatarData(dataInicio),
-          dataFim: formatarData(dataFim)
+          dataInicio: formatarData(inicio),
+          dataFim: formatarData(fim)
         }
       }
     });
   } catch (err) {
     console.error('Erro ao gerar relatório de vendas:', err);
-    res.status(400).json({ 
-      erro: 'Erro ao gerar relatório de vendas.', 
-      detalhes: err.message 
+    res.status(400).json({
+      erro: 'Erro ao gerar relatório de vendas.',
+      detalhes: err.message
     });
   }
 };
@@ -472,13 +548,13 @@ const gerarRelatorioVendas = async (req, res) => {
 function formatarData(data) {
   if (!data) return null;
   const date = new Date(data);
-  
+
   const dia = date.getDate().toString().padStart(2, '0');
   const mes = (date.getMonth() + 1).toString().padStart(2, '0');
   const ano = date.getFullYear().toString().slice(-2);
   const horas = date.getHours().toString().padStart(2, '0');
   const minutos = date.getMinutes().toString().padStart(2, '0');
-  
+
   return `${dia}/${mes}/${ano} ${horas}:${minutos}`;
 }
 
@@ -490,4 +566,4 @@ module.exports = {
   delete: remove,
   gerarRelatorioVendas,
   formatarData // Exportando caso precise usar em outros lugares
-};
\ No newline at end of file
+};
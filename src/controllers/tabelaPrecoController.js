@@ -0,0 +1,402 @@
+const { Prisma } = require('@prisma/client');
+const prisma = require('../prisma');
+const { obterPaginacao } = require('../utils/paginacao');
+const { registrarAuditoria } = require('../services/auditoriaService');
+const { precoNaTabela } = require('../services/tabelaPrecoService');
+const { ErroHttp } = require('../utils/erros');
+
+// Percentual aceito: acima de -100% (o preço não chega a zero) e até +1000%
+const PERCENTUAL_MINIMO = -100;
+const PERCENTUAL_MAXIMO = 1000;
+
+const INCLUDE_COMPLETO = {
+  itens: {
+    include: { produto: { select: { id: true, nome: true, sku: true, tipo: true, preco: true } } },
+    orderBy: { id: 'asc' }
+  },
+  _count: { select: { clientes: true } }
+};
+
+/**
+ * Função para formatar datas no padrão dd/mm/aa HH:MM
+ */
+function formatarData(data) {
+  if (!data) return null;
+  const date = new Date(data);
+
+  const dia = date.getDate().toString().padStart(2, '0');
+  const mes = (date.getMonth() + 1).toString().padStart(2, '0');
+  const ano = date.getFullYear().toString().slice(-2);
+  const horas = date.getHours().toString().padStart(2, '0');
+  const minutos = date.getMinutes().toString().padStart(2, '0');
+
+  return `${dia}/${mes}/${ano} ${horas}:${minutos}`;
+}
+
+/**
+ * Tabela com o preço calculado de cada linha (precoTabela) e o total de clientes
+ */
+function formatarTabela(tabela) {
+  const { _count, itens, ...dados } = tabela;
+  return {
+    ...dados,
+    totalClientes: _count ? _count.clientes : undefined,
+    ...(itens ? {
+      itens: itens.map(linha => ({
+        ...linha,
+        precoTabela: precoNaTabela(tabela, linha, linha.produto.preco)
+      }))
+    } : {}),
+    criadoEm: formatarData(tabela.criadoEm),
+    atualizadoEm: formatarData(tabela.atualizadoEm)
+  };
+}
+
+function lerId(valor) {
+  const id = parseInt(valor);
+  if (isNaN(id) || id <= 0) {
+    throw new ErroHttp('O ID deve ser um número positivo', 400, 'ID inválido');
+  }
+  return id;
+}
+
+function percentualValido(valor) {
+  return typeof valor === 'number' && valor > PERCENTUAL_MINIMO && valor <= PERCENTUAL_MAXIMO;
+}
+
+/**
+ * Valida nome, descrição e percentual geral (modo update: campos parciais)
+ */
+function validarTabela(dados, isUpdate = false) {
+  const erros = [];
+
+  if (!isUpdate || dados.nome !== undefined) {
+    if (typeof dados.nome !== 'string' || dados.nome.trim().length < 2) {
+      erros.push('Nome é obrigatório e deve ter pelo menos 2 caracteres');
+    } else if (dados.nome.length > 100) {
+      erros.push('Nome não pode exceder 100 caracteres');
+    }
+  }
+  if (dados.descricao && (typeof dados.descricao !== 'string' || dados.descricao.length > 255)) {
+    erros.push('Descrição deve ser um texto de até 255 caracteres');
+  }
+  if (dados.percentual !== undefined && dados.percentual !== null && !percentualValido(dados.percentual)) {
+    erros.push(`Percentual deve ser um número maior que ${PERCENTUAL_MINIMO} e até ${PERCENTUAL_MAXIMO} (ex.: -10 = 10% de desconto)`);
+  }
+  if (dados.ativa !== undefined && typeof dados.ativa !== 'boolean') {
+    erros.push('ativa deve ser true ou false');
+  }
+
+  return erros;
+}
+
+/**
+ * Valida as linhas da tabela: cada produto uma vez, com preço fixo ou percentual (não os dois)
+ * @returns {Promise<Array<{ produtoId: number, preco: number|null, percentual: number|null, precoMinimo: number|null }>>}
+ */
+async function validarItens(itens) {
+  if (!Array.isArray(itens)) {
+    throw new ErroHttp('itens deve ser uma lista, como [{ "produtoId": 1, "preco": 9.9 }]');
+  }
+
+  const erros = [];
+  const normalizados = [];
+
+  for (const [index, item] of itens.entries()) {
+    const produtoId = parseInt(item.produtoId);
+    const preco = item.preco === undefined || item.preco === null ? null : item.preco;
+    const percentual = item.percentual === undefined || item.percentual === null ? null : item.percentual;
+    const precoMinimo = item.precoMinimo === undefined || item.precoMinimo === null ? null : item.precoMinimo;
+
+    if (isNaN(produtoId) || produtoId <= 0) {
+      erros.push(`Item ${index + 1}: produtoId é obrigatório e deve ser um número válido`);
+    }
+    if ((preco === null) === (percentual === null)) {
+      erros.push(`Item ${index + 1}: informe preco ou percentual`);
+    }
+    if (preco !== null && (typeof preco !== 'number' || preco < 0)) {
+      erros.push(`Item ${index + 1}: preco deve ser um valor não negativo`);
+    }
+    if (percentual !== null && !percentualValido(percentual)) {
+      erros.push(`Item ${index + 1}: percentual deve ser maior que ${PERCENTUAL_MINIMO} e até ${PERCENTUAL_MAXIMO}`);
+    }
+    if (precoMinimo !== null && (typeof precoMinimo !== 'number' || precoMinimo < 0)) {
+      erros.push(`Item ${index + 1}: precoMinimo deve ser um valor não negativo`);
+    } else if (precoMinimo !== null && typeof preco === 'number' && precoMinimo > preco) {
+      erros.push(`Item ${index + 1}: precoMinimo não pode ser maior que o preco`);
+    }
+    if (normalizados.some(outro => outro.produtoId === produtoId)) {
+      erros.push(`Item ${index + 1}: produto ${produtoId} repetido na tabela`);
+    }
+
+    normalizados.push({ produtoId, preco, percentual, precoMinimo });
+  }
+
+  if (erros.length === 0 && normalizados.length > 0) {
+    const produtos = await prisma.produto.findMany({
+      where: { id: { in: normalizados.map(item => item.produtoId) } },
+      select: { id: true }
+    });
+    for (const item of normalizados) {
+      if (!produtos.some(produto => produto.id === item.produtoId)) {
+        erros.push(`Produto com ID ${item.produtoId} não encontrado`);
+      }
+    }
+  }
+
+  if (erros.length > 0) {
+    throw new ErroHttp(erros.join('; '), 400, 'Dados inválidos');
+  }
+
+  return normalizados;
+}
+
+/**
+ * Nome não pode repetir na empresa (sem diferenciar maiúsculas)
+ */
+async function validarNomeUnico(nome, id) {
+  const repetida = await prisma.tabelaPreco.findFirst({
+    where: {
+      nome: { equals: nome, mode: 'insensitive' },
+      ...(id ? { id: { not: id } } : {})
+    }
+  });
+  if (repetida) {
+    throw new ErroHttp(`Já existe a tabela de preços "${repetida.nome}"`, 409, 'Conflito de dados');
+  }
+}
+
+async function buscarTabela(id, client = prisma) {
+  const tabela = await client.tabelaPreco.findUnique({ where: { id }, include: INCLUDE_COMPLETO });
+  if (!tabela) {
+    throw new ErroHttp('Tabela de preços não encontrada', 404);
+  }
+  return tabela;
+}
+
+const handleError = (res, error, context) => {
+  if (error instanceof ErroHttp) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.titulo,
+      message: error.message
+    });
+  }
+
+  console.error(`Erro em ${context}:`, error);
+
+  if (error instanceof Prisma.PrismaClientKnownRequestError) {
+    if (error.code === 'P2002') {
+      return res.status(409).json({
+        success: false,
+        error: 'Conflito de dados',
+        message: 'Já existe uma tabela de preços com este nome'
+      });
+    }
+    if (error.code === 'P2003') {
+      return res.status(409).json({
+        success: false,
+        error: 'Tabela em uso',
+        message: 'A tabela está atribuída a clientes'
+      });
+    }
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        success: false,
+        error: 'Não encontrado',
+        message: 'Tabela de preços não encontrada'
+      });
+    }
+  }
+
+  res.status(500).json({
+    success: false,
+    error: 'Erro interno do servidor',
+    message: 'Erro interno'
+  });
+};
+
+// Listar tabelas de preços (filtros search e ativa)
+const findAll = async (req, res) => {
+  try {
+    const { search, ativa } = req.query;
+    const { page, limit, skip } = obterPaginacao(req.query, 50);
+
+    const where = {};
+    if (search) where.nome = { contains: search, mode: 'insensitive' };
+    if (ativa !== undefined) where.ativa = ativa === 'true';
+
+    const [tabelas, total] = await Promise.all([
+      prisma.tabelaPreco.findMany({
+        where,
+        skip,
+        take: limit,
+        include: { _count: { select: { clientes: true, itens: true } } },
+        orderBy: { nome: 'asc' }
+      }),
+      prisma.tabelaPreco.count({ where })
+    ]);
+
+    res.json({
+      success: true,
+      data: tabelas.map(tabela => ({
+        ...formatarTabela(tabela),
+        totalItens: tabela._count.itens
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    handleError(res, error, 'findAll tabelas de preços');
+  }
+};
+
+// Tabela com as linhas (preço calculado de cada produto)
+const findOne = async (req, res) => {
+  try {
+    const tabela = await buscarTabela(lerId(req.params.id));
+
+    res.json({
+      success: true,
+      data: formatarTabela(tabela)
+    });
+
+  } catch (error) {
+    handleError(res, error, 'findOne tabela de preços');
+  }
+};
+
+const create = async (req, res) => {
+  try {
+    const { nome, descricao, percentual, itens = [] } = req.body || {};
+
+    const erros = validarTabela({ nome, descricao, percentual });
+    if (erros.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Dados inválidos',
+        details: erros
+      });
+    }
+
+    const itensValidos = await validarItens(itens);
+    await validarNomeUnico(nome.trim());
+
+    const tabela = await prisma.tabelaPreco.create({
+      data: {
+        nome: nome.trim(),
+        descricao: descricao || null,
+        percentual: percentual ?? null,
+        itens: { create: itensValidos }
+      },
+      include: INCLUDE_COMPLETO
+    });
+
+    await registrarAuditoria(req, { acao: 'Criar', entidade: 'TabelaPreco', depois: tabela });
+
+    res.status(201).json({
+      success: true,
+      message: 'Tabela de preços criada com sucesso',
+      data: formatarTabela(tabela)
+    });
+
+  } catch (error) {
+    handleError(res, error, 'create tabela de preços');
+  }
+};
+
+// Alterar tabela; itens enviados substituem as linhas atuais
+const update = async (req, res) => {
+  try {
+    const id = lerId(req.params.id);
+    const { nome, descricao, percentual, ativa, itens } = req.body || {};
+
+    const erros = validarTabela({ nome, descricao, percentual, ativa }, true);
+    if (erros.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Dados inválidos',
+        details: erros
+      });
+    }
+
+    const tabelaAntes = await buscarTabela(id);
+    const itensValidos = itens !== undefined ? await validarItens(itens) : null;
+    if (nome !== undefined) await validarNomeUnico(nome.trim(), id);
+
+    const dados = {};
+    if (nome !== undefined) dados.nome = nome.trim();
+    if (descricao !== undefined) dados.descricao = descricao || null;
+    if (percentual !== undefined) dados.percentual = percentual;
+    if (ativa !== undefined) dados.ativa = ativa;
+
+    const tabela = await prisma.$transaction(async (tx) => {
+      if (itensValidos) {
+        await tx.itemTabelaPreco.deleteMany({ where: { tabelaPrecoId: id } });
+        await tx.itemTabelaPreco.createMany({
+          data: itensValidos.map(item => ({ ...item, tabelaPrecoId: id }))
+        });
+      }
+
+      await tx.tabelaPreco.update({ where: { id }, data: dados });
+      return buscarTabela(id, tx);
+    });
+
+    await registrarAuditoria(req, {
+      acao: 'Atualizar',
+      entidade: 'TabelaPreco',
+      antes: tabelaAntes,
+      depois: tabela
+    });
+
+    res.json({
+      success: true,
+      message: 'Tabela de preços atualizada com sucesso',
+      data: formatarTabela(tabela)
+    });
+
+  } catch (error) {
+    handleError(res, error, 'update tabela de preços');
+  }
+};
+
+// Excluir tabela sem clientes (para as que estão em uso, use ativa: false)
+const remove = async (req, res) => {
+  try {
+    const tabela = await buscarTabela(lerId(req.params.id));
+
+    if (tabela._count.clientes > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Tabela em uso',
+        message: `A tabela está atribuída a ${tabela._count.clientes} cliente(s). Troque a tabela deles ou inative-a.`
+      });
+    }
+
+    await prisma.tabelaPreco.delete({ where: { id: tabela.id } });
+
+    await registrarAuditoria(req, { acao: 'Excluir', entidade: 'TabelaPreco', antes: tabela });
+
+    res.json({
+      success: true,
+      message: 'Tabela de preços excluída com sucesso',
+      data: { id: tabela.id }
+    });
+
+  } catch (error) {
+    handleError(res, error, 'remove tabela de preços');
+  }
+};
+
+module.exports = {
+  findAll,
+  findOne,
+  create,
+  update,
+  remove
+};
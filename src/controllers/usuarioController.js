@@ -1,16 +1,15 @@
-const { PrismaClient, Prisma } = require('@prisma/client');
-const prisma = new PrismaClient();
+const { Prisma } = require('@prisma/client');
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
-
-// Configurações
-const CONFIG = {
-  perfisValidos: ['Admin', 'Operador'],
-  statusValidos: ['Ativo', 'Inativo'],
-  bcryptRounds: 10,
-  jwtExpiresIn: process.env.JWT_EXPIRES_IN || '1d',
-  jwtSecret: process.env.JWT_SECRET || 'seuSegredoJWT_fortissimo_aqui'
-};
+const prisma = require('../prisma');
+const CONFIG = require('../config');
+const { obterPaginacao } = require('../utils/paginacao');
+const sessaoService = require('../services/sessaoService');
+const doisFatoresService = require('../services/doisFatoresService');
+const bloqueioLoginService = require('../services/bloqueioLoginService');
+const { ErroHttp } = require('../utils/erros');
+const { registrarAuditoria } = require('../services/auditoriaService');
+const { semEscopo } = require('../utils/contextoEmpresa');
+const { possuiPermissao } = require('../services/permissaoService');
 
 // Validações robustas
 const Validacoes = {
@@ -188,12 +187,29 @@ const Utils = {
         where.NOT = { id: idExcluir };
       }
       
-      return await prisma.usuario.findFirst({ where });
+      // Email, CPF e telefone de usuário são únicos no sistema todo, não por empresa
+      return await semEscopo(() => prisma.usuario.findFirst({ where }));
     } catch (error) {
       throw new Error(`Erro ao verificar duplicatas: ${error.message}`);
     }
   },
 
+  // Só os campos do cadastro: TOTP, bloqueio, datas e relações (ex.: empresas) ficam de fora
+  camposGravaveis: (dados) => {
+    const permitidos = ['nome', 'email', 'senha', 'telefone', 'cpf', 'perfil', 'status', 'dataNascimento', 'endereco'];
+    return Object.fromEntries(
+      permitidos.filter(campo => dados && dados[campo] !== undefined).map(campo => [campo, dados[campo]])
+    );
+  },
+
+  // Quem também acessa outra empresa é dono da própria conta: esta empresa só gerencia o acesso dele
+  vinculadoAOutraEmpresa: async (usuarioId, empresaId) => {
+    const vinculos = await prisma.usuarioEmpresa.count({
+      where: { usuarioId, empresaId: { not: empresaId } }
+    });
+    return vinculos > 0;
+  },
+
   // 🔥 NOVO: Converter data do formato DD-MM-YYYY para Date object
   converterDataParaBackend: (dataString) => {
     if (!dataString) return null;
@@ -223,6 +239,17 @@ const Utils = {
 
 // Middleware de erro centralizado
 const handleError = (res, error, context) => {
+  if (error instanceof ErroHttp) {
+    if (error.retryAfter) {
+      res.set('Retry-After', String(error.retryAfter));
+    }
+    return res.status(error.status).json({
+      success: false,
+      error: error.titulo,
+      message: error.message
+    });
+  }
+  
   console.error(`Erro em ${context}:`, error);
   
   if (error instanceof Prisma.PrismaClientKnownRequestError) {
@@ -259,7 +286,7 @@ const handleError = (res, error, context) => {
   res.status(500).json({
     success: false,
     error: 'Erro interno do servidor',
-    message: process.env.NODE_ENV === 'development' ? error.message : 'Erro interno'
+    message: CONFIG.ambiente === 'development' ? error.message : 'Erro interno'
   });
 };
 
@@ -268,7 +295,7 @@ const UsuarioController = {
   // Criar novo usuário
   create: async (req, res) => {
     try {
-      const dados = req.body;
+      const dados = Utils.camposGravaveis(req.body);
       
       // 🔥 CORREÇÃO: Converte data antes da validação
       if (dados.dataNascimento) {
@@ -292,6 +319,15 @@ const UsuarioController = {
         });
       }
       
+      // Só administradores criam outros administradores
+      if (dados.perfil === 'Admin' && req.usuario && req.usuario.perfil !== 'Admin') {
+        return res.status(403).json({
+          success: false,
+          error: 'Acesso negado',
+          message: 'Apenas administradores podem criar usuários com perfil Admin'
+        });
+      }
+      
       // Verificar duplicatas
       const duplicata = await Utils.verificarDuplicatas(dados);
       if (duplicata) {
@@ -321,6 +357,8 @@ const UsuarioController = {
         }
       });
       
+      await registrarAuditoria(req, { acao: 'Criar', entidade: 'Usuario', depois: usuario });
+      
       res.status(201).json({
         success: true,
         message: 'Usuário criado com sucesso',
@@ -335,10 +373,8 @@ const UsuarioController = {
   // Listar todos os usuários
   read: async (req, res) => {
     try {
-      const { page = 1, limit = 10, search, perfil, status } = req.query;
-      
-      const skip = (Math.max(1, parseInt(page)) - 1) * Math.min(100, parseInt(limit));
-      const take = Math.min(100, parseInt(limit));
+      const { search, perfil, status } = req.query;
+      const { page, limit: take, skip } = obterPaginacao(req.query);
       
       // Construir filtros
       const where = {};
@@ -377,7 +413,7 @@ const UsuarioController = {
         success: true,
         data: usuarios.map(Utils.formatarUsuario),
         pagination: {
-          page: parseInt(page),
+          page,
           limit: take,
           total,
           totalPages: Math.ceil(total / take)
@@ -442,7 +478,26 @@ const UsuarioController = {
         });
       }
       
-      const dados = req.body;
+      const dados = Utils.camposGravaveis(req.body);
+      
+      // Sem usuario:editar só é possível alterar o próprio cadastro
+      if (req.usuario && !possuiPermissao(req.usuario, 'usuario:editar') && req.usuario.id !== id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Acesso negado',
+          message: 'Você só pode alterar o seu próprio usuário'
+        });
+      }
+
+      
+      // A própria senha só muda via /auth/change-password (exige a senha atual)
+      if (dados.senha !== undefined && req.usuario && req.usuario.id === id) {
+        return res.status(400).json({
+          success: false,
+          error: 'Operação não permitida',
+          message: 'Para alterar a sua senha use POST /auth/change-password'
+        });
+      }
       
       // 🔥 CORREÇÃO: Converte data antes da validação
       if (dados.dataNascimento) {
@@ -469,7 +524,11 @@ const UsuarioController = {
       // Verificar se usuário existe
       const usuarioExistente = await prisma.usuario.findUnique({
         where: { id },
-        select: { id: true }
+        select: {
+          id: true, nome: true, email: true, telefone: true, cpf: true,
+          perfil: true, status: true, dataNascimento: true, endereco: true,
+          criadoEm: true, atualizadoEm: true
+        }
       });
       
       if (!usuarioExistente) {
@@ -480,6 +539,24 @@ const UsuarioController = {
         });
       }
       
+      if (req.usuario && req.usuario.id !== id && await Utils.vinculadoAOutraEmpresa(id, req.usuario.empresaId)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Acesso negado',
+          message: 'Este usuário também acessa outra empresa; só ele pode alterar o próprio cadastro'
+        });
+      }
+      
+      // O perfil base (Admin/Operador) só é alterado por administradores
+      if (req.usuario && req.usuario.perfil !== 'Admin'
+        && dados.perfil !== undefined && dados.perfil !== usuarioExistente.perfil) {
+        return res.status(403).json({
+          success: false,
+          error: 'Acesso negado',
+          message: 'Apenas administradores podem alterar o perfil de um usuário'
+        });
+      }
+      
       // Verificar duplicatas
       const duplicata = await Utils.verificarDuplicatas(dados, id);
       if (duplicata) {
@@ -509,11 +586,25 @@ const UsuarioController = {
         data: dadosAtualizacao,
         select: {
           id: true, nome: true, email: true, telefone: true, cpf: true,
-          perfil: true, status: true, dataNascimento: true,
+          perfil: true, status: true, dataNascimento: true, endereco: true,
           criadoEm: true, atualizadoEm: true
         }
       });
       
+      // Troca de senha ou inativação derruba todas as sessões abertas
+      if (dados.senha) {
+        await sessaoService.revogarTodasSessoes(id, 'SenhaAlterada');
+      } else if (usuarioExistente.status === 'Ativo' && usuarioAtualizado.status === 'Inativo') {
+        await sessaoService.revogarTodasSessoes(id, 'UsuarioInativo');
+      }
+      
+      await registrarAuditoria(req, {
+        acao: 'Atualizar',
+        entidade: 'Usuario',
+        antes: usuarioExistente,
+        depois: usuarioAtualizado
+      });
+      
       res.json({
         success: true,
         message: 'Usuário atualizado com sucesso',
@@ -555,6 +646,14 @@ const UsuarioController = {
         });
       }
       
+      if (await Utils.vinculadoAOutraEmpresa(id, req.usuario.empresaId)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Acesso negado',
+          message: 'Este usuário também acessa outra empresa; use DELETE /api/empresas/:id/usuarios/:usuarioId para remover o acesso dele a esta empresa'
+        });
+      }
+      
       // Verificar relacionamentos
       if (usuario.clientes.length > 0 || usuario.vendas.length > 0) {
         return res.status(409).json({
@@ -570,6 +669,8 @@ const UsuarioController = {
       
       await prisma.usuario.delete({ where: { id } });
       
+      await registrarAuditoria(req, { acao: 'Excluir', entidade: 'Usuario', antes: usuario });
+      
       res.json({
         success: true,
         message: 'Usuário deletado com sucesso',
@@ -607,7 +708,11 @@ const UsuarioController = {
         where: { email }
       });
       
+      // Bloqueio por IP, conta bloqueada ou atraso progressivo
+      await bloqueioLoginService.verificarTentativa(email, req.ip, usuario);
+      
       if (!usuario) {
+        await bloqueioLoginService.registrarFalha(req, email, null, 'UsuarioInexistente');
         return res.status(401).json({
           success: false,
           error: 'Credenciais inválidas',
@@ -618,6 +723,14 @@ const UsuarioController = {
       // Verificar senha
       const senhaValida = await bcrypt.compare(senha, usuario.senha);
       if (!senhaValida) {
+        const bloqueado = await bloqueioLoginService.registrarFalha(req, email, usuario, 'SenhaIncorreta');
+        if (bloqueado) {
+          return res.status(423).json({
+            success: false,
+            error: 'Bloqueado',
+            message: `Conta bloqueada por ${CONFIG.login.bloqueioMinutos} minutos após ${CONFIG.login.maxTentativas} tentativas sem sucesso`
+          });
+        }
         return res.status(401).json({
           success: false,
           error: 'Credenciais inválidas',
@@ -627,6 +740,7 @@ const UsuarioController = {
       
       // Verificar status
       if (usuario.status !== 'Ativo') {
+        await bloqueioLoginService.registrarFalha(req, email, usuario, 'UsuarioInativo');
         return res.status(403).json({
           success: false,
           error: 'Usuário inativo',
@@ -634,42 +748,138 @@ const UsuarioController = {
         });
       }
       
-      // Gerar token
-      const token = jwt.sign(
-        { 
-          id: usuario.id, 
-          email: usuario.email, 
-          perfil: usuario.perfil 
-        },
-        CONFIG.jwtSecret,
-        { expiresIn: CONFIG.jwtExpiresIn }
-      );
-      
-      // Atualizar último acesso
-      await prisma.usuario.update({
-        where: { id: usuario.id },
-        data: { atualizadoEm: new Date() }
-      });
+      // Com 2FA ativo o login só termina em POST /auth/2fa/login. O contador de falhas
+      // só zera depois do código: senha certa não abre novas tentativas de código.
+      if (usuario.totpAtivo) {
+        return res.json({
+          success: true,
+          message: 'Informe o código do aplicativo autenticador',
+          data: {
+            requer2FA: true,
+            desafioToken: doisFatoresService.criarDesafio(usuario),
+            expiresIn: CONFIG.desafio2faExpiresIn
+          }
+        });
+      }
+      
+      await bloqueioLoginService.registrarSucesso(req, usuario);
+      
+      // Abrir sessão (access token + refresh token)
+      const dadosLogin = await sessaoService.abrirSessaoLogin(usuario, req, req.body.empresaId);
       
       res.json({
         success: true,
         message: 'Login realizado com sucesso',
-        data: {
-          token,
-          usuario: {
-            id: usuario.id,
-            nome: usuario.nome,
-            email: usuario.email,
-            perfil: usuario.perfil,
-            status: usuario.status
-          },
-          expiresIn: CONFIG.jwtExpiresIn
-        }
+        data: dadosLogin
       });
       
     } catch (error) {
       handleError(res, error, 'loginUser');
     }
+  },
+  
+  // Desbloquear conta bloqueada por tentativas de login (Admin)
+  unlock: async (req, res) => {
+    try {
+      const id = parseInt(req.params.id);
+      
+      if (isNaN(id) || id <= 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'ID inválido',
+          message: 'O ID deve ser um número positivo'
+        });
+      }
+      
+      const usuario = await bloqueioLoginService.desbloquearUsuario(id);
+      
+      await registrarAuditoria(req, { acao: 'Desbloquear', entidade: 'Usuario', entidadeId: id });
+      
+      res.json({
+        success: true,
+        message: 'Usuário desbloqueado com sucesso',
+        data: usuario
+      });
+      
+    } catch (error) {
+      handleError(res, error, 'unlock usuario');
+    }
+  },
+  
+  // Histórico de tentativas de login de um usuário
+  loginAttempts: async (req, res) => {
+    try {
+      const id = parseInt(req.params.id);
+      
+      if (isNaN(id) || id <= 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'ID inválido',
+          message: 'O ID deve ser um número positivo'
+        });
+      }
+      
+      if (req.usuario && !possuiPermissao(req.usuario, 'usuario:desbloquear') && req.usuario.id !== id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Acesso negado',
+          message: 'Você só pode consultar o seu próprio histórico'
+        });
+      }
+      
+      const { sucesso } = req.query;
+      const { page, limit: take, skip } = obterPaginacao(req.query, 20);
+      
+      const where = { usuarioId: id };
+      if (sucesso === 'true' || sucesso === 'false') {
+        where.sucesso = sucesso === 'true';
+      }
+      
+      const [tentativas, total, usuario] = await Promise.all([
+        prisma.tentativaLogin.findMany({
+          where,
+          skip,
+          take,
+          orderBy: { criadoEm: 'desc' }
+        }),
+        prisma.tentativaLogin.count({ where }),
+        prisma.usuario.findUnique({
+          where: { id },
+          select: { falhasLogin: true, bloqueadoAte: true, ultimoAcesso: true }
+        })
+      ]);
+      
+      if (!usuario) {
+        return res.status(404).json({
+          success: false,
+          error: 'Não encontrado',
+          message: 'Usuário não encontrado'
+        });
+      }
+      
+      res.json({
+        success: true,
+        data: tentativas.map(tentativa => ({
+          ...tentativa,
+          criadoEm: Utils.formatarData(tentativa.criadoEm)
+        })),
+        bloqueio: {
+          falhasConsecutivas: usuario.falhasLogin,
+          bloqueado: Boolean(usuario.bloqueadoAte && usuario.bloqueadoAte > new Date()),
+          bloqueadoAte: Utils.formatarData(usuario.bloqueadoAte),
+          ultimoAcesso: Utils.formatarData(usuario.ultimoAcesso)
+        },
+        pagination: {
+          page,
+          limit: take,
+          total,
+          totalPages: Math.ceil(total / take)
+        }
+      });
+      
+    } catch (error) {
+      handleError(res, error, 'loginAttempts usuario');
+    }
   }
 };
 
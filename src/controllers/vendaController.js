@@ -1,5 +1,22 @@
-const { PrismaClient } = require('@prisma/client');
-const prisma = new PrismaClient();
+const prisma = require('../prisma');
+const { obterPaginacao } = require('../utils/paginacao');
+const { registrarAuditoria } = require('../services/auditoriaService');
+const { possuiPermissao } = require('../services/permissaoService');
+const { estornarEstoqueVenda } = require('../services/estoqueService');
+const {
+  calcularDisponivel,
+  disponivelKits,
+  reservarEstoqueVenda,
+  renovarReservaVenda,
+  concluirVenda,
+  aplicarStatusVenda
+} = require('../services/reservaEstoqueService');
+const { fixarCustoItensVenda, arredondar } = require('../services/custoService');
+const { resolverDeposito, buscarDepositoAtivo } = require('../services/depositoService');
+const { aplicarAlteracoesAgendadas } = require('../services/precoService');
+const { precosParaCliente } = require('../services/tabelaPrecoService');
+const { ErroHttp } = require('../utils/erros');
+const { MAX_CASAS_DECIMAIS, lerQuantidade, descreverPrecisao } = require('../utils/quantidades');
 
 
 function parseDataBrasileira(dataString) {
@@ -102,7 +119,7 @@ function isMesmoDia(data1, data2) {
 // FUNÇÕES DE VALIDAÇÃO
 // =============================================
 
-async function verificarExistenciaRegistros(clienteId, usuarioId, itens = []) {
+async function verificarExistenciaRegistros(clienteId, usuarioId, itens = [], depositoId) {
   const errors = [];
 
   try {
@@ -122,7 +139,13 @@ async function verificarExistenciaRegistros(clienteId, usuarioId, itens = []) {
       errors.push(`Usuário com ID ${usuarioId} não encontrado`);
     }
 
-    // Verificar produtos
+    // Verificar produtos (disponível = saldo do depósito menos o reservado nele por vendas pendentes)
+    const disponiveis = await calcularDisponivel(
+      prisma,
+      itens.map(item => parseInt(item.produtoId)).filter(id => !isNaN(id)),
+      depositoId
+    );
+
     for (const item of itens) {
       const produto = await prisma.produto.findUnique({
         where: { id: parseInt(item.produtoId) }
@@ -130,13 +153,26 @@ async function verificarExistenciaRegistros(clienteId, usuarioId, itens = []) {
       
       if (!produto) {
         errors.push(`Produto com ID ${item.produtoId} não encontrado`);
+      } else if (produto.tipo === 'Grade') {
+        errors.push(`${produto.nome} é uma grade: informe o ID da variante (tamanho, cor...)`);
+      } else if (lerQuantidade(item.quantidade, produto.casasDecimais) === null) {
+        // Cada produto aceita as casas decimais da sua unidade (UN inteiro, KG até 3...)
+        errors.push(`Quantidade de ${produto.nome} deve ser um ${descreverPrecisao(produto.casasDecimais)} (${produto.unidade})`);
       } else if (produto.tipo === 'Produto') {
-        const estoqueDisponivel = produto.estoque !== null ? produto.estoque : 0;
-        const quantidadeSolicitada = parseInt(item.quantidade) || 0;
+        const estoqueDisponivel = disponiveis.get(produto.id) || 0;
+        const quantidadeSolicitada = lerQuantidade(item.quantidade, produto.casasDecimais);
         
         if (quantidadeSolicitada > estoqueDisponivel) {
           errors.push(`Estoque insuficiente para o produto ${produto.nome}. Disponível: ${estoqueDisponivel}, Solicitado: ${quantidadeSolicitada}`);
         }
+      } else if (produto.tipo === 'Kit') {
+        // Kit não tem estoque: o disponível é quantos kits os componentes montam no depósito
+        const kitsDisponiveis = (await disponivelKits(prisma, [produto], depositoId)).get(produto.id);
+        const quantidadeSolicitada = lerQuantidade(item.quantidade, produto.casasDecimais);
+
+        if (kitsDisponiveis !== null && quantidadeSolicitada > kitsDisponiveis) {
+          errors.push(`Estoque insuficiente para o kit ${produto.nome}. Disponível: ${kitsDisponiveis}, Solicitado: ${quantidadeSolicitada}`);
+        }
       }
     }
   } catch (error) {
@@ -146,13 +182,78 @@ async function verificarExistenciaRegistros(clienteId, usuarioId, itens = []) {
   return errors;
 }
 
+/**
+ * Trava a linha da venda até o fim da transação e a lê com os itens: duas mudanças de status
+ * simultâneas passariam pela mesma checagem e baixariam o estoque duas vezes
+ */
+async function buscarVendaTravada(tx, id) {
+  const { count } = await tx.venda.updateMany({
+    where: { id },
+    data: { atualizadoEm: new Date() }
+  });
+  if (count === 0) {
+    throw new ErroHttp('Venda não encontrada', 404);
+  }
+
+  return tx.venda.findUnique({
+    where: { id },
+    include: {
+      itens: {
+        include: {
+          produto: {
+            select: {
+              id: true,
+              tipo: true
+            }
+          }
+        }
+      }
+    }
+  });
+}
+
+function precoInformado(precoUnit) {
+  return precoUnit !== undefined && precoUnit !== null && precoUnit !== '';
+}
+
+/**
+ * Itens da venda prontos para gravar: precoUnit informado ou, sem ele, o preço do cliente
+ * (tabela de preços dele ou preço vigente). Aplica antes as alterações agendadas que já venceram.
+ * precoLiberado marca os itens abaixo do mínimo (da tabela ou, sem ela, do produto).
+ */
+async function resolverPrecosItens(itens, clienteId) {
+  const produtoIds = [...new Set(itens.map(item => parseInt(item.produtoId)))];
+  await aplicarAlteracoesAgendadas(prisma, produtoIds);
+
+  const produtos = await prisma.produto.findMany({
+    where: { id: { in: produtoIds } },
+    select: { id: true, preco: true, precoMinimo: true, produtoPaiId: true }
+  });
+  const precos = await precosParaCliente(prisma, parseInt(clienteId), produtos);
+
+  return itens.map(item => {
+    const { preco, precoMinimo } = precos.get(parseInt(item.produtoId));
+    const precoUnit = precoInformado(item.precoUnit) ? parseFloat(item.precoUnit) : preco;
+    return {
+      produtoId: parseInt(item.produtoId),
+      quantidade: lerQuantidade(item.quantidade, MAX_CASAS_DECIMAIS),
+      precoUnit,
+      precoMinimo,
+      precoLiberado: precoMinimo !== null && precoUnit < precoMinimo
+    };
+  });
+}
+
 // =============================================
 // CONTROLADORES DE VENDAS
 // =============================================
 
 const create = async (req, res) => {
   try {
-    const { clienteId, usuarioId, data, status, itens, total, observacoes } = req.body;
+    const { clienteId, data, status, itens, total, observacoes } = req.body;
+
+    // Vendas enviadas por integração ficam sempre em nome do dono da chave de API
+    const usuarioId = req.usuario && req.usuario.chaveApiId ? req.usuario.id : req.body.usuarioId;
 
     console.log('=== INICIANDO CRIAÇÃO DE VENDA ===');
     console.log('Data recebida:', data);
@@ -179,20 +280,25 @@ const create = async (req, res) => {
           error: `Item ${index + 1}: produtoId é obrigatório e deve ser um número válido` 
         });
       }
-      if (!item.quantidade || isNaN(parseInt(item.quantidade)) || parseInt(item.quantidade) <= 0) {
+      const quantidade = lerQuantidade(item.quantidade, MAX_CASAS_DECIMAIS);
+      if (quantidade === null || quantidade <= 0) {
         return res.status(400).json({ 
           error: `Item ${index + 1}: quantidade é obrigatória e deve ser maior que zero` 
         });
       }
-      if (!item.precoUnit || isNaN(parseFloat(item.precoUnit)) || parseFloat(item.precoUnit) < 0) {
+      // Sem precoUnit, o item é cobrado pelo preço vigente do produto
+      if (precoInformado(item.precoUnit) && (isNaN(parseFloat(item.precoUnit)) || parseFloat(item.precoUnit) < 0)) {
         return res.status(400).json({ 
-          error: `Item ${index + 1}: precoUnit é obrigatório e deve ser um valor não negativo` 
+          error: `Item ${index + 1}: precoUnit deve ser um valor não negativo` 
         });
       }
     }
 
+    // Depósito de saída: o informado, o padrão do usuário ou o da empresa
+    const deposito = await resolverDeposito(prisma, req.body.depositoId, req.usuario);
+
     // Verificar se os registros existem
-    const errors = await verificarExistenciaRegistros(clienteId, usuarioId, itens);
+    const errors = await verificarExistenciaRegistros(clienteId, usuarioId, itens, deposito.id);
     if (errors.length > 0) {
       return res.status(400).json({ 
         error: 'Erro de validação',
@@ -205,14 +311,32 @@ const create = async (req, res) => {
     console.log('Data que será salva:', dataVenda.toISOString());
     console.log('Data formatada para exibição:', formatarDataParaExibicao(dataVenda));
 
-    // Calcular total
-    let totalCalculado = 0;
-    if (total && !isNaN(parseFloat(total))) {
-      totalCalculado = parseFloat(total);
-    } else {
-      totalCalculado = itens.reduce((soma, item) => {
-        return soma + (parseInt(item.quantidade) * parseFloat(item.precoUnit));
-      }, 0);
+    // Preço do cliente na hora da venda: tabela de preços, alterações agendadas já vencidas e promoções
+    const itensVenda = await resolverPrecosItens(itens, clienteId);
+
+    // Abaixo do mínimo (da tabela do cliente ou do produto), só com liberação (Admin)
+    const abaixoDoMinimo = itensVenda
+      .map((item, index) => ({ ...item, index }))
+      .filter(item => item.precoLiberado);
+    if (abaixoDoMinimo.length > 0 && !possuiPermissao(req.usuario, 'venda:liberar_preco')) {
+      return res.status(403).json({
+        error: 'Preço abaixo do mínimo: a venda precisa ser liberada por quem tem a permissão "venda:liberar_preco".',
+        detalhes: abaixoDoMinimo.map(item => `Item ${item.index + 1}: precoUnit ${item.precoUnit}, mínimo ${item.precoMinimo}`)
+      });
+    }
+
+    // O total vem sempre dos itens; quantidades fracionadas: arredondado em centavos
+    const totalCalculado = arredondar(itensVenda.reduce((soma, item) => {
+      return soma + (item.quantidade * item.precoUnit);
+    }, 0));
+
+    // O total enviado pelo cliente serve só de conferência
+    if (total !== undefined && total !== null && total !== ''
+      && (isNaN(parseFloat(total)) || arredondar(parseFloat(total)) !== totalCalculado)) {
+      return res.status(400).json({
+        error: 'O total informado não confere com os itens da venda',
+        detalhes: { totalInformado: total, totalCalculado }
+      });
     }
 
     // Criar venda em transação
@@ -222,16 +346,13 @@ const create = async (req, res) => {
         data: {
           clienteId: parseInt(clienteId),
           usuarioId: parseInt(usuarioId),
+          depositoId: deposito.id,
           data: dataVenda,
           total: totalCalculado,
           status: status || 'Pendente',
           observacoes: observacoes || null,
           itens: {
-            create: itens.map(item => ({
-              produtoId: parseInt(item.produtoId),
-              quantidade: parseInt(item.quantidade),
-              precoUnit: parseFloat(item.precoUnit)
-            }))
+            create: itensVenda
           }
         },
         include: {
@@ -251,6 +372,12 @@ const create = async (req, res) => {
               email: true
             }
           },
+          deposito: {
+            select: {
+              id: true,
+              nome: true
+            }
+          },
           itens: {
             include: {
               produto: {
@@ -267,30 +394,25 @@ const create = async (req, res) => {
         }
       });
 
-      // 2. Atualizar estoque se a venda for Concluída
+      // 2. Baixar estoque se a venda for Concluída ou reservar se ficar Pendente
       if (novaVenda.status === 'Concluida') {
-        for (const item of itens) {
-          const produto = await tx.produto.findUnique({
-            where: { id: parseInt(item.produtoId) },
-            select: { tipo: true }
-          });
-          
-          if (produto && produto.tipo === 'Produto') {
-            await tx.produto.update({
-              where: { id: parseInt(item.produtoId) },
-              data: {
-                estoque: {
-                  decrement: parseInt(item.quantidade)
-                }
-              }
-            });
-          }
+        await concluirVenda(tx, novaVenda, req.usuario.id);
+      } else {
+        // Custo provisório; é atualizado quando a venda for concluída
+        await fixarCustoItensVenda(tx, novaVenda);
+        if (novaVenda.status === 'Pendente') {
+          await reservarEstoqueVenda(tx, novaVenda);
         }
       }
 
       return novaVenda;
     });
 
+    await registrarAuditoria(req, { acao: 'Criar', entidade: 'Venda', depois: venda });
+    for (const item of venda.itens.filter(itemVenda => itemVenda.precoLiberado)) {
+      await registrarAuditoria(req, { acao: 'LiberarPreco', entidade: 'ItemVenda', depois: item });
+    }
+
     // Formatar resposta
     const resposta = {
       message: 'Venda criada com sucesso',
@@ -313,6 +435,10 @@ const create = async (req, res) => {
 
   } catch (error) {
     console.error('Erro ao criar venda:', error);
+
+    if (error instanceof ErroHttp) {
+      return res.status(error.status).json({ error: error.titulo, detalhes: error.message });
+    }
     
     // Tratamento de erros específicos do Prisma
     if (error.code === 'P2003') {
@@ -344,8 +470,7 @@ const findAll = async (req, res) => {
       status, 
       dataInicio, 
       dataFim,
-      page = 1,
-      limit = 10
+      depositoId
     } = req.query;
 
     const where = {};
@@ -354,6 +479,7 @@ const findAll = async (req, res) => {
     if (clienteId && !isNaN(clienteId)) where.clienteId = parseInt(clienteId);
     if (usuarioId && !isNaN(usuarioId)) where.usuarioId = parseInt(usuarioId);
     if (status) where.status = status;
+    if (depositoId && !isNaN(depositoId)) where.depositoId = parseInt(depositoId);
     
     // Filtros de data
     if (dataInicio || dataFim) {
@@ -370,7 +496,7 @@ const findAll = async (req, res) => {
       }
     }
 
-    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const { page, limit, skip } = obterPaginacao(req.query, 10);
 
     // Buscar vendas e total
     const [vendas, total] = await Promise.all([
@@ -392,6 +518,12 @@ const findAll = async (req, res) => {
               email: true
             }
           },
+          deposito: {
+            select: {
+              id: true,
+              nome: true
+            }
+          },
           itens: {
             include: {
               produto: {
@@ -408,7 +540,7 @@ const findAll = async (req, res) => {
           data: 'desc'
         },
         skip,
-        take: parseInt(limit)
+        take: limit
       }),
       prisma.venda.count({ where })
     ]);
@@ -427,10 +559,10 @@ const findAll = async (req, res) => {
     res.json({
       vendas: vendasFormatadas,
       paginacao: {
-        page: parseInt(page),
-        limit: parseInt(limit),
+        page,
+        limit,
         total,
-        totalPages: Math.ceil(total / parseInt(limit))
+        totalPages: Math.ceil(total / limit)
       }
     });
 
@@ -471,6 +603,12 @@ const findOne = async (req, res) => {
             email: true
           }
         },
+        deposito: {
+          select: {
+            id: true,
+            nome: true
+          }
+        },
         itens: {
           include: {
             produto: {
@@ -480,8 +618,28 @@ const findOne = async (req, res) => {
                 descricao: true,
                 preco: true,
                 tipo: true,
-                estoque: true
+                estoque: true,
+                produtoPaiId: true,
+                atributos: true
               }
+            },
+            // Lotes consumidos na conclusão da venda
+            lotes: {
+              select: {
+                quantidade: true,
+                lote: { select: { id: true, numero: true, validade: true } }
+              }
+            },
+            // Componentes baixados por um kit, com a parte do preço de cada um
+            componentes: {
+              select: {
+                produtoId: true,
+                quantidade: true,
+                valor: true,
+                custoUnit: true,
+                produto: { select: { nome: true } }
+              },
+              orderBy: { produtoId: 'asc' }
             }
           }
         }
@@ -507,7 +665,12 @@ const findOne = async (req, res) => {
           ...item.produto,
           criadoEm: formatarDataParaExibicao(item.produto.criadoEm),
           atualizadoEm: formatarDataParaExibicao(item.produto.atualizadoEm)
-        } : null
+        } : null,
+        lotes: item.lotes.map(consumo => ({
+          ...consumo.lote,
+          validade: formatarDataParaExibicao(consumo.lote.validade),
+          quantidade: consumo.quantidade
+        }))
       }))
     };
 
@@ -530,7 +693,8 @@ const update = async (req, res) => {
       return res.status(400).json({ error: 'ID inválido' });
     }
 
-    const { data, status, observacoes, ...outrosDados } = req.body;
+    // Só estes campos são alteráveis; itens e total têm rotas e cálculo próprios
+    const { data, status, observacoes, depositoId, clienteId } = req.body;
     
     console.log('Atualizando venda ID:', id);
     console.log('Dados recebidos:', req.body);
@@ -542,35 +706,42 @@ const update = async (req, res) => {
       });
     }
 
-    // Buscar venda atual
-    const vendaAtual = await prisma.venda.findUnique({
-      where: { id },
-      include: { 
-        itens: {
-          include: {
-            produto: {
-              select: {
-                id: true,
-                tipo: true
-              }
-            }
-          }
-        } 
-      }
-    });
-
-    if (!vendaAtual) {
-      return res.status(404).json({ error: 'Venda não encontrada' });
+    if (status === 'Cancelada' && !possuiPermissao(req.usuario, 'venda:cancelar')) {
+      return res.status(403).json({ error: 'Você não tem a permissão "venda:cancelar".' });
     }
 
     // Preparar dados para atualização
-    const dadosAtualizacao = { ...outrosDados };
+    const dadosAtualizacao = {};
     if (observacoes !== undefined) dadosAtualizacao.observacoes = observacoes;
     if (status) dadosAtualizacao.status = status;
     if (data) dadosAtualizacao.data = parseDataBrasileira(data);
 
-    // Atualizar em transação
+    let vendaAtual = null;
+
+    // Atualizar em transação, com a venda travada desde a leitura
     const vendaAtualizada = await prisma.$transaction(async (tx) => {
+      vendaAtual = await buscarVendaTravada(tx, id);
+
+      // Venda concluída já baixou o estoque do depósito; trocar o depósito só antes disso
+      // O cliente precisa ser da empresa (a consulta passa pelo escopo)
+      if (clienteId !== undefined && clienteId !== null) {
+        const cliente = await tx.cliente.findUnique({ where: { id: parseInt(clienteId) } });
+        if (!cliente) {
+          throw new ErroHttp(`Cliente com ID ${clienteId} não encontrado`, 404);
+        }
+        dadosAtualizacao.clienteId = cliente.id;
+      }
+
+      let trocouDeposito = false;
+      if (depositoId !== undefined && depositoId !== null) {
+        const deposito = await buscarDepositoAtivo(tx, depositoId);
+        trocouDeposito = deposito.id !== vendaAtual.depositoId;
+        if (trocouDeposito && vendaAtual.status === 'Concluida') {
+          throw new ErroHttp('Não é possível trocar o depósito de uma venda concluída. Altere o status da venda antes de trocar o depósito', 409);
+        }
+        dadosAtualizacao.depositoId = deposito.id;
+      }
+
       // Atualizar venda
       const venda = await tx.venda.update({
         where: { id },
@@ -590,42 +761,29 @@ const update = async (req, res) => {
         }
       });
 
-      // Gerenciar estoque se houve mudança de status
-      if (vendaAtual.status !== status) {
-        if (status === 'Concluida') {
-          // Diminuir estoque para produtos
-          for (const item of vendaAtual.itens) {
-            if (item.produto.tipo === 'Produto') {
-              await tx.produto.update({
-                where: { id: item.produtoId },
-                data: {
-                  estoque: {
-                    decrement: item.quantidade
-                  }
-                }
-              });
-            }
-          }
-        } else if (vendaAtual.status === 'Concluida' && status !== 'Concluida') {
-          // Reverter estoque para produtos
-          for (const item of vendaAtual.itens) {
-            if (item.produto.tipo === 'Produto') {
-              await tx.produto.update({
-                where: { id: item.produtoId },
-                data: {
-                  estoque: {
-                    increment: item.quantidade
-                  }
-                }
-              });
-            }
-          }
-        }
+      // Gerenciar estoque e reserva se houve mudança de status (já com o depósito novo)
+      await aplicarStatusVenda(
+        tx,
+        { ...vendaAtual, depositoId: dadosAtualizacao.depositoId ?? vendaAtual.depositoId },
+        status,
+        req.usuario.id
+      );
+
+      // Pendente que trocou de depósito reserva no depósito novo
+      if (trocouDeposito && (!status || status === vendaAtual.status)) {
+        await renovarReservaVenda(tx, id);
       }
 
       return venda;
     });
 
+    await registrarAuditoria(req, {
+      acao: 'Atualizar',
+      entidade: 'Venda',
+      antes: vendaAtual,
+      depois: vendaAtualizada
+    });
+
     // Formatar resposta
     const resposta = {
       ...vendaAtualizada,
@@ -636,7 +794,7 @@ const update = async (req, res) => {
 
   } catch (error) {
     console.error('Erro ao atualizar venda:', error);
-    res.status(400).json({ 
+    res.status(error.status || 400).json({ 
       error: 'Erro ao atualizar venda',
       detalhes: error.message
     });
@@ -651,48 +809,23 @@ const remove = async (req, res) => {
       return res.status(400).json({ error: 'ID inválido' });
     }
 
-    // Buscar venda para verificar status
-    const venda = await prisma.venda.findUnique({
-      where: { id },
-      include: { 
-        itens: {
-          include: {
-            produto: {
-              select: {
-                id: true,
-                tipo: true
-              }
-            }
-          }
-        } 
-      }
-    });
-
-    if (!venda) {
-      return res.status(404).json({ error: 'Venda não encontrada' });
-    }
+    let venda = null;
 
     await prisma.$transaction(async (tx) => {
+      // Buscar venda para verificar status (travada: uma conclusão simultânea não escapa do estorno)
+      venda = await buscarVendaTravada(tx, id);
+
       // Reverter estoque se a venda estava Concluída
       if (venda.status === 'Concluida') {
-        for (const item of venda.itens) {
-          if (item.produto.tipo === 'Produto') {
-            await tx.produto.update({
-              where: { id: item.produtoId },
-              data: {
-                estoque: {
-                  increment: item.quantidade
-                }
-              }
-            });
-          }
-        }
+        await estornarEstoqueVenda(tx, venda, req.usuario.id, 'Venda excluída');
       }
 
       // Deletar venda (itens serão deletados em cascade)
       await tx.venda.delete({ where: { id } });
     });
 
+    await registrarAuditoria(req, { acao: 'Excluir', entidade: 'Venda', antes: venda });
+
     res.json({ 
       message: 'Venda deletada com sucesso',
       id: id
@@ -700,7 +833,7 @@ const remove = async (req, res) => {
 
   } catch (error) {
     console.error('Erro ao deletar venda:', error);
-    res.status(400).json({ 
+    res.status(error.status || 400).json({ 
       error: 'Erro ao deletar venda',
       detalhes: error.message
     });
@@ -723,60 +856,19 @@ const updateStatus = async (req, res) => {
       });
     }
 
-    const venda = await prisma.$transaction(async (tx) => {
-      // Buscar venda atual
-      const vendaAtual = await tx.venda.findUnique({
-        where: { id },
-        include: { 
-          itens: {
-            include: {
-              produto: {
-                select: {
-                  id: true,
-                  tipo: true
-                }
-              }
-            }
-          } 
-        }
-      });
+    if (status === 'Cancelada' && !possuiPermissao(req.usuario, 'venda:cancelar')) {
+      return res.status(403).json({ error: 'Você não tem a permissão "venda:cancelar".' });
+    }
 
-      if (!vendaAtual) {
-        throw new Error('Venda não encontrada');
-      }
+    let vendaAntes = null;
 
-      // Gerenciar estoque baseado na mudança de status
-      if (vendaAtual.status !== status) {
-        if (status === 'Concluida') {
-          // Diminuir estoque para produtos
-          for (const item of vendaAtual.itens) {
-            if (item.produto.tipo === 'Produto') {
-              await tx.produto.update({
-                where: { id: item.produtoId },
-                data: {
-                  estoque: {
-                    decrement: item.quantidade
-                  }
-                }
-              });
-            }
-          }
-        } else if (vendaAtual.status === 'Concluida' && status !== 'Concluida') {
-          // Reverter estoque para produtos
-          for (const item of vendaAtual.itens) {
-            if (item.produto.tipo === 'Produto') {
-              await tx.produto.update({
-                where: { id: item.produtoId },
-                data: {
-                  estoque: {
-                    increment: item.quantidade
-                  }
-                }
-              });
-            }
-          }
-        }
-      }
+    const venda = await prisma.$transaction(async (tx) => {
+      // Buscar venda atual, travada até o fim da transação
+      const vendaAtual = await buscarVendaTravada(tx, id);
+      vendaAntes = vendaAtual;
+
+      // Gerenciar estoque e reserva baseado na mudança de status
+      await aplicarStatusVenda(tx, vendaAtual, status, req.usuario.id);
 
       // Atualizar status
       return await tx.venda.update({
@@ -804,6 +896,13 @@ const updateStatus = async (req, res) => {
       });
     });
 
+    await registrarAuditoria(req, {
+      acao: 'AlterarStatus',
+      entidade: 'Venda',
+      antes: vendaAntes,
+      depois: venda
+    });
+
     const resposta = {
       ...venda,
       data: formatarDataParaExibicao(venda.data)
@@ -813,7 +912,7 @@ const updateStatus = async (req, res) => {
 
   } catch (error) {
     console.error('Erro ao atualizar status:', error);
-    res.status(400).json({ 
+    res.status(error.status || 400).json({ 
       error: 'Erro ao atualizar status da venda',
       detalhes: error.message
     });
@@ -829,49 +928,64 @@ const getVendasDoDia = async (req, res) => {
     const amanha = new Date(hoje);
     amanha.setDate(amanha.getDate() + 1);
 
-    const vendas = await prisma.venda.findMany({
-      where: {
-        data: {
-          gte: hoje,
-          lt: amanha
-        }
-      },
-      include: {
-        cliente: {
-          select: {
-            id: true,
-            nome: true
-          }
-        },
-        itens: {
-          include: {
-            produto: {
-              select: {
-                id: true,
-                nome: true
+    const { page, limit, skip } = obterPaginacao(req.query, 10);
+
+    const where = {
+      data: {
+        gte: hoje,
+        lt: amanha
+      }
+    };
+
+    // Totais do dia inteiro; a lista de vendas é paginada
+    const [vendas, totais] = await Promise.all([
+      prisma.venda.findMany({
+        where,
+        skip,
+        take: limit,
+        include: {
+          cliente: {
+            select: {
+              id: true,
+              nome: true
+            }
+          },
+          itens: {
+            include: {
+              produto: {
+                select: {
+                  id: true,
+                  nome: true
+                }
               }
             }
           }
+        },
+        orderBy: {
+          data: 'desc'
         }
-      },
-      orderBy: {
-        data: 'desc'
-      }
-    });
-
-    // Calcular total do dia
-    const totalDia = vendas.reduce((soma, venda) => {
-      return soma + (venda.total || 0);
-    }, 0);
+      }),
+      prisma.venda.aggregate({
+        where,
+        _sum: { total: true },
+        _count: { id: true }
+      })
+    ]);
 
     res.json({
       data: hoje.toISOString().split('T')[0],
-      totalVendas: vendas.length,
-      totalValor: totalDia,
+      totalVendas: totais._count.id,
+      totalValor: totais._sum.total || 0,
       vendas: vendas.map(v => ({
         ...v,
         data: formatarDataParaExibicao(v.data)
-      }))
+      })),
+      paginacao: {
+        page,
+        limit,
+        total: totais._count.id,
+        totalPages: Math.ceil(totais._count.id / limit)
+      }
     });
 
   } catch (error) {
@@ -889,6 +1003,7 @@ const getEstatisticasDashboard = async (req, res) => {
     const hoje = new Date();
     const inicioMes = new Date(hoje.getFullYear(), hoje.getMonth(), 1);
     const inicioDia = new Date(hoje.getFullYear(), hoje.getMonth(), hoje.getDate());
+    const inicioSeteDias = new Date(hoje.getFullYear(), hoje.getMonth(), hoje.getDate() - 6);
     
     // Executar todas as consultas em paralelo
     const [
@@ -927,26 +1042,33 @@ const getEstatisticasDashboard = async (req, res) => {
       // Total de clientes
       prisma.cliente.count(),
       
-      // Vendas dos últimos 7 dias para gráfico
-      prisma.venda.groupBy({
-        by: ['data'],
+      // Vendas dos últimos 7 dias para gráfico (agrupadas por dia abaixo;
+      // groupBy por 'data' agruparia por horário exato)
+      prisma.venda.findMany({
         where: {
           data: {
-            gte: new Date(hoje.getTime() - 7 * 24 * 60 * 60 * 1000)
+            gte: inicioSeteDias
           }
         },
-        _sum: {
+        select: {
+          data: true,
           total: true
-        },
-        _count: {
-          id: true
-        },
-        orderBy: {
-          data: 'asc'
         }
       })
     ]);
 
+    const vendasPorDiaAgrupadas = [];
+    for (let i = 0; i < 7; i++) {
+      const dia = new Date(inicioSeteDias);
+      dia.setDate(dia.getDate() + i);
+      const vendasDoDia = vendasPorDia.filter(venda => isMesmoDia(venda.data, dia));
+      vendasPorDiaAgrupadas.push({
+        data: dia,
+        total: vendasDoDia.reduce((soma, venda) => soma + (venda.total || 0), 0),
+        quantidade: vendasDoDia.length
+      });
+    }
+
     res.json({
       vendasDoDia: {
         quantidade: totalVendasDia._count.id || 0,
@@ -956,10 +1078,10 @@ const getEstatisticasDashboard = async (req, res) => {
         valor: totalVendasMes._sum.total || 0
       },
       totalClientes,
-      vendasUltimos7Dias: vendasPorDia.map(item => ({
-        data: formatarDataParaExibicao(item.data),
-        total: item._sum.total || 0,
-        quantidade: item._count.id || 0
+      vendasUltimos7Dias: vendasPorDiaAgrupadas.map(item => ({
+        data: formatarDataParaExibicao(item.data).split(' ')[0],
+        total: item.total,
+        quantidade: item.quantidade
       }))
     });
 
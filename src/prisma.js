@@ -0,0 +1,260 @@
+const { PrismaClient, Prisma } = require('@prisma/client');
+const config = require('./config');
+const { obterEmpresaAtual, escopoLiberado } = require('./utils/contextoEmpresa');
+const { ErroHttp } = require('./utils/erros');
+
+const OPERACOES_COM_WHERE = [
+  'findUnique', 'findUniqueOrThrow', 'findFirst', 'findFirstOrThrow', 'findMany',
+  'count', 'aggregate', 'groupBy',
+  'update', 'updateMany', 'updateManyAndReturn', 'upsert', 'delete', 'deleteMany'
+];
+
+/**
+ * Como cada model se liga a uma empresa.
+ * - filtro: condição acrescentada ao where
+ * - dados: campos acrescentados em create/createMany (null = não se aplica)
+ */
+const ESCOPOS = {
+  cliente: {
+    filtro: empresaId => ({ empresaId }),
+    dados: empresaId => ({ empresaId })
+  },
+  produto: {
+    filtro: empresaId => ({ empresaId }),
+    dados: empresaId => ({ empresaId })
+  },
+  venda: {
+    filtro: empresaId => ({ empresaId }),
+    dados: empresaId => ({ empresaId })
+  },
+  auditoria: {
+    filtro: empresaId => ({ empresaId }),
+    dados: empresaId => ({ empresaId })
+  },
+  perfil: {
+    filtro: empresaId => ({ empresaId }),
+    dados: empresaId => ({ empresaId })
+  },
+  chaveApi: {
+    filtro: empresaId => ({ empresaId }),
+    dados: empresaId => ({ empresaId })
+  },
+  relatorio: {
+    filtro: empresaId => ({ empresaId }),
+    dados: empresaId => ({ empresaId })
+  },
+  movimentacaoEstoque: {
+    filtro: empresaId => ({ empresaId }),
+    dados: empresaId => ({ empresaId })
+  },
+  reservaEstoque: {
+    filtro: empresaId => ({ empresaId }),
+    dados: empresaId => ({ empresaId })
+  },
+  fornecedor: {
+    filtro: empresaId => ({ empresaId }),
+    dados: empresaId => ({ empresaId })
+  },
+  pedidoCompra: {
+    filtro: empresaId => ({ empresaId }),
+    dados: empresaId => ({ empresaId })
+  },
+  inventario: {
+    filtro: empresaId => ({ empresaId }),
+    dados: empresaId => ({ empresaId })
+  },
+  deposito: {
+    filtro: empresaId => ({ empresaId }),
+    dados: empresaId => ({ empresaId })
+  },
+  saldoEstoque: {
+    filtro: empresaId => ({ empresaId }),
+    dados: empresaId => ({ empresaId })
+  },
+  transferenciaEstoque: {
+    filtro: empresaId => ({ empresaId }),
+    dados: empresaId => ({ empresaId })
+  },
+  lote: {
+    filtro: empresaId => ({ empresaId }),
+    dados: empresaId => ({ empresaId })
+  },
+  codigoBarras: {
+    filtro: empresaId => ({ empresaId }),
+    dados: empresaId => ({ empresaId })
+  },
+  categoria: {
+    filtro: empresaId => ({ empresaId }),
+    dados: empresaId => ({ empresaId })
+  },
+  historicoPreco: {
+    filtro: empresaId => ({ empresaId }),
+    dados: empresaId => ({ empresaId })
+  },
+  precoProgramado: {
+    filtro: empresaId => ({ empresaId }),
+    dados: empresaId => ({ empresaId })
+  },
+  tabelaPreco: {
+    filtro: empresaId => ({ empresaId }),
+    dados: empresaId => ({ empresaId })
+  },
+  // Itens herdam a empresa da venda / do pedido / do inventário / da tabela de preços
+  itemVenda: {
+    filtro: empresaId => ({ venda: { empresaId } }),
+    dados: null
+  },
+  itemPedidoCompra: {
+    filtro: empresaId => ({ pedido: { empresaId } }),
+    dados: null
+  },
+  itemInventario: {
+    filtro: empresaId => ({ inventario: { empresaId } }),
+    dados: null
+  },
+  contagemInventario: {
+    filtro: empresaId => ({ item: { inventario: { empresaId } } }),
+    dados: null
+  },
+  itemVendaLote: {
+    filtro: empresaId => ({ itemVenda: { venda: { empresaId } } }),
+    dados: null
+  },
+  itemVendaComponente: {
+    filtro: empresaId => ({ itemVenda: { venda: { empresaId } } }),
+    dados: null
+  },
+  componenteKit: {
+    filtro: empresaId => ({ kit: { empresaId } }),
+    dados: null
+  },
+  itemTabelaPreco: {
+    filtro: empresaId => ({ tabela: { empresaId } }),
+    dados: null
+  },
+  // Usuários enxergam apenas quem pertence à mesma empresa
+  usuario: {
+    filtro: empresaId => ({ empresas: { some: { empresaId } } }),
+    dados: empresaId => ({ empresas: { create: [{ empresaId }] } }),
+    semCreateMany: true
+  }
+};
+
+const nomeNoCliente = model => model.charAt(0).toLowerCase() + model.slice(1);
+
+// Relações de cada model (campo -> model de destino) e os models que guardam a própria empresa, lidos do schema
+const RELACOES = {};
+const MODELS_COM_EMPRESA = new Set();
+for (const model of Prisma.dmmf.datamodel.models) {
+  const relacoes = new Map(model.fields.filter(campo => campo.kind === 'object').map(campo => [campo.name, campo.type]));
+  RELACOES[nomeNoCliente(model.name)] = relacoes;
+  if ([...relacoes.values()].includes('Empresa')) MODELS_COM_EMPRESA.add(model.name);
+}
+
+// Escritas aninhadas que ligam registros já existentes pelo id
+const ESCRITAS_DE_LIGACAO = ['connect', 'connectOrCreate', 'set'];
+// Escritas aninhadas que criam registros
+const ESCRITAS_DE_CRIACAO = ['create', 'createMany', 'connectOrCreate', 'upsert'];
+
+/**
+ * O filtro de empresa vale só para a operação de topo. Por isso os dados gravados não podem
+ * tocar a relação com a empresa, ligar registros existentes (connect apontaria para o de outra
+ * empresa) nem criar, aninhado, registro que guarda a própria empresa. Criar filhos
+ * (itens da venda, linhas do relatório...) continua permitido, com a mesma checagem dentro deles.
+ * @throws {ErroHttp} 400 com o caminho do campo recusado
+ */
+function recusarEscritaForaDoEscopo(model, data, caminho = model) {
+  const relacoes = RELACOES[model];
+  for (const registro of [].concat(data || [])) {
+    for (const [campo, escrita] of Object.entries(registro)) {
+      const destino = relacoes.get(campo);
+      if (!destino || !escrita || typeof escrita !== 'object') continue;
+
+      const operacoes = Object.keys(escrita);
+      const recusada = destino === 'Empresa'
+        || operacoes.some(operacao => ESCRITAS_DE_LIGACAO.includes(operacao))
+        || (MODELS_COM_EMPRESA.has(destino) && operacoes.some(operacao => ESCRITAS_DE_CRIACAO.includes(operacao)));
+      if (recusada) {
+        throw new ErroHttp(`O campo ${caminho}.${campo} não pode ser gravado`);
+      }
+
+      // Dados dos filhos: create é o próprio registro; update pode vir com where/data
+      const dadosFilhos = [
+        ...[].concat(escrita.create || []),
+        ...[].concat(escrita.createMany ? escrita.createMany.data : []),
+        ...[].concat(escrita.update || [], escrita.updateMany || []).map(item => item.data || item),
+        ...[].concat(escrita.upsert || []).flatMap(item => [item.create, item.update])
+      ];
+      recusarEscritaForaDoEscopo(nomeNoCliente(destino), dadosFilhos.filter(Boolean), `${caminho}.${campo}`);
+    }
+  }
+}
+
+function comFiltro(where, filtro) {
+  const condicoes = where && where.AND ? [].concat(where.AND) : [];
+  return { ...where, AND: [...condicoes, filtro] };
+}
+
+function aplicarEscopo(model, escopo, empresaId, operation, args = {}) {
+  const novosArgs = { ...args };
+
+  for (const dados of [args.data, args.create, args.update]) {
+    if (dados) recusarEscritaForaDoEscopo(model, dados);
+  }
+
+  if (OPERACOES_COM_WHERE.includes(operation)) {
+    novosArgs.where = comFiltro(args.where, escopo.filtro(empresaId));
+  }
+
+  // Um registro não pode ser movido para outra empresa via update
+  if (escopo.dados && ['update', 'updateMany', 'updateManyAndReturn'].includes(operation) && args.data) {
+    const { empresaId: ignorado, ...data } = args.data;
+    novosArgs.data = data;
+  }
+  if (escopo.dados && operation === 'upsert' && args.update) {
+    const { empresaId: ignorado, ...update } = args.update;
+    novosArgs.update = update;
+  }
+
+  if (escopo.dados) {
+    if (operation === 'create') {
+      novosArgs.data = { ...args.data, ...escopo.dados(empresaId) };
+    } else if (operation === 'upsert') {
+      novosArgs.create = { ...args.create, ...escopo.dados(empresaId) };
+    } else if ((operation === 'createMany' || operation === 'createManyAndReturn') && !escopo.semCreateMany) {
+      novosArgs.data = [].concat(args.data).map(item => ({ ...item, ...escopo.dados(empresaId) }));
+    }
+  }
+
+  return novosArgs;
+}
+
+function criarExtensaoEmpresa() {
+  const query = {};
+
+  for (const [model, escopo] of Object.entries(ESCOPOS)) {
+    query[model] = {
+      async $allOperations({ operation, args, query: executar }) {
+        const empresaId = obterEmpresaAtual();
+        if (empresaId) return executar(aplicarEscopo(model, escopo, empresaId, operation, args));
+        if (escopoLiberado()) return executar(args);
+
+        // Sem empresa e sem semEscopo a consulta enxergaria todas as empresas: falha em vez de vazar
+        throw new Error(`Consulta em ${model}.${operation} sem empresa no contexto; use executarComEmpresa ou semEscopo`);
+      }
+    };
+  }
+
+  return { name: 'escopoEmpresa', query };
+}
+
+// Instância única do Prisma compartilhada por todos os controllers.
+// Dentro de uma requisição autenticada toda query é filtrada pela empresa do token;
+// fora dela, os models com empresa só podem ser consultados dentro de semEscopo.
+const prisma = new PrismaClient({
+  datasources: {
+    db: { url: config.databaseUrl }
+  }
+}).$extends(criarExtensaoEmpresa());
+
+module.exports = prisma;
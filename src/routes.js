@@ -3,6 +3,9 @@ const router = express.Router();
 
 const validateUser = require('../middleware/validateUser.js');
 const autenticarToken = require('../middleware/auth.js');
+const exigirPermissao = require('../middleware/permissao.js');
+const exigirSessao = require('../middleware/exigirSessao.js');
+const semEmpresa = require('../middleware/semEmpresa.js');
 
 // Controllers (importe cada um conforme sua estrutura)
 const usuarioController = require('./controllers/usuarioController.js');
@@ -10,57 +13,223 @@ const clienteController = require('./controllers/clienteController.js');
 const produtoController = require('./controllers/produtoController.js');
 const vendaController = require('./controllers/vendaController.js');
 const itemVendaController = require('./controllers/itemVendaController.js');
+const authController = require('./controllers/authController.js');
+const auditoriaController = require('./controllers/auditoriaController.js');
+const empresaController = require('./controllers/empresaController.js');
+const perfilController = require('./controllers/perfilController.js');
+const chaveApiController = require('./controllers/chaveApiController.js');
+const relatorioController = require('./controllers/relatorioController.js');
+const estoqueController = require('./controllers/estoqueController.js');
+const fornecedorController = require('./controllers/fornecedorController.js');
+const pedidoCompraController = require('./controllers/pedidoCompraController.js');
+const inventarioController = require('./controllers/inventarioController.js');
+const depositoController = require('./controllers/depositoController.js');
+const categoriaController = require('./controllers/categoriaController.js');
+const precoController = require('./controllers/precoController.js');
+const tabelaPrecoController = require('./controllers/tabelaPrecoController.js');
 
+// Rotas públicas
 router.get('/', (req, res) => {
     res.json({
         Titulo: 'API NexoERP', Versao: '1.0.0', Autor: 'Gabriela Helena', rotas: [
+            { Rota: '/api/empresas', Metodo: 'GET, POST, PUT' },
+            { Rota: '/api/convites', Metodo: 'GET, POST' },
             { Rota: '/api/usuarios', Metodo: 'GET, POST, PUT, DELETE' },
+            { Rota: '/api/perfis', Metodo: 'GET, POST, PUT, DELETE' },
+            { Rota: '/api/chaves-api', Metodo: 'GET, POST, DELETE' },
             { Rota: '/api/clientes', Metodo: 'GET, POST, PUT, DELETE' },
             { Rota: '/api/produtos', Metodo: 'GET, POST, PUT, DELETE' },
-            { Rota: '/api/vendas', Metodo: 'GET, POST, PUT, DELETE' },
+            { Rota: '/api/categorias', Metodo: 'GET, POST, PUT, PATCH, DELETE' },
+            { Rota: '/api/tabelas-preco', Metodo: 'GET, POST, PUT, DELETE' },
+            { Rota: '/api/estoque', Metodo: 'GET, POST' },
+            { Rota: '/api/depositos', Metodo: 'GET, POST, PUT, DELETE' },
+            { Rota: '/api/inventarios', Metodo: 'GET, POST' },
+            { Rota: '/api/fornecedores', Metodo: 'GET, POST, PUT, DELETE' },
+            { Rota: '/api/pedidos-compra', Metodo: 'GET, POST, PUT, PATCH, DELETE' },
+            { Rota: '/api/vendas', Metodo: 'GET, POST, PUT, PATCH, DELETE' },
+            { Rota: '/api/dashboard', Metodo: 'GET' },
             { Rota: '/api/itensvenda', Metodo: 'GET, POST, PUT, DELETE' },
-        ]
+            { Rota: '/api/relatorios', Metodo: 'GET, POST, PUT, DELETE' },
+            { Rota: '/api/auditoria', Metodo: 'GET' },
+        ],
+        autenticacao: 'Rotas /api exigem o header Authorization: Bearer <token> obtido em POST /login ou X-API-Key: <chave> para integrações',
+        chavesApi: 'Chaves valem para toda a empresa em que foram criadas, limitadas às suas permissões; não podem ser restritas a depósitos ou produtos específicos',
+        empresas: 'Os dados são sempre da empresa do token; use POST /auth/trocar-empresa para alternar'
     });
 });
 
-router.post('/usuarios', validateUser, usuarioController.create);
-router.post('/login', validateUser, usuarioController.loginUser);
+router.post('/login', semEmpresa, validateUser, usuarioController.loginUser);
+router.post('/auth/2fa/login', semEmpresa, authController.loginDoisFatores);
+router.post('/auth/refresh', semEmpresa, authController.refresh);
+router.post('/auth/forgot-password', semEmpresa, authController.forgotPassword);
+router.post('/auth/reset-password', semEmpresa, authController.resetPassword);
 
-// Rotas de Usuário
-router.post('/api/usuarios', usuarioController.create);
-router.get('/api/usuarios', usuarioController.read);
-router.get('/api/usuarios/:id', usuarioController.readOne);
-router.put('/api/usuarios/:id', usuarioController.update);
-router.delete('/api/usuarios/:id', usuarioController.remove);
+// A partir daqui todas as rotas exigem token válido
+router.post('/usuarios', autenticarToken, exigirPermissao('usuario:criar'), validateUser, usuarioController.create);
+router.use('/api', autenticarToken);
+
+// Rotas de Sessão
+router.post('/auth/logout', autenticarToken, exigirSessao, authController.logout);
+router.post('/auth/logout-all', autenticarToken, exigirSessao, authController.logoutAll);
+router.post('/auth/change-password', autenticarToken, exigirSessao, authController.changePassword);
+router.post('/auth/trocar-empresa', autenticarToken, exigirSessao, authController.trocarEmpresa);
+
+// Rotas de autenticação em dois fatores
+router.post('/auth/2fa/setup', autenticarToken, exigirSessao, authController.setupDoisFatores);
+router.post('/auth/2fa/verify', autenticarToken, exigirSessao, authController.ativarDoisFatores);
+router.post('/auth/2fa/disable', autenticarToken, exigirSessao, authController.desativarDoisFatores);
+router.post('/auth/2fa/backup-codes', autenticarToken, exigirSessao, authController.regenerarCodigosBackup);
+
+// Rotas de Empresa
+router.get('/api/empresas', empresaController.findAll);
+router.post('/api/empresas', exigirPermissao('empresa:gerenciar'), empresaController.create);
+// "empresa:gerenciar" é conferida pelo controller no perfil do usuário na empresa do :id
+router.put('/api/empresas/:id', empresaController.update);
+router.get('/api/empresas/:id/usuarios', empresaController.listarUsuarios);
+router.post('/api/empresas/:id/usuarios', empresaController.convidarUsuario);
+router.delete('/api/empresas/:id/usuarios/:usuarioId', empresaController.desvincularUsuario);
 
+// Convites recebidos pelo usuário logado
+router.get('/api/convites', exigirSessao, empresaController.listarConvites);
+router.post('/api/convites/:id/aceitar', exigirSessao, empresaController.aceitarConvite);
+router.post('/api/convites/:id/recusar', exigirSessao, empresaController.recusarConvite);
 
+// Rotas de Perfil (permissões)
+router.get('/api/perfis/permissoes', exigirPermissao('perfil:gerenciar'), perfilController.listarPermissoes);
+router.get('/api/perfis', exigirPermissao('perfil:gerenciar'), perfilController.findAll);
+router.get('/api/perfis/:id', exigirPermissao('perfil:gerenciar'), perfilController.findOne);
+router.post('/api/perfis', exigirPermissao('perfil:gerenciar'), perfilController.create);
+router.put('/api/perfis/:id', exigirPermissao('perfil:gerenciar'), perfilController.update);
+router.delete('/api/perfis/:id', exigirPermissao('perfil:gerenciar'), perfilController.remove);
+router.put('/api/usuarios/:id/perfil', exigirPermissao('perfil:gerenciar'), perfilController.atribuirAoUsuario);
+router.put('/api/usuarios/:id/deposito', exigirPermissao('deposito:gerenciar'), depositoController.atribuirAoUsuario);
+
+// Rotas de Chave de API (gestão só com login de usuário)
+router.get('/api/chaves-api', exigirSessao, exigirPermissao('chave_api:gerenciar'), chaveApiController.findAll);
+router.get('/api/chaves-api/:id', exigirSessao, exigirPermissao('chave_api:gerenciar'), chaveApiController.findOne);
+router.post('/api/chaves-api', exigirSessao, exigirPermissao('chave_api:gerenciar'), chaveApiController.create);
+router.delete('/api/chaves-api/:id', exigirSessao, exigirPermissao('chave_api:gerenciar'), chaveApiController.remove);
+
+// Rotas de Usuário
+router.post('/api/usuarios', exigirPermissao('usuario:criar'), usuarioController.create);
+router.get('/api/usuarios', exigirPermissao('usuario:ler'), usuarioController.read);
+router.get('/api/usuarios/:id', exigirPermissao('usuario:ler'), usuarioController.readOne);
+// Sem a permissão usuario:editar o controller só permite alterar o próprio cadastro
+router.put('/api/usuarios/:id', usuarioController.update);
+router.delete('/api/usuarios/:id', exigirPermissao('usuario:excluir'), usuarioController.remove);
+router.post('/api/usuarios/:id/desbloquear', exigirPermissao('usuario:desbloquear'), usuarioController.unlock);
+router.get('/api/usuarios/:id/tentativas-login', usuarioController.loginAttempts);
 
 // Rotas de Cliente
-router.post('/api/clientes', clienteController.create);
-router.get('/api/clientes', clienteController.findAll);
-router.get('/api/clientes/:id', clienteController.findOne);
-router.put('/api/clientes/:id', clienteController.update);
-router.delete('/api/clientes/:id', clienteController.remove);
+router.post('/api/clientes', exigirPermissao('cliente:criar'), clienteController.create);
+router.get('/api/clientes', exigirPermissao('cliente:ler'), clienteController.findAll);
+router.get('/api/clientes/documento', exigirPermissao('cliente:ler'), clienteController.findByDocumento);
+router.get('/api/clientes/:id', exigirPermissao('cliente:ler'), clienteController.findOne);
+router.put('/api/clientes/:id', exigirPermissao('cliente:editar'), clienteController.update);
+router.delete('/api/clientes/:id', exigirPermissao('cliente:excluir'), clienteController.remove);
 
 // Rotas de Produto
-router.post('/api/produtos', produtoController.create);
-router.get('/api/produtos', produtoController.findAll);
-router.get('/api/produtos/:id', produtoController.findOne);
-router.put('/api/produtos/:id', produtoController.update);
-router.delete('/api/produtos/:id', produtoController.remove);
+router.post('/api/produtos', exigirPermissao('produto:criar'), produtoController.create);
+router.get('/api/produtos', exigirPermissao('produto:ler'), produtoController.findAll);
+router.get('/api/produtos/estoque-baixo', exigirPermissao('produto:ler'), produtoController.findLowStock);
+router.get('/api/produtos/barcode/:codigo', exigirPermissao('produto:ler'), produtoController.findByBarcode);
+router.get('/api/produtos/:id', exigirPermissao('produto:ler'), produtoController.findOne);
+router.put('/api/produtos/:id', exigirPermissao('produto:editar'), produtoController.update);
+router.delete('/api/produtos/:id', exigirPermissao('produto:excluir'), produtoController.remove);
+router.post('/api/produtos/:id/variantes', exigirPermissao('produto:criar'), produtoController.gerarVariantesGrade);
+router.put('/api/produtos/:id/componentes', exigirPermissao('produto:editar'), produtoController.definirComponentesKit);
+router.get('/api/produtos/:id/precos', exigirPermissao('produto:ler'), precoController.listarHistorico);
+router.get('/api/produtos/:id/precos-programados', exigirPermissao('produto:ler'), precoController.listarProgramados);
+router.post('/api/produtos/:id/precos-programados', exigirPermissao('produto:alterar_preco'), precoController.programar);
+router.delete('/api/produtos/:id/precos-programados/:programacaoId', exigirPermissao('produto:alterar_preco'), precoController.cancelarProgramado);
+router.get('/api/produtos/:id/movimentacoes', exigirPermissao('produto:ler'), estoqueController.listarMovimentacoes);
+router.post('/api/produtos/:id/movimentacoes', exigirPermissao('estoque:ajustar'), estoqueController.registrarMovimentacao);
+
+// Rotas de Estoque
+router.get('/api/estoque/divergencias', exigirPermissao('produto:ler'), estoqueController.listarDivergencias);
+router.post('/api/estoque/reconstruir', exigirPermissao('estoque:ajustar'), estoqueController.reconstruir);
+router.get('/api/estoque/transferencias', exigirPermissao('produto:ler'), estoqueController.listarTransferencias);
+router.post('/api/estoque/transferencias', exigirPermissao('estoque:transferir'), estoqueController.transferir);
+router.get('/api/estoque/lotes/vencendo', exigirPermissao('produto:ler'), estoqueController.listarLotesAVencer);
+
+// Rotas de Categoria
+router.post('/api/categorias', exigirPermissao('categoria:gerenciar'), categoriaController.create);
+router.get('/api/categorias', exigirPermissao('categoria:ler'), categoriaController.findAll);
+router.get('/api/categorias/estatisticas', exigirPermissao('relatorio:ler'), categoriaController.estatisticas);
+router.get('/api/categorias/:id', exigirPermissao('categoria:ler'), categoriaController.findOne);
+router.put('/api/categorias/:id', exigirPermissao('categoria:gerenciar'), categoriaController.update);
+router.patch('/api/categorias/:id/mover', exigirPermissao('categoria:gerenciar'), categoriaController.mover);
+router.delete('/api/categorias/:id', exigirPermissao('categoria:gerenciar'), categoriaController.remove);
+
+// Rotas de Tabela de Preços
+router.post('/api/tabelas-preco', exigirPermissao('tabela_preco:gerenciar'), tabelaPrecoController.create);
+router.get('/api/tabelas-preco', exigirPermissao('tabela_preco:ler'), tabelaPrecoController.findAll);
+router.get('/api/tabelas-preco/:id', exigirPermissao('tabela_preco:ler'), tabelaPrecoController.findOne);
+router.put('/api/tabelas-preco/:id', exigirPermissao('tabela_preco:gerenciar'), tabelaPrecoController.update);
+router.delete('/api/tabelas-preco/:id', exigirPermissao('tabela_preco:gerenciar'), tabelaPrecoController.remove);
+
+// Rotas de Depósito
+router.post('/api/depositos', exigirPermissao('deposito:gerenciar'), depositoController.create);
+router.get('/api/depositos', exigirPermissao('deposito:ler'), depositoController.findAll);
+router.get('/api/depositos/:id', exigirPermissao('deposito:ler'), depositoController.findOne);
+router.put('/api/depositos/:id', exigirPermissao('deposito:gerenciar'), depositoController.update);
+router.delete('/api/depositos/:id', exigirPermissao('deposito:gerenciar'), depositoController.remove);
+
+// Rotas de Inventário
+router.post('/api/inventarios', exigirPermissao('inventario:abrir'), inventarioController.create);
+router.get('/api/inventarios', exigirPermissao('inventario:ler'), inventarioController.findAll);
+router.get('/api/inventarios/:id', exigirPermissao('inventario:ler'), inventarioController.findOne);
+router.get('/api/inventarios/:id/divergencias', exigirPermissao('inventario:ler'), inventarioController.divergencias);
+router.post('/api/inventarios/:id/contagens', exigirPermissao('inventario:contar'), inventarioController.registrarContagem);
+router.post('/api/inventarios/:id/fechar', exigirPermissao('inventario:fechar'), inventarioController.fechar);
+router.post('/api/inventarios/:id/cancelar', exigirPermissao('inventario:abrir'), inventarioController.cancelar);
+
+// Rotas de Fornecedor
+router.post('/api/fornecedores', exigirPermissao('fornecedor:criar'), fornecedorController.create);
+router.get('/api/fornecedores', exigirPermissao('fornecedor:ler'), fornecedorController.findAll);
+router.get('/api/fornecedores/:id', exigirPermissao('fornecedor:ler'), fornecedorController.findOne);
+router.put('/api/fornecedores/:id', exigirPermissao('fornecedor:editar'), fornecedorController.update);
+router.delete('/api/fornecedores/:id', exigirPermissao('fornecedor:excluir'), fornecedorController.remove);
+
+// Rotas de Pedido de Compra
+router.post('/api/pedidos-compra', exigirPermissao('compra:criar'), pedidoCompraController.create);
+router.get('/api/pedidos-compra', exigirPermissao('compra:ler'), pedidoCompraController.findAll);
+router.get('/api/pedidos-compra/:id', exigirPermissao('compra:ler'), pedidoCompraController.findOne);
+router.put('/api/pedidos-compra/:id', exigirPermissao('compra:criar'), pedidoCompraController.update);
+router.patch('/api/pedidos-compra/:id/status', exigirPermissao('compra:criar'), pedidoCompraController.updateStatus);
+router.post('/api/pedidos-compra/:id/recebimentos', exigirPermissao('compra:receber'), pedidoCompraController.receber);
+router.delete('/api/pedidos-compra/:id', exigirPermissao('compra:criar'), pedidoCompraController.remove);
 
 // Rotas de Venda
-router.post('/api/vendas', vendaController.create);
-router.get('/api/vendas', vendaController.findAll);
-router.get('/api/vendas/:id', vendaController.findOne);
-router.put('/api/vendas/:id', vendaController.update);
-router.delete('/api/vendas/:id', vendaController.remove);
+router.post('/api/vendas', exigirPermissao('venda:criar'), vendaController.create);
+router.get('/api/vendas', exigirPermissao('venda:ler'), vendaController.findAll);
+router.get('/api/vendas/:id', exigirPermissao('venda:ler'), vendaController.findOne);
+router.put('/api/vendas/:id', exigirPermissao('venda:editar'), vendaController.update);
+router.patch('/api/vendas/:id/status', exigirPermissao('venda:editar'), vendaController.updateStatus);
+router.get('/api/vendas/:vendaId/itens', exigirPermissao('venda:ler'), itemVendaController.findByVenda);
+router.delete('/api/vendas/:id', exigirPermissao('venda:excluir'), vendaController.remove);
+
+// Rotas de Dashboard
+router.get('/api/dashboard', exigirPermissao('venda:ler'), vendaController.getEstatisticasDashboard);
+router.get('/api/dashboard/vendas-do-dia', exigirPermissao('venda:ler'), vendaController.getVendasDoDia);
 
 // Rotas de ItemVenda
-router.post('/api/itensvenda', itemVendaController.create);
-router.get('/api/itensvenda', itemVendaController.findAll);
-router.get('/api/itensvenda/:id', itemVendaController.findOne);
-router.put('/api/itensvenda/:id', itemVendaController.update);
-router.delete('/api/itensvenda/:id', itemVendaController.remove);
+router.post('/api/itensvenda', exigirPermissao('venda:editar'), itemVendaController.create);
+router.get('/api/itensvenda', exigirPermissao('venda:ler'), itemVendaController.findAll);
+router.get('/api/itensvenda/:id', exigirPermissao('venda:ler'), itemVendaController.findOne);
+router.put('/api/itensvenda/:id', exigirPermissao('venda:editar'), itemVendaController.update);
+router.delete('/api/itensvenda/:id', exigirPermissao('venda:editar'), itemVendaController.remove);
+
+// Rotas de Relatório
+router.post('/api/relatorios/vendas', exigirPermissao('relatorio:criar'), relatorioController.gerarRelatorioVendas);
+router.post('/api/relatorios', exigirPermissao('relatorio:criar'), relatorioController.create);
+router.get('/api/relatorios', exigirPermissao('relatorio:ler'), relatorioController.findAll);
+router.get('/api/relatorios/:id', exigirPermissao('relatorio:ler'), relatorioController.findOne);
+router.put('/api/relatorios/:id', exigirPermissao('relatorio:criar'), relatorioController.update);
+router.delete('/api/relatorios/:id', exigirPermissao('relatorio:excluir'), relatorioController.delete);
+
+// Rotas de Auditoria
+router.get('/api/auditoria', exigirPermissao('auditoria:ler'), auditoriaController.findAll);
+router.get('/api/auditoria/:id', exigirPermissao('auditoria:ler'), auditoriaController.findOne);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,97 @@
+const prisma = require('../prisma');
+
+// Entidades que gravam auditoria. registrarAuditoria recusa as que não estão aqui,
+// e o filtro entidade de GET /api/auditoria usa a mesma lista
+const ENTIDADES_AUDITADAS = [
+  'Usuario', 'Empresa', 'Perfil', 'ChaveApi', 'Cliente', 'Produto', 'Categoria', 'Deposito',
+  'TransferenciaEstoque', 'Fornecedor', 'PedidoCompra', 'Inventario', 'Venda', 'ItemVenda', 'Relatorio',
+  'PrecoProgramado', 'TabelaPreco'
+];
+
+// Campos que nunca vão para o log de auditoria
+const CAMPOS_SENSIVEIS = ['senha', 'totpSegredo', 'totpUltimoUso'];
+
+// Campos que mudam sozinhos e só poluem o diff
+const CAMPOS_IGNORADOS_NO_DIFF = ['atualizadoEm'];
+
+/**
+ * Mantém apenas os campos escalares e listas de escalares do registro (relações incluídas são descartadas)
+ * e converte datas para ISO, deixando o objeto pronto para uma coluna Json
+ */
+function fotografar(registro) {
+  if (!registro) return null;
+
+  const foto = {};
+  for (const [campo, valor] of Object.entries(registro)) {
+    if (CAMPOS_SENSIVEIS.includes(campo)) continue;
+
+    if (valor instanceof Date) {
+      foto[campo] = valor.toISOString();
+    } else if (valor === null || typeof valor !== 'object') {
+      foto[campo] = valor;
+    } else if (typeof valor.toNumber === 'function') {
+      foto[campo] = valor.toNumber();
+    } else if (Array.isArray(valor) && valor.every(item => item === null || typeof item !== 'object')) {
+      // Listas de escalares (ex.: permissões de um perfil)
+      foto[campo] = valor;
+    }
+  }
+  return foto;
+}
+
+/**
+ * Lista os campos alterados entre duas fotografias
+ */
+function calcularDiferencas(antes, depois) {
+  if (!antes || !depois) return null;
+
+  const diferencas = {};
+  const campos = new Set([...Object.keys(antes), ...Object.keys(depois)]);
+
+  for (const campo of campos) {
+    if (CAMPOS_IGNORADOS_NO_DIFF.includes(campo)) continue;
+    if (JSON.stringify(antes[campo]) !== JSON.stringify(depois[campo])) {
+      diferencas[campo] = { antes: antes[campo] ?? null, depois: depois[campo] ?? null };
+    }
+  }
+
+  return Object.keys(diferencas).length > 0 ? diferencas : null;
+}
+
+/**
+ * Registra uma alteração. Falhas ao gravar são apenas logadas para não
+ * desfazer a operação principal, que já foi concluída; entidade fora de
+ * ENTIDADES_AUDITADAS é erro de programação e lança.
+ */
+async function registrarAuditoria(req, { acao, entidade, entidadeId = null, antes = null, depois = null }) {
+  if (!ENTIDADES_AUDITADAS.includes(entidade)) {
+    throw new Error(`Entidade ${entidade} fora de ENTIDADES_AUDITADAS`);
+  }
+
+  try {
+    const fotoAntes = fotografar(antes);
+    const fotoDepois = fotografar(depois);
+
+    await prisma.auditoria.create({
+      data: {
+        usuarioId: req.usuario ? req.usuario.id : null,
+        chaveApiId: req.usuario && req.usuario.chaveApiId ? req.usuario.chaveApiId : null,
+        acao,
+        entidade,
+        entidadeId: entidadeId ?? (fotoDepois || fotoAntes || {}).id ?? null,
+        antes: fotoAntes ?? undefined,
+        depois: fotoDepois ?? undefined,
+        diferencas: calcularDiferencas(fotoAntes, fotoDepois) ?? undefined,
+        ip: req.ip || null
+      }
+    });
+  } catch (error) {
+    console.error(`Erro ao registrar auditoria (${acao} ${entidade}):`, error);
+  }
+}
+
+module.exports = {
+  ENTIDADES_AUDITADAS,
+  registrarAuditoria,
+  calcularDiferencas
+};
@@ -0,0 +1,176 @@
+const prisma = require('../prisma');
+const config = require('../config');
+const { ErroHttp } = require('../utils/erros');
+
+const MINUTO_EM_MS = 60 * 1000;
+
+// Motivos de falha que contam para o bloqueio da conta
+const FALHAS_DE_CREDENCIAL = ['SenhaIncorreta', 'Codigo2FAInvalido'];
+
+function erroComEspera(message, status, segundos) {
+  const erro = new ErroHttp(message, status);
+  erro.retryAfter = Math.max(1, Math.ceil(segundos));
+  return erro;
+}
+
+/**
+ * Atraso progressivo após as primeiras falhas: 1s, 2s, 4s... até o máximo configurado
+ */
+function calcularAtrasoSegundos(falhas) {
+  const { tentativasSemAtraso, atrasoMaximoSegundos } = config.login;
+  if (falhas < tentativasSemAtraso) return 0;
+  return Math.min(2 ** (falhas - tentativasSemAtraso), atrasoMaximoSegundos);
+}
+
+/**
+ * Impede a tentativa se o IP ou a conta estiverem bloqueados ou em espera.
+ * Deve ser chamado antes de conferir a senha.
+ */
+async function verificarTentativa(email, ip, usuario) {
+  const agora = new Date();
+  const inicioJanela = new Date(agora.getTime() - config.login.janelaMinutos * MINUTO_EM_MS);
+
+  if (ip) {
+    const falhasIp = await prisma.tentativaLogin.count({
+      where: { ip, sucesso: false, criadoEm: { gte: inicioJanela } }
+    });
+
+    if (falhasIp >= config.login.maxTentativasPorIp) {
+      throw erroComEspera(
+        'Muitas tentativas de login a partir deste endereço. Tente novamente mais tarde.',
+        429,
+        config.login.janelaMinutos * 60
+      );
+    }
+  }
+
+  if (usuario && usuario.bloqueadoAte && usuario.bloqueadoAte > agora) {
+    throw erroComEspera(
+      'Conta bloqueada temporariamente por excesso de tentativas. Tente novamente mais tarde.',
+      423,
+      (usuario.bloqueadoAte - agora) / 1000
+    );
+  }
+
+  // E-mails inexistentes também sofrem atraso, para não revelar quais contas existem
+  let falhas;
+  let ultimaFalhaEm;
+  if (usuario) {
+    falhas = usuario.falhasLogin;
+    ultimaFalhaEm = usuario.ultimaFalhaEm;
+  } else {
+    const [quantidade, ultima] = await Promise.all([
+      prisma.tentativaLogin.count({
+        where: { email, sucesso: false, criadoEm: { gte: inicioJanela } }
+      }),
+      prisma.tentativaLogin.findFirst({
+        where: { email, sucesso: false },
+        orderBy: { criadoEm: 'desc' },
+        select: { criadoEm: true }
+      })
+    ]);
+    falhas = quantidade;
+    ultimaFalhaEm = ultima && ultima.criadoEm;
+  }
+
+  const atraso = calcularAtrasoSegundos(falhas);
+  if (atraso > 0 && ultimaFalhaEm) {
+    const liberadoEm = new Date(ultimaFalhaEm).getTime() + atraso * 1000;
+    if (liberadoEm > agora.getTime()) {
+      throw erroComEspera(
+        'Aguarde alguns segundos antes de tentar novamente.',
+        429,
+        (liberadoEm - agora.getTime()) / 1000
+      );
+    }
+  }
+}
+
+function dadosRequisicao(req) {
+  return {
+    ip: req.ip || null,
+    userAgent: req.headers['user-agent'] || null
+  };
+}
+
+/**
+ * Registra uma tentativa sem sucesso. Falhas de senha ou código contam para o bloqueio
+ * da conta; retorna true quando a conta acabou de ser bloqueada.
+ */
+async function registrarFalha(req, email, usuario, motivo) {
+  await prisma.tentativaLogin.create({
+    data: {
+      email,
+      usuarioId: usuario ? usuario.id : null,
+      sucesso: false,
+      motivo,
+      ...dadosRequisicao(req)
+    }
+  });
+
+  if (!usuario || !FALHAS_DE_CREDENCIAL.includes(motivo)) return false;
+
+  const agora = new Date();
+  // Um bloqueio já vencido recomeça a contagem
+  const bloqueioVencido = usuario.bloqueadoAte && usuario.bloqueadoAte <= agora;
+
+  // Incremento no banco: tentativas simultâneas (senha ou código) não se perdem
+  const { falhasLogin: falhas } = await prisma.usuario.update({
+    where: { id: usuario.id },
+    data: {
+      falhasLogin: bloqueioVencido ? 1 : { increment: 1 },
+      ultimaFalhaEm: agora,
+      ...(bloqueioVencido ? { bloqueadoAte: null } : {})
+    },
+    select: { falhasLogin: true }
+  });
+
+  const bloquear = falhas >= config.login.maxTentativas;
+  if (bloquear) {
+    await prisma.usuario.update({
+      where: { id: usuario.id },
+      data: { bloqueadoAte: new Date(agora.getTime() + config.login.bloqueioMinutos * MINUTO_EM_MS) }
+    });
+  }
+
+  return bloquear;
+}
+
+/**
+ * Registra a tentativa bem-sucedida e zera o contador de falhas
+ */
+async function registrarSucesso(req, usuario) {
+  await prisma.$transaction([
+    prisma.tentativaLogin.create({
+      data: {
+        email: usuario.email,
+        usuarioId: usuario.id,
+        sucesso: true,
+        motivo: 'Sucesso',
+        ...dadosRequisicao(req)
+      }
+    }),
+    prisma.usuario.update({
+      where: { id: usuario.id },
+      data: { falhasLogin: 0, ultimaFalhaEm: null, bloqueadoAte: null }
+    })
+  ]);
+}
+
+/**
+ * Libera uma conta bloqueada (ação de Admin)
+ */
+async function desbloquearUsuario(usuarioId) {
+  return prisma.usuario.update({
+    where: { id: usuarioId },
+    data: { falhasLogin: 0, ultimaFalhaEm: null, bloqueadoAte: null },
+    select: { id: true, nome: true, email: true, bloqueadoAte: true, falhasLogin: true }
+  });
+}
+
+module.exports = {
+  verificarTentativa,
+  registrarFalha,
+  registrarSucesso,
+  desbloquearUsuario
+};
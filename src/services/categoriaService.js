@@ -0,0 +1,136 @@
+const { ErroHttp } = require('../utils/erros');
+const { obterEmpresaAtual } = require('../utils/contextoEmpresa');
+
+// Profundidade máxima da árvore (a raiz é o nível 1)
+const MAX_NIVEIS = 5;
+
+/**
+ * Carrega as categorias da empresa com os índices da árvore.
+ * São poucas por empresa: percorrer a árvore em memória evita uma consulta por nível.
+ * @param client prisma ou a transação (tx)
+ */
+async function carregarArvore(client) {
+  const categorias = await client.categoria.findMany({ orderBy: [{ nome: 'asc' }, { id: 'asc' }] });
+  const porId = new Map(categorias.map(categoria => [categoria.id, categoria]));
+
+  // Filhas de cada categoria; as raízes ficam na chave null
+  const filhas = new Map();
+  for (const categoria of categorias) {
+    const pai = categoria.categoriaPaiId ?? null;
+    if (!filhas.has(pai)) filhas.set(pai, []);
+    filhas.get(pai).push(categoria);
+  }
+
+  return { categorias, porId, filhas };
+}
+
+/**
+ * Carrega a árvore dentro da transação com as categorias da empresa travadas (FOR UPDATE).
+ * Criar, renomear e mover validam a árvore e gravam em seguida: sem a trava, duas
+ * movimentações simultâneas validariam a árvore antiga e poderiam gravar um ciclo.
+ * @param tx transação; a trava vale até o fim dela
+ */
+async function carregarArvoreTravada(tx) {
+  await tx.$queryRaw`SELECT id FROM "Categoria" WHERE "empresaId" = ${obterEmpresaAtual()} ORDER BY id FOR UPDATE`;
+  return carregarArvore(tx);
+}
+
+/**
+ * Ids da categoria e de todas as suas descendentes
+ */
+function idsComDescendentes(arvore, id) {
+  const ids = [];
+  const pendentes = [id];
+  while (pendentes.length > 0) {
+    const atual = pendentes.pop();
+    if (ids.includes(atual)) continue;
+    ids.push(atual);
+    pendentes.push(...(arvore.filhas.get(atual) || []).map(filha => filha.id));
+  }
+  return ids;
+}
+
+/**
+ * Categorias da raiz até a informada (inclusive)
+ */
+function ancestrais(arvore, id) {
+  const lista = [];
+  let atual = arvore.porId.get(id);
+  // As alterações travam a árvore (carregarArvoreTravada); a checagem de repetição só impede
+  // um laço infinito se um ciclo chegar ao banco por fora da API
+  while (atual && !lista.includes(atual)) {
+    lista.unshift(atual);
+    atual = arvore.porId.get(atual.categoriaPaiId);
+  }
+  return lista;
+}
+
+/**
+ * Nome completo da categoria: "Bebidas > Refrigerantes"
+ */
+function caminhoCategoria(arvore, id) {
+  return ancestrais(arvore, id).map(categoria => categoria.nome).join(' > ');
+}
+
+/**
+ * Níveis da categoria até a subcategoria mais funda (1 = sem subcategorias)
+ */
+function alturaSubarvore(arvore, id) {
+  const filhas = arvore.filhas.get(id) || [];
+  return 1 + Math.max(0, ...filhas.map(filha => alturaSubarvore(arvore, filha.id)));
+}
+
+/**
+ * Confere se a categoria (id; ausente na criação) pode ficar sob categoriaPaiId:
+ * o pai existe, não é a própria categoria nem uma descendente e a árvore não passa de MAX_NIVEIS
+ */
+function validarPai(arvore, { id, categoriaPaiId }) {
+  if (categoriaPaiId === null) return;
+
+  if (!arvore.porId.has(categoriaPaiId)) {
+    throw new ErroHttp('Categoria pai não encontrada', 404);
+  }
+  if (id && idsComDescendentes(arvore, id).includes(categoriaPaiId)) {
+    throw new ErroHttp('A categoria não pode ficar dentro dela mesma nem de uma subcategoria sua', 409);
+  }
+
+  const niveis = ancestrais(arvore, categoriaPaiId).length + (id ? alturaSubarvore(arvore, id) : 1);
+  if (niveis > MAX_NIVEIS) {
+    throw new ErroHttp(`A árvore de categorias pode ter até ${MAX_NIVEIS} níveis`);
+  }
+}
+
+/**
+ * Nome não pode repetir entre as categorias com o mesmo pai (sem diferenciar maiúsculas)
+ */
+function validarNomeUnico(arvore, { id, categoriaPaiId, nome }) {
+  const irmas = arvore.filhas.get(categoriaPaiId ?? null) || [];
+  const repetida = irmas.find(irma => irma.id !== id && irma.nome.toLowerCase() === nome.toLowerCase());
+  if (repetida) {
+    throw new ErroHttp(`Já existe a categoria "${caminhoCategoria(arvore, repetida.id)}"`, 409, 'Conflito de dados');
+  }
+}
+
+/**
+ * Ids da categoria e das descendentes, para filtrar produtos
+ * @throws {ErroHttp} 404 se a categoria não existir
+ */
+async function categoriaComDescendentes(client, id) {
+  const arvore = await carregarArvore(client);
+  if (!arvore.porId.has(id)) {
+    throw new ErroHttp('Categoria não encontrada', 404);
+  }
+  return idsComDescendentes(arvore, id);
+}
+
+module.exports = {
+  MAX_NIVEIS,
+  carregarArvore,
+  carregarArvoreTravada,
+  idsComDescendentes,
+  ancestrais,
+  caminhoCategoria,
+  validarPai,
+  validarNomeUnico,
+  categoriaComDescendentes
+};
@@ -0,0 +1,106 @@
+const prisma = require('../prisma');
+const { gerarToken, hashToken } = require('../utils/tokens');
+const { resolverPermissoes, possuiPermissao } = require('./permissaoService');
+
+const PREFIXO_CHAVE = 'nxk_';
+
+/**
+ * Gera uma chave no formato nxk_<identificador>_<segredo>.
+ * O identificador (prefixo) fica salvo em texto para a chave ser reconhecida na listagem.
+ */
+function gerarChave() {
+  const identificador = gerarToken(4);
+  return {
+    chave: `${PREFIXO_CHAVE}${identificador}_${gerarToken(24)}`,
+    prefixo: `${PREFIXO_CHAVE}${identificador}`
+  };
+}
+
+/**
+ * Cria a chave e retorna o registro + a chave em texto puro (exibida uma única vez)
+ */
+async function criarChave({ usuarioId, nome, permissoes, expiraEm }) {
+  const { chave, prefixo } = gerarChave();
+
+  const registro = await prisma.chaveApi.create({
+    data: {
+      usuarioId,
+      nome,
+      prefixo,
+      chaveHash: hashToken(chave),
+      permissoes,
+      expiraEm: expiraEm || null
+    }
+  });
+
+  return { chave, registro };
+}
+
+/**
+ * Valida a chave recebida no header X-API-Key e monta o usuário da requisição.
+ * A chave nunca pode mais do que o dono: as permissões efetivas são a interseção
+ * entre as da chave e as do usuário na empresa. Retorna null se a chave não vale.
+ */
+async function autenticarChave(chave, ip) {
+  if (!chave || !chave.startsWith(PREFIXO_CHAVE)) return null;
+
+  const registro = await prisma.chaveApi.findUnique({
+    where: { chaveHash: hashToken(chave) },
+    include: {
+      usuario: {
+        select: {
+          id: true,
+          email: true,
+          perfil: true,
+          status: true,
+          empresas: {
+            where: { empresa: { status: 'Ativo' } },
+            select: { empresaId: true, perfil: { select: { nome: true, permissoes: true } } }
+          }
+        }
+      }
+    }
+  });
+
+  if (!registro || registro.revogadaEm) return null;
+  if (registro.expiraEm && registro.expiraEm <= new Date()) return null;
+  if (registro.usuario.status !== 'Ativo') return null;
+
+  const vinculo = registro.usuario.empresas.find(e => e.empresaId === registro.empresaId);
+  if (!vinculo) return null;
+
+  const dono = {
+    permissoes: resolverPermissoes(registro.usuario.perfil, vinculo.perfil)
+  };
+
+  await prisma.chaveApi.update({
+    where: { id: registro.id },
+    data: { ultimoUsoEm: new Date(), ultimoUsoIp: ip || null }
+  });
+
+  return {
+    id: registro.usuario.id,
+    email: registro.usuario.email,
+    perfil: registro.usuario.perfil,
+    perfilPersonalizado: vinculo.perfil ? vinculo.perfil.nome : null,
+    empresaId: registro.empresaId,
+    chaveApiId: registro.id,
+    permissoes: registro.permissoes.filter(permissao => possuiPermissao(dono, permissao))
+  };
+}
+
+/**
+ * Revoga a chave; ela deixa de funcionar imediatamente
+ */
+async function revogarChave(id) {
+  return prisma.chaveApi.updateMany({
+    where: { id, revogadaEm: null },
+    data: { revogadaEm: new Date() }
+  });
+}
+
+module.exports = {
+  criarChave,
+  autenticarChave,
+  revogarChave
+};
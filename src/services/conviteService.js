@@ -0,0 +1,97 @@
+const prisma = require('../prisma');
+const { semEscopo } = require('../utils/contextoEmpresa');
+const { ErroHttp } = require('../utils/erros');
+const { enviarEmail } = require('./mailer');
+
+/**
+ * Convida o dono do e-mail para a empresa. O acesso dele só muda quando aceitar.
+ * Para não revelar quais e-mails existem, quem chama responde igual em todos os casos:
+ * sem usuário ativo com o e-mail, ou com ele já vinculado, nada é feito (retorna null).
+ */
+async function convidar(empresaId, email) {
+  // O convidado ainda não pertence a esta empresa, então a busca é global
+  const usuario = await semEscopo(() => prisma.usuario.findUnique({
+    where: { email },
+    select: { id: true, nome: true, email: true, status: true }
+  }));
+
+  if (!usuario || usuario.status !== 'Ativo') return null;
+
+  const vinculo = await prisma.usuarioEmpresa.findUnique({
+    where: { usuarioId_empresaId: { usuarioId: usuario.id, empresaId } }
+  });
+  if (vinculo) return null;
+
+  // Reenviar o convite (inclusive um já recusado) o deixa pendente de novo
+  const convite = await prisma.conviteEmpresa.upsert({
+    where: { empresaId_usuarioId: { empresaId, usuarioId: usuario.id } },
+    create: { empresaId, usuarioId: usuario.id },
+    update: { status: 'Pendente', criadoEm: new Date(), respondidoEm: null },
+    include: { empresa: { select: { nome: true } } }
+  });
+
+  await enviarEmail({
+    para: usuario.email,
+    assunto: `NexoERP - Convite para ${convite.empresa.nome}`,
+    texto: [
+      `Olá, ${usuario.nome}.`,
+      '',
+      `Você foi convidado para acessar a empresa ${convite.empresa.nome}.`,
+      'Entre no sistema e aceite ou recuse o convite em /api/convites.',
+      'Se você não conhece esta empresa, recuse o convite.'
+    ].join('\n')
+  });
+
+  return convite;
+}
+
+/**
+ * Convites pendentes do usuário, de empresas ativas
+ */
+async function listarPendentes(usuarioId) {
+  return prisma.conviteEmpresa.findMany({
+    where: { usuarioId, status: 'Pendente', empresa: { status: 'Ativo' } },
+    include: { empresa: { select: { id: true, nome: true, cnpj: true } } },
+    orderBy: { criadoEm: 'desc' }
+  });
+}
+
+/**
+ * Aceita ou recusa um convite pendente do próprio usuário. Aceitar cria o vínculo com a empresa.
+ * @throws {ErroHttp} 404 se o convite não existe, é de outro usuário ou já foi respondido
+ */
+async function responder(usuarioId, conviteId, aceitar) {
+  return prisma.$transaction(async (tx) => {
+    const convite = await tx.conviteEmpresa.findFirst({
+      where: { id: conviteId, usuarioId, status: 'Pendente', empresa: { status: 'Ativo' } }
+    });
+    if (!convite) {
+      throw new ErroHttp('Convite não encontrado', 404);
+    }
+
+    // Duas respostas simultâneas: só a primeira muda o status
+    const { count } = await tx.conviteEmpresa.updateMany({
+      where: { id: convite.id, status: 'Pendente' },
+      data: { status: aceitar ? 'Aceito' : 'Recusado', respondidoEm: new Date() }
+    });
+    if (count === 0) {
+      throw new ErroHttp('Convite não encontrado', 404);
+    }
+
+    if (aceitar) {
+      await tx.usuarioEmpresa.upsert({
+        where: { usuarioId_empresaId: { usuarioId, empresaId: convite.empresaId } },
+        create: { usuarioId, empresaId: convite.empresaId },
+        update: {}
+      });
+    }
+
+    return convite;
+  });
+}
+
+module.exports = {
+  convidar,
+  listarPendentes,
+  responder
+};
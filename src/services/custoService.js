@@ -0,0 +1,74 @@
+/**
+ * Custo unitário usado nas margens: o médio ponderado das entradas;
+ * enquanto não houver entrada com custo, vale o custo informado no cadastro.
+ */
+function custoAtual(produto) {
+  if (!produto) return null;
+  return produto.custoMedio ?? produto.custoManual ?? null;
+}
+
+function arredondar(valor) {
+  return Math.round(valor * 100) / 100;
+}
+
+/**
+ * Novo custo médio ponderado depois de uma entrada.
+ * Saldo negativo conta como zero: a entrada passa a ser a única base do custo.
+ */
+function calcularCustoMedio({ saldoAnterior, custoAnterior, quantidade, custoUnit }) {
+  const base = Math.max(saldoAnterior || 0, 0);
+  if (custoAnterior === null || custoAnterior === undefined || base === 0) {
+    return custoUnit;
+  }
+  return (base * custoAnterior + quantidade * custoUnit) / (base + quantidade);
+}
+
+/**
+ * Lucro bruto, margem bruta (% sobre a receita) e markup (% sobre o custo).
+ * Sem custo conhecido, tudo fica null.
+ */
+function calcularMargem(receita, custo) {
+  if (custo === null || custo === undefined) {
+    return { lucroBruto: null, margemBruta: null, markup: null };
+  }
+
+  const lucroBruto = receita - custo;
+  return {
+    lucroBruto: arredondar(lucroBruto),
+    margemBruta: receita > 0 ? arredondar((lucroBruto / receita) * 100) : null,
+    markup: custo > 0 ? arredondar((lucroBruto / custo) * 100) : null
+  };
+}
+
+/**
+ * Grava em cada item da venda o custo atual do produto (custo no momento da venda).
+ * Atualiza também os objetos recebidos para a resposta já sair com o custo.
+ * O custo de kit sai dos componentes baixados (baixarEstoqueVenda).
+ */
+async function fixarCustoItensVenda(tx, venda) {
+  const ids = [...new Set(venda.itens.map(item => item.produtoId))];
+  const produtos = await tx.produto.findMany({
+    where: { id: { in: ids } },
+    select: { id: true, tipo: true, custoMedio: true, custoManual: true }
+  });
+
+  for (const item of venda.itens) {
+    const produto = produtos.find(produto => produto.id === item.produtoId);
+    if (produto && produto.tipo === 'Kit') continue;
+
+    const custoUnit = custoAtual(produto);
+    await tx.itemVenda.update({
+      where: { id: item.id },
+      data: { custoUnit }
+    });
+    item.custoUnit = custoUnit;
+  }
+}
+
+module.exports = {
+  arredondar,
+  custoAtual,
+  calcularCustoMedio,
+  calcularMargem,
+  fixarCustoItensVenda
+};
@@ -0,0 +1,108 @@
+const prisma = require('../prisma');
+const { ErroHttp } = require('../utils/erros');
+const { arredondarQuantidade } = require('../utils/quantidades');
+
+const NOME_DEPOSITO_PADRAO = 'Principal';
+
+/**
+ * Depósito padrão da empresa atual. Empresas cadastradas antes dos depósitos ganham
+ * o "Principal" na primeira operação de estoque, já com o estoque de cada produto como saldo.
+ * @param client prisma ou a transação (tx)
+ */
+async function depositoPadrao(client = prisma) {
+  const padrao = await client.deposito.findFirst({ where: { padrao: true } });
+  if (padrao) return padrao;
+
+  // Duas primeiras operações simultâneas tentam criar o mesmo "Principal". ON CONFLICT DO NOTHING
+  // (skipDuplicates) não aborta a transação: quem perdeu só relê o que a outra criou.
+  const { count } = await client.deposito.createMany({
+    data: [{ nome: NOME_DEPOSITO_PADRAO, padrao: true }],
+    skipDuplicates: true
+  });
+
+  const deposito = await client.deposito.findFirst({ where: { padrao: true } });
+  if (!deposito) {
+    throw new ErroHttp(`A empresa não tem depósito padrão e já existe um depósito "${NOME_DEPOSITO_PADRAO}"; defina o padrão em /api/depositos`, 409);
+  }
+  if (count === 0) return deposito;
+
+  const produtos = await client.produto.findMany({
+    where: { tipo: 'Produto', estoque: { not: 0 } },
+    select: { id: true, estoque: true }
+  });
+  if (produtos.length > 0) {
+    await client.saldoEstoque.createMany({
+      data: produtos.map(produto => ({
+        depositoId: deposito.id,
+        produtoId: produto.id,
+        quantidade: produto.estoque
+      }))
+    });
+  }
+
+  return deposito;
+}
+
+/**
+ * Depósito ativo da empresa pelo ID. Lança 404 se não existir e 400 se estiver inativo.
+ */
+async function buscarDepositoAtivo(client, depositoId) {
+  const id = parseInt(depositoId);
+  if (isNaN(id) || id <= 0) {
+    throw new ErroHttp('depositoId deve ser um número positivo');
+  }
+
+  const deposito = await client.deposito.findUnique({ where: { id } });
+  if (!deposito) {
+    throw new ErroHttp(`Depósito com ID ${depositoId} não encontrado`, 404);
+  }
+  if (deposito.status !== 'Ativo') {
+    throw new ErroHttp(`O depósito ${deposito.nome} está inativo`);
+  }
+  return deposito;
+}
+
+/**
+ * Depósito de uma operação: o informado; sem ele, o padrão do usuário na empresa;
+ * sem esse (ou se estiver inativo), o padrão da empresa.
+ * @param {{ id: number, empresaId: number }} usuario req.usuario
+ */
+async function resolverDeposito(client, depositoId, usuario) {
+  if (depositoId !== undefined && depositoId !== null && depositoId !== '') {
+    return buscarDepositoAtivo(client, depositoId);
+  }
+
+  if (usuario && usuario.empresaId) {
+    const vinculo = await client.usuarioEmpresa.findUnique({
+      where: { usuarioId_empresaId: { usuarioId: usuario.id, empresaId: usuario.empresaId } },
+      include: { deposito: true }
+    });
+    if (vinculo && vinculo.deposito && vinculo.deposito.status === 'Ativo') {
+      return vinculo.deposito;
+    }
+  }
+
+  return depositoPadrao(client);
+}
+
+/**
+ * Saldo de cada produto no depósito (produto sem registro não aparece: saldo zero)
+ * @returns {Promise<Map<number, number>>}
+ */
+async function saldosNoDeposito(client, produtoIds, depositoId) {
+  if (produtoIds.length === 0) return new Map();
+
+  const saldos = await client.saldoEstoque.findMany({
+    where: { depositoId, produtoId: { in: produtoIds } },
+    select: { produtoId: true, quantidade: true }
+  });
+  return new Map(saldos.map(saldo => [saldo.produtoId, arredondarQuantidade(saldo.quantidade)]));
+}
+
+module.exports = {
+  NOME_DEPOSITO_PADRAO,
+  depositoPadrao,
+  buscarDepositoAtivo,
+  resolverDeposito,
+  saldosNoDeposito
+};
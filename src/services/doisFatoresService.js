@@ -0,0 +1,242 @@
+const bcrypt = require('bcrypt');
+const jwt = require('jsonwebtoken');
+const prisma = require('../prisma');
+const config = require('../config');
+const totp = require('../utils/totp');
+const bloqueioLoginService = require('./bloqueioLoginService');
+const { gerarToken, hashToken } = require('../utils/tokens');
+const { ErroHttp } = require('../utils/erros');
+
+const QUANTIDADE_CODIGOS_BACKUP = 10;
+const TIPO_DESAFIO = '2fa';
+
+function normalizarCodigoBackup(codigo) {
+  return String(codigo || '').replace(/[\s-]/g, '').toLowerCase();
+}
+
+async function buscarUsuario(usuarioId) {
+  const usuario = await prisma.usuario.findUnique({
+    where: { id: usuarioId },
+    select: {
+      id: true, nome: true, email: true, senha: true, perfil: true, status: true,
+      totpSegredo: true, totpAtivo: true, totpUltimoUso: true,
+      falhasLogin: true, ultimaFalhaEm: true, bloqueadoAte: true
+    }
+  });
+
+  if (!usuario) {
+    throw new ErroHttp('Usuário não encontrado', 404);
+  }
+
+  return usuario;
+}
+
+/**
+ * Substitui os códigos de backup do usuário e retorna os novos em texto puro.
+ * Eles só são exibidos uma vez; no banco fica apenas o hash.
+ */
+async function gerarCodigosBackup(usuarioId) {
+  const codigos = Array.from({ length: QUANTIDADE_CODIGOS_BACKUP }, () => {
+    const bruto = gerarToken(5);
+    return `${bruto.slice(0, 5)}-${bruto.slice(5)}`;
+  });
+
+  await prisma.$transaction([
+    prisma.codigoBackup.deleteMany({ where: { usuarioId } }),
+    prisma.codigoBackup.createMany({
+      data: codigos.map(codigo => ({
+        usuarioId,
+        codigoHash: hashToken(normalizarCodigoBackup(codigo))
+      }))
+    })
+  ]);
+
+  return codigos;
+}
+
+/**
+ * Confere um código TOTP ou de backup. Cada código só pode ser usado uma vez.
+ */
+async function verificarSegundoFator(usuario, codigo) {
+  const passo = totp.verificarCodigo(usuario.totpSegredo, codigo);
+
+  if (passo !== null) {
+    // Gravar o passo só se ele for posterior ao último aceito: de duas requisições
+    // simultâneas com o mesmo código, apenas uma passa
+    const { count } = await prisma.usuario.updateMany({
+      where: {
+        id: usuario.id,
+        OR: [{ totpUltimoUso: null }, { totpUltimoUso: { lt: passo } }]
+      },
+      data: { totpUltimoUso: passo }
+    });
+
+    if (count === 0) {
+      throw new ErroHttp('Código já utilizado. Aguarde o próximo código.', 401);
+    }
+    return;
+  }
+
+  const { count } = await prisma.codigoBackup.updateMany({
+    where: {
+      usuarioId: usuario.id,
+      codigoHash: hashToken(normalizarCodigoBackup(codigo)),
+      usadoEm: null
+    },
+    data: { usadoEm: new Date() }
+  });
+
+  if (count === 0) {
+    throw new ErroHttp('Código de verificação inválido', 401);
+  }
+}
+
+/**
+ * Gera um novo segredo (ainda não ativo) e a URI para o QR code
+ */
+async function iniciarCadastro(usuarioId) {
+  const usuario = await buscarUsuario(usuarioId);
+
+  if (usuario.totpAtivo) {
+    throw new ErroHttp('Autenticação em dois fatores já está ativa', 409);
+  }
+
+  const segredo = totp.gerarSegredo();
+
+  await prisma.usuario.update({
+    where: { id: usuario.id },
+    data: { totpSegredo: segredo, totpUltimoUso: null }
+  });
+
+  return {
+    segredo,
+    uri: totp.gerarUriProvisionamento({
+      segredo,
+      conta: usuario.email,
+      emissor: config.totpEmissor
+    })
+  };
+}
+
+/**
+ * Ativa o 2FA após o usuário provar que configurou o aplicativo
+ */
+async function confirmarCadastro(usuarioId, codigo) {
+  const usuario = await buscarUsuario(usuarioId);
+
+  if (usuario.totpAtivo) {
+    throw new ErroHttp('Autenticação em dois fatores já está ativa', 409);
+  }
+  if (!usuario.totpSegredo) {
+    throw new ErroHttp('Inicie o cadastro do autenticador antes de confirmar', 400);
+  }
+
+  const passo = totp.verificarCodigo(usuario.totpSegredo, codigo);
+  if (passo === null) {
+    throw new ErroHttp('Código de verificação inválido', 400);
+  }
+
+  await prisma.usuario.update({
+    where: { id: usuario.id },
+    data: { totpAtivo: true, totpUltimoUso: passo }
+  });
+
+  return gerarCodigosBackup(usuario.id);
+}
+
+/**
+ * Desativa o 2FA exigindo a senha e um código válido
+ */
+async function desativar(usuarioId, senha, codigo) {
+  const usuario = await buscarUsuario(usuarioId);
+
+  if (!usuario.totpAtivo) {
+    throw new ErroHttp('Autenticação em dois fatores não está ativa', 400);
+  }
+  if (!senha || !(await bcrypt.compare(senha, usuario.senha))) {
+    throw new ErroHttp('Senha incorreta', 400);
+  }
+
+  await verificarSegundoFator(usuario, codigo);
+
+  await prisma.$transaction([
+    prisma.codigoBackup.deleteMany({ where: { usuarioId: usuario.id } }),
+    prisma.usuario.update({
+      where: { id: usuario.id },
+      data: { totpAtivo: false, totpSegredo: null, totpUltimoUso: null }
+    })
+  ]);
+}
+
+async function regenerarCodigosBackup(usuarioId, codigo) {
+  const usuario = await buscarUsuario(usuarioId);
+
+  if (!usuario.totpAtivo) {
+    throw new ErroHttp('Autenticação em dois fatores não está ativa', 400);
+  }
+
+  await verificarSegundoFator(usuario, codigo);
+
+  return gerarCodigosBackup(usuario.id);
+}
+
+/**
+ * Token de curta duração emitido no primeiro passo do login.
+ * Não tem sessão associada, então não é aceito pelas rotas protegidas.
+ */
+function criarDesafio(usuario) {
+  return jwt.sign(
+    { id: usuario.id, tipo: TIPO_DESAFIO },
+    config.jwtSecret,
+    { expiresIn: config.desafio2faExpiresIn }
+  );
+}
+
+/**
+ * Valida o desafio + código e retorna o usuário autenticado
+ */
+async function concluirDesafio(desafioToken, codigo, req) {
+  let payload;
+  try {
+    payload = jwt.verify(desafioToken, config.jwtSecret);
+  } catch (err) {
+    throw new ErroHttp('Desafio inválido ou expirado. Faça login novamente.', 401);
+  }
+
+  if (payload.tipo !== TIPO_DESAFIO) {
+    throw new ErroHttp('Desafio inválido', 401);
+  }
+
+  const usuario = await buscarUsuario(payload.id);
+
+  if (usuario.status !== 'Ativo') {
+    throw new ErroHttp(`Usuário com status "${usuario.status}" não pode fazer login`, 403);
+  }
+  if (!usuario.totpAtivo) {
+    throw new ErroHttp('Autenticação em dois fatores não está ativa', 400);
+  }
+
+  // Códigos errados contam para o mesmo bloqueio do login por senha
+  await bloqueioLoginService.verificarTentativa(usuario.email, req.ip, usuario);
+
+  try {
+    await verificarSegundoFator(usuario, codigo);
+  } catch (error) {
+    await bloqueioLoginService.registrarFalha(req, usuario.email, usuario, 'Codigo2FAInvalido');
+    throw error;
+  }
+
+  // Só aqui o login terminou: zera o contador de falhas
+  await bloqueioLoginService.registrarSucesso(req, usuario);
+
+  return usuario;
+}
+
+module.exports = {
+  iniciarCadastro,
+  confirmarCadastro,
+  desativar,
+  regenerarCodigosBackup,
+  criarDesafio,
+  concluirDesafio
+};
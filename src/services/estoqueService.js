@@ -0,0 +1,429 @@
+const { Prisma } = require('@prisma/client');
+const prisma = require('../prisma');
+const { calcularCustoMedio, custoAtual } = require('./custoService');
+const { componentesPorKit, ratearValorKit, custoKit } = require('./kitService');
+const { depositoPadrao } = require('./depositoService');
+const { movimentarLotes } = require('./loteService');
+const { ErroHttp } = require('../utils/erros');
+const { arredondarQuantidade, somarQuantidades, subtrairQuantidades, multiplicarQuantidade } = require('../utils/quantidades');
+
+const TIPOS_MOVIMENTACAO = ['Venda', 'Estorno', 'Ajuste', 'Entrada', 'Inventario', 'Transferencia'];
+
+/**
+ * Altera o estoque do produto no depósito (e o total do produto) e registra a movimentação no livro.
+ * Deve rodar dentro de uma transação (tx) para os saldos e o registro ficarem juntos.
+ * Quantidade positiva entra, negativa sai. Sem depositoId, usa o depósito padrão.
+ * Em produto com controle de lote, lotes ([{ numero, validade, quantidade }]) indica os lotes
+ * da entrada ou de onde sai; saída sem lotes consome FEFO. Entrada exige lote.
+ * Serviços não têm estoque e são ignorados.
+ */
+async function movimentarEstoque(tx, { produtoId, depositoId, quantidade: informada, tipo, documentoTipo, documentoId, usuarioId, observacao, custoUnit, lotes }) {
+  // Aceita número ou o Decimal lido de outra coluna de quantidade
+  const quantidade = arredondarQuantidade(informada);
+  if (quantidade === 0) return null;
+
+  // Trava a linha do produto: o total e o saldo do depósito lidos aqui não mudam até o commit
+  await travarProdutos(tx, [produtoId]);
+
+  const produto = await tx.produto.findUnique({
+    where: { id: produtoId },
+    select: { nome: true, tipo: true, controlaLote: true, estoque: true }
+  });
+  if (!produto || produto.tipo !== 'Produto') return null;
+
+  if (produto.controlaLote && tipo === 'Entrada' && !(lotes && lotes.length > 0)) {
+    throw new ErroHttp(`${produto.nome} tem controle de lote: informe o lote e a validade da entrada`);
+  }
+
+  const deposito = depositoId || (await depositoPadrao(tx)).id;
+
+  // Os novos saldos são somados em Prisma.Decimal e gravados na precisão das colunas (Decimal(15,3))
+  const atualizado = await tx.produto.update({
+    where: { id: produtoId },
+    data: { estoque: somarQuantidades(produto.estoque, quantidade) },
+    select: { estoque: true }
+  });
+
+  const saldoAtual = await tx.saldoEstoque.findUnique({
+    where: { depositoId_produtoId: { depositoId: deposito, produtoId } }
+  });
+  const saldo = await tx.saldoEstoque.upsert({
+    where: { depositoId_produtoId: { depositoId: deposito, produtoId } },
+    create: { depositoId: deposito, produtoId, quantidade },
+    update: { quantidade: somarQuantidades(saldoAtual && saldoAtual.quantidade, quantidade) }
+  });
+
+  const lotesMovimentados = produto.controlaLote
+    ? await movimentarLotes(tx, { produtoId, depositoId: deposito, quantidade, lotes })
+    : [];
+
+  return tx.movimentacaoEstoque.create({
+    data: {
+      produtoId,
+      depositoId: deposito,
+      tipo,
+      quantidade,
+      saldoApos: atualizado.estoque,
+      saldoDeposito: saldo.quantidade,
+      custoUnit: custoUnit ?? null,
+      lotes: lotesMovimentados.length > 0 ? lotesMovimentados : undefined,
+      documentoTipo: documentoTipo || null,
+      documentoId: documentoId || null,
+      usuarioId: usuarioId || null,
+      observacao: observacao || null
+    }
+  });
+}
+
+/**
+ * Entrada de mercadoria. Com custo informado, recalcula o custo médio ponderado
+ * e, se for compra, guarda também o custo da última compra.
+ * @param {{ numero: string, validade: Date }} [lote] obrigatório para produto com controle de lote
+ */
+async function registrarEntrada(tx, { produtoId, quantidade, custoUnit, compra = false, lote, ...origem }) {
+  const movimentacao = await movimentarEstoque(tx, {
+    ...origem,
+    produtoId,
+    quantidade,
+    custoUnit,
+    lotes: lote ? [{ ...lote, quantidade }] : undefined,
+    tipo: 'Entrada'
+  });
+  if (!movimentacao || custoUnit === null || custoUnit === undefined) return movimentacao;
+
+  // A linha do produto já está travada por movimentarEstoque, então o custo lido aqui não muda até o commit
+  const produto = await tx.produto.findUnique({
+    where: { id: produtoId },
+    select: { custoMedio: true, custoManual: true }
+  });
+
+  const data = {
+    custoMedio: calcularCustoMedio({
+      saldoAnterior: subtrairQuantidades(movimentacao.saldoApos, quantidade),
+      custoAnterior: produto.custoMedio ?? produto.custoManual,
+      quantidade,
+      custoUnit
+    })
+  };
+  if (compra) data.custoUltimaCompra = custoUnit;
+
+  await tx.produto.update({ where: { id: produtoId }, data });
+  return movimentacao;
+}
+
+/**
+ * Trava as linhas dos produtos até o fim da transação, sempre na mesma ordem
+ * para duas transações não se bloquearem mutuamente
+ */
+async function travarProdutos(tx, produtoIds) {
+  const ids = [...new Set(produtoIds)].sort((a, b) => a - b);
+  if (ids.length === 0) return;
+  await tx.$queryRaw`SELECT id FROM "Produto" WHERE id IN (${Prisma.join(ids)}) ORDER BY id FOR UPDATE`;
+}
+
+/**
+ * Leva o saldo do produto no depósito (padrão, se não informado) até o valor informado,
+ * registrando a diferença. Com lote, a diferença entra nele ou sai dele.
+ */
+async function definirSaldo(tx, { produtoId, depositoId, saldo, tipo = 'Ajuste', lote, ...origem }) {
+  await travarProdutos(tx, [produtoId]);
+
+  const deposito = depositoId || (await depositoPadrao(tx)).id;
+  const atual = await tx.saldoEstoque.findUnique({
+    where: { depositoId_produtoId: { depositoId: deposito, produtoId } }
+  });
+
+  const quantidade = subtrairQuantidades(saldo, atual && atual.quantidade);
+  return movimentarEstoque(tx, {
+    ...origem,
+    produtoId,
+    depositoId: deposito,
+    tipo,
+    quantidade,
+    lotes: lote ? [{ ...lote, quantidade: Math.abs(quantidade) }] : undefined
+  });
+}
+
+/**
+ * Zera o saldo do produto em todos os depósitos (ex.: produto que virou serviço)
+ */
+async function zerarEstoque(tx, { produtoId, ...origem }) {
+  await travarProdutos(tx, [produtoId]);
+  // Garante que o estoque de empresas anteriores aos depósitos já esteja em algum saldo
+  await depositoPadrao(tx);
+
+  const saldos = await tx.saldoEstoque.findMany({
+    where: { produtoId, quantidade: { not: 0 } }
+  });
+  for (const saldo of saldos) {
+    await movimentarEstoque(tx, {
+      ...origem,
+      produtoId,
+      depositoId: saldo.depositoId,
+      tipo: 'Ajuste',
+      quantidade: subtrairQuantidades(0, saldo.quantidade)
+    });
+  }
+}
+
+/**
+ * Baixa um produto de um item da venda, guardando no item os lotes consumidos
+ */
+async function baixarProdutoItem(tx, venda, item, { produtoId, quantidade, custoUnit }, usuarioId) {
+  const movimentacao = await movimentarEstoque(tx, {
+    produtoId,
+    depositoId: venda.depositoId,
+    quantidade: subtrairQuantidades(0, quantidade),
+    tipo: 'Venda',
+    documentoTipo: 'Venda',
+    documentoId: venda.id,
+    usuarioId,
+    custoUnit
+  });
+
+  if (movimentacao && movimentacao.lotes) {
+    await tx.itemVendaLote.createMany({
+      data: movimentacao.lotes.map(lote => ({
+        itemVendaId: item.id,
+        loteId: lote.loteId,
+        quantidade: -lote.quantidade
+      }))
+    });
+  }
+}
+
+/**
+ * Baixa o estoque dos itens de uma venda concluída, guardando em cada item os lotes consumidos.
+ * Kit não tem estoque: baixa cada componente e guarda no item (ItemVendaComponente) o que saiu,
+ * a parte do valor do item rateada para cada componente e o custo dele; o custo do item
+ * passa a ser a soma dos custos dos componentes.
+ */
+async function baixarEstoqueVenda(tx, venda, usuarioId) {
+  const kits = await componentesPorKit(tx, [...new Set(venda.itens.map(item => item.produtoId))]);
+
+  for (const item of venda.itens) {
+    const componentes = kits.get(item.produtoId);
+    if (componentes.length === 0) {
+      await baixarProdutoItem(tx, venda, item, item, usuarioId);
+      continue;
+    }
+
+    const valores = ratearValorKit(arredondarQuantidade(item.quantidade) * item.precoUnit, componentes);
+    for (const [index, componente] of componentes.entries()) {
+      const baixa = {
+        produtoId: componente.produtoId,
+        quantidade: multiplicarQuantidade(item.quantidade, componente.quantidade),
+        custoUnit: custoAtual(componente.produto)
+      };
+      await baixarProdutoItem(tx, venda, item, baixa, usuarioId);
+      await tx.itemVendaComponente.create({
+        data: { itemVendaId: item.id, ...baixa, valor: valores[index] }
+      });
+    }
+
+    item.custoUnit = custoKit(componentes);
+    await tx.itemVenda.update({ where: { id: item.id }, data: { custoUnit: item.custoUnit } });
+  }
+}
+
+/**
+ * Devolve ao estoque os itens de uma venda que deixou de estar concluída,
+ * cada um aos lotes de onde saiu. Item de kit devolve os componentes que baixou.
+ */
+async function estornarEstoqueVenda(tx, venda, usuarioId, observacao) {
+  for (const item of venda.itens) {
+    const consumidos = await tx.itemVendaLote.findMany({
+      where: { itemVendaId: item.id },
+      include: { lote: { select: { numero: true, produtoId: true } } }
+    });
+    const componentes = await tx.itemVendaComponente.findMany({
+      where: { itemVendaId: item.id },
+      orderBy: { produtoId: 'asc' }
+    });
+    const devolucoes = componentes.length > 0 ? componentes : [item];
+
+    for (const devolucao of devolucoes) {
+      await movimentarEstoque(tx, {
+        produtoId: devolucao.produtoId,
+        depositoId: venda.depositoId,
+        quantidade: devolucao.quantidade,
+        tipo: 'Estorno',
+        documentoTipo: 'Venda',
+        documentoId: venda.id,
+        usuarioId,
+        observacao,
+        custoUnit: devolucao.custoUnit,
+        lotes: consumidos
+          .filter(consumo => consumo.lote.produtoId === devolucao.produtoId)
+          .map(consumo => ({ numero: consumo.lote.numero, quantidade: consumo.quantidade }))
+      });
+    }
+
+    if (consumidos.length > 0) {
+      await tx.itemVendaLote.deleteMany({ where: { itemVendaId: item.id } });
+    }
+    if (componentes.length > 0) {
+      await tx.itemVendaComponente.deleteMany({ where: { itemVendaId: item.id } });
+    }
+  }
+}
+
+/**
+ * Compara o estoque de cada produto, e o saldo de cada depósito, com a soma do livro de movimentações.
+ * Produtos sem nenhuma movimentação (cadastrados antes do livro) aparecem com semHistorico.
+ * Movimentações anteriores aos depósitos contam no depósito padrão.
+ * @param {{ produtoId?: number, apenasDivergentes?: boolean }} opcoes
+ * @param client prisma ou a transação (tx) que vai corrigir as divergências
+ */
+async function verificarDivergencias({ produtoId, apenasDivergentes = true } = {}, client = prisma) {
+  const filtro = produtoId ? { produtoId } : {};
+  const padrao = await depositoPadrao(client);
+
+  const [produtos, somas, saldos] = await Promise.all([
+    client.produto.findMany({
+      where: { tipo: 'Produto', ...(produtoId ? { id: produtoId } : {}) },
+      select: { id: true, nome: true, estoque: true },
+      orderBy: { id: 'asc' }
+    }),
+    client.movimentacaoEstoque.groupBy({
+      by: ['produtoId', 'depositoId'],
+      where: filtro,
+      _sum: { quantidade: true },
+      _count: { _all: true }
+    }),
+    client.saldoEstoque.findMany({
+      where: filtro,
+      select: { produtoId: true, depositoId: true, quantidade: true }
+    })
+  ]);
+
+  // produtoId -> depositoId -> { livro, saldo }
+  const porProduto = new Map();
+  const dadosDoProduto = (id) => {
+    if (!porProduto.has(id)) porProduto.set(id, { movimentacoes: 0, depositos: new Map() });
+    return porProduto.get(id);
+  };
+  const linhaDeposito = (dados, depositoId) => {
+    if (!dados.depositos.has(depositoId)) dados.depositos.set(depositoId, { livro: 0, saldo: 0 });
+    return dados.depositos.get(depositoId);
+  };
+
+  for (const soma of somas) {
+    const dados = dadosDoProduto(soma.produtoId);
+    dados.movimentacoes += soma._count._all;
+    const linha = linhaDeposito(dados, soma.depositoId || padrao.id);
+    linha.livro = somarQuantidades(linha.livro, soma._sum.quantidade);
+  }
+  for (const saldo of saldos) {
+    linhaDeposito(dadosDoProduto(saldo.produtoId), saldo.depositoId).saldo = arredondarQuantidade(saldo.quantidade);
+  }
+
+  const resultado = produtos.map(produto => {
+    const dados = porProduto.get(produto.id) || { movimentacoes: 0, depositos: new Map() };
+    const depositos = [...dados.depositos].map(([depositoId, linha]) => ({
+      depositoId,
+      saldo: linha.saldo,
+      livro: linha.livro,
+      diferenca: subtrairQuantidades(linha.saldo, linha.livro)
+    }));
+    const estoqueLivro = somarQuantidades(...depositos.map(linha => linha.livro));
+    const estoqueAtual = arredondarQuantidade(produto.estoque);
+
+    return {
+      produtoId: produto.id,
+      nome: produto.nome,
+      estoqueAtual,
+      estoqueLivro,
+      diferenca: subtrairQuantidades(estoqueAtual, estoqueLivro),
+      depositos,
+      movimentacoes: dados.movimentacoes,
+      semHistorico: dados.movimentacoes === 0
+    };
+  });
+
+  return apenasDivergentes
+    ? resultado.filter(item => item.diferenca !== 0 || item.depositos.some(linha => linha.diferenca !== 0))
+    : resultado;
+}
+
+/**
+ * Grava o saldo de cada depósito do produto conforme o livro (depósito fora do livro fica zerado)
+ */
+async function sincronizarSaldos(tx, produtoId, livroPorDeposito) {
+  const existentes = await tx.saldoEstoque.findMany({ where: { produtoId }, select: { depositoId: true } });
+  const depositos = new Set([...existentes.map(saldo => saldo.depositoId), ...livroPorDeposito.keys()]);
+
+  for (const depositoId of depositos) {
+    const quantidade = livroPorDeposito.get(depositoId) || 0;
+    await tx.saldoEstoque.upsert({
+      where: { depositoId_produtoId: { depositoId, produtoId } },
+      create: { depositoId, produtoId, quantidade },
+      update: { quantidade }
+    });
+  }
+}
+
+/**
+ * Corrige as divergências usando o livro como fonte da verdade.
+ * - Produto com histórico: estoque e saldos dos depósitos passam a ser a soma das movimentações.
+ * - Produto sem histórico: o estoque atual é mantido e vira o saldo inicial do livro, no depósito padrão.
+ */
+async function reconstruirEstoque({ produtoId, usuarioId } = {}) {
+  // Leitura e correção na mesma transação, com os produtos travados: uma movimentação
+  // lançada no meio não é sobrescrita pelo saldo calculado antes dela
+  return prisma.$transaction(async (tx) => {
+    const produtos = await tx.produto.findMany({
+      where: { tipo: 'Produto', ...(produtoId ? { id: produtoId } : {}) },
+      select: { id: true }
+    });
+    await travarProdutos(tx, produtos.map(produto => produto.id));
+
+    const divergencias = await verificarDivergencias({ produtoId }, tx);
+    const padrao = await depositoPadrao(tx);
+
+    for (const item of divergencias) {
+      if (item.semHistorico) {
+        await tx.movimentacaoEstoque.create({
+          data: {
+            produtoId: item.produtoId,
+            depositoId: padrao.id,
+            tipo: 'Ajuste',
+            quantidade: item.estoqueAtual,
+            saldoApos: item.estoqueAtual,
+            saldoDeposito: item.estoqueAtual,
+            documentoTipo: 'Produto',
+            documentoId: item.produtoId,
+            usuarioId: usuarioId || null,
+            observacao: 'Saldo inicial do livro de estoque'
+          }
+        });
+        await sincronizarSaldos(tx, item.produtoId, new Map([[padrao.id, item.estoqueAtual]]));
+      } else {
+        await tx.produto.update({
+          where: { id: item.produtoId },
+          data: { estoque: item.estoqueLivro }
+        });
+        await sincronizarSaldos(
+          tx,
+          item.produtoId,
+          new Map(item.depositos.map(linha => [linha.depositoId, linha.livro]))
+        );
+      }
+    }
+
+    return divergencias;
+  }, { timeout: 60000 }); // Com muitos produtos passa do limite padrão de 5 s
+}
+
+module.exports = {
+  TIPOS_MOVIMENTACAO,
+  movimentarEstoque,
+  registrarEntrada,
+  travarProdutos,
+  definirSaldo,
+  zerarEstoque,
+  baixarEstoqueVenda,
+  estornarEstoqueVenda,
+  verificarDivergencias,
+  reconstruirEstoque
+};
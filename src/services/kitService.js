@@ -0,0 +1,156 @@
+const { custoAtual, arredondar } = require('./custoService');
+const { lerQuantidade, descreverPrecisao, multiplicarQuantidade, arredondarQuantidade } = require('../utils/quantidades');
+
+// Dados do componente usados na venda do kit (estoque, rateio do preço e custo)
+const SELECT_COMPONENTE = {
+  id: true,
+  nome: true,
+  tipo: true,
+  preco: true,
+  custoMedio: true,
+  custoManual: true,
+  unidade: true,
+  casasDecimais: true
+};
+
+/**
+ * Componentes de cada kit, em ordem de produto
+ * @param client prisma ou a transação (tx)
+ * @returns {Promise<Map<number, Array<{ produtoId: number, quantidade: number, produto: object }>>>}
+ */
+async function componentesPorKit(client, kitIds) {
+  const porKit = new Map(kitIds.map(id => [id, []]));
+  if (kitIds.length === 0) return porKit;
+
+  const componentes = await client.componenteKit.findMany({
+    where: { kitId: { in: kitIds } },
+    include: { produto: { select: SELECT_COMPONENTE } },
+    orderBy: { produtoId: 'asc' }
+  });
+  for (const componente of componentes) {
+    porKit.get(componente.kitId).push({
+      produtoId: componente.produtoId,
+      quantidade: arredondarQuantidade(componente.quantidade),
+      produto: componente.produto
+    });
+  }
+  return porKit;
+}
+
+/**
+ * Valida a lista de componentes enviada para um kit: [{ produtoId, quantidade }].
+ * Componentes são produtos ou serviços da empresa (grades e outros kits não entram),
+ * sem repetição e com a quantidade na precisão da unidade de cada um.
+ * @param client prisma ou a transação (tx)
+ * @returns {Promise<{ componentes: Array<{ produtoId: number, quantidade: number }>, erros: string[] }>}
+ */
+async function lerComponentes(client, lista) {
+  if (!Array.isArray(lista) || lista.length === 0) {
+    return { componentes: [], erros: ['Kit precisa de ao menos um componente em componentes: [{ produtoId, quantidade }]'] };
+  }
+
+  const erros = [];
+  const ids = lista.map(componente => parseInt(componente && componente.produtoId));
+  const produtos = await client.produto.findMany({
+    where: { id: { in: ids.filter(id => !isNaN(id)) } },
+    select: SELECT_COMPONENTE
+  });
+  const porId = new Map(produtos.map(produto => [produto.id, produto]));
+
+  const componentes = [];
+  lista.forEach((componente, index) => {
+    const produto = porId.get(ids[index]);
+    if (!produto) {
+      erros.push(`Componente ${index + 1}: produto não encontrado`);
+    } else if (produto.tipo !== 'Produto' && produto.tipo !== 'Servico') {
+      erros.push(`Componente ${index + 1}: ${produto.nome} é ${produto.tipo === 'Grade' ? 'uma grade; informe a variante' : 'um kit'}`);
+    } else if (componentes.some(existente => existente.produtoId === produto.id)) {
+      erros.push(`Componente ${index + 1}: ${produto.nome} repetido; informe a quantidade total em um só componente`);
+    } else {
+      const quantidade = lerQuantidade(componente.quantidade, produto.casasDecimais);
+      if (quantidade === null || quantidade <= 0) {
+        erros.push(`Componente ${index + 1}: quantidade de ${produto.nome} deve ser um ${descreverPrecisao(produto.casasDecimais)} maior que zero (${produto.unidade})`);
+      } else {
+        componentes.push({ produtoId: produto.id, quantidade });
+      }
+    }
+  });
+
+  return { componentes, erros };
+}
+
+/**
+ * Substitui os componentes do kit pelos informados (já validados por lerComponentes)
+ */
+async function gravarComponentes(tx, kitId, componentes) {
+  await tx.componenteKit.deleteMany({ where: { kitId } });
+  await tx.componenteKit.createMany({
+    data: componentes.map(({ produtoId, quantidade }) => ({ kitId, produtoId, quantidade }))
+  });
+}
+
+/**
+ * Troca os itens de kit pelos seus componentes, na quantidade vendida de cada um;
+ * os demais itens passam como estão. Os itens precisam trazer produto.tipo.
+ * @param client prisma ou a transação (tx)
+ */
+async function expandirKits(client, itens) {
+  const kitIds = [...new Set(itens.filter(item => item.produto && item.produto.tipo === 'Kit').map(item => item.produtoId))];
+  if (kitIds.length === 0) return itens;
+
+  const porKit = await componentesPorKit(client, kitIds);
+  return itens.flatMap(item => {
+    if (!item.produto || item.produto.tipo !== 'Kit') return [item];
+    return porKit.get(item.produtoId).map(componente => ({
+      produtoId: componente.produtoId,
+      quantidade: multiplicarQuantidade(item.quantidade, componente.quantidade),
+      produto: componente.produto
+    }));
+  });
+}
+
+/**
+ * Divide o valor vendido do kit entre os componentes, na proporção do preço de cada um
+ * (preço x quantidade no kit; sem preço nenhum, na proporção das quantidades).
+ * Cada parte é arredondada em centavos e o último componente fica com a sobra.
+ * @returns {number[]} a parte de cada componente, na ordem recebida
+ */
+function ratearValorKit(valor, componentes) {
+  const pesos = componentes.map(componente => (componente.produto.preco || 0) * componente.quantidade);
+  const usarQuantidades = pesos.every(peso => peso === 0);
+  const base = usarQuantidades ? componentes.map(componente => componente.quantidade) : pesos;
+  const total = base.reduce((soma, peso) => soma + peso, 0);
+
+  let restante = valor;
+  return base.map((peso, index) => {
+    if (index === base.length - 1) return arredondar(restante);
+    const parte = total > 0 ? arredondar(valor * peso / total) : 0;
+    restante -= parte;
+    return parte;
+  });
+}
+
+/**
+ * Custo de uma unidade do kit: soma do custo atual dos componentes.
+ * Sem o custo de algum componente, o do kit fica desconhecido (null).
+ */
+function custoKit(componentes) {
+  if (componentes.length === 0) return null;
+
+  let custo = 0;
+  for (const componente of componentes) {
+    const custoComponente = custoAtual(componente.produto);
+    if (custoComponente === null) return null;
+    custo += custoComponente * componente.quantidade;
+  }
+  return custo;
+}
+
+module.exports = {
+  componentesPorKit,
+  lerComponentes,
+  gravarComponentes,
+  expandirKits,
+  ratearValorKit,
+  custoKit
+};
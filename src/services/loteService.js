@@ -0,0 +1,172 @@
+const { ErroHttp } = require('../utils/erros');
+const { paraDecimal, arredondarQuantidade, somarQuantidades, subtrairQuantidades } = require('../utils/quantidades');
+
+// FEFO: sai primeiro o lote que vence primeiro; no empate, o mais antigo
+const ORDEM_FEFO = [{ validade: 'asc' }, { criadoEm: 'asc' }, { id: 'asc' }];
+
+/**
+ * Aceita datas em dd/mm/aaaa ou ISO (aaaa-mm-dd)
+ */
+function converterData(valor) {
+  if (!valor) return null;
+
+  const brasileira = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(valor);
+  const data = brasileira
+    ? new Date(brasileira[3], brasileira[2] - 1, brasileira[1])
+    : new Date(valor);
+
+  return isNaN(data.getTime()) ? null : data;
+}
+
+/**
+ * Valida o lote informado na requisição: { numero, validade }.
+ * A validade só pode faltar se o lote já existir no depósito.
+ * @returns {{ numero: string, validade: Date|null } | null} null se nenhum lote foi informado
+ */
+function lerLote(lote) {
+  if (lote === undefined || lote === null) return null;
+
+  const numero = lote.numero !== undefined && lote.numero !== null ? String(lote.numero).trim() : '';
+  if (!numero) {
+    throw new ErroHttp('Informe o número do lote');
+  }
+  if (numero.length > 50) {
+    throw new ErroHttp('Número do lote não pode exceder 50 caracteres');
+  }
+
+  const validade = converterData(lote.validade);
+  if (lote.validade && !validade) {
+    throw new ErroHttp('Validade do lote deve estar no formato dd/mm/aaaa ou aaaa-mm-dd');
+  }
+
+  return { numero, validade };
+}
+
+function registroLote(lote, quantidade) {
+  return { loteId: lote.id, numero: lote.numero, validade: lote.validade, quantidade };
+}
+
+/**
+ * Soma a quantidade aos lotes informados, criando os que ainda não existem no depósito
+ */
+async function creditarLotes(tx, { produtoId, depositoId, lotes }) {
+  const registros = [];
+
+  for (const { numero, validade, quantidade } of lotes) {
+    const existente = await tx.lote.findUnique({
+      where: { produtoId_depositoId_numero: { produtoId, depositoId, numero } }
+    });
+
+    if (!existente && !validade) {
+      throw new ErroHttp(`Informe a validade do lote ${numero}`);
+    }
+
+    const lote = existente
+      ? await tx.lote.update({ where: { id: existente.id }, data: { quantidade: somarQuantidades(existente.quantidade, quantidade) } })
+      : await tx.lote.create({ data: { produtoId, depositoId, numero, validade: new Date(validade), quantidade } });
+
+    registros.push(registroLote(lote, quantidade));
+  }
+
+  return registros;
+}
+
+/**
+ * Retira a quantidade dos lotes do depósito: dos lotes informados ou, sem eles, em ordem FEFO.
+ * Em FEFO, o que passar do total em lotes sai do saldo sem lote.
+ */
+async function debitarLotes(tx, { produtoId, depositoId, quantidade, lotes }) {
+  const registros = [];
+
+  if (lotes) {
+    for (const { numero, quantidade: retirar } of lotes) {
+      const lote = await tx.lote.findUnique({
+        where: { produtoId_depositoId_numero: { produtoId, depositoId, numero } }
+      });
+      if (!lote) {
+        throw new ErroHttp(`Lote ${numero} não encontrado neste depósito`, 404);
+      }
+      if (paraDecimal(lote.quantidade).lt(retirar)) {
+        throw new ErroHttp(`Lote ${numero} tem apenas ${lote.quantidade} unidade(s)`, 409);
+      }
+      await tx.lote.update({ where: { id: lote.id }, data: { quantidade: subtrairQuantidades(lote.quantidade, retirar) } });
+      registros.push(registroLote(lote, -retirar));
+    }
+    return registros;
+  }
+
+  const disponiveis = await tx.lote.findMany({
+    where: { produtoId, depositoId, quantidade: { gt: 0 } },
+    orderBy: ORDEM_FEFO
+  });
+
+  let restante = quantidade;
+  for (const lote of disponiveis) {
+    if (restante === 0) break;
+    const retirar = Math.min(arredondarQuantidade(lote.quantidade), restante);
+    await tx.lote.update({ where: { id: lote.id }, data: { quantidade: subtrairQuantidades(lote.quantidade, retirar) } });
+    registros.push(registroLote(lote, -retirar));
+    restante = subtrairQuantidades(restante, retirar);
+  }
+
+  return registros;
+}
+
+/**
+ * Aplica a movimentação nos lotes de um produto com controle de lote.
+ * Quantidade positiva credita os lotes informados (o que sobrar fica sem lote);
+ * negativa debita os informados ou consome FEFO.
+ * Deve rodar com a linha do produto já travada (movimentarEstoque faz isso).
+ * @param {Array<{ numero: string, validade?: Date|string, quantidade: number }>} [lotes] quantidades positivas
+ * @returns lotes movimentados, com quantidade com sinal, para o livro de estoque
+ */
+async function movimentarLotes(tx, { produtoId, depositoId, quantidade, lotes }) {
+  // As quantidades vão para o JSON do livro: números, mesmo quando vêm do banco (Decimal)
+  const informados = lotes && lotes.length > 0
+    ? lotes.map(lote => ({ ...lote, quantidade: arredondarQuantidade(lote.quantidade) }))
+    : null;
+
+  if (informados) {
+    const total = somarQuantidades(...informados.map(lote => lote.quantidade));
+    if (total > Math.abs(quantidade)) {
+      throw new ErroHttp('A soma dos lotes passa da quantidade movimentada');
+    }
+  }
+
+  if (quantidade > 0) {
+    return informados ? creditarLotes(tx, { produtoId, depositoId, lotes: informados }) : [];
+  }
+  return debitarLotes(tx, { produtoId, depositoId, quantidade: subtrairQuantidades(0, quantidade), lotes: informados });
+}
+
+/**
+ * Lotes com saldo que vencem até a data limite (os já vencidos entram também)
+ */
+async function lotesAVencer(client, { ate, depositoId, produtoId, skip, take }) {
+  const where = { quantidade: { gt: 0 }, validade: { lte: ate } };
+  if (depositoId) where.depositoId = depositoId;
+  if (produtoId) where.produtoId = produtoId;
+
+  const [lotes, total] = await Promise.all([
+    client.lote.findMany({
+      where,
+      skip,
+      take,
+      include: {
+        produto: { select: { id: true, nome: true } },
+        deposito: { select: { id: true, nome: true } }
+      },
+      orderBy: ORDEM_FEFO
+    }),
+    client.lote.count({ where })
+  ]);
+
+  return { lotes, total };
+}
+
+module.exports = {
+  ORDEM_FEFO,
+  lerLote,
+  movimentarLotes,
+  lotesAVencer
+};
@@ -0,0 +1,62 @@
+const fs = require('fs/promises');
+const path = require('path');
+const config = require('../config');
+
+/**
+ * Envio de e-mails com transportes plugáveis.
+ * Cada transporte é uma função async (mensagem) => void.
+ * Os transportes locais permitem testar os fluxos sem servidor SMTP.
+ */
+const transportes = {
+  // Apenas exibe a mensagem no log do servidor
+  console: async (mensagem) => {
+    console.log('=== E-MAIL ===');
+    console.log(`De: ${mensagem.de}`);
+    console.log(`Para: ${mensagem.para}`);
+    console.log(`Assunto: ${mensagem.assunto}`);
+    console.log(mensagem.texto);
+    console.log('==============');
+  },
+
+  // Grava cada mensagem como um arquivo JSON em config.email.diretorio
+  arquivo: async (mensagem) => {
+    const diretorio = path.resolve(config.email.diretorio);
+    await fs.mkdir(diretorio, { recursive: true });
+
+    const nomeArquivo = `${Date.now()}-${mensagem.para.replace(/[^\w.@-]/g, '_')}.json`;
+    await fs.writeFile(
+      path.join(diretorio, nomeArquivo),
+      JSON.stringify({ ...mensagem, enviadoEm: new Date().toISOString() }, null, 2)
+    );
+  }
+};
+
+/**
+ * Registra um novo transporte (ex.: SMTP ou serviço externo)
+ */
+function registrarTransporte(nome, enviar) {
+  if (typeof enviar !== 'function') {
+    throw new Error('O transporte deve ser uma função');
+  }
+  transportes[nome] = enviar;
+}
+
+async function enviarEmail({ para, assunto, texto }) {
+  const enviar = transportes[config.email.transporte];
+
+  if (!enviar) {
+    throw new Error(`Transporte de e-mail "${config.email.transporte}" não registrado`);
+  }
+
+  await enviar({
+    de: config.email.remetente,
+    para,
+    assunto,
+    texto
+  });
+}
+
+module.exports = {
+  enviarEmail,
+  registrarTransporte
+};
@@ -0,0 +1,117 @@
+/**
+ * Catálogo de permissões no formato recurso:acao.
+ * Perfis personalizados só podem usar permissões desta lista.
+ */
+const PERMISSOES = {
+  'usuario:ler': 'Listar e consultar usuários',
+  'usuario:criar': 'Cadastrar usuários',
+  'usuario:editar': 'Alterar dados de outros usuários',
+  'usuario:excluir': 'Excluir usuários',
+  'usuario:desbloquear': 'Desbloquear contas e ver tentativas de login de outros usuários',
+  'perfil:gerenciar': 'Criar perfis e atribuí-los aos usuários',
+  'empresa:gerenciar': 'Criar e editar empresas e seus usuários',
+  'chave_api:gerenciar': 'Criar e revogar chaves de API para integrações',
+  'cliente:ler': 'Listar e consultar clientes',
+  'cliente:criar': 'Cadastrar clientes',
+  'cliente:editar': 'Alterar clientes',
+  'cliente:excluir': 'Excluir clientes',
+  'produto:ler': 'Listar e consultar produtos e serviços',
+  'produto:criar': 'Cadastrar produtos e serviços',
+  'produto:editar': 'Alterar produtos e serviços',
+  'produto:alterar_preco': 'Alterar o preço de venda',
+  'produto:excluir': 'Excluir produtos e serviços',
+  'categoria:ler': 'Listar e consultar categorias de produtos',
+  'categoria:gerenciar': 'Criar, alterar, mover e excluir categorias de produtos',
+  'tabela_preco:ler': 'Listar e consultar tabelas de preços de clientes',
+  'tabela_preco:gerenciar': 'Criar, alterar e excluir tabelas de preços de clientes',
+  'estoque:ajustar': 'Lançar entradas e ajustes de estoque e reconstruir o saldo a partir do livro',
+  'estoque:transferir': 'Transferir mercadoria entre depósitos',
+  'deposito:ler': 'Listar depósitos e consultar seus saldos',
+  'deposito:gerenciar': 'Criar, alterar e excluir depósitos e definir o depósito padrão dos usuários',
+  'inventario:ler': 'Consultar inventários e suas divergências',
+  'inventario:abrir': 'Abrir e cancelar inventários',
+  'inventario:contar': 'Registrar contagens em inventários abertos',
+  'inventario:fechar': 'Fechar inventários, ajustando o estoque pelas contagens',
+  'fornecedor:ler': 'Listar e consultar fornecedores',
+  'fornecedor:criar': 'Cadastrar fornecedores',
+  'fornecedor:editar': 'Alterar fornecedores',
+  'fornecedor:excluir': 'Excluir fornecedores',
+  'compra:ler': 'Listar e consultar pedidos de compra',
+  'compra:criar': 'Criar, alterar, enviar e excluir pedidos de compra em rascunho',
+  'compra:receber': 'Registrar o recebimento de pedidos de compra',
+  'compra:cancelar': 'Cancelar pedidos de compra',
+  'venda:ler': 'Listar e consultar vendas',
+  'venda:criar': 'Registrar vendas',
+  'venda:editar': 'Alterar vendas e seus itens',
+  'venda:cancelar': 'Cancelar vendas',
+  'venda:excluir': 'Excluir vendas',
+  'venda:liberar_preco': 'Vender abaixo do preço mínimo (da tabela de preços do cliente ou do produto)',
+  'relatorio:ler': 'Consultar relatórios salvos',
+  'relatorio:criar': 'Gerar relatórios e editar suas observações',
+  'relatorio:excluir': 'Excluir relatórios',
+  'auditoria:ler': 'Consultar o log de auditoria'
+};
+
+// Curinga que concede todas as permissões
+const TODAS = '*';
+
+/**
+ * Permissões dos perfis base, usadas quando o usuário não tem perfil personalizado
+ * na empresa. Admin sempre tem todas.
+ */
+const PERMISSOES_PERFIL_BASE = {
+  Admin: [TODAS],
+  Operador: [
+    'usuario:ler',
+    'cliente:ler', 'cliente:criar', 'cliente:editar',
+    'produto:ler', 'produto:criar', 'produto:editar', 'produto:alterar_preco',
+    'categoria:ler',
+    'tabela_preco:ler',
+    'deposito:ler',
+    'venda:ler', 'venda:criar', 'venda:editar', 'venda:cancelar',
+    'relatorio:ler', 'relatorio:criar'
+  ]
+};
+
+/**
+ * Permissões efetivas do usuário na empresa
+ * @param {string} perfilBase perfil do usuário (Admin ou Operador)
+ * @param {{ permissoes: string[] } | null} perfilPersonalizado perfil atribuído na empresa
+ */
+function resolverPermissoes(perfilBase, perfilPersonalizado) {
+  if (perfilBase === 'Admin') return [TODAS];
+  if (perfilPersonalizado) return perfilPersonalizado.permissoes;
+  return PERMISSOES_PERFIL_BASE[perfilBase] || [];
+}
+
+/**
+ * Verifica se o usuário autenticado (req.usuario) tem a permissão
+ */
+function possuiPermissao(usuario, permissao) {
+  if (!usuario || !Array.isArray(usuario.permissoes)) return false;
+  return usuario.permissoes.includes(TODAS) || usuario.permissoes.includes(permissao);
+}
+
+/**
+ * Retorna as permissões da lista que o usuário não tem. Ninguém concede, por perfil,
+ * mais do que possui (só quem tem "*" concede qualquer uma).
+ */
+function permissoesNaoConcedidas(usuario, permissoes) {
+  return permissoes.filter(permissao => !possuiPermissao(usuario, permissao));
+}
+
+/**
+ * Retorna as permissões que não existem no catálogo
+ */
+function permissoesInvalidas(permissoes) {
+  return permissoes.filter(permissao => !Object.prototype.hasOwnProperty.call(PERMISSOES, permissao));
+}
+
+module.exports = {
+  PERMISSOES,
+  PERMISSOES_PERFIL_BASE,
+  resolverPermissoes,
+  possuiPermissao,
+  permissoesNaoConcedidas,
+  permissoesInvalidas
+};
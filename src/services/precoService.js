@@ -0,0 +1,159 @@
+const { propagarGrade } = require('./varianteService');
+
+const TIPOS_PROGRAMACAO = ['Alteracao', 'Promocao'];
+
+/**
+ * Grava uma linha no histórico de preços (nada, se o preço não mudou)
+ * @param client prisma ou a transação (tx)
+ * @param {string} [origem] Manual, Agendamento ou Grade
+ */
+async function registrarHistoricoPreco(client, { produtoId, precoAnterior, precoNovo, usuarioId, motivo, origem = 'Manual' }) {
+  if (precoAnterior === precoNovo) return null;
+
+  return client.historicoPreco.create({
+    data: {
+      produtoId,
+      precoAnterior,
+      precoNovo,
+      usuarioId: usuarioId || null,
+      motivo: motivo || null,
+      origem
+    }
+  });
+}
+
+/**
+ * Histórico das variantes que acompanham o preço da grade (as sem preço próprio).
+ * Deve rodar antes de propagarGrade, enquanto elas ainda têm o preço antigo.
+ */
+async function registrarHistoricoVariantes(client, grade, { precoNovo, usuarioId, motivo }) {
+  const variantes = await client.produto.findMany({
+    where: { produtoPaiId: grade.id, precoProprio: false, preco: { not: precoNovo } },
+    select: { id: true, preco: true }
+  });
+  if (variantes.length === 0) return;
+
+  await client.historicoPreco.createMany({
+    data: variantes.map(variante => ({
+      produtoId: variante.id,
+      precoAnterior: variante.preco,
+      precoNovo,
+      usuarioId: usuarioId || null,
+      motivo: motivo || `Preço da grade ${grade.nome}`,
+      origem: 'Grade'
+    }))
+  });
+}
+
+/**
+ * Aplica um agendamento: grava o preço no produto e no histórico (e nas variantes, se for grade).
+ * É reivindicado com um update condicional, então duas requisições simultâneas não aplicam o mesmo duas vezes.
+ */
+async function aplicarAgendamento(tx, agendamento, agora) {
+  const { count } = await tx.precoProgramado.updateMany({
+    where: { id: agendamento.id, status: 'Agendado' },
+    data: { status: 'Aplicado', aplicadoEm: agora }
+  });
+  if (count === 0) return;
+
+  const produto = await tx.produto.findUnique({ where: { id: agendamento.produtoId } });
+  const origem = {
+    usuarioId: agendamento.usuarioId,
+    motivo: agendamento.motivo || `Alteração agendada para ${agendamento.inicio.toISOString().slice(0, 10)}`
+  };
+
+  if (produto.tipo === 'Grade') {
+    await registrarHistoricoVariantes(tx, produto, { precoNovo: agendamento.preco, ...origem });
+  }
+
+  // Variante com preço agendado passa a ter preço próprio
+  const atualizado = await tx.produto.update({
+    where: { id: produto.id },
+    data: { preco: agendamento.preco, ...(produto.produtoPaiId ? { precoProprio: true } : {}) }
+  });
+
+  await registrarHistoricoPreco(tx, {
+    produtoId: produto.id,
+    precoAnterior: produto.preco,
+    precoNovo: agendamento.preco,
+    origem: 'Agendamento',
+    ...origem
+  });
+
+  if (atualizado.tipo === 'Grade') {
+    await propagarGrade(tx, atualizado, { preco: true });
+  }
+}
+
+/**
+ * Grava no cadastro as alterações agendadas cujo início já passou, na ordem do início,
+ * cada uma na sua transação
+ * @param prisma o cliente (não uma transação)
+ * @param {number[]} [produtoIds] limita aos produtos informados (e às grades deles)
+ */
+async function aplicarAlteracoesAgendadas(prisma, produtoIds, agora = new Date()) {
+  const where = { tipo: 'Alteracao', status: 'Agendado', inicio: { lte: agora } };
+  if (produtoIds) {
+    // Alteração na grade muda o preço das variantes que a acompanham
+    const variantes = await prisma.produto.findMany({
+      where: { id: { in: produtoIds }, produtoPaiId: { not: null } },
+      select: { produtoPaiId: true }
+    });
+    where.produtoId = { in: [...produtoIds, ...variantes.map(variante => variante.produtoPaiId)] };
+  }
+
+  const vencidas = await prisma.precoProgramado.findMany({
+    where,
+    orderBy: [{ inicio: 'asc' }, { id: 'asc' }]
+  });
+
+  for (const agendamento of vencidas) {
+    await prisma.$transaction(tx => aplicarAgendamento(tx, agendamento, agora));
+  }
+
+  return vencidas.length;
+}
+
+/**
+ * Promoção em vigor agora (início já passou e o fim não chegou)
+ */
+function promocaoVigente(agora) {
+  return { tipo: 'Promocao', status: 'Agendado', inicio: { lte: agora }, fim: { gt: agora } };
+}
+
+/**
+ * Preço vigente de cada produto: a promoção em vigor de menor preço ou, sem promoção, o do cadastro.
+ * Promoção da grade vale para todas as variantes dela.
+ * Aplique antes as alterações agendadas (aplicarAlteracoesAgendadas) para o cadastro estar em dia.
+ * @param {Array<{ id: number, preco: number, produtoPaiId?: number|null }>} produtos
+ * @returns {Promise<Map<number, { preco: number, precoCadastro: number, promocao: object|null }>>}
+ */
+async function precosVigentes(client, produtos, agora = new Date()) {
+  const ids = produtos.flatMap(produto => [produto.id, produto.produtoPaiId].filter(Boolean));
+  const promocoes = ids.length > 0
+    ? await client.precoProgramado.findMany({
+      where: { ...promocaoVigente(agora), produtoId: { in: ids } },
+      orderBy: [{ preco: 'asc' }, { id: 'asc' }]
+    })
+    : [];
+
+  return new Map(produtos.map(produto => {
+    const promocao = promocoes.find(p => p.produtoId === produto.id || p.produtoId === produto.produtoPaiId);
+    // Promoção só vale se baixar o preço
+    const aplicada = promocao && promocao.preco < produto.preco ? promocao : null;
+    return [produto.id, {
+      preco: aplicada ? aplicada.preco : produto.preco,
+      precoCadastro: produto.preco,
+      promocao: aplicada ? { id: aplicada.id, preco: aplicada.preco, inicio: aplicada.inicio, fim: aplicada.fim } : null
+    }];
+  }));
+}
+
+module.exports = {
+  TIPOS_PROGRAMACAO,
+  registrarHistoricoPreco,
+  registrarHistoricoVariantes,
+  aplicarAlteracoesAgendadas,
+  promocaoVigente,
+  precosVigentes
+};
@@ -0,0 +1,261 @@
+const { Prisma } = require('@prisma/client');
+const prisma = require('../prisma');
+const config = require('../config');
+const { ErroHttp } = require('../utils/erros');
+const { baixarEstoqueVenda, estornarEstoqueVenda, travarProdutos } = require('./estoqueService');
+const { fixarCustoItensVenda } = require('./custoService');
+const { depositoPadrao, saldosNoDeposito } = require('./depositoService');
+const { componentesPorKit, expandirKits } = require('./kitService');
+const { paraDecimal, arredondarQuantidade, somarQuantidades, subtrairQuantidades } = require('../utils/quantidades');
+
+/**
+ * Quantidade reservada por produto, considerando só reservas ativas e dentro do prazo.
+ * Reservas vencidas deixam de contar sozinhas, sem precisar de rotina de limpeza.
+ * Com depositoId, só as reservas daquele depósito.
+ * @param client prisma ou a transação (tx)
+ * @returns {Promise<Map<number, number>>}
+ */
+async function calcularReservado(client, produtoIds, { excetoVendaId, depositoId } = {}) {
+  if (produtoIds.length === 0) return new Map();
+
+  const where = {
+    produtoId: { in: produtoIds },
+    status: 'Ativa',
+    expiraEm: { gt: new Date() }
+  };
+  if (excetoVendaId) where.vendaId = { not: excetoVendaId };
+  if (depositoId) where.depositoId = depositoId;
+
+  const somas = await client.reservaEstoque.groupBy({
+    by: ['produtoId'],
+    where,
+    _sum: { quantidade: true }
+  });
+
+  return new Map(somas.map(soma => [soma.produtoId, arredondarQuantidade(soma._sum.quantidade)]));
+}
+
+/**
+ * Disponível de cada produto no depósito: saldo do depósito menos o reservado nele
+ * @returns {Promise<Map<number, number>>}
+ */
+async function calcularDisponivel(client, produtoIds, depositoId, { excetoVendaId } = {}) {
+  const [saldos, reservado] = await Promise.all([
+    saldosNoDeposito(client, produtoIds, depositoId),
+    calcularReservado(client, produtoIds, { excetoVendaId, depositoId })
+  ]);
+  return new Map(produtoIds.map(id => [id, subtrairQuantidades(saldos.get(id), reservado.get(id))]));
+}
+
+/**
+ * Reservas em aberto dos produtos informados (para montar as respostas de produto)
+ */
+async function reservadoPorProduto(produtos) {
+  const ids = produtos.filter(produto => produto.tipo === 'Produto').map(produto => produto.id);
+  return calcularReservado(prisma, ids);
+}
+
+/**
+ * Quantos kits completos o disponível dos componentes permite montar, na precisão de cada kit.
+ * Com depositoId, conta o disponível naquele depósito; sem ele, o estoque total menos o reservado.
+ * Serviços não limitam o kit. excetoVendaId desconta as reservas da própria venda, como em calcularDisponivel.
+ * @returns {Promise<Map<number, number|null>>} null para kit só de serviços
+ */
+async function disponivelKits(client, produtos, depositoId, { excetoVendaId } = {}) {
+  const kits = produtos.filter(produto => produto.tipo === 'Kit');
+  const porKit = await componentesPorKit(client, kits.map(kit => kit.id));
+  const ids = [...new Set([...porKit.values()].flat()
+    .filter(componente => componente.produto.tipo === 'Produto')
+    .map(componente => componente.produtoId))];
+
+  let disponiveis;
+  if (depositoId) {
+    disponiveis = await calcularDisponivel(client, ids, depositoId, { excetoVendaId });
+  } else {
+    const [estoques, reservado] = await Promise.all([
+      client.produto.findMany({ where: { id: { in: ids } }, select: { id: true, estoque: true } }),
+      calcularReservado(client, ids)
+    ]);
+    disponiveis = new Map(estoques.map(produto => [produto.id, subtrairQuantidades(produto.estoque, reservado.get(produto.id))]));
+  }
+
+  return new Map(kits.map(kit => {
+    const limites = porKit.get(kit.id)
+      .filter(componente => componente.produto.tipo === 'Produto')
+      .map(componente => paraDecimal(disponiveis.get(componente.produtoId))
+        .div(componente.quantidade)
+        .toDecimalPlaces(kit.casasDecimais || 0, Prisma.Decimal.ROUND_DOWN)
+        .toNumber());
+    return [kit.id, limites.length > 0 ? Math.max(0, Math.min(...limites)) : null];
+  }));
+}
+
+/**
+ * Estoque físico, reservado e disponível do produto. Serviços não têm estoque;
+ * kits também não, e o disponível deles vem dos componentes (disponivelKits).
+ */
+function saldosEstoque(produto, reservado = 0, disponivelKit = null) {
+  if (produto.tipo === 'Kit') {
+    return { estoqueFisico: null, estoqueReservado: null, estoqueDisponivel: disponivelKit };
+  }
+  if (produto.tipo !== 'Produto') {
+    return { estoqueFisico: null, estoqueReservado: null, estoqueDisponivel: null };
+  }
+
+  const fisico = arredondarQuantidade(produto.estoque);
+  return {
+    estoqueFisico: fisico,
+    estoqueReservado: reservado,
+    estoqueDisponivel: subtrairQuantidades(fisico, reservado)
+  };
+}
+
+/**
+ * Soma as quantidades dos itens por produto, ignorando serviços.
+ * Os itens precisam trazer produto.tipo.
+ */
+function quantidadesPorProduto(itens) {
+  const quantidades = new Map();
+  for (const item of itens) {
+    if (!item.produto || item.produto.tipo !== 'Produto') continue;
+    quantidades.set(item.produtoId, somarQuantidades(quantidades.get(item.produtoId), item.quantidade));
+  }
+  return quantidades;
+}
+
+/**
+ * Trava os produtos da venda até o fim da transação e confere se o disponível no depósito
+ * da venda (saldo menos o reservado por outras vendas) cobre os itens. Lança 409 se faltar.
+ * Kits entram pelos componentes, somados aos mesmos produtos vendidos avulsos.
+ */
+async function garantirDisponibilidade(tx, venda) {
+  const quantidades = quantidadesPorProduto(await expandirKits(tx, venda.itens));
+  const depositoId = venda.depositoId || (await depositoPadrao(tx)).id;
+  const ids = [...quantidades.keys()];
+  if (ids.length === 0) return { quantidades, depositoId };
+
+  // Duas vendas simultâneas esperam uma pela outra em vez de vender a mesma unidade
+  await travarProdutos(tx, ids);
+
+  const produtos = await tx.produto.findMany({
+    where: { id: { in: ids } },
+    select: { id: true, nome: true }
+  });
+  const disponiveis = await calcularDisponivel(tx, ids, depositoId, { excetoVendaId: venda.id });
+
+  const faltas = [];
+  for (const produto of produtos) {
+    const disponivel = disponiveis.get(produto.id);
+    const solicitado = quantidades.get(produto.id);
+    if (solicitado > disponivel) {
+      faltas.push(`${produto.nome} (disponível: ${disponivel}, solicitado: ${solicitado})`);
+    }
+  }
+
+  if (faltas.length > 0) {
+    throw new ErroHttp(`Estoque insuficiente para: ${faltas.join('; ')}`, 409, 'Estoque insuficiente');
+  }
+
+  return { quantidades, depositoId };
+}
+
+/**
+ * Encerra as reservas em aberto da venda. As que já tinham vencido ficam como Expirada.
+ */
+async function liberarReservasVenda(tx, vendaId) {
+  await tx.reservaEstoque.updateMany({
+    where: { vendaId, status: 'Ativa', expiraEm: { lte: new Date() } },
+    data: { status: 'Expirada' }
+  });
+  await tx.reservaEstoque.updateMany({
+    where: { vendaId, status: 'Ativa' },
+    data: { status: 'Liberada' }
+  });
+}
+
+/**
+ * Reserva os itens de uma venda pendente, substituindo reservas anteriores dela
+ * (o prazo recomeça). Não faz nada com a reserva desativada na configuração.
+ */
+async function reservarEstoqueVenda(tx, venda) {
+  if (!config.estoque.reservaAtiva) return;
+
+  const { quantidades, depositoId } = await garantirDisponibilidade(tx, venda);
+  await liberarReservasVenda(tx, venda.id);
+  if (quantidades.size === 0) return;
+
+  const expiraEm = new Date(Date.now() + config.estoque.reservaMinutos * 60 * 1000);
+  await tx.reservaEstoque.createMany({
+    data: [...quantidades].map(([produtoId, quantidade]) => ({
+      vendaId: venda.id,
+      produtoId,
+      depositoId,
+      quantidade,
+      expiraEm
+    }))
+  });
+}
+
+/**
+ * Refaz a reserva depois de mudar os itens de uma venda pendente
+ */
+async function renovarReservaVenda(tx, vendaId) {
+  const venda = await tx.venda.findUnique({
+    where: { id: vendaId },
+    include: { itens: { include: { produto: { select: { tipo: true } } } } }
+  });
+
+  if (venda && venda.status === 'Pendente') {
+    await reservarEstoqueVenda(tx, venda);
+  }
+}
+
+/**
+ * Baixa o estoque da venda concluída, guarda o custo dos itens na data da venda
+ * e marca a reserva dela como convertida
+ */
+async function concluirVenda(tx, venda, usuarioId) {
+  await garantirDisponibilidade(tx, venda);
+  await fixarCustoItensVenda(tx, venda);
+  await baixarEstoqueVenda(tx, venda, usuarioId);
+  await tx.reservaEstoque.updateMany({
+    where: { vendaId: venda.id, status: 'Ativa' },
+    data: { status: 'Convertida' }
+  });
+}
+
+/**
+ * Ajusta estoque e reservas na troca de status da venda:
+ * - para Concluida: reserva vira baixa no estoque
+ * - saindo de Concluida: estorno no estoque
+ * - para Pendente: nova reserva; para Cancelada: reserva liberada
+ * A venda precisa trazer os itens com produto.tipo.
+ */
+async function aplicarStatusVenda(tx, venda, novoStatus, usuarioId) {
+  if (!novoStatus || venda.status === novoStatus) return;
+
+  if (venda.status === 'Concluida') {
+    await estornarEstoqueVenda(tx, venda, usuarioId, `Venda alterada para ${novoStatus}`);
+  }
+
+  if (novoStatus === 'Concluida') {
+    await concluirVenda(tx, venda, usuarioId);
+  } else if (novoStatus === 'Pendente') {
+    await reservarEstoqueVenda(tx, venda);
+  } else {
+    await liberarReservasVenda(tx, venda.id);
+  }
+}
+
+module.exports = {
+  calcularReservado,
+  calcularDisponivel,
+  reservadoPorProduto,
+  disponivelKits,
+  saldosEstoque,
+  reservarEstoqueVenda,
+  renovarReservaVenda,
+  liberarReservasVenda,
+  concluirVenda,
+  aplicarStatusVenda
+};
@@ -0,0 +1,140 @@
+const bcrypt = require('bcrypt');
+const prisma = require('../prisma');
+const config = require('../config');
+const { enviarEmail } = require('./mailer');
+const { revogarTodasSessoes } = require('./sessaoService');
+const { gerarToken, hashToken } = require('../utils/tokens');
+const { ErroHttp } = require('../utils/erros');
+
+const MINUTO_EM_MS = 60 * 1000;
+const TAMANHO_MINIMO_SENHA = 6;
+
+function validarNovaSenha(novaSenha) {
+  if (!novaSenha || typeof novaSenha !== 'string' || novaSenha.length < TAMANHO_MINIMO_SENHA) {
+    throw new ErroHttp(`A nova senha deve ter pelo menos ${TAMANHO_MINIMO_SENHA} caracteres`, 400);
+  }
+}
+
+/**
+ * Grava a nova senha e encerra todas as sessões do usuário
+ */
+async function gravarSenha(usuarioId, novaSenha) {
+  const hash = await bcrypt.hash(novaSenha, config.bcryptRounds);
+
+  await prisma.usuario.update({
+    where: { id: usuarioId },
+    data: { senha: hash }
+  });
+
+  await revogarTodasSessoes(usuarioId, 'SenhaAlterada');
+}
+
+/**
+ * Gera um token de redefinição de uso único e envia por e-mail.
+ * Não informa se o e-mail existe, para não permitir enumeração de usuários.
+ */
+async function solicitarRedefinicao(email, ip = null) {
+  const usuario = await prisma.usuario.findUnique({
+    where: { email },
+    select: { id: true, nome: true, email: true, status: true }
+  });
+
+  if (!usuario || usuario.status !== 'Ativo') return;
+
+  const token = gerarToken(32);
+  const expiraEm = new Date(Date.now() + config.resetSenhaMinutos * MINUTO_EM_MS);
+
+  // Apenas o token mais recente continua válido
+  await prisma.tokenRedefinicaoSenha.updateMany({
+    where: { usuarioId: usuario.id, usadoEm: null },
+    data: { usadoEm: new Date() }
+  });
+
+  await prisma.tokenRedefinicaoSenha.create({
+    data: {
+      usuarioId: usuario.id,
+      tokenHash: hashToken(token),
+      expiraEm,
+      ip
+    }
+  });
+
+  await enviarEmail({
+    para: usuario.email,
+    assunto: 'NexoERP - Redefinição de senha',
+    texto: [
+      `Olá, ${usuario.nome}.`,
+      '',
+      'Recebemos um pedido para redefinir a sua senha. Use o link abaixo:',
+      `${config.resetSenhaUrl}?token=${token}`,
+      '',
+      `O link expira em ${config.resetSenhaMinutos} minutos e só pode ser usado uma vez.`,
+      'Se você não fez esse pedido, ignore este e-mail.'
+    ].join('\n')
+  });
+}
+
+/**
+ * Troca a senha usando um token de redefinição válido
+ */
+async function redefinirSenha(token, novaSenha) {
+  if (!token || typeof token !== 'string') {
+    throw new ErroHttp('Token é obrigatório', 400);
+  }
+  validarNovaSenha(novaSenha);
+
+  const registro = await prisma.tokenRedefinicaoSenha.findUnique({
+    where: { tokenHash: hashToken(token) }
+  });
+
+  if (!registro || registro.usadoEm || registro.expiraEm < new Date()) {
+    throw new ErroHttp('Token de redefinição inválido ou expirado', 400);
+  }
+
+  // Marca como usado antes de trocar a senha; o filtro impede uso concorrente
+  const { count } = await prisma.tokenRedefinicaoSenha.updateMany({
+    where: { id: registro.id, usadoEm: null },
+    data: { usadoEm: new Date() }
+  });
+
+  if (count === 0) {
+    throw new ErroHttp('Token de redefinição inválido ou expirado', 400);
+  }
+
+  await gravarSenha(registro.usuarioId, novaSenha);
+}
+
+/**
+ * Troca a senha do usuário logado, exigindo a senha atual
+ */
+async function alterarSenha(usuarioId, senhaAtual, novaSenha) {
+  if (!senhaAtual) {
+    throw new ErroHttp('Senha atual é obrigatória', 400);
+  }
+  validarNovaSenha(novaSenha);
+
+  const usuario = await prisma.usuario.findUnique({
+    where: { id: usuarioId },
+    select: { id: true, senha: true }
+  });
+
+  if (!usuario) {
+    throw new ErroHttp('Usuário não encontrado', 404);
+  }
+
+  if (!(await bcrypt.compare(senhaAtual, usuario.senha))) {
+    throw new ErroHttp('Senha atual incorreta', 400);
+  }
+
+  if (await bcrypt.compare(novaSenha, usuario.senha)) {
+    throw new ErroHttp('A nova senha deve ser diferente da atual', 400);
+  }
+
+  await gravarSenha(usuario.id, novaSenha);
+}
+
+module.exports = {
+  solicitarRedefinicao,
+  redefinirSenha,
+  alterarSenha
+};
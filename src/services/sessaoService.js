@@ -0,0 +1,285 @@
+const jwt = require('jsonwebtoken');
+const prisma = require('../prisma');
+const config = require('../config');
+const { gerarToken, hashToken } = require('../utils/tokens');
+const { ErroHttp } = require('../utils/erros');
+const { resolverPermissoes } = require('./permissaoService');
+
+const DIA_EM_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Erro de sessão (401 por padrão)
+ */
+class SessaoError extends ErroHttp {
+  constructor(message, status = 401) {
+    super(message, status);
+    this.name = 'SessaoError';
+  }
+}
+
+/**
+ * Assina o access token (JWT) vinculado a uma sessão e à empresa ativa nela
+ */
+function gerarAccessToken(usuario, sessao) {
+  return jwt.sign(
+    {
+      id: usuario.id,
+      email: usuario.email,
+      perfil: usuario.perfil,
+      sid: sessao.id,
+      empresaId: sessao.empresaId
+    },
+    config.jwtSecret,
+    { expiresIn: config.jwtExpiresIn }
+  );
+}
+
+function montarTokens(usuario, sessao, refreshToken) {
+  return {
+    token: gerarAccessToken(usuario, sessao),
+    refreshToken,
+    expiresIn: config.jwtExpiresIn,
+    refreshExpiraEm: sessao.expiraEm
+  };
+}
+
+/**
+ * Empresas às quais o usuário tem acesso, da mais antiga para a mais recente
+ */
+async function listarEmpresasUsuario(usuarioId) {
+  const vinculos = await prisma.usuarioEmpresa.findMany({
+    where: { usuarioId, empresa: { status: 'Ativo' } },
+    include: { empresa: { select: { id: true, nome: true, cnpj: true } } },
+    orderBy: { criadoEm: 'asc' }
+  });
+
+  return vinculos.map(vinculo => vinculo.empresa);
+}
+
+/**
+ * Escolhe a empresa da sessão: a pedida pelo cliente (se o usuário tiver acesso)
+ * ou a primeira à qual ele foi vinculado
+ */
+async function resolverEmpresa(usuarioId, empresaIdDesejada) {
+  const empresas = await listarEmpresasUsuario(usuarioId);
+
+  if (empresas.length === 0) {
+    throw new SessaoError('Usuário não está vinculado a nenhuma empresa ativa', 403);
+  }
+
+  if (empresaIdDesejada === undefined || empresaIdDesejada === null || empresaIdDesejada === '') {
+    return { empresa: empresas[0], empresas };
+  }
+
+  const empresa = empresas.find(e => e.id === parseInt(empresaIdDesejada));
+  if (!empresa) {
+    throw new SessaoError('Você não tem acesso a esta empresa', 403);
+  }
+
+  return { empresa, empresas };
+}
+
+/**
+ * Abre uma nova sessão para o usuário e retorna access + refresh token
+ */
+async function criarSessao(usuario, req, empresaId) {
+  const refreshToken = gerarToken();
+
+  const sessao = await prisma.sessao.create({
+    data: {
+      usuarioId: usuario.id,
+      empresaId,
+      refreshTokenHash: hashToken(refreshToken),
+      expiraEm: new Date(Date.now() + config.refreshTokenDias * DIA_EM_MS),
+      ip: req ? req.ip : null,
+      userAgent: req ? req.headers['user-agent'] || null : null
+    }
+  });
+
+  return montarTokens(usuario, sessao, refreshToken);
+}
+
+/**
+ * Conclui um login bem-sucedido: abre a sessão na empresa escolhida,
+ * registra o acesso e monta os dados devolvidos ao cliente
+ */
+async function abrirSessaoLogin(usuario, req, empresaIdDesejada) {
+  const { empresa, empresas } = await resolverEmpresa(usuario.id, empresaIdDesejada);
+  const tokens = await criarSessao(usuario, req, empresa.id);
+
+  // Atualizar último acesso
+  await prisma.usuario.update({
+    where: { id: usuario.id },
+    data: { ultimoAcesso: new Date() }
+  });
+
+  return {
+    ...tokens,
+    usuario: {
+      id: usuario.id,
+      nome: usuario.nome,
+      email: usuario.email,
+      perfil: usuario.perfil,
+      status: usuario.status
+    },
+    empresa,
+    empresas
+  };
+}
+
+/**
+ * Muda a empresa ativa da sessão e emite um novo access token.
+ * O refresh token continua o mesmo; tokens antigos deixam de valer.
+ */
+async function trocarEmpresa(usuario, sessaoId, empresaIdDesejada) {
+  const { empresa } = await resolverEmpresa(usuario.id, empresaIdDesejada);
+
+  const sessao = await prisma.sessao.update({
+    where: { id: sessaoId },
+    data: { empresaId: empresa.id }
+  });
+
+  return {
+    token: gerarAccessToken(usuario, sessao),
+    expiresIn: config.jwtExpiresIn,
+    empresa
+  };
+}
+
+/**
+ * Troca um refresh token válido por um novo par de tokens.
+ * O token apresentado deixa de valer; se um token já rotacionado
+ * for reapresentado, a sessão inteira é revogada.
+ */
+async function rotacionarSessao(refreshToken) {
+  const hash = hashToken(refreshToken);
+
+  const reutilizada = await prisma.sessao.findUnique({
+    where: { refreshTokenAnteriorHash: hash }
+  });
+
+  if (reutilizada) {
+    await revogarSessao(reutilizada.id, 'ReusoDetectado');
+    throw new SessaoError('Refresh token já utilizado. Faça login novamente.');
+  }
+
+  const sessao = await prisma.sessao.findUnique({
+    where: { refreshTokenHash: hash },
+    include: {
+      usuario: {
+        select: { id: true, email: true, perfil: true, status: true }
+      }
+    }
+  });
+
+  if (!sessao || sessao.revogadaEm) {
+    throw new SessaoError('Sessão inválida ou encerrada');
+  }
+
+  if (sessao.expiraEm < new Date()) {
+    throw new SessaoError('Sessão expirada. Faça login novamente.');
+  }
+
+  if (sessao.usuario.status !== 'Ativo') {
+    await revogarSessao(sessao.id, 'UsuarioInativo');
+    throw new SessaoError('Usuário inativo', 403);
+  }
+
+  if (!sessao.empresaId) {
+    throw new SessaoError('Sessão sem empresa ativa. Faça login novamente.');
+  }
+
+  const novoRefreshToken = gerarToken();
+
+  // Só troca se o token apresentado ainda for o atual: se duas requisições usarem
+  // o mesmo refresh token ao mesmo tempo, a segunda não encontra mais o hash
+  const { count } = await prisma.sessao.updateMany({
+    where: { id: sessao.id, refreshTokenHash: hash, revogadaEm: null },
+    data: {
+      refreshTokenHash: hashToken(novoRefreshToken),
+      refreshTokenAnteriorHash: hash,
+      ultimoUsoEm: new Date()
+    }
+  });
+
+  if (count === 0) {
+    await revogarSessao(sessao.id, 'ReusoDetectado');
+    throw new SessaoError('Refresh token já utilizado. Faça login novamente.');
+  }
+
+  return montarTokens(sessao.usuario, sessao, novoRefreshToken);
+}
+
+/**
+ * Verifica se a sessão do access token continua ativa na empresa do token
+ * e se o usuário ainda pertence a essa empresa. Retorna o perfil e as
+ * permissões atuais do usuário na empresa, ou null se a sessão não vale mais.
+ */
+async function carregarSessaoAtiva(sessaoId, empresaId) {
+  if (!sessaoId || !empresaId) return null;
+
+  const sessao = await prisma.sessao.findUnique({
+    where: { id: sessaoId },
+    select: {
+      revogadaEm: true,
+      expiraEm: true,
+      empresaId: true,
+      usuario: {
+        select: {
+          status: true,
+          perfil: true,
+          empresas: {
+            where: { empresaId, empresa: { status: 'Ativo' } },
+            select: { perfil: { select: { nome: true, permissoes: true } } }
+          }
+        }
+      }
+    }
+  });
+
+  const ativa = Boolean(sessao)
+    && !sessao.revogadaEm
+    && sessao.expiraEm > new Date()
+    && sessao.empresaId === empresaId
+    && sessao.usuario.status === 'Ativo'
+    && sessao.usuario.empresas.length > 0;
+
+  if (!ativa) return null;
+
+  const perfilPersonalizado = sessao.usuario.empresas[0].perfil;
+
+  return {
+    perfil: sessao.usuario.perfil,
+    perfilPersonalizado: perfilPersonalizado ? perfilPersonalizado.nome : null,
+    permissoes: resolverPermissoes(sessao.usuario.perfil, perfilPersonalizado)
+  };
+}
+
+async function revogarSessao(sessaoId, motivo = 'Logout') {
+  return prisma.sessao.updateMany({
+    where: { id: sessaoId, revogadaEm: null },
+    data: { revogadaEm: new Date(), motivoRevogacao: motivo }
+  });
+}
+
+/**
+ * Encerra todas as sessões abertas do usuário (todos os dispositivos)
+ */
+async function revogarTodasSessoes(usuarioId, motivo = 'LogoutGeral') {
+  return prisma.sessao.updateMany({
+    where: { usuarioId, revogadaEm: null },
+    data: { revogadaEm: new Date(), motivoRevogacao: motivo }
+  });
+}
+
+module.exports = {
+  SessaoError,
+  criarSessao,
+  abrirSessaoLogin,
+  listarEmpresasUsuario,
+  trocarEmpresa,
+  rotacionarSessao,
+  carregarSessaoAtiva,
+  revogarSessao,
+  revogarTodasSessoes
+};
@@ -0,0 +1,69 @@
+const { arredondar } = require('./custoService');
+const { precosVigentes } = require('./precoService');
+
+/**
+ * Preço do produto na tabela: o fixo da linha ou o percentual (da linha ou, sem ela, o geral)
+ * sobre o preço de cadastro
+ * @param {{ percentual: number|null }} tabela
+ * @param {{ preco: number|null, percentual: number|null }|null} linha
+ */
+function precoNaTabela(tabela, linha, precoCadastro) {
+  if (linha && linha.preco !== null) return linha.preco;
+
+  const percentual = linha && linha.percentual !== null ? linha.percentual : tabela.percentual;
+  if (percentual === null || percentual === undefined) return precoCadastro;
+  return arredondar(precoCadastro * (1 + percentual / 100));
+}
+
+/**
+ * Linha da tabela que vale para o produto: a dele ou, na variante, a da grade
+ */
+function linhaDoProduto(tabela, produto) {
+  return tabela.itens.find(linha => linha.produtoId === produto.id)
+    || (produto.produtoPaiId && tabela.itens.find(linha => linha.produtoId === produto.produtoPaiId))
+    || null;
+}
+
+/**
+ * Preço de cada produto para o cliente e o mínimo aceito sem liberação.
+ * Com tabela ativa vale o preço da tabela (ou a promoção em vigor, se for menor) e o mínimo é o da linha
+ * ou, sem ele, o próprio preço. Sem tabela vale o preço vigente e o mínimo do cadastro do produto, se houver.
+ * Aplique antes as alterações agendadas (aplicarAlteracoesAgendadas) para o cadastro estar em dia.
+ * @param {Array<{ id: number, preco: number, precoMinimo?: number|null, produtoPaiId?: number|null }>} produtos
+ * @returns {Promise<Map<number, { preco: number, precoMinimo: number|null, tabela: { id: number, nome: string }|null }>>}
+ */
+async function precosParaCliente(client, clienteId, produtos, agora = new Date()) {
+  const vigentes = await precosVigentes(client, produtos, agora);
+  const ids = produtos.flatMap(produto => [produto.id, produto.produtoPaiId].filter(Boolean));
+
+  const cliente = await client.cliente.findUnique({
+    where: { id: clienteId },
+    select: {
+      tabelaPreco: { include: { itens: { where: { produtoId: { in: ids } } } } }
+    }
+  });
+  const tabela = cliente && cliente.tabelaPreco && cliente.tabelaPreco.ativa ? cliente.tabelaPreco : null;
+
+  return new Map(produtos.map(produto => {
+    const vigente = vigentes.get(produto.id);
+    if (!tabela) {
+      // Como na tabela, a promoção abaixo do mínimo do cadastro passa a ser o mínimo
+      const precoMinimo = produto.precoMinimo === null || produto.precoMinimo === undefined
+        ? null
+        : Math.min(produto.precoMinimo, vigente.preco);
+      return [produto.id, { preco: vigente.preco, precoMinimo, tabela: null }];
+    }
+
+    const linha = linhaDoProduto(tabela, produto);
+    const preco = Math.min(precoNaTabela(tabela, linha, produto.preco), vigente.preco);
+    // A promoção pode ficar abaixo do mínimo da linha; nesse caso ela é o mínimo
+    const precoMinimo = linha && linha.precoMinimo !== null ? Math.min(linha.precoMinimo, preco) : preco;
+
+    return [produto.id, { preco, precoMinimo, tabela: { id: tabela.id, nome: tabela.nome } }];
+  }));
+}
+
+module.exports = {
+  precoNaTabela,
+  precosParaCliente
+};
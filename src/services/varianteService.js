@@ -0,0 +1,182 @@
+const MAX_ATRIBUTOS = 3;
+const MAX_VARIANTES = 200;
+
+/**
+ * Valida as definições de atributos de uma grade: { "Tamanho": ["P", "M"], "Cor": ["Azul"] }
+ * @returns {string[]} erros
+ */
+function validarAtributos(atributos) {
+  if (!atributos || typeof atributos !== 'object' || Array.isArray(atributos)) {
+    return ['Atributos devem ser um objeto como { "Tamanho": ["P", "M"], "Cor": ["Azul"] }'];
+  }
+
+  const erros = [];
+  const nomes = Object.keys(atributos);
+
+  if (nomes.length === 0 || nomes.length > MAX_ATRIBUTOS) {
+    erros.push(`Informe de 1 a ${MAX_ATRIBUTOS} atributos`);
+  }
+
+  for (const nome of nomes) {
+    const valores = atributos[nome];
+    if (!nome.trim()) {
+      erros.push('Nome de atributo não pode ser vazio');
+    }
+    if (!Array.isArray(valores) || valores.length === 0) {
+      erros.push(`Atributo ${nome}: informe ao menos um valor`);
+      continue;
+    }
+    if (valores.some(valor => typeof valor !== 'string' || !valor.trim())) {
+      erros.push(`Atributo ${nome}: os valores devem ser textos não vazios`);
+      continue;
+    }
+    const normalizados = valores.map(valor => valor.trim().toLowerCase());
+    if (new Set(normalizados).size !== normalizados.length) {
+      erros.push(`Atributo ${nome}: valores repetidos`);
+    }
+  }
+
+  if (erros.length === 0) {
+    const total = nomes.reduce((produto, nome) => produto * atributos[nome].length, 1);
+    if (total > MAX_VARIANTES) {
+      erros.push(`A grade geraria ${total} variantes; o máximo é ${MAX_VARIANTES}`);
+    }
+  }
+
+  return erros;
+}
+
+/**
+ * Remove espaços extras dos nomes e valores
+ */
+function normalizarAtributos(atributos) {
+  return Object.fromEntries(
+    Object.entries(atributos).map(([nome, valores]) => [nome.trim(), valores.map(valor => valor.trim())])
+  );
+}
+
+/**
+ * Junta valores novos às definições atuais, sem remover os existentes (variantes já vendidas continuam válidas)
+ */
+function mesclarAtributos(atuais, novos) {
+  const resultado = { ...atuais };
+  for (const [nome, valores] of Object.entries(novos)) {
+    const existentes = resultado[nome] || [];
+    const conhecidos = new Set(existentes.map(valor => valor.toLowerCase()));
+    resultado[nome] = [...existentes, ...valores.filter(valor => !conhecidos.has(valor.toLowerCase()))];
+  }
+  return resultado;
+}
+
+/**
+ * Todas as combinações de valores: [{ Tamanho: "P", Cor: "Azul" }, ...]
+ */
+function combinacoes(atributos) {
+  return Object.entries(atributos).reduce(
+    (parciais, [nome, valores]) => parciais.flatMap(parcial => valores.map(valor => ({ ...parcial, [nome]: valor }))),
+    [{}]
+  );
+}
+
+function chaveCombinacao(valores) {
+  return Object.keys(valores).sort().map(nome => `${nome}=${String(valores[nome]).toLowerCase()}`).join('|');
+}
+
+function nomeVariante(nomeGrade, valores) {
+  return `${nomeGrade} - ${Object.values(valores).join(' / ')}`;
+}
+
+/**
+ * SKU da variante a partir do SKU da grade: CAM + { Tamanho: "P", Cor: "Azul" } = CAM-P-AZUL
+ */
+function skuVariante(skuGrade, valores) {
+  if (!skuGrade) return null;
+  const partes = Object.values(valores).map(valor => valor
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^A-Za-z0-9]/g, '')
+    .toUpperCase());
+  return [skuGrade, ...partes].join('-');
+}
+
+/**
+ * Cria as variantes que faltam para as combinações de atributos da grade.
+ * Variantes nascem com estoque zero, o preço da grade e as configurações dela.
+ * @param client prisma ou a transação (tx)
+ * @returns variantes criadas
+ */
+async function gerarVariantes(client, grade) {
+  const existentes = await client.produto.findMany({
+    where: { produtoPaiId: grade.id },
+    select: { atributos: true }
+  });
+  const chaves = new Set(existentes.map(variante => chaveCombinacao(variante.atributos || {})));
+
+  const criadas = [];
+  for (const valores of combinacoes(grade.atributos)) {
+    if (chaves.has(chaveCombinacao(valores))) continue;
+
+    criadas.push(await client.produto.create({
+      data: {
+        produtoPaiId: grade.id,
+        nome: nomeVariante(grade.nome, valores),
+        descricao: grade.descricao,
+        sku: skuVariante(grade.sku, valores),
+        preco: grade.preco,
+        custoManual: grade.custoManual,
+        unidade: grade.unidade,
+        casasDecimais: grade.casasDecimais,
+        unidadeCompra: grade.unidadeCompra,
+        fatorCompra: grade.fatorCompra,
+        tipo: 'Produto',
+        status: grade.status,
+        controlaLote: grade.controlaLote,
+        categoriaId: grade.categoriaId,
+        atributos: valores,
+        estoque: 0
+      }
+    }));
+  }
+
+  return criadas;
+}
+
+/**
+ * Leva às variantes as alterações da grade: preço (das que não têm preço próprio), nome e categoria
+ */
+async function propagarGrade(client, grade, { preco = false, nome = false, categoria = false } = {}) {
+  if (categoria) {
+    await client.produto.updateMany({
+      where: { produtoPaiId: grade.id },
+      data: { categoriaId: grade.categoriaId }
+    });
+  }
+
+  if (preco) {
+    await client.produto.updateMany({
+      where: { produtoPaiId: grade.id, precoProprio: false },
+      data: { preco: grade.preco }
+    });
+  }
+
+  if (nome) {
+    const variantes = await client.produto.findMany({
+      where: { produtoPaiId: grade.id },
+      select: { id: true, atributos: true }
+    });
+    for (const variante of variantes) {
+      await client.produto.update({
+        where: { id: variante.id },
+        data: { nome: nomeVariante(grade.nome, variante.atributos || {}) }
+      });
+    }
+  }
+}
+
+module.exports = {
+  validarAtributos,
+  normalizarAtributos,
+  mesclarAtributos,
+  gerarVariantes,
+  propagarGrade
+};
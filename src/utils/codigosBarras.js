@@ -0,0 +1,69 @@
+// Tamanhos de código GTIN aceitos: EAN-8, EAN-13 e GTIN-14 (caixas)
+const TAMANHOS_GTIN = [8, 13, 14];
+
+/**
+ * Remove espaços e hífens que leitores e planilhas costumam deixar no código
+ */
+function limparCodigoBarras(codigo) {
+  return String(codigo).replace(/[\s-]/g, '');
+}
+
+/**
+ * Dígito verificador GTIN (módulo 10): pesos 3 e 1 alternados, a partir da direita
+ */
+function digitoVerificador(semDigito) {
+  const soma = [...semDigito].reverse().reduce(
+    (total, digito, indice) => total + Number(digito) * (indice % 2 === 0 ? 3 : 1),
+    0
+  );
+  return (10 - (soma % 10)) % 10;
+}
+
+/**
+ * Confere tamanho e dígito verificador de um EAN-8, EAN-13 ou GTIN-14 (já limpo)
+ */
+function validarCodigoBarras(codigo) {
+  if (!/^\d+$/.test(codigo) || !TAMANHOS_GTIN.includes(codigo.length)) return false;
+  return digitoVerificador(codigo.slice(0, -1)) === Number(codigo.slice(-1));
+}
+
+/**
+ * Lê a lista de códigos da requisição: limpa, valida e remove repetidos
+ * @returns {{ codigos: string[], erros: string[] }}
+ */
+function lerCodigosBarras(valor) {
+  if (!Array.isArray(valor)) {
+    return { codigos: [], erros: ['codigosBarras deve ser uma lista, como ["7891234567895"]'] };
+  }
+
+  const erros = [];
+  const codigos = [];
+  for (const item of valor) {
+    const codigo = typeof item === 'string' || typeof item === 'number' ? limparCodigoBarras(item) : '';
+    if (!validarCodigoBarras(codigo)) {
+      erros.push(`Código de barras inválido: ${item} (EAN-8, EAN-13 ou GTIN-14 com dígito verificador)`);
+    } else if (!codigos.includes(codigo)) {
+      codigos.push(codigo);
+    }
+  }
+
+  return { codigos, erros };
+}
+
+/**
+ * Formas do mesmo GTIN com zeros à esquerda: o EAN-13 7891234567895 é o GTIN-14 07891234567895
+ */
+function formasEquivalentes(codigo) {
+  const semZeros = codigo.replace(/^0+/, '');
+  return TAMANHOS_GTIN
+    .filter(tamanho => tamanho >= semZeros.length)
+    .map(tamanho => semZeros.padStart(tamanho, '0'));
+}
+
+module.exports = {
+  TAMANHOS_GTIN,
+  limparCodigoBarras,
+  validarCodigoBarras,
+  lerCodigosBarras,
+  formasEquivalentes
+};
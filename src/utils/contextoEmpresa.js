@@ -0,0 +1,44 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Guarda a empresa da requisição atual. O middleware de autenticação abre o
+ * contexto e o cliente Prisma (src/prisma.js) o consulta para filtrar as queries.
+ */
+const armazenamento = new AsyncLocalStorage();
+
+function executarComEmpresa(empresaId, fn) {
+  return armazenamento.run({ empresaId }, fn);
+}
+
+/**
+ * Empresa ativa, ou null fora de uma requisição autenticada e dentro de semEscopo
+ */
+function obterEmpresaAtual() {
+  const contexto = armazenamento.getStore();
+  return contexto ? contexto.empresaId : null;
+}
+
+/**
+ * Executa sem filtro de empresa. Use só para consultas que são globais
+ * por natureza, como a unicidade do e-mail de usuário.
+ */
+function semEscopo(fn) {
+  // Consultas do Prisma só executam quando aguardadas: o await fica aqui dentro
+  // para que uma consulta devolvida sem await ainda rode sem o filtro
+  return armazenamento.run({ empresaId: null }, async () => fn());
+}
+
+/**
+ * Indica se o código roda dentro de semEscopo (consulta global de propósito)
+ */
+function escopoLiberado() {
+  const contexto = armazenamento.getStore();
+  return Boolean(contexto) && contexto.empresaId === null;
+}
+
+module.exports = {
+  executarComEmpresa,
+  obterEmpresaAtual,
+  semEscopo,
+  escopoLiberado
+};
@@ -0,0 +1,33 @@
+/**
+ * Função para validar CPF (formato básico)
+ */
+function validarCPF(cpf) {
+  if (!cpf) return true; // CPF é opcional
+  const cpfLimpo = cpf.replace(/\D/g, '');
+  return cpfLimpo.length === 11;
+}
+
+/**
+ * Função para validar CNPJ (formato básico)
+ */
+function validarCNPJ(cnpj) {
+  if (!cnpj) return true; // CNPJ é opcional
+  const cnpjLimpo = cnpj.replace(/\D/g, '');
+  return cnpjLimpo.length === 14;
+}
+
+/**
+ * Aplica a máscara de CPF (000.000.000-00) ou CNPJ (00.000.000/0000-00)
+ */
+function formatarDocumento(documentoLimpo) {
+  if (documentoLimpo.length === 11) {
+    return documentoLimpo.replace(/(\d{3})(\d{3})(\d{3})(\d{2})/, '$1.$2.$3-$4');
+  }
+  return documentoLimpo.replace(/(\d{2})(\d{3})(\d{3})(\d{4})(\d{2})/, '$1.$2.$3/$4-$5');
+}
+
+module.exports = {
+  validarCPF,
+  validarCNPJ,
+  formatarDocumento
+};
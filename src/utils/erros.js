@@ -0,0 +1,23 @@
+const TITULOS = {
+  400: 'Dados inválidos',
+  401: 'Não autenticado',
+  403: 'Acesso negado',
+  404: 'Não encontrado',
+  409: 'Conflito',
+  423: 'Bloqueado',
+  429: 'Muitas tentativas'
+};
+
+/**
+ * Erro de regra de negócio que já sabe qual resposta HTTP gerar
+ */
+class ErroHttp extends Error {
+  constructor(message, status = 400, titulo = TITULOS[status] || 'Erro') {
+    super(message);
+    this.name = 'ErroHttp';
+    this.status = status;
+    this.titulo = titulo;
+  }
+}
+
+module.exports = { ErroHttp };
@@ -0,0 +1,16 @@
+const config = require('../config');
+
+/**
+ * Lê page/limit da query string respeitando os limites da configuração
+ */
+function obterPaginacao(query = {}, limitePadrao = config.paginacao.limitePadrao) {
+  const page = Math.max(1, parseInt(query.page) || 1);
+  const limit = Math.min(
+    config.paginacao.limiteMaximo,
+    Math.max(1, parseInt(query.limit) || limitePadrao)
+  );
+
+  return { page, limit, skip: (page - 1) * limit };
+}
+
+module.exports = { obterPaginacao };
@@ -0,0 +1,103 @@
+const { Prisma } = require('@prisma/client');
+
+// Unidades de medida aceitas e a precisão padrão de cada uma (casas decimais da quantidade)
+const UNIDADES = { UN: 0, KG: 3, M: 2, L: 3, CX: 0 };
+const MAX_CASAS_DECIMAIS = 3;
+
+/**
+ * Quantidade como Prisma.Decimal. Aceita número, texto ou o Decimal lido das colunas
+ * de quantidade (Decimal(15,3)); vazio ou inválido vale 0.
+ */
+function paraDecimal(valor) {
+  if (Prisma.Decimal.isDecimal(valor)) return valor;
+  const numero = Number(valor);
+  return new Prisma.Decimal(Number.isFinite(numero) ? numero : 0);
+}
+
+/**
+ * Arredonda a quantidade na precisão informada (metade para longe do zero) e devolve um número.
+ * As contas são feitas em Prisma.Decimal: 0.1 + 0.2 dá 0.3, e não 0.30000000000000004.
+ */
+function arredondarQuantidade(valor, casas = MAX_CASAS_DECIMAIS) {
+  return paraDecimal(valor).toDecimalPlaces(casas, Prisma.Decimal.ROUND_HALF_UP).toNumber();
+}
+
+/**
+ * Soma quantidades (números ou Decimal do banco) sem erro de ponto flutuante
+ */
+function somarQuantidades(...valores) {
+  return arredondarQuantidade(valores.reduce((soma, valor) => soma.plus(paraDecimal(valor)), new Prisma.Decimal(0)));
+}
+
+/**
+ * Diferença entre duas quantidades (a - b) sem erro de ponto flutuante
+ */
+function subtrairQuantidades(a, b) {
+  return arredondarQuantidade(paraDecimal(a).minus(paraDecimal(b)));
+}
+
+/**
+ * Quantidade vezes um fator (ex.: a conversão da unidade de compra), arredondada na precisão máxima
+ */
+function multiplicarQuantidade(quantidade, fator) {
+  return arredondarQuantidade(paraDecimal(quantidade).times(paraDecimal(fator)));
+}
+
+/**
+ * Replacer do JSON das respostas (app.set('json replacer')): as colunas de quantidade voltam
+ * como Prisma.Decimal, que o JSON.stringify escreveria como texto; na API elas seguem números.
+ * O replacer recebe o valor já passado pelo toJSON, por isso o original é lido do objeto pai.
+ */
+function decimalComoNumero(chave, valor) {
+  const original = this[chave];
+  return Prisma.Decimal.isDecimal(original) ? original.toNumber() : valor;
+}
+
+/**
+ * Lê uma quantidade da requisição (aceita vírgula decimal) respeitando as casas decimais da unidade.
+ * @returns {number|null} null se não for um número ou tiver mais casas do que a unidade permite
+ */
+function lerQuantidade(valor, casas = 0) {
+  if (valor === undefined || valor === null || valor === '') return null;
+
+  const numero = typeof valor === 'string' ? Number(valor.trim().replace(',', '.')) : Number(valor);
+  if (!Number.isFinite(numero)) return null;
+  if (arredondarQuantidade(numero, casas) !== numero) return null;
+  return numero;
+}
+
+/**
+ * Texto para mensagens de erro: "inteiro" ou "com até N casa(s) decimal(is)"
+ */
+function descreverPrecisao(casas) {
+  return casas > 0 ? `número com até ${casas} casa(s) decimal(is)` : 'número inteiro';
+}
+
+/**
+ * Converte quantidade e custo unitário informados na unidade de compra para a unidade do produto.
+ * Sem unidade, ou na própria unidade do produto, nada muda. Ex.: 2 CX (fator 12) a R$ 60 = 24 UN a R$ 5.
+ * @returns {{ quantidade: number, custoUnit: number }|null} null se a unidade não for a do produto nem a de compra
+ */
+function converterUnidadeCompra(produto, { quantidade, custoUnit, unidade }) {
+  if (!unidade || unidade === produto.unidade) return { quantidade, custoUnit };
+  if (unidade !== produto.unidadeCompra || !produto.fatorCompra) return null;
+
+  return {
+    quantidade: multiplicarQuantidade(quantidade, produto.fatorCompra),
+    custoUnit: custoUnit === undefined || custoUnit === null ? custoUnit : custoUnit / Number(produto.fatorCompra)
+  };
+}
+
+module.exports = {
+  UNIDADES,
+  MAX_CASAS_DECIMAIS,
+  paraDecimal,
+  arredondarQuantidade,
+  somarQuantidades,
+  subtrairQuantidades,
+  multiplicarQuantidade,
+  lerQuantidade,
+  descreverPrecisao,
+  converterUnidadeCompra,
+  decimalComoNumero
+};
@@ -0,0 +1,17 @@
+const crypto = require('crypto');
+
+/**
+ * Gera um token aleatório opaco (hexadecimal)
+ */
+function gerarToken(bytes = 48) {
+  return crypto.randomBytes(bytes).toString('hex');
+}
+
+/**
+ * Hash SHA-256 usado para guardar tokens no banco sem expor o valor original
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+module.exports = { gerarToken, hashToken };
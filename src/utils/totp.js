@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+
+/**
+ * TOTP (RFC 6238) compatível com Google Authenticator, Authy, etc.
+ * HMAC-SHA1, 6 dígitos e passos de 30 segundos.
+ */
+
+const ALFABETO_BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const PERIODO_SEGUNDOS = 30;
+const DIGITOS = 6;
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let valor = 0;
+  let saida = '';
+
+  for (const byte of buffer) {
+    valor = (valor << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      saida += ALFABETO_BASE32[(valor >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    saida += ALFABETO_BASE32[(valor << (5 - bits)) & 31];
+  }
+
+  return saida;
+}
+
+function base32Decode(texto) {
+  const limpo = texto.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let valor = 0;
+  const bytes = [];
+
+  for (const caractere of limpo) {
+    const indice = ALFABETO_BASE32.indexOf(caractere);
+    if (indice === -1) throw new Error('Segredo base32 inválido');
+
+    valor = (valor << 5) | indice;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((valor >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Gera um segredo aleatório de 160 bits em base32
+ */
+function gerarSegredo() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+function passoAtual(agora = Date.now()) {
+  return Math.floor(agora / 1000 / PERIODO_SEGUNDOS);
+}
+
+/**
+ * Calcula o código HOTP (RFC 4226) para um passo de tempo
+ */
+function gerarCodigo(segredo, passo = passoAtual()) {
+  const contador = Buffer.alloc(8);
+  contador.writeBigUInt64BE(BigInt(passo));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(segredo)).update(contador).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binario = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binario % 10 ** DIGITOS).padStart(DIGITOS, '0');
+}
+
+/**
+ * Verifica o código aceitando `janela` passos antes/depois (tolerância de relógio).
+ * Retorna o passo que casou ou null.
+ */
+function verificarCodigo(segredo, codigo, { janela = 1, agora = Date.now() } = {}) {
+  const normalizado = String(codigo || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalizado)) return null;
+
+  const atual = passoAtual(agora);
+  for (let desvio = -janela; desvio <= janela; desvio++) {
+    const esperado = Buffer.from(gerarCodigo(segredo, atual + desvio));
+    if (crypto.timingSafeEqual(esperado, Buffer.from(normalizado))) {
+      return atual + desvio;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * URI otpauth:// usada para gerar o QR code no aplicativo autenticador
+ */
+function gerarUriProvisionamento({ segredo, conta, emissor }) {
+  const rotulo = encodeURIComponent(`${emissor}:${conta}`);
+  const parametros = new URLSearchParams({
+    secret: segredo,
+    issuer: emissor,
+    algorithm: 'SHA1',
+    digits: String(DIGITOS),
+    period: String(PERIODO_SEGUNDOS)
+  });
+
+  return `otpauth://totp/${rotulo}?${parametros.toString()}`;
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  gerarSegredo,
+  gerarCodigo,
+  verificarCodigo,
+  gerarUriProvisionamento
+};